@@ -10,7 +10,7 @@ db.createCollection('payouts');
 // Create indexes
 db.users.createIndex({ email: 1 }, { unique: true });
 db.users.createIndex({ phone: 1 }, { unique: true });
-db.users.createIndex({ idNumber: 1 }, { unique: true });
+db.users.createIndex({ idNumber: 1 }, { sparse: true, unique: true });
 db.users.createIndex({ googleId: 1 }, { sparse: true, unique: true });
 db.users.createIndex({ facebookId: 1 }, { sparse: true, unique: true });
 
@@ -19,6 +19,10 @@ db.events.createIndex({ hostId: 1 });
 db.events.createIndex({ status: 1 });
 db.events.createIndex({ eventDateTime: 1 });
 db.events.createIndex({ 'location.coordinates': '2dsphere' });
+db.events.createIndex(
+  { name: 'text', about: 'text', 'performers.name': 'text' },
+  { weights: { name: 10, 'performers.name': 5, about: 1 }, name: 'event_text_search' }
+);
 
 db.orders.createIndex({ orderNumber: 1 }, { unique: true });
 db.orders.createIndex({ checkoutRequestId: 1 });
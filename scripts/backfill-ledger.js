@@ -0,0 +1,51 @@
+// Post sales, refunds and payouts made before the host ledger existed.
+// Usage: node scripts/backfill-ledger.js
+// Safe to run more than once: every posting has a unique reference, so
+// anything already in the ledger is skipped.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Order = require('../src/models/order.model');
+const Refund = require('../src/models/refund.model');
+const Payout = require('../src/models/payout.model');
+const ledgerService = require('../src/services/ledger.service');
+
+(async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/swiftpass');
+
+  const counts = { sales: 0, refunds: 0, payouts: 0 };
+
+  try {
+    const orders = Order.find({ paymentStatus: { $in: ['completed', 'refunded'] } })
+      .sort({ paymentDate: 1 })
+      .cursor();
+    for await (const order of orders) {
+      if (await ledgerService.recordSale(order)) counts.sales++;
+    }
+
+    // Oldest first, so each refund sees what the host already gave back
+    const refunds = Refund.find({ status: 'completed' }).sort({ createdAt: 1 }).cursor();
+    for await (const refund of refunds) {
+      const order = await Order.findById(refund.orderId);
+      if (order && await ledgerService.recordRefund(refund, order)) counts.refunds++;
+    }
+
+    const payouts = Payout.find({
+      status: { $in: ['pending', 'processing', 'completed'] },
+      ledgerPosted: { $ne: true }
+    }).sort({ createdAt: 1 }).cursor();
+    for await (const payout of payouts) {
+      await ledgerService.recordPayout(payout);
+      if (payout.status === 'completed') {
+        await ledgerService.settlePayout(payout);
+      }
+      counts.payouts++;
+    }
+
+    console.log(`Posted ${counts.sales} sales, ${counts.refunds} refunds and ${counts.payouts} payouts`);
+  } catch (error) {
+    console.error('Ledger backfill failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
@@ -0,0 +1,48 @@
+// Create a platform admin account (there is no public sign-up for admins).
+// Usage: node scripts/create-admin.js <email> <name> <phone>
+// The password is read from ADMIN_PASSWORD. The admin signs in through the
+// normal POST /api/v1/auth/login.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/user.model');
+
+const [email, name, phone] = process.argv.slice(2);
+const password = process.env.ADMIN_PASSWORD;
+
+if (!email || !name || !phone) {
+  console.error('Usage: ADMIN_PASSWORD=... node scripts/create-admin.js <email> <name> <phone>');
+  process.exit(1);
+}
+
+if (!password || password.length < 8) {
+  console.error('Set ADMIN_PASSWORD to a password of at least 8 characters');
+  process.exit(1);
+}
+
+(async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/swiftpass');
+
+  try {
+    if (await User.exists({ email: email.toLowerCase() })) {
+      console.error(`An account for ${email} already exists`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const admin = await User.create({
+      name,
+      email,
+      phone,
+      passwordHash: password,
+      role: 'admin',
+      emailVerified: true
+    });
+
+    console.log(`Created admin ${admin.email} (${admin._id})`);
+  } catch (error) {
+    console.error('Could not create admin:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+})();
@@ -0,0 +1,32 @@
+// Generate an Ed25519 key for signing ticket QR codes.
+// Usage: node scripts/generate-ticket-key.js [keyId]
+// Writes <keyId>.pem into TICKET_SIGNING_KEYS_DIR (default ./keys/tickets).
+// To rotate keys, generate a new key and point TICKET_SIGNING_KEY_ID at it. Keep
+// the old .pem in the directory until every ticket it signed is past its event.
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const keysDir = path.resolve(process.env.TICKET_SIGNING_KEYS_DIR || 'keys/tickets');
+const keyId = process.argv[2] || `k${new Date().toISOString().slice(0, 10).replace(/-/g, '')}`;
+
+if (!/^[A-Za-z0-9_-]+$/.test(keyId)) {
+  console.error('Key ID may only contain letters, numbers, dashes and underscores');
+  process.exit(1);
+}
+
+const keyPath = path.join(keysDir, `${keyId}.pem`);
+if (fs.existsSync(keyPath)) {
+  console.error(`Key ${keyPath} already exists`);
+  process.exit(1);
+}
+
+const { privateKey } = crypto.generateKeyPairSync('ed25519');
+
+fs.mkdirSync(keysDir, { recursive: true });
+fs.writeFileSync(keyPath, privateKey.export({ format: 'pem', type: 'pkcs8' }), { mode: 0o600 });
+
+console.log(`Wrote ${keyPath}`);
+console.log(`TICKET_SIGNING_KEYS_DIR=${keysDir}`);
+console.log(`TICKET_SIGNING_KEY_ID=${keyId}`);
@@ -0,0 +1,156 @@
+// Local stand-in for the Safaricom Daraja API (and a bank payout partner).
+// Point the backend at it with MPESA_BASE_URL=http://localhost:4010
+require('dotenv').config();
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+
+const PORT = process.env.MOCK_DARAJA_PORT || 4010;
+const DELAY_MS = parseInt(process.env.MOCK_DARAJA_DELAY_MS || '1500');
+// Non-zero result code makes every async result a failure
+const RESULT_CODE = parseInt(process.env.MOCK_DARAJA_RESULT_CODE || '0');
+
+const app = express();
+app.use(express.json());
+
+const stkRequests = new Map();
+
+const newId = (prefix) => `${prefix}-${crypto.randomBytes(6).toString('hex')}`;
+const receipt = () => crypto.randomBytes(5).toString('hex').toUpperCase();
+
+const deliver = (url, body) => {
+  setTimeout(async () => {
+    try {
+      await axios.post(url, body);
+      console.log(`Delivered callback to ${url}`);
+    } catch (error) {
+      console.error(`Callback to ${url} failed:`, error.message);
+    }
+  }, DELAY_MS);
+};
+
+app.use((req, res, next) => {
+  console.log(`${req.method} ${req.path}`, req.body && Object.keys(req.body).length ? req.body : '');
+  next();
+});
+
+// OAuth
+app.get('/oauth/v1/generate', (req, res) => {
+  res.json({ access_token: newId('mock-token'), expires_in: '3599' });
+});
+
+// STK push
+app.post('/mpesa/stkpush/v1/processrequest', (req, res) => {
+  const { Amount, PhoneNumber, CallBackURL } = req.body;
+  const checkoutRequestId = newId('ws_CO');
+  const merchantRequestId = newId('MR');
+
+  stkRequests.set(checkoutRequestId, { resultCode: RESULT_CODE });
+
+  res.json({
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResponseCode: '0',
+    ResponseDescription: 'Success. Request accepted for processing',
+    CustomerMessage: 'Success. Request accepted for processing'
+  });
+
+  const stkCallback = {
+    MerchantRequestID: merchantRequestId,
+    CheckoutRequestID: checkoutRequestId,
+    ResultCode: RESULT_CODE,
+    ResultDesc: RESULT_CODE === 0
+      ? 'The service request is processed successfully.'
+      : 'Request cancelled by user'
+  };
+
+  if (RESULT_CODE === 0) {
+    stkCallback.CallbackMetadata = {
+      Item: [
+        { Name: 'Amount', Value: Amount },
+        { Name: 'MpesaReceiptNumber', Value: receipt() },
+        { Name: 'TransactionDate', Value: Number(new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14)) },
+        { Name: 'PhoneNumber', Value: Number(PhoneNumber) }
+      ]
+    };
+  }
+
+  deliver(CallBackURL, { Body: { stkCallback } });
+});
+
+// STK push query
+app.post('/mpesa/stkpushquery/v1/query', (req, res) => {
+  const request = stkRequests.get(req.body.CheckoutRequestID);
+
+  if (!request) {
+    return res.status(404).json({
+      requestId: newId('req'),
+      errorCode: '500.001.1001',
+      errorMessage: 'The transaction is being processed'
+    });
+  }
+
+  res.json({
+    ResponseCode: '0',
+    ResponseDescription: 'The service request has been accepted successsfully',
+    CheckoutRequestID: req.body.CheckoutRequestID,
+    ResultCode: String(request.resultCode),
+    ResultDesc: request.resultCode === 0
+      ? 'The service request is processed successfully.'
+      : 'Request cancelled by user'
+  });
+});
+
+// Reversal and B2C share the same async Result envelope
+const handleAsyncCommand = (req, res) => {
+  const conversationId = newId('AG');
+  const originatorConversationId = newId('OC');
+
+  res.json({
+    ConversationID: conversationId,
+    OriginatorConversationID: originatorConversationId,
+    ResponseCode: '0',
+    ResponseDescription: 'Accept the service request successfully.'
+  });
+
+  deliver(req.body.ResultURL, {
+    Result: {
+      ResultType: 0,
+      ResultCode: RESULT_CODE,
+      ResultDesc: RESULT_CODE === 0
+        ? 'The service request is processed successfully.'
+        : 'The initiator information is invalid.',
+      OriginatorConversationID: originatorConversationId,
+      ConversationID: conversationId,
+      TransactionID: receipt(),
+      ResultParameters: {
+        ResultParameter: [
+          { Key: 'TransactionAmount', Value: req.body.Amount },
+          { Key: 'TransactionReceipt', Value: receipt() }
+        ]
+      }
+    }
+  });
+};
+
+app.post('/mpesa/reversal/v1/request', handleAsyncCommand);
+app.post('/mpesa/b2c/v1/paymentrequest', handleAsyncCommand);
+
+// Bank transfer partner stand-in (BANK_PAYOUT_API_URL=http://localhost:4010/bank)
+app.post('/bank/transfers', (req, res) => {
+  const id = newId('TRF');
+
+  res.status(202).json({ id, status: 'accepted' });
+
+  deliver(req.body.callbackUrl, {
+    id,
+    reference: req.body.reference,
+    status: RESULT_CODE === 0 ? 'completed' : 'failed',
+    transactionId: RESULT_CODE === 0 ? `BNK${receipt()}` : undefined,
+    reason: RESULT_CODE === 0 ? undefined : 'Beneficiary account could not be credited'
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock Daraja listening on port ${PORT} (result code ${RESULT_CODE})`);
+});
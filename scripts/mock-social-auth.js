@@ -0,0 +1,88 @@
+// Local stand-in for Google and Facebook sign-in.
+// Point the backend at it with
+//   GOOGLE_JWKS_URL=http://localhost:4020/google/certs
+//   FACEBOOK_GRAPH_URL=http://localhost:4020/facebook
+// then mint tokens for POST /api/v1/auth/google and /auth/facebook:
+//   curl -XPOST localhost:4020/google/token -H 'content-type: application/json' -d '{"email":"host@example.com"}'
+//   curl -XPOST localhost:4020/facebook/token -H 'content-type: application/json' -d '{"email":"host@example.com"}'
+require('dotenv').config();
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = process.env.MOCK_SOCIAL_PORT || 4020;
+const GOOGLE_CLIENT_ID = (process.env.GOOGLE_CLIENT_ID || 'mock-google-client').split(',')[0].trim();
+const FACEBOOK_APP_ID = process.env.FACEBOOK_APP_ID || 'mock-facebook-app';
+
+const app = express();
+app.use(express.json());
+
+// A fresh signing key each run, published like Google's
+const kid = crypto.randomBytes(8).toString('hex');
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const facebookTokens = new Map();
+
+const subject = (email) => crypto.createHash('sha256').update(email).digest('hex').slice(0, 21);
+
+app.use((req, res, next) => {
+  console.log(`${req.method} ${req.path}`, req.body && Object.keys(req.body).length ? req.body : '');
+  next();
+});
+
+// Google
+app.get('/google/certs', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+});
+
+app.post('/google/token', (req, res) => {
+  const { email = 'host@example.com', name = 'Mock Google User', emailVerified = true } = req.body;
+
+  const idToken = jwt.sign({
+    email,
+    email_verified: emailVerified,
+    name,
+    picture: ''
+  }, privateKey, {
+    algorithm: 'RS256',
+    keyid: kid,
+    issuer: 'https://accounts.google.com',
+    audience: GOOGLE_CLIENT_ID,
+    subject: req.body.sub || subject(email),
+    expiresIn: '1h'
+  });
+
+  res.json({ idToken });
+});
+
+// Facebook
+app.post('/facebook/token', (req, res) => {
+  const { email = 'host@example.com', name = 'Mock Facebook User' } = req.body;
+  const accessToken = `EAAB${crypto.randomBytes(24).toString('hex')}`;
+
+  facebookTokens.set(accessToken, { id: req.body.id || String(parseInt(subject(email).slice(0, 12), 16)), name, email });
+  res.json({ accessToken });
+});
+
+app.get('/facebook/debug_token', (req, res) => {
+  const user = facebookTokens.get(req.query.input_token);
+
+  res.json({
+    data: user
+      ? { app_id: FACEBOOK_APP_ID, is_valid: true, user_id: user.id, expires_at: Math.floor(Date.now() / 1000) + 3600 }
+      : { is_valid: false, error: { message: 'Invalid OAuth access token' } }
+  });
+});
+
+app.get('/facebook/me', (req, res) => {
+  const user = facebookTokens.get(req.query.access_token);
+  if (!user) {
+    return res.status(400).json({ error: { message: 'Invalid OAuth access token', type: 'OAuthException', code: 190 } });
+  }
+
+  res.json({ id: user.id, name: user.name, email: user.email || undefined });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock social sign-in listening on http://localhost:${PORT} (Google client ${GOOGLE_CLIENT_ID}, Facebook app ${FACEBOOK_APP_ID})`);
+});
@@ -1,7 +1,6 @@
 require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
-const Redis = require('redis');
 const helmet = require('helmet');
 const cors = require('cors');
 const compression = require('compression');
@@ -18,6 +17,9 @@ const eventRoutes = require('./routes/events.routes');
 const checkoutRoutes = require('./routes/checkout.routes');
 const paymentRoutes = require('./routes/payment.routes');
 const ticketRoutes = require('./routes/ticket.routes');
+const staffRoutes = require('./routes/staff.routes');
+const buyerRoutes = require('./routes/buyer.routes');
+const adminRoutes = require('./routes/admin.routes');
 
 // Import middleware
 const { errorHandler } = require('./middlewares/error.middleware');
@@ -27,10 +29,8 @@ const { requestLogger } = require('./middlewares/logger.middleware');
 const app = express();
 const server = http.createServer(app);
 
-// Initialize Redis client
-const redisClient = Redis.createClient({
-  url: process.env.REDIS_URL || 'redis://localhost:6379'
-});
+// Shared Redis client (also used by services for caching and pub/sub)
+const redisClient = require('./config/redis');
 
 // Logger configuration
 const logger = winston.createLogger({
@@ -51,6 +51,11 @@ const logger = winston.createLogger({
   ]
 });
 
+// Behind a load balancer req.ip must come from X-Forwarded-For (M-Pesa callback allowlist)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Global middleware
 app.use(helmet());
 app.use(cors({
@@ -80,7 +85,7 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     services: {
       mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
-      redis: redisClient.isReady ? 'connected' : 'disconnected'
+      redis: redisClient.client && redisClient.client.isReady ? 'connected' : 'disconnected'
     }
   });
 });
@@ -92,6 +97,9 @@ app.use('/api/v1/events', eventRoutes);
 app.use('/api/v1/checkout', checkoutRoutes);
 app.use('/api/v1/payments', paymentRoutes);
 app.use('/api/v1/tickets', ticketRoutes);
+app.use('/api/v1/staff', staffRoutes);
+app.use('/api/v1/buyer', buyerRoutes);
+app.use('/api/v1/admin', adminRoutes);
 
 // 404 handler
 app.all('*', (req, res) => {
@@ -164,6 +172,10 @@ const startServer = async () => {
           require('./jobs/payout.job');
           require('./jobs/ticket-activation.job');
           require('./jobs/ticket-generation.job');
+          require('./jobs/event-cancellation.job');
+          require('./jobs/reservation.job');
+          require('./jobs/order-cleanup.job');
+          require('./jobs/event-lifecycle.job');
           logger.info('Background jobs initialized');
         } catch (error) {
           logger.error('Error initializing background jobs:', error);
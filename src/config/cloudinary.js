@@ -38,9 +38,50 @@ const upload = multer({
   }
 });
 
+// Identity documents are stored as authenticated assets, so they can only be
+// opened through signed URLs (see kycDocumentUrl)
+const kycStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: 'swiftpass/kyc',
+    allowed_formats: ['jpg', 'jpeg', 'png', 'pdf'],
+    type: 'authenticated',
+    resource_type: 'image'
+  }
+});
+
+const kycUpload = multer({
+  storage: kycStorage,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|pdf/;
+    const extname = allowedTypes.test(file.originalname.toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only JPG, PNG and PDF documents are allowed'));
+    }
+  }
+});
+
+// Short-lived link to a KYC document for reviewers
+const kycDocumentUrl = (publicId, expiresInSeconds = 10 * 60) => {
+  return cloudinary.utils.private_download_url(publicId, '', {
+    type: 'authenticated',
+    resource_type: 'image',
+    expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds
+  });
+};
+
 module.exports = {
   cloudinary,
   upload,
+  kycDocumentUrl,
+  uploadKycDocuments: (fields) => kycUpload.fields(fields),
   uploadSingle: (fieldName) => upload.single(fieldName),
   uploadMultiple: (fieldName, maxCount) => upload.array(fieldName, maxCount),
   uploadFields: (fields) => upload.fields(fields)
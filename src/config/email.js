@@ -78,6 +78,14 @@ class EmailService {
               <a href="${ticketDetails.pdfUrl}" class="download-btn">Download PDF Ticket</a>
               <a href="${ticketDetails.pngUrl}" class="download-btn">Download PNG Ticket</a>
               
+              ${ticketDetails.transferLinks && ticketDetails.transferLinks.length ? `
+              <h3>🤝 Passing a ticket on?</h3>
+              <p>Send it to a friend with the links below. They get a new QR code and yours stops working.</p>
+              <ul>
+                ${ticketDetails.transferLinks.map(link => `<li><a href="${link.url}">Transfer ${link.tierName} ticket ${link.ticketId}</a></li>`).join('')}
+              </ul>
+              ` : ''}
+              
               <h3>🎫 Important Information</h3>
               <ul>
                 <li>Please bring either the PDF or PNG version of your ticket</li>
@@ -95,6 +103,481 @@ class EmailService {
       </html>
     `;
   }
+
+  // Template for event cancellation notice
+  generateEventCancellationEmail(details) {
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Event Cancelled - SwiftPass</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #f5576c 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .info-box { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #f5576c; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Event Cancelled</h1>
+              <p>${details.eventName}</p>
+            </div>
+            <div class="content">
+              <h2>Hello ${details.buyerName},</h2>
+              <p>We're sorry to let you know that <strong>${details.eventName}</strong>, scheduled for ${details.eventDateTime}, has been cancelled by the organiser.</p>
+              ${details.reason ? `<p><strong>Reason:</strong> ${details.reason}</p>` : ''}
+              
+              ${details.refundAmount > 0 ? `
+              <div class="info-box">
+                <h3>Refund Details</h3>
+                <p><strong>Order:</strong> ${details.orderNumber}</p>
+                <p><strong>Refund Amount:</strong> KES ${details.refundAmount.toLocaleString()}</p>
+                <p><strong>Refund To:</strong> M-Pesa ${details.buyerPhone}</p>
+                <p>${details.refundQueued
+                  ? 'Your refund has been submitted and should reach your M-Pesa account shortly.'
+                  : 'Our team will contact you to complete your refund.'}</p>
+              </div>` : `
+              <div class="info-box">
+                <p><strong>Order:</strong> ${details.orderNumber}</p>
+                <p>Nothing was charged for this order, so there is no refund to make.</p>
+              </div>`}
+              
+              <p>Your tickets for this event are no longer valid.</p>
+              <p>For any questions, contact support@swiftpass.app.</p>
+            </div>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} SwiftPass. All rights reserved.</p>
+              <p>This is an automated email, please do not reply.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+
+  generateTicketTransferEmail(details) {
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>A Ticket For You - SwiftPass</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .info-box { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #667eea; }
+            .button { display: inline-block; padding: 12px 24px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; margin: 10px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🎟️ Someone sent you a ticket</h1>
+              <p>${details.eventName}</p>
+            </div>
+            <div class="content">
+              <h2>Hello ${details.recipientName},</h2>
+              <p>${details.senderName} wants to give you their ticket for <strong>${details.eventName}</strong>.</p>
+              
+              <div class="info-box">
+                <h3>Ticket Details</h3>
+                <p><strong>Date & Time:</strong> ${details.eventDateTime}</p>
+                <p><strong>Venue:</strong> ${details.venue}</p>
+                <p><strong>Ticket Tier:</strong> ${details.tierName}</p>
+              </div>
+              
+              <a href="${details.acceptUrl}" class="button">Accept Ticket</a>
+              <p>Once you accept, the ticket is issued in your name with a new QR code. This link expires on ${details.expiresAt}.</p>
+            </div>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} SwiftPass. All rights reserved.</p>
+              <p>This is an automated email, please do not reply.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+
+  generateLoginCodeEmail(details) {
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Your Sign-in Code - SwiftPass</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .code { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; text-align: center; font-size: 32px; letter-spacing: 8px; font-weight: bold; border-left: 4px solid #667eea; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Your sign-in code</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${details.name || 'there'},</h2>
+              <p>Use this code to see your SwiftPass orders and tickets:</p>
+              <div class="code">${details.code}</div>
+              <p>It expires in ${details.expiresInMinutes} minutes. If you didn't ask for it, you can ignore this email.</p>
+            </div>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} SwiftPass. All rights reserved.</p>
+              <p>This is an automated email, please do not reply.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+
+  generateStaffInvitationEmail(details) {
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Door Staff Invitation - SwiftPass</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .info-box { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #667eea; }
+            .button { display: inline-block; padding: 12px 24px; background: #667eea; color: white; text-decoration: none; border-radius: 5px; margin: 10px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>You're on the door team</h1>
+              <p>${details.eventName}</p>
+            </div>
+            <div class="content">
+              <h2>Hello ${details.staffName || 'there'},</h2>
+              <p>${details.hostName} has invited you to scan tickets at <strong>${details.eventName}</strong>.</p>
+              
+              <div class="info-box">
+                <h3>Access Details</h3>
+                <p><strong>Venue:</strong> ${details.venue}</p>
+                <p><strong>Gates:</strong> ${details.gates.length ? details.gates.join(', ') : 'All gates'}</p>
+                <p><strong>Access From:</strong> ${details.validFrom}</p>
+                <p><strong>Access Until:</strong> ${details.validUntil}</p>
+              </div>
+              
+              <a href="${details.acceptUrl}" class="button">Accept Invitation</a>
+              <p>This invitation expires on ${details.inviteExpiresAt}.</p>
+            </div>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} SwiftPass. All rights reserved.</p>
+              <p>This is an automated email, please do not reply.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+  generateKycReviewEmail(details) {
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Account Verification - SwiftPass</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .info-box { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid ${details.approved ? '#4CAF50' : '#f44336'}; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${details.approved ? 'You\'re verified' : 'Verification unsuccessful'}</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${details.name},</h2>
+              ${details.approved ? `
+                <p>We've checked your documents and your SwiftPass account is now verified. Event payouts will be sent to your registered bank account.</p>
+                ${details.releasedPayouts ? `<p>${details.releasedPayouts} payout${details.releasedPayouts === 1 ? ' that was' : 's that were'} waiting on verification ${details.releasedPayouts === 1 ? 'is' : 'are'} now being processed.</p>` : ''}
+              ` : `
+                <p>We couldn't verify your account with the documents you sent.</p>
+                <div class="info-box">
+                  <p><strong>Reason:</strong> ${details.reason}</p>
+                </div>
+                <p>Please upload corrected documents from your dashboard and submit them again. Your events stay on sale, but payouts are held until your account is verified.</p>
+              `}
+            </div>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} SwiftPass. All rights reserved.</p>
+              <p>This is an automated email, please do not reply.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+
+  generatePayoutHeldEmail(details) {
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Payout On Hold - SwiftPass</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .amount { font-size: 32px; font-weight: bold; color: #667eea; text-align: center; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Your payout is on hold</h1>
+              <p>${details.eventName}</p>
+            </div>
+            <div class="content">
+              <h2>Hello ${details.name},</h2>
+              <p>Your payout for <strong>${details.eventName}</strong> is ready, but we need to verify your ${{ email_unverified: 'email address', phone_unverified: 'phone number' }[details.reason] || 'identity'} before sending it.</p>
+              <div class="amount">KES ${details.amount.toLocaleString()}</div>
+              <p>${details.reason === 'email_unverified'
+                ? 'Please confirm your email address using the link we sent when you signed up (you can request a new one from your dashboard). We\'ll send the payout as soon as it is confirmed.'
+                : details.reason === 'phone_unverified'
+                ? 'M-Pesa payouts only go to a verified number. Enter the code we sent by SMS, or request a new one from your profile. We\'ll send the payout as soon as it is verified.'
+                : details.kycStatus === 'pending'
+                ? 'Your documents are being reviewed. We\'ll send the payout as soon as they are approved.'
+                : 'Please upload your ID (front and back) and KRA PIN certificate from your dashboard and submit them for review. We\'ll send the payout as soon as they are approved.'}</p>
+            </div>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} SwiftPass. All rights reserved.</p>
+              <p>This is an automated email, please do not reply.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+
+  generateEventCompletedEmail(details) {
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Event Wrap-up - SwiftPass</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .info-box { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #667eea; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>That's a wrap!</h1>
+              <p>${details.eventName}</p>
+            </div>
+            <div class="content">
+              <h2>Hello ${details.name},</h2>
+              <p>Thanks for hosting <strong>${details.eventName}</strong> with SwiftPass. Here's how it went:</p>
+              <div class="info-box">
+                <p><strong>Tickets sold:</strong> ${details.ticketsSold.toLocaleString()}</p>
+                <p><strong>Checked in:</strong> ${details.checkedIn.toLocaleString()}</p>
+              </div>
+              <p>Your payout (less a ${details.reservePercent}% reserve for refunds) is sent on ${details.settlementDate}. The reserve follows on ${details.reserveReleaseDate}. You can follow your balance from the dashboard.</p>
+            </div>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} SwiftPass. All rights reserved.</p>
+              <p>This is an automated email, please do not reply.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+
+  generateEmailVerificationEmail(details) {
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Confirm Your Email - SwiftPass</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Confirm your email</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${details.name},</h2>
+              <p>Please confirm that this is your email address. You'll need to before you can publish events or receive payouts.</p>
+              <p style="text-align: center;"><a href="${details.url}" class="button">Confirm email</a></p>
+              <p>The link expires in ${details.expiresInHours} hours. If you didn't create a SwiftPass account, you can ignore this email.</p>
+            </div>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} SwiftPass. All rights reserved.</p>
+              <p>This is an automated email, please do not reply.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+
+  generatePasswordResetEmail(details) {
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Reset Your Password - SwiftPass</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Reset your password</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${details.name},</h2>
+              <p>We received a request to reset the password for your SwiftPass account.</p>
+              <p style="text-align: center;"><a href="${details.url}" class="button">Choose a new password</a></p>
+              <p>The link works once and expires in ${details.expiresInMinutes} minutes. If you didn't ask for it, you can ignore this email and your password stays the same.</p>
+            </div>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} SwiftPass. All rights reserved.</p>
+              <p>This is an automated email, please do not reply.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+
+  generatePasswordChangedEmail(details) {
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Password Changed - SwiftPass</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Your password was changed</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${details.name},</h2>
+              <p>The password for your SwiftPass account was changed on ${details.changedAt}. You have been signed out on all your devices.</p>
+              <p>If this wasn't you, reset your password straight away and contact support@swiftpass.app.</p>
+            </div>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} SwiftPass. All rights reserved.</p>
+              <p>This is an automated email, please do not reply.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+
+  generateTwoFactorChangedEmail(details) {
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Two-Factor Authentication - SwiftPass</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Two-factor authentication ${details.enabled ? 'turned on' : 'turned off'}</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${details.name},</h2>
+              ${details.enabled
+                ? `<p>Two-factor authentication was turned on for your SwiftPass account on ${details.changedAt}. From now on you'll enter a code from your authenticator app when you sign in.</p>
+                   <p>Keep your recovery codes somewhere safe. Each one works once if you lose your phone.</p>`
+                : `<p>Two-factor authentication was turned off for your SwiftPass account on ${details.changedAt}. Signing in now only needs your password.</p>`}
+              <p>If this wasn't you, reset your password straight away and contact support@swiftpass.app.</p>
+            </div>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} SwiftPass. All rights reserved.</p>
+              <p>This is an automated email, please do not reply.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
 }
 
-module.exports = new EmailService();
\ No newline at end of file
+module.exports = new EmailService();
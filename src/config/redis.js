@@ -3,12 +3,14 @@ const Redis = require('redis');
 class RedisClient {
   constructor() {
     this.client = null;
+    this.subscriber = null;
+    this.subscriberReady = null;
   }
 
   async connect() {
     try {
       this.client = Redis.createClient({
-        url: process.env.REDIS_URL,
+        url: process.env.REDIS_URL || 'redis://localhost:6379',
         socket: {
           reconnectStrategy: (retries) => {
             if (retries > 10) {
@@ -134,8 +136,65 @@ class RedisClient {
     }
   }
 
+  async hIncrBy(key, field, increment) {
+    try {
+      return await this.client.hIncrBy(key, field, increment);
+    } catch (error) {
+      console.error('Redis hIncrBy error:', error);
+      return null;
+    }
+  }
+
+  async hGetAll(key) {
+    try {
+      return await this.client.hGetAll(key);
+    } catch (error) {
+      console.error('Redis hGetAll error:', error);
+      return {};
+    }
+  }
+
+  async publish(channel, message) {
+    try {
+      return await this.client.publish(channel, message);
+    } catch (error) {
+      console.error('Redis publish error:', error);
+      return 0;
+    }
+  }
+
+  // Subscriptions need their own connection; it is opened on first use
+  async subscribe(channel, listener) {
+    if (!this.subscriberReady) {
+      this.subscriber = this.client.duplicate();
+      this.subscriber.on('error', (err) => {
+        console.error('Redis Subscriber Error:', err);
+      });
+      this.subscriberReady = this.subscriber.connect().catch((error) => {
+        this.subscriberReady = null;
+        throw error;
+      });
+    }
+
+    await this.subscriberReady;
+    return this.subscriber.subscribe(channel, listener);
+  }
+
+  async unsubscribe(channel, listener) {
+    try {
+      if (this.subscriber) {
+        await this.subscriber.unsubscribe(channel, listener);
+      }
+    } catch (error) {
+      console.error('Redis unsubscribe error:', error);
+    }
+  }
+
   async quit() {
     try {
+      if (this.subscriber) {
+        await this.subscriber.quit();
+      }
       await this.client.quit();
     } catch (error) {
       console.error('Redis quit error:', error);
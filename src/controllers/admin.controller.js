@@ -0,0 +1,652 @@
+const User = require('../models/user.model');
+const Event = require('../models/event.model');
+const Order = require('../models/order.model');
+const Ticket = require('../models/ticket.model');
+const Refund = require('../models/refund.model');
+const Payout = require('../models/payout.model');
+const PaymentTransaction = require('../models/payment-transaction.model');
+const AuditLog = require('../models/audit-log.model');
+const { AppError, catchAsync } = require('../middlewares/error.middleware');
+const redisClient = require('../config/redis');
+const paymentService = require('../services/payment.service');
+const ticketGenerationService = require('../services/ticket-generation.service');
+const kycService = require('../services/kyc.service');
+const payoutService = require('../services/payout.service');
+
+// Job modules start their workers and schedulers when first required, which
+// app.js does once the server is up, so queues are looked up lazily
+const QUEUES = {
+  payouts: () => require('../jobs/payout.job').payoutQueue,
+  'ticket-activation': () => require('../jobs/ticket-activation.job').activationQueue,
+  'ticket-generation': () => require('../jobs/ticket-generation.job').ticketQueue,
+  'event-cancellation': () => require('../jobs/event-cancellation.job').cancellationQueue,
+  reservations: () => require('../jobs/reservation.job').reservationQueue,
+  'order-cleanup': () => require('../jobs/order-cleanup.job').cleanupQueue,
+  'event-lifecycle': () => require('../jobs/event-lifecycle.job').lifecycleQueue
+};
+
+const UNPAID_STATUSES = ['pending', 'processing', 'failed', 'expired'];
+
+const adminController = {
+  // Search hosts by name, email, company or phone
+  listHosts: catchAsync(async (req, res) => {
+    const { q, status, page = 1, limit = 20 } = req.query;
+
+    const query = { role: 'host' };
+    if (status) {
+      query.status = status;
+    }
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }, { companyName: pattern }, { phone: pattern }];
+    }
+
+    const hosts = await User.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { createdAt: -1 },
+      select: '-refreshTokens -bankDetails'
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        hosts: hosts.docs,
+        pagination: paginationOf(hosts)
+      }
+    });
+  }),
+
+  // Host profile with event and sales totals
+  getHost: catchAsync(async (req, res) => {
+    const { userId } = req.params;
+
+    const host = await User.findOne({ _id: userId, role: 'host' }).select('-passwordHash -refreshTokens');
+    if (!host) {
+      throw new AppError('Host not found', 404);
+    }
+
+    const [eventsByStatus, sales] = await Promise.all([
+      Event.aggregate([
+        { $match: { hostId: host._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Order.aggregate([
+        { $match: { hostId: host._id, paymentStatus: 'completed' } },
+        {
+          $group: {
+            _id: null,
+            orders: { $sum: 1 },
+            revenue: { $sum: '$totalAmount' },
+            hostAmount: { $sum: '$hostAmount' }
+          }
+        }
+      ])
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        host,
+        kyc: kycService.summary(host, { withUrls: true }),
+        stats: {
+          events: eventsByStatus.reduce((result, { _id, count }) => {
+            result[_id] = count;
+            return result;
+          }, {}),
+          sales: sales[0]
+            ? { orders: sales[0].orders, revenue: sales[0].revenue, hostAmount: sales[0].hostAmount }
+            : { orders: 0, revenue: 0, hostAmount: 0 }
+        }
+      }
+    });
+  }),
+
+  // Suspend or reactivate a host
+  updateHostStatus: catchAsync(async (req, res) => {
+    const { userId } = req.params;
+    const { status, reason } = req.body;
+
+    const host = await User.findOne({ _id: userId, role: 'host' });
+    if (!host) {
+      throw new AppError('Host not found', 404);
+    }
+
+    if (host.status === 'deleted') {
+      throw new AppError('Deleted accounts cannot be changed', 400);
+    }
+
+    if (host.status === status) {
+      throw new AppError(`Host is already ${status}`, 400);
+    }
+
+    const previousStatus = host.status;
+    host.status = status;
+
+    // Suspension signs the host out everywhere
+    if (status === 'suspended') {
+      host.refreshTokens = [];
+    }
+
+    await host.save({ validateBeforeSave: false });
+
+    await AuditLog.record(req, {
+      action: status === 'suspended' ? 'host.suspend' : 'host.reactivate',
+      targetType: 'User',
+      targetId: host._id,
+      reason,
+      before: { status: previousStatus },
+      after: { status }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: status === 'suspended' ? 'Host suspended' : 'Host reactivated',
+      data: {
+        host: {
+          id: host._id,
+          name: host.name,
+          email: host.email,
+          status: host.status
+        }
+      }
+    });
+  }),
+
+  // KYC submissions waiting for review (oldest first)
+  listKycSubmissions: catchAsync(async (req, res) => {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    const hosts = await User.paginate({ role: 'host', 'kyc.status': status }, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { 'kyc.submittedAt': 1 },
+      select: 'name email phone companyName idNumber bankDetails kyc status'
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        hosts: hosts.docs.map(host => ({
+          id: host._id,
+          name: host.name,
+          email: host.email,
+          phone: host.phone,
+          companyName: host.companyName,
+          idNumber: host.idNumber,
+          bankDetails: host.bankDetails,
+          status: host.status,
+          kyc: kycService.summary(host)
+        })),
+        pagination: paginationOf(hosts)
+      }
+    });
+  }),
+
+  // Approve or reject a host's KYC documents
+  reviewKyc: catchAsync(async (req, res) => {
+    const { userId } = req.params;
+    const { decision, reason } = req.body;
+
+    const host = await User.findOne({ _id: userId, role: 'host' });
+    if (!host) {
+      throw new AppError('Host not found', 404);
+    }
+
+    const previousStatus = host.kyc.status;
+    const { released } = await kycService.review(host, req.userId, decision, reason);
+
+    await AuditLog.record(req, {
+      action: `kyc.${decision}`,
+      targetType: 'User',
+      targetId: host._id,
+      reason,
+      before: { kycStatus: previousStatus },
+      after: { kycStatus: host.kyc.status },
+      metadata: { releasedPayouts: released }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: decision === 'approve'
+        ? `Host verified${released ? `. ${released} held payout(s) released.` : ''}`
+        : 'KYC rejected. The host has been asked to resubmit.',
+      data: {
+        kyc: kycService.summary(host),
+        releasedPayouts: released
+      }
+    });
+  }),
+
+  // Events across all hosts, for review
+  listEvents: catchAsync(async (req, res) => {
+    const { q, status, moderation, hostId, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (moderation) {
+      query['moderation.status'] = moderation;
+    }
+    if (hostId) {
+      query.hostId = hostId;
+    }
+    if (q) {
+      query.name = new RegExp(escapeRegex(q.trim()), 'i');
+    }
+
+    const events = await Event.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { createdAt: -1 },
+      populate: { path: 'hostId', select: 'name email companyName status' }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        events: events.docs,
+        pagination: paginationOf(events)
+      }
+    });
+  }),
+
+  // Approve an event, or take it off sale
+  moderateEvent: catchAsync(async (req, res) => {
+    const { eventId } = req.params;
+    const { action, reason } = req.body;
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    const before = { status: event.status, moderation: event.moderation.status };
+
+    if (action === 'unpublish') {
+      if (['cancelled', 'completed'].includes(event.status)) {
+        throw new AppError(`Cannot unpublish a ${event.status} event`, 400);
+      }
+      if (event.status === 'published') {
+        event.status = 'draft';
+      }
+    }
+
+    event.moderation = {
+      status: action === 'unpublish' ? 'unpublished' : 'approved',
+      reason,
+      reviewedBy: req.userId,
+      reviewedAt: new Date()
+    };
+    await event.save();
+
+    await redisClient.del(`event:${event.slug}`);
+
+    await AuditLog.record(req, {
+      action: `event.${action}`,
+      targetType: 'Event',
+      targetId: event._id,
+      reason,
+      before,
+      after: { status: event.status, moderation: event.moderation.status }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: action === 'unpublish' ? 'Event unpublished' : 'Event approved',
+      data: { event }
+    });
+  }),
+
+  // Any order with its tickets, payment deliveries and refunds
+  getOrder: catchAsync(async (req, res) => {
+    const order = await findOrder(req.params.orderNumber);
+
+    const [tickets, transactions, refunds] = await Promise.all([
+      Ticket.find({ orderId: order._id }).sort({ createdAt: 1 }),
+      PaymentTransaction.find({ orderId: order._id }).sort({ createdAt: 1 }),
+      Refund.find({ orderId: order._id }).sort({ createdAt: 1 })
+    ]);
+
+    await order.populate('eventId', 'name slug eventDateTime status hostId');
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        order,
+        tickets,
+        transactions,
+        refunds
+      }
+    });
+  }),
+
+  // Record a payment that reached us outside the M-Pesa callback
+  markOrderPaid: catchAsync(async (req, res) => {
+    const { mpesaReceiptNumber, reason } = req.body;
+    const order = await findOrder(req.params.orderNumber);
+
+    if (!UNPAID_STATUSES.includes(order.paymentStatus)) {
+      throw new AppError(`Order is already ${order.paymentStatus}`, 400);
+    }
+
+    if (mpesaReceiptNumber && await Order.exists({ mpesaReference: mpesaReceiptNumber, _id: { $ne: order._id } })) {
+      throw new AppError('This M-Pesa receipt already paid for another order', 400);
+    }
+
+    const { order: paidOrder, refunded } = await paymentService.completeOrderPayment(
+      { _id: order._id, paymentStatus: { $in: UNPAID_STATUSES } },
+      {
+        mpesaReceiptNumber,
+        checkoutRequestId: order.checkoutRequestId,
+        notes: `Marked paid by admin${mpesaReceiptNumber ? `. Receipt: ${mpesaReceiptNumber}` : ''}. ${reason}`
+      }
+    );
+
+    await AuditLog.record(req, {
+      action: 'order.mark_paid',
+      targetType: 'Order',
+      targetId: order.orderNumber,
+      reason,
+      before: { paymentStatus: order.paymentStatus },
+      after: { paymentStatus: paidOrder.paymentStatus, mpesaReference: paidOrder.mpesaReference },
+      metadata: { refunded }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: refunded
+        ? 'Order marked paid, but its tickets had sold out so the buyer is being refunded'
+        : 'Order marked paid. Tickets are being generated.',
+      data: { order: paidOrder, refunded }
+    });
+  }),
+
+  // Queue ticket generation again (e.g. after a failed job)
+  regenerateTickets: catchAsync(async (req, res) => {
+    const { reason } = req.body;
+    const order = await findOrder(req.params.orderNumber);
+
+    if (order.paymentStatus !== 'completed') {
+      throw new AppError(`Cannot generate tickets for an order that is ${order.paymentStatus}`, 400);
+    }
+
+    if (await Ticket.exists({ orderId: order._id })) {
+      throw new AppError('Tickets already exist for this order. Resend them instead.', 400);
+    }
+
+    const ticketQueue = QUEUES['ticket-generation']();
+    const jobId = `tickets-${order._id}`;
+    const existing = await ticketQueue.getJob(jobId);
+
+    if (existing && await existing.isFailed()) {
+      await existing.retry();
+    } else {
+      if (existing) {
+        await existing.remove();
+      }
+      await ticketQueue.add('generate-tickets', {
+        orderId: order._id,
+        eventId: order.eventId,
+        buyerName: order.buyerName,
+        buyerEmail: order.buyerEmail,
+        buyerPhone: order.buyerPhone,
+        tickets: order.tickets
+      }, { jobId });
+    }
+
+    await Order.updateOne({ _id: order._id }, { ticketStatus: 'pending' });
+
+    await AuditLog.record(req, {
+      action: 'order.regenerate_tickets',
+      targetType: 'Order',
+      targetId: order.orderNumber,
+      reason,
+      before: { ticketStatus: order.ticketStatus },
+      after: { ticketStatus: 'pending' }
+    });
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Ticket generation queued',
+      data: { jobId }
+    });
+  }),
+
+  // Email an order's tickets to the buyer again
+  resendTickets: catchAsync(async (req, res) => {
+    const { reason } = req.body;
+    const order = await findOrder(req.params.orderNumber);
+
+    // Tickets passed on to someone else belong to them now
+    const tickets = await Ticket.find({
+      orderId: order._id,
+      buyerEmail: order.buyerEmail,
+      status: { $ne: 'cancelled' }
+    }).sort({ createdAt: 1 });
+
+    if (tickets.length === 0) {
+      throw new AppError('This order has no tickets to send', 400);
+    }
+
+    const event = await Event.findById(order.eventId);
+    await ticketGenerationService.sendTicketEmail(order.buyerEmail, order.buyerName, tickets, event);
+
+    await AuditLog.record(req, {
+      action: 'order.resend_tickets',
+      targetType: 'Order',
+      targetId: order.orderNumber,
+      reason,
+      metadata: { tickets: tickets.length, to: order.buyerEmail }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Tickets sent to ${order.buyerEmail}`,
+      data: { count: tickets.length }
+    });
+  }),
+
+  // Payouts across hosts (e.g. ?status=failed)
+  listPayouts: catchAsync(async (req, res) => {
+    const { status, hostId, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (hostId) {
+      query.hostId = hostId;
+    }
+
+    const payouts = await Payout.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { createdAt: -1 },
+      populate: [
+        { path: 'hostId', select: 'name email companyName' },
+        { path: 'eventId', select: 'name slug eventDateTime' }
+      ]
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        payouts: payouts.docs,
+        pagination: paginationOf(payouts)
+      }
+    });
+  }),
+
+  // Send a failed payout again
+  retryPayout: catchAsync(async (req, res) => {
+    const { reason } = req.body;
+
+    const payout = await Payout.findOne({ payoutId: req.params.payoutId });
+    if (!payout) {
+      throw new AppError('Payout not found', 404);
+    }
+
+    const failureReason = payout.failureReason;
+    await payoutService.retry(payout);
+
+    await AuditLog.record(req, {
+      action: 'payout.retry',
+      targetType: 'Payout',
+      targetId: payout.payoutId,
+      reason,
+      before: { status: 'failed', failureReason },
+      after: { status: payout.status }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Payout queued for sending',
+      data: { payout }
+    });
+  }),
+
+  // Job counts for every background queue
+  getQueues: catchAsync(async (req, res) => {
+    const queues = await Promise.all(Object.keys(QUEUES).map(async name => ({
+      name,
+      counts: await QUEUES[name]().getJobCounts('waiting', 'active', 'delayed', 'completed', 'failed', 'paused')
+    })));
+
+    res.status(200).json({
+      status: 'success',
+      data: { queues }
+    });
+  }),
+
+  // Jobs in one queue by state
+  getQueueJobs: catchAsync(async (req, res) => {
+    const { state = 'failed', page = 1, limit = 20 } = req.query;
+    const queue = getQueue(req.params.queue);
+
+    const start = (parseInt(page) - 1) * parseInt(limit);
+    const jobs = await queue.getJobs([state], start, start + parseInt(limit) - 1, false);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        queue: queue.name,
+        state,
+        jobs: jobs.filter(Boolean).map(job => ({
+          id: job.id,
+          name: job.name,
+          data: job.data,
+          attemptsMade: job.attemptsMade,
+          failedReason: job.failedReason,
+          timestamp: job.timestamp ? new Date(job.timestamp) : null,
+          processedOn: job.processedOn ? new Date(job.processedOn) : null,
+          finishedOn: job.finishedOn ? new Date(job.finishedOn) : null,
+          delay: job.delay
+        }))
+      }
+    });
+  }),
+
+  // Retry a failed job
+  retryJob: catchAsync(async (req, res) => {
+    const { reason } = req.body;
+    const queue = getQueue(req.params.queue);
+
+    const job = await queue.getJob(req.params.jobId);
+    if (!job) {
+      throw new AppError('Job not found', 404);
+    }
+
+    if (!await job.isFailed()) {
+      throw new AppError('Only failed jobs can be retried', 400);
+    }
+
+    await job.retry();
+
+    await AuditLog.record(req, {
+      action: 'job.retry',
+      targetType: 'Job',
+      targetId: `${queue.name}:${job.id}`,
+      reason,
+      metadata: { failedReason: job.failedReason, attemptsMade: job.attemptsMade }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Job queued for retry',
+      data: { queue: queue.name, jobId: job.id }
+    });
+  }),
+
+  // Admin audit trail
+  getAuditLogs: catchAsync(async (req, res) => {
+    const { actorId, action, targetType, targetId, from, to, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (actorId) {
+      query.actorId = actorId;
+    }
+    if (action) {
+      query.action = action;
+    }
+    if (targetType) {
+      query.targetType = targetType;
+    }
+    if (targetId) {
+      query.targetId = targetId;
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const logs = await AuditLog.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      populate: { path: 'actorId', select: 'name email' }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        logs: logs.docs,
+        pagination: paginationOf(logs)
+      }
+    });
+  })
+};
+
+// Helper functions
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function paginationOf(result) {
+  return {
+    total: result.totalDocs,
+    pages: result.totalPages,
+    page: result.page,
+    limit: result.limit,
+    hasNext: result.hasNextPage,
+    hasPrev: result.hasPrevPage
+  };
+}
+
+async function findOrder(orderNumber) {
+  const order = await Order.findOne({ orderNumber });
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+  return order;
+}
+
+function getQueue(name) {
+  if (!QUEUES[name]) {
+    throw new AppError(`Unknown queue "${name}"`, 404);
+  }
+  return QUEUES[name]();
+}
+
+module.exports = adminController;
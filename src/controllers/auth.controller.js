@@ -1,9 +1,20 @@
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/user.model');
+const StaffAssignment = require('../models/staff-assignment.model');
 const redisClient = require('../config/redis');
 const { AppError, catchAsync } = require('../middlewares/error.middleware');
 const emailService = require('../config/email');
+const buyerService = require('../services/buyer.service');
+const socialAuthService = require('../services/social-auth.service');
+const phoneVerificationService = require('../services/phone-verification.service');
+const twoFactorService = require('../services/two-factor.service');
+const sessionService = require('../services/session.service');
+
+// Emailed link lifetimes
+const VERIFY_EMAIL_TTL_MINUTES = 48 * 60;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+// Minimum gap between emailed links to the same account
+const EMAIL_RESEND_SECONDS = 60;
 
 const authController = {
   // Register new host
@@ -31,20 +42,20 @@ const authController = {
       role: 'host'
     });
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id, user.role);
-    const refreshToken = generateRefreshToken(user._id, user.role);
+    const verificationToken = user.createEmailToken('email_verification', VERIFY_EMAIL_TTL_MINUTES);
+    await user.save({ validateBeforeSave: false });
 
-    // Save refresh token
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-    await user.addRefreshToken(refreshToken, expiresAt);
+    // Sign in on this device
+    const { accessToken, refreshToken, expiresAt } = await sessionService.start(user, req);
 
     // Remove password from response
     user.passwordHash = undefined;
     user.refreshTokens = undefined;
 
-    // Send welcome email
+    // Send welcome and email confirmation emails, and a code for the phone
     await sendWelcomeEmail(user);
+    await sendVerificationEmail(user, verificationToken);
+    await phoneVerificationService.offerCode(user);
 
     res.status(201).json({
       status: 'success',
@@ -82,13 +93,13 @@ const authController = {
       throw new AppError('Invalid email or password', 401);
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id, user.role);
-    const refreshToken = generateRefreshToken(user._id, user.role);
+    // With two-factor on, tokens are only issued once the code checks out
+    if (user.twoFactorEnabled()) {
+      return sendTwoFactorChallenge(user, res);
+    }
 
-    // Save refresh token
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-    await user.addRefreshToken(refreshToken, expiresAt);
+    // Start a session on this device
+    const { accessToken, refreshToken, expiresAt } = await sessionService.start(user, req);
 
     // Update last login
     user.lastLogin = new Date();
@@ -112,68 +123,65 @@ const authController = {
     });
   }),
 
-  // Google OAuth
-  googleAuth: catchAsync(async (req, res) => {
-    const { token } = req.body;
+  // Accept a door staff invitation (creates a scanner account if needed)
+  acceptStaffInvitation: catchAsync(async (req, res) => {
+    const { token, name, phone, password } = req.body;
+
+    const assignment = await StaffAssignment.findOne({
+      inviteTokenHash: StaffAssignment.hashToken(token),
+      status: 'invited',
+      inviteExpiresAt: { $gt: new Date() }
+    });
 
-    // Verify Google token (simplified - in production, use google-auth-library)
-    // For now, we'll assume the token is verified by the frontend
-    const googleUser = {
-      googleId: `google_${crypto.randomBytes(16).toString('hex')}`,
-      email: 'user@example.com', // Extract from token in production
-      name: 'Google User',
-      picture: ''
-    };
+    if (!assignment) {
+      throw new AppError('Invitation is invalid or has expired', 400);
+    }
 
-    // Check if user exists with this Google ID
-    let user = await User.findOne({ googleId: googleUser.googleId });
+    let user = await User.findOne({ email: assignment.email }).select('+passwordHash');
 
-    if (!user) {
-      // Check if user exists with this email
-      user = await User.findOne({ email: googleUser.email });
-
-      if (user) {
-        // Link Google account
-        user.googleId = googleUser.googleId;
-        await user.save();
-      } else {
-        // Create new user
-        user = await User.create({
-          name: googleUser.name,
-          email: googleUser.email,
-          passwordHash: crypto.randomBytes(32).toString('hex'), // Random password
-          phone: '', // Required field - prompt user to complete profile
-          idNumber: `GOOGLE_${googleUser.googleId}`,
-          bankDetails: {
-            bankName: 'To be added',
-            accountNumber: 'To be added',
-            accountName: googleUser.name
-          },
-          profileImage: googleUser.picture,
-          googleId: googleUser.googleId,
-          emailVerified: true,
-          role: 'host'
-        });
+    if (user) {
+      // Existing accounts must prove they own the login, not just the inbox
+      if (!password || !(await user.comparePassword(password))) {
+        throw new AppError('Enter your SwiftPass password to accept this invitation', 401);
       }
+
+      if (user.status !== 'active') {
+        throw new AppError('Account is suspended or deleted', 403);
+      }
+    } else {
+      if (!phone || !password) {
+        throw new AppError('Phone and password are required to create your staff account', 400);
+      }
+
+      user = await User.create({
+        name: name || assignment.name,
+        email: assignment.email,
+        passwordHash: password, // Will be hashed by pre-save middleware
+        phone,
+        role: 'scanner',
+        emailVerified: true // The invitation was sent to this address
+      });
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id, user.role);
-    const refreshToken = generateRefreshToken(user._id, user.role);
+    await assignment.accept(user._id);
+
+    if (user.twoFactorEnabled()) {
+      return sendTwoFactorChallenge(user, res, { assignment });
+    }
 
-    // Save refresh token
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    await user.addRefreshToken(refreshToken, expiresAt);
+    // Start a session on this device
+    const { accessToken, refreshToken, expiresAt } = await sessionService.start(user, req);
 
-    // Remove sensitive data
+    // Remove password from response
     user.passwordHash = undefined;
     user.refreshTokens = undefined;
 
     res.status(200).json({
       status: 'success',
-      message: 'Google authentication successful',
+      message: 'Invitation accepted',
       data: {
         user,
+        assignment,
         tokens: {
           accessToken,
           refreshToken,
@@ -183,64 +191,254 @@ const authController = {
     });
   }),
 
-  // Facebook OAuth
+  // Google sign-in (ID token from Google Identity Services)
+  googleAuth: catchAsync(async (req, res) => {
+    const profile = await socialAuthService.verifyGoogleToken(req.body.token);
+    await signInWithSocial(profile, req, res);
+  }),
+
+  // Facebook sign-in (user access token from the Facebook SDK)
   facebookAuth: catchAsync(async (req, res) => {
-    const { token } = req.body;
+    const profile = await socialAuthService.verifyFacebookToken(req.body.token);
+    await signInWithSocial(profile, req, res);
+  }),
+
+  // Link a Google or Facebook account to the signed-in user
+  linkSocialAccount: catchAsync(async (req, res) => {
+    const { provider } = req.params;
+    const profile = await socialAuthService.verify(provider, req.body.token);
+    const label = socialAuthService.label(provider);
 
-    // Verify Facebook token (simplified)
-    const facebookUser = {
-      facebookId: `facebook_${crypto.randomBytes(16).toString('hex')}`,
-      email: 'user@example.com',
-      name: 'Facebook User',
-      picture: ''
-    };
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
 
-    // Similar logic as Google OAuth
-    let user = await User.findOne({ facebookId: facebookUser.facebookId });
+    await socialAuthService.link(user, profile);
 
+    res.status(200).json({
+      status: 'success',
+      message: `${label} account linked`,
+      data: { signInMethods: user.signInMethods() }
+    });
+  }),
+
+  // Unlink a social account, as long as another way to sign in remains
+  unlinkSocialAccount: catchAsync(async (req, res) => {
+    const { provider } = req.params;
+    if (!socialAuthService.providers.includes(provider)) {
+      throw new AppError(`Unknown sign-in provider ${provider}`, 400);
+    }
+
+    const label = socialAuthService.label(provider);
+
+    const user = await User.findById(req.userId);
     if (!user) {
-      user = await User.findOne({ email: facebookUser.email });
-
-      if (user) {
-        user.facebookId = facebookUser.facebookId;
-        await user.save();
-      } else {
-        user = await User.create({
-          name: facebookUser.name,
-          email: facebookUser.email,
-          passwordHash: crypto.randomBytes(32).toString('hex'),
-          phone: '',
-          idNumber: `FACEBOOK_${facebookUser.facebookId}`,
-          bankDetails: {
-            bankName: 'To be added',
-            accountNumber: 'To be added',
-            accountName: facebookUser.name
-          },
-          profileImage: facebookUser.picture,
-          facebookId: facebookUser.facebookId,
-          emailVerified: true,
-          role: 'host'
-        });
-      }
+      throw new AppError('User not found', 404);
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user._id, user.role);
-    const refreshToken = generateRefreshToken(user._id, user.role);
+    await socialAuthService.unlink(user, provider);
 
-    // Save refresh token
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    await user.addRefreshToken(refreshToken, expiresAt);
+    res.status(200).json({
+      status: 'success',
+      message: `${label} account unlinked`,
+      data: { signInMethods: user.signInMethods() }
+    });
+  }),
+
+  // Add the host details a social sign-up skipped
+  completeProfile: catchAsync(async (req, res) => {
+    const { phone, idNumber, bankDetails, companyName } = req.body;
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    if (user.profileComplete !== false) {
+      throw new AppError('Your profile is already complete', 400);
+    }
+
+    const existingUser = await User.findOne({
+      _id: { $ne: user._id },
+      $or: [{ phone }, { idNumber }]
+    });
+
+    if (existingUser) {
+      throw new AppError('User with this phone or ID number already exists', 400);
+    }
+
+    if (!phoneVerificationService.samePhone(phone, user.phone)) {
+      phoneVerificationService.phoneChanged(user);
+    }
+    user.phone = phone;
+    user.idNumber = idNumber;
+    user.bankDetails = bankDetails;
+    if (companyName !== undefined) {
+      user.companyName = companyName;
+    }
+    user.profileComplete = true;
+    await user.save();
+
+    await sendWelcomeEmail(user);
+    await phoneVerificationService.offerCode(user);
 
-    // Remove sensitive data
     user.passwordHash = undefined;
     user.refreshTokens = undefined;
 
     res.status(200).json({
       status: 'success',
-      message: 'Facebook authentication successful',
+      message: 'Profile completed. You can now publish events.',
+      data: { user }
+    });
+  }),
+
+  // Confirm an email address from the emailed link
+  verifyEmail: catchAsync(async (req, res) => {
+    const user = await User.consumeEmailToken('email_verification', req.body.token);
+    if (!user) {
+      throw new AppError('This confirmation link is invalid or has expired', 400);
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save({ validateBeforeSave: false });
+
+      // Payouts held until the email was confirmed can go now (KYC permitting)
+      if (user.role === 'host') {
+        const { releaseHeldPayouts } = require('../jobs/payout.job');
+        await releaseHeldPayouts(user._id);
+      }
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email confirmed',
+      data: { emailVerified: true }
+    });
+  }),
+
+  // Send a new confirmation link to the signed-in user
+  resendVerificationEmail: catchAsync(async (req, res) => {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    if (user.emailVerified) {
+      throw new AppError('Your email address is already confirmed', 400);
+    }
+
+    const throttled = await redisClient.set(`email_verification:throttle:${user._id}`, '1', {
+      NX: true,
+      EX: EMAIL_RESEND_SECONDS
+    });
+    if (!throttled) {
+      throw new AppError(`Please wait ${EMAIL_RESEND_SECONDS} seconds before requesting another link`, 429);
+    }
+
+    const token = user.createEmailToken('email_verification', VERIFY_EMAIL_TTL_MINUTES);
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user, token);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Confirmation link sent to ${user.email}`
+    });
+  }),
+
+  // Email a password reset link
+  forgotPassword: catchAsync(async (req, res) => {
+    const email = req.body.email.toLowerCase();
+
+    // Throttled silently so the response never reveals whether the account exists
+    const throttled = await redisClient.set(`password_reset:throttle:${email}`, '1', {
+      NX: true,
+      EX: EMAIL_RESEND_SECONDS
+    });
+
+    const user = throttled && await User.findOne({ email, status: 'active' });
+    if (user) {
+      const token = user.createEmailToken('password_reset', PASSWORD_RESET_TTL_MINUTES);
+      await user.save({ validateBeforeSave: false });
+
+      try {
+        await emailService.sendEmail(
+          user.email,
+          'Reset your SwiftPass password',
+          emailService.generatePasswordResetEmail({
+            name: user.name,
+            url: `${process.env.APP_URL || 'http://localhost:3000'}/reset-password?token=${token}`,
+            expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+          })
+        );
+      } catch (error) {
+        console.error(`Error sending password reset email to ${user.email}:`, error);
+      }
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for this email, a reset link is on its way'
+    });
+  }),
+
+  // Set a new password from the emailed link
+  resetPassword: catchAsync(async (req, res) => {
+    const { token, password } = req.body;
+
+    const user = await User.consumeEmailToken('password_reset', token);
+    if (!user) {
+      throw new AppError('This reset link is invalid or has expired', 400);
+    }
+
+    user.setPassword(password);
+
+    // Following the link proves the inbox is theirs
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    await user.save();
+    await sendPasswordChangedEmail(user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password reset. Sign in with your new password.'
+    });
+  }),
+
+  // Change password while signed in; other devices are signed out
+  changePassword: catchAsync(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.userId).select('+passwordHash');
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    if (user.hasPassword === false) {
+      throw new AppError('Your account has no password yet. Use "Forgot password" to set one.', 400);
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      throw new AppError('Current password is incorrect', 401);
+    }
+
+    user.setPassword(newPassword);
+    await user.save();
+
+    // Keep this device signed in with a new session
+    const { accessToken, refreshToken, expiresAt } = await sessionService.start(user, req);
+
+    await sendPasswordChangedEmail(user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password changed. You have been signed out on your other devices.',
       data: {
-        user,
         tokens: {
           accessToken,
           refreshToken,
@@ -250,42 +448,55 @@ const authController = {
     });
   }),
 
-  // Refresh token
+  // Refresh token (a new one every time; the old one stops working)
   refreshToken: catchAsync(async (req, res) => {
-    const { refreshToken: oldRefreshToken } = req.body;
-    const { userId, userRole } = req;
-
-    // Find user
-    const user = await User.findById(userId);
+    const user = await User.findById(req.userId);
     if (!user) {
       throw new AppError('User not found', 404);
     }
 
-    // Generate new tokens
-    const newAccessToken = generateAccessToken(userId, userRole);
-    const newRefreshToken = generateRefreshToken(userId, userRole);
+    const { accessToken, refreshToken, expiresAt } = await sessionService.rotate(user, req.authSession, req);
 
-    // Remove old refresh token
-    await user.removeRefreshToken(oldRefreshToken);
+    res.status(200).json({
+      status: 'success',
+      message: 'Token refreshed',
+      data: {
+        tokens: {
+          accessToken,
+          refreshToken,
+          expiresAt
+        }
+      }
+    });
+  }),
 
-    // Save new refresh token
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    await user.addRefreshToken(newRefreshToken, expiresAt);
+  // Buyer sign-in, step 1: email a one-time code
+  requestBuyerCode: catchAsync(async (req, res) => {
+    const { email, phone } = req.body;
 
-    // Blacklist old token
-    await redisClient.set(
-      `blacklist:${oldRefreshToken}`,
-      '1',
-      { EX: 7 * 24 * 60 * 60 } // 7 days
-    );
+    await buyerService.requestLoginCode({ email, phone });
 
+    // Same answer whether or not we know the contact
     res.status(200).json({
       status: 'success',
-      message: 'Token refreshed',
+      message: 'If we have orders for these details, a sign-in code is on its way',
+      data: {}
+    });
+  }),
+
+  // Buyer sign-in, step 2: exchange the code for a buyer token
+  verifyBuyerCode: catchAsync(async (req, res) => {
+    const { email, phone, code } = req.body;
+
+    const { buyer, accessToken, expiresAt } = await buyerService.verifyLoginCode({ email, phone }, code);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Signed in',
       data: {
+        buyer,
         tokens: {
-          accessToken: newAccessToken,
-          refreshToken: newRefreshToken,
+          accessToken,
           expiresAt
         }
       }
@@ -296,24 +507,196 @@ const authController = {
   logout: catchAsync(async (req, res) => {
     const { refreshToken } = req.body;
 
+    // End the session the refresh token belongs to
     if (refreshToken) {
-      // Find user and remove refresh token
-      const user = await User.findOne({ 'refreshTokens.token': refreshToken });
-      if (user) {
-        await user.removeRefreshToken(refreshToken);
+      await sessionService.end(refreshToken);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+  }),
+
+  // Second step of sign-in for accounts with two-factor on
+  verifyTwoFactorLogin: catchAsync(async (req, res) => {
+    const { challengeToken, code } = req.body;
+
+    const { user, method } = await twoFactorService.completeChallenge(challengeToken, code);
+
+    // Start a session on this device
+    const { accessToken, refreshToken, expiresAt } = await sessionService.start(user, req);
+
+    user.lastLogin = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    // Remove sensitive data
+    user.passwordHash = undefined;
+    user.refreshTokens = undefined;
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Login successful',
+      data: {
+        user,
+        // Lets the app warn when recovery codes are running out
+        recoveryCodesRemaining: method === 'recovery_code'
+          ? twoFactorService.recoveryCodesRemaining(user)
+          : undefined,
+        tokens: {
+          accessToken,
+          refreshToken,
+          expiresAt
+        }
       }
+    });
+  }),
 
-      // Blacklist token
-      await redisClient.set(
-        `blacklist:${refreshToken}`,
-        '1',
-        { EX: 7 * 24 * 60 * 60 }
-      );
+  // Two-factor status for the signed-in user
+  getTwoFactorStatus: catchAsync(async (req, res) => {
+    const user = await User.findById(req.userId).select('+twoFactor.recoveryCodes');
+    if (!user) {
+      throw new AppError('User not found', 404);
     }
 
     res.status(200).json({
       status: 'success',
-      message: 'Logged out successfully'
+      data: {
+        enabled: user.twoFactorEnabled(),
+        enabledAt: user.twoFactorEnabled() ? user.twoFactor.enabledAt : undefined,
+        recoveryCodesRemaining: user.twoFactorEnabled() ? twoFactorService.recoveryCodesRemaining(user) : undefined
+      }
+    });
+  }),
+
+  // Start two-factor enrolment: a secret to scan into an authenticator app
+  setupTwoFactor: catchAsync(async (req, res) => {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const setup = await twoFactorService.beginSetup(user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Scan the QR code with your authenticator app, then enter the code it shows',
+      data: setup
+    });
+  }),
+
+  // Finish enrolment with the first code from the app
+  enableTwoFactor: catchAsync(async (req, res) => {
+    const user = await User.findById(req.userId).select(twoFactorService.secretFields);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const recoveryCodes = await twoFactorService.enable(user, req.body.code);
+    await sendTwoFactorChangedEmail(user, true);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication is on. Save your recovery codes somewhere safe; they won\'t be shown again.',
+      data: { recoveryCodes }
+    });
+  }),
+
+  // Turn two-factor off (password and a current code required)
+  disableTwoFactor: catchAsync(async (req, res) => {
+    const user = await User.findById(req.userId).select(`+passwordHash ${twoFactorService.secretFields}`);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    if (!user.twoFactorEnabled()) {
+      throw new AppError('Two-factor authentication is not on', 400);
+    }
+
+    await confirmIdentity(user, req.body);
+    await twoFactorService.disable(user);
+    await sendTwoFactorChangedEmail(user, false);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication is off'
+    });
+  }),
+
+  // Replace the recovery codes (a current code required)
+  regenerateRecoveryCodes: catchAsync(async (req, res) => {
+    const user = await User.findById(req.userId).select(twoFactorService.secretFields);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    if (!user.twoFactorEnabled()) {
+      throw new AppError('Two-factor authentication is not on', 400);
+    }
+
+    if (!(await twoFactorService.verifyCode(user, req.body.code))) {
+      throw new AppError('Invalid two-factor code', 401);
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'New recovery codes created. Your old codes no longer work.',
+      data: { recoveryCodes }
+    });
+  }),
+
+  // Prove it's still you before a sensitive change. The returned token goes
+  // in the X-Reauth-Token header of that request.
+  reauthenticate: catchAsync(async (req, res) => {
+    const user = await User.findById(req.userId).select(`+passwordHash ${twoFactorService.secretFields}`);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    await confirmIdentity(user, req.body);
+    const { reauthToken, expiresAt } = await twoFactorService.createReauthToken(user);
+
+    res.status(200).json({
+      status: 'success',
+      data: { reauthToken, expiresAt }
+    });
+  }),
+
+  // Devices the user is signed in on
+  getSessions: catchAsync(async (req, res) => {
+    const sessions = await sessionService.list(req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sessions: sessions.map(session => ({ ...session, current: session.id === req.sessionId }))
+      }
+    });
+  }),
+
+  // Sign out one device
+  revokeSession: catchAsync(async (req, res) => {
+    const revoked = await sessionService.revoke(req.userId, req.params.sessionId);
+    if (!revoked) {
+      throw new AppError('Session not found', 404);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: req.params.sessionId === req.sessionId ? 'Signed out on this device' : 'Device signed out'
+    });
+  }),
+
+  // Sign out every device except this one
+  revokeOtherSessions: catchAsync(async (req, res) => {
+    const revoked = await sessionService.revokeOthers(req.userId, req.sessionId);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Signed out of ${revoked} other ${revoked === 1 ? 'device' : 'devices'}`,
+      data: { revoked }
     });
   }),
 
@@ -344,35 +727,219 @@ const authController = {
       }
     });
 
-    const user = await User.findByIdAndUpdate(
-      req.userId,
-      filteredUpdates,
-      { new: true, runValidators: true }
-    ).select('-passwordHash -refreshTokens');
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    // A new number has to be verified again
+    const { phone, ...otherUpdates } = filteredUpdates;
+    const phoneChanged = phone !== undefined && await phoneVerificationService.changePhone(user, phone);
+
+    user.set(otherUpdates);
+    await user.save();
+
+    const codeSent = phoneChanged && await phoneVerificationService.offerCode(user);
+
+    user.passwordHash = undefined;
+    user.refreshTokens = undefined;
 
     res.status(200).json({
       status: 'success',
-      message: 'Profile updated',
+      message: phoneChanged
+        ? `Profile updated. ${codeSent ? 'Enter the code we sent to your new phone number to verify it.' : 'Request a code to verify your new phone number.'}`
+        : 'Profile updated',
       data: { user }
     });
+  }),
+
+  // Text a verification code to the phone on the profile
+  sendPhoneCode: catchAsync(async (req, res) => {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const { sentTo, expiresInMinutes } = await phoneVerificationService.sendCode(user);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Verification code sent to ${sentTo}`,
+      data: { sentTo, expiresInMinutes }
+    });
+  }),
+
+  // Verify the phone on the profile with the texted code
+  verifyPhone: catchAsync(async (req, res) => {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    await phoneVerificationService.verifyCode(user, req.body.code);
+
+    // M-Pesa payouts held until the number was verified can go now
+    if (user.role === 'host') {
+      const { releaseHeldPayouts } = require('../jobs/payout.job');
+      await releaseHeldPayouts(user._id);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Phone number verified',
+      data: {
+        phone: user.phone,
+        phoneVerified: user.phoneVerified,
+        phoneVerifiedAt: user.phoneVerifiedAt
+      }
+    });
   })
 };
 
 // Helper functions
-function generateAccessToken(userId, role) {
-  return jwt.sign(
-    { userId, role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m' }
-  );
+// Sign in (or sign up) with a verified social identity. Existing accounts are
+// only reached through an identity they have linked, never by matching email.
+async function signInWithSocial(profile, req, res) {
+  const field = socialAuthService.idField(profile.provider);
+  const label = socialAuthService.label(profile.provider);
+
+  let user = await User.findOne({ [field]: profile.providerId });
+  const created = !user;
+
+  if (!user) {
+    if (!profile.email || !profile.emailVerified) {
+      throw new AppError(`Your ${label} account has no verified email address. Sign up with email instead.`, 400);
+    }
+
+    if (await User.exists({ email: profile.email.toLowerCase() })) {
+      throw new AppError(`An account with ${profile.email} already exists. Sign in with your password and link ${label} from your profile.`, 409);
+    }
+
+    user = await User.create({
+      name: profile.name || profile.email.split('@')[0],
+      email: profile.email,
+      passwordHash: crypto.randomBytes(32).toString('hex'), // Never shown; hasPassword stays false
+      hasPassword: false,
+      profileComplete: false,
+      profileImage: profile.picture || '',
+      [field]: profile.providerId,
+      emailVerified: true,
+      role: 'host'
+    });
+  }
+
+  if (user.status !== 'active') {
+    throw new AppError('Account is suspended or deleted', 403);
+  }
+
+  if (user.twoFactorEnabled()) {
+    return sendTwoFactorChallenge(user, res);
+  }
+
+  // Start a session on this device
+  const { accessToken, refreshToken, expiresAt } = await sessionService.start(user, req);
+
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  // Remove sensitive data
+  user.passwordHash = undefined;
+  user.refreshTokens = undefined;
+
+  res.status(created ? 201 : 200).json({
+    status: 'success',
+    message: created
+      ? `Account created with ${label}. Complete your host profile to start selling tickets.`
+      : `${label} sign-in successful`,
+    data: {
+      user,
+      profileComplete: user.profileComplete !== false,
+      tokens: {
+        accessToken,
+        refreshToken,
+        expiresAt
+      }
+    }
+  });
+}
+
+async function sendVerificationEmail(user, token) {
+  try {
+    await emailService.sendEmail(
+      user.email,
+      'Confirm your SwiftPass email address',
+      emailService.generateEmailVerificationEmail({
+        name: user.name,
+        url: `${process.env.APP_URL || 'http://localhost:3000'}/verify-email?token=${token}`,
+        expiresInHours: VERIFY_EMAIL_TTL_MINUTES / 60
+      })
+    );
+  } catch (error) {
+    console.error(`Error sending verification email to ${user.email}:`, error);
+  }
+}
+
+// Stop sign-in at the password and ask for a two-factor code
+async function sendTwoFactorChallenge(user, res, data = {}) {
+  const { challengeToken, expiresAt } = await twoFactorService.createChallenge(user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Enter the code from your authenticator app or a recovery code',
+    data: {
+      ...data,
+      twoFactorRequired: true,
+      challengeToken,
+      expiresAt
+    }
+  });
 }
 
-function generateRefreshToken(userId, role) {
-  return jwt.sign(
-    { userId, role },
-    process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRY || '7d' }
-  );
+// Check the password and, with two-factor on, a code. For a user loaded with
+// +passwordHash and twoFactorService.secretFields.
+async function confirmIdentity(user, { password, code }) {
+  if (user.hasPassword !== false) {
+    if (!password || !(await user.comparePassword(password))) {
+      throw new AppError('Password is incorrect', 401);
+    }
+  } else if (!user.twoFactorEnabled()) {
+    throw new AppError('Set a password or turn on two-factor authentication first. Use "Forgot password" to set a password.', 400);
+  }
+
+  if (user.twoFactorEnabled() && !(await twoFactorService.verifyCode(user, code))) {
+    throw new AppError('Invalid two-factor code', 401);
+  }
+}
+
+async function sendTwoFactorChangedEmail(user, enabled) {
+  try {
+    await emailService.sendEmail(
+      user.email,
+      `Two-factor authentication ${enabled ? 'turned on' : 'turned off'}`,
+      emailService.generateTwoFactorChangedEmail({
+        name: user.name,
+        enabled,
+        changedAt: new Date().toLocaleString('en-KE', { timeZone: 'Africa/Nairobi' })
+      })
+    );
+  } catch (error) {
+    console.error(`Error sending two-factor email to ${user.email}:`, error);
+  }
+}
+
+async function sendPasswordChangedEmail(user) {
+  try {
+    await emailService.sendEmail(
+      user.email,
+      'Your SwiftPass password was changed',
+      emailService.generatePasswordChangedEmail({
+        name: user.name,
+        changedAt: user.passwordChangedAt.toLocaleString('en-KE', { timeZone: 'Africa/Nairobi' })
+      })
+    );
+  } catch (error) {
+    console.error(`Error sending password changed email to ${user.email}:`, error);
+  }
 }
 
 async function sendWelcomeEmail(user) {
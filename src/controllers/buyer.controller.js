@@ -0,0 +1,127 @@
+const Order = require('../models/order.model');
+const Ticket = require('../models/ticket.model');
+const Event = require('../models/event.model');
+const { AppError, catchAsync } = require('../middlewares/error.middleware');
+const redisClient = require('../config/redis');
+const buyerService = require('../services/buyer.service');
+const ticketGenerationService = require('../services/ticket-generation.service');
+
+// A buyer can ask for their tickets again at most this often per order
+const RESEND_COOLDOWN_SECONDS = 5 * 60;
+
+const buyerController = {
+  // Who the buyer token belongs to
+  getMe: catchAsync(async (req, res) => {
+    res.status(200).json({
+      status: 'success',
+      data: { buyer: req.user }
+    });
+  }),
+
+  // Orders placed with the buyer's email/phone, across all events
+  getMyOrders: catchAsync(async (req, res) => {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const query = buyerService.ownerQuery(req.user);
+    query.paymentStatus = status || { $ne: 'expired' };
+
+    const orders = await Order.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { createdAt: -1 },
+      select: 'orderNumber eventId buyerName tickets discount subtotal processingFee totalAmount paymentStatus paymentDate refundedAmount ticketStatus createdAt',
+      populate: { path: 'eventId', select: 'name slug bannerUrl eventDateTime location.venueName status' }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        orders: orders.docs,
+        pagination: {
+          total: orders.totalDocs,
+          pages: orders.totalPages,
+          page: orders.page,
+          limit: orders.limit,
+          hasNext: orders.hasNextPage,
+          hasPrev: orders.hasPrevPage
+        }
+      }
+    });
+  }),
+
+  // Tickets currently held by the buyer (including ones transferred to them)
+  getMyTickets: catchAsync(async (req, res) => {
+    const { upcoming, eventId } = req.query;
+
+    const query = buyerService.ownerQuery(req.user);
+    if (eventId) {
+      query.eventId = eventId;
+    }
+
+    if (upcoming === 'true') {
+      const upcomingEvents = await Event.find({
+        ...(eventId && { _id: eventId }),
+        eventDateTime: { $gte: new Date() },
+        status: { $ne: 'cancelled' }
+      }).distinct('_id');
+      query.eventId = { $in: upcomingEvents };
+    }
+
+    const tickets = await Ticket.find(query)
+      .select('ticketId orderId eventId buyerName tierName price status scannedAt pdfUrl pngUrl transfer.recipientEmail transfer.expiresAt createdAt')
+      .populate('eventId', 'name slug bannerUrl eventDateTime location.venueName status')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        tickets,
+        count: tickets.length
+      }
+    });
+  }),
+
+  // Email an order's tickets again
+  resendOrderTickets: catchAsync(async (req, res) => {
+    const { orderNumber } = req.params;
+
+    const order = await Order.findOne({ orderNumber });
+    if (!order || !buyerService.owns(req.user, order)) {
+      throw new AppError('Order not found', 404);
+    }
+
+    if (order.paymentStatus !== 'completed') {
+      throw new AppError(`Tickets are not available for an order that is ${order.paymentStatus}`, 400);
+    }
+
+    // Tickets passed on to someone else belong to them now
+    const tickets = await Ticket.find({
+      orderId: order._id,
+      buyerEmail: order.buyerEmail,
+      status: { $ne: 'cancelled' }
+    }).sort({ createdAt: 1 });
+
+    if (tickets.length === 0) {
+      throw new AppError('This order has no tickets to resend yet', 400);
+    }
+
+    const cooldown = await redisClient.set(`resend:order:${order.orderNumber}`, '1', {
+      NX: true,
+      EX: RESEND_COOLDOWN_SECONDS
+    });
+    if (!cooldown) {
+      throw new AppError('Tickets were sent recently. Please check your inbox or try again in a few minutes.', 429);
+    }
+
+    const event = await Event.findById(order.eventId);
+    await ticketGenerationService.sendTicketEmail(order.buyerEmail, order.buyerName, tickets, event);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Tickets sent to ${order.buyerEmail}`,
+      data: { count: tickets.length }
+    });
+  })
+};
+
+module.exports = buyerController;
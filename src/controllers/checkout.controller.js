@@ -1,8 +1,14 @@
 const Event = require('../models/event.model');
 const Order = require('../models/order.model');
+const Ticket = require('../models/ticket.model');
+const User = require('../models/user.model');
+const PromoCode = require('../models/promo-code.model');
 const { AppError, catchAsync } = require('../middlewares/error.middleware');
-const redisClient = require('../config/redis');
 const paymentService = require('../services/payment.service');
+const inventoryService = require('../services/inventory.service');
+const feeService = require('../services/fee.service');
+const buyerService = require('../services/buyer.service');
+const { scheduleReservationExpiry } = require('../jobs/reservation.job');
 
 const checkoutController = {
   // Create checkout session
@@ -12,7 +18,8 @@ const checkoutController = {
       tickets,
       buyerName,
       buyerEmail,
-      buyerPhone
+      buyerPhone,
+      promoCode: code
     } = req.body;
 
     // Find event
@@ -25,110 +32,174 @@ const checkoutController = {
       throw new AppError('Event is not published for ticket sales', 400);
     }
 
-    // Validate ticket availability using Redis lock
-    const lockKey = `event:${eventId}:lock`;
-    const lock = await redisClient.set(lockKey, 'locked', {
-      NX: true,
-      EX: 5 // 5 second lock
-    });
+    if (!event.salesOpen()) {
+      throw new AppError('Ticket sales for this event have closed', 400);
+    }
+
+    // Validate tiers and calculate totals
+    let grossAmount = 0;
+    const ticketDetails = [];
 
-    if (!lock) {
-      throw new AppError('Event is being processed by another request', 409);
+    for (const item of tickets) {
+      const tier = event.tiers.find(t => t.name === item.tierName);
+      
+      if (!tier) {
+        throw new AppError(`Tier "${item.tierName}" not found`, 400);
+      }
+
+      const tierTotal = tier.price * item.quantity;
+      grossAmount += tierTotal;
+
+      ticketDetails.push({
+        tierName: item.tierName,
+        quantity: item.quantity,
+        unitPrice: tier.price,
+        totalPrice: tierTotal
+      });
     }
 
-    try {
-      // Check ticket availability and calculate totals
-      let subtotal = 0;
-      const ticketDetails = [];
-
-      for (const item of tickets) {
-        const tier = event.tiers.find(t => t.name === item.tierName);
-        
-        if (!tier) {
-          throw new AppError(`Tier "${item.tierName}" not found`, 400);
-        }
+    // Apply promo code
+    let promoCode = null;
+    let discountAmount = 0;
 
-        const available = tier.quantityAvailable - tier.quantitySold;
-        if (available < item.quantity) {
-          throw new AppError(
-            `Only ${available} tickets available in tier "${item.tierName}"`,
-            400
-          );
-        }
+    if (code) {
+      promoCode = await PromoCode.findOne({
+        hostId: event.hostId,
+        code: code.trim().toUpperCase()
+      });
 
-        const tierTotal = tier.price * item.quantity;
-        subtotal += tierTotal;
+      if (!promoCode) {
+        throw new AppError('Invalid promo code', 400);
+      }
+
+      const notApplicable = promoCode.checkApplicable(event);
+      if (notApplicable) {
+        throw new AppError(notApplicable, 400);
+      }
+
+      discountAmount = promoCode.calculateDiscount(ticketDetails);
+      if (discountAmount <= 0) {
+        throw new AppError('Promo code does not apply to the selected tickets', 400);
+      }
 
-        ticketDetails.push({
-          tierName: item.tierName,
-          quantity: item.quantity,
-          unitPrice: tier.price,
-          totalPrice: tierTotal
+      if (promoCode.maxUsesPerBuyer) {
+        const buyerUses = await Order.countDocuments({
+          'discount.promoCodeId': promoCode._id,
+          buyerEmail: buyerEmail.toLowerCase(),
+          paymentStatus: { $in: ['pending', 'processing', 'completed'] }
         });
+
+        if (buyerUses >= promoCode.maxUsesPerBuyer) {
+          throw new AppError('You have already used this promo code', 400);
+        }
       }
 
-      // Calculate fees
-      const platformFee = subtotal * 0.05; // 5%
-      const processingFee = subtotal * 0.02; // 2%
-      const totalAmount = subtotal + processingFee;
-      const hostAmount = subtotal * 0.95; // 95%
+      // Consume a use atomically so the overall cap holds under concurrency
+      const redeemed = await PromoCode.redeem(promoCode._id);
+      if (!redeemed) {
+        throw new AppError('Promo code has reached its usage limit', 400);
+      }
+    }
 
-      // Create order (but don't reserve tickets yet)
-      const order = await Order.create({
+    // Atomically hold the tickets against availability
+    const held = await inventoryService.holdTickets(event._id, tickets);
+    if (!held) {
+      if (promoCode) {
+        await PromoCode.releaseUse(promoCode._id);
+      }
+
+      const message = await inventoryService.describeShortage(event._id, tickets);
+      throw new AppError(message, 400);
+    }
+
+    // Calculate fees on the discounted subtotal
+    let hostAbsorbsFees = false;
+    if (event.absorbFees === null || event.absorbFees === undefined) {
+      const host = await User.findById(event.hostId).select('absorbFees');
+      hostAbsorbsFees = Boolean(host && host.absorbFees);
+    }
+
+    const feeConfig = feeService.configFor(event, hostAbsorbsFees);
+    const pricing = feeService.calculate({
+      grossAmount,
+      discountAmount,
+      ticketCount: tickets.reduce((sum, item) => sum + item.quantity, 0),
+      config: feeConfig
+    });
+
+    const reservationTtl = inventoryService.reservationTtlSeconds;
+
+    let order;
+    try {
+      order = await Order.create({
         buyerName,
         buyerEmail,
         buyerPhone,
         eventId: event._id,
         hostId: event.hostId,
         tickets: ticketDetails,
-        subtotal,
-        platformFee,
-        processingFee,
-        totalAmount,
-        hostAmount,
-        platformAmount: platformFee,
+        discount: promoCode ? {
+          promoCodeId: promoCode._id,
+          code: promoCode.code,
+          type: promoCode.discountType,
+          value: promoCode.discountValue,
+          amount: discountAmount
+        } : undefined,
+        ...pricing,
+        feeConfig,
         paymentStatus: 'pending',
+        inventoryStatus: 'held',
+        reservationExpiresAt: new Date(Date.now() + reservationTtl * 1000),
         metadata: {
           ipAddress: req.ip,
           userAgent: req.headers['user-agent'],
           deviceType: req.headers['sec-ch-ua-platform'] || 'unknown'
         }
       });
-
-      // Temporarily reserve tickets for 10 minutes
-      const reservationKey = `reservation:${order._id}`;
-      await redisClient.set(
-        reservationKey,
-        JSON.stringify({
-          eventId: event._id,
-          tickets,
-          expiresAt: Date.now() + 10 * 60 * 1000 // 10 minutes
-        }),
-        { EX: 600 }
-      );
-
-      // Release lock
-      await redisClient.del(lockKey);
-
-      res.status(201).json({
-        status: 'success',
-        message: 'Checkout session created',
-        data: {
-          order: {
-            id: order._id,
-            orderNumber: order.orderNumber,
-            totalAmount,
-            tickets: ticketDetails,
-            reservationExpiresIn: 600 // seconds
-          },
-          paymentMethods: ['mpesa']
-        }
-      });
     } catch (error) {
-      // Release lock on error
-      await redisClient.del(lockKey);
+      // Give the held tickets back if the order could not be created
+      await Event.releaseHeldTickets(event._id, tickets);
+      if (promoCode) {
+        await PromoCode.releaseUse(promoCode._id);
+      }
       throw error;
     }
+
+    // Nothing to pay when a promo code covers the whole order. M-Pesa can't
+    // charge KES 0, so the order is completed here instead.
+    const paymentRequired = order.totalAmount > 0;
+    let paymentStatus = order.paymentStatus;
+
+    if (paymentRequired) {
+      // Release held tickets automatically when the reservation expires
+      await scheduleReservationExpiry(order);
+    } else {
+      const { refunded } = await paymentService.completeFreeOrder(order._id);
+      paymentStatus = refunded ? 'refunded' : 'completed';
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: paymentRequired ? 'Checkout session created' : 'Order confirmed, no payment due',
+      data: {
+        order: {
+          id: order._id,
+          orderNumber: order.orderNumber,
+          subtotal: order.subtotal,
+          fees: order.feeConfig.absorbFees ? 0 : order.processingFee + order.exciseAmount,
+          discount: order.discount && order.discount.amount ? {
+            code: order.discount.code,
+            amount: order.discount.amount
+          } : null,
+          totalAmount: order.totalAmount,
+          paymentStatus,
+          tickets: ticketDetails,
+          reservationExpiresIn: reservationTtl, // seconds
+          reservationExpiresAt: order.reservationExpiresAt
+        },
+        paymentMethods: paymentRequired ? ['mpesa'] : []
+      }
+    });
   }),
 
   // Initiate payment
@@ -136,45 +207,65 @@ const checkoutController = {
     const { orderId, phone } = req.body;
 
     // Find order
-    const order = await Order.findById(orderId);
-    if (!order) {
+    const existing = await Order.findById(orderId);
+    if (!existing) {
       throw new AppError('Order not found', 404);
     }
 
-    if (order.paymentStatus !== 'pending') {
-      throw new AppError(`Order is already ${order.paymentStatus}`, 400);
+    if (existing.paymentStatus !== 'pending') {
+      throw new AppError(`Order is already ${existing.paymentStatus}`, 400);
     }
 
-    // Check reservation
-    const reservationKey = `reservation:${order._id}`;
-    const reservation = await redisClient.get(reservationKey);
-    
-    if (!reservation) {
+    // Claim the order while its reservation is still live, so the expiry
+    // job cannot release the tickets mid-payment
+    const order = await Order.findOneAndUpdate(
+      {
+        _id: existing._id,
+        paymentStatus: 'pending',
+        inventoryStatus: 'held',
+        reservationExpiresAt: { $gt: new Date() }
+      },
+      { paymentStatus: 'processing' },
+      { new: true }
+    );
+
+    if (!order) {
       throw new AppError('Ticket reservation has expired', 400);
     }
 
-    // Reserve tickets permanently
-    const event = await Event.findById(order.eventId);
-    for (const ticket of order.tickets) {
-      await event.reserveTickets(ticket.tierName, ticket.quantity);
-    }
+    // Fully discounted orders are normally completed at checkout
+    if (order.totalAmount === 0) {
+      const { refunded } = await paymentService.completeFreeOrder(order._id);
 
-    // Remove reservation
-    await redisClient.del(reservationKey);
+      return res.status(200).json({
+        status: 'success',
+        message: 'No payment due for this order',
+        data: {
+          orderId: order.orderNumber,
+          paymentStatus: refunded ? 'refunded' : 'completed'
+        }
+      });
+    }
 
     // Initiate M-Pesa payment
-    const paymentResult = await paymentService.initiateSTKPush(
-      order.totalAmount,
-      phone,
-      order.orderNumber,
-      `Ticket purchase for ${order.eventId}`
-    );
+    let paymentResult;
+    try {
+      paymentResult = await paymentService.initiateSTKPush(
+        order.totalAmount,
+        phone,
+        order.orderNumber,
+        `Ticket purchase for ${order.eventId}`
+      );
+    } catch (error) {
+      paymentResult = { success: false, errorMessage: error.message };
+    }
 
     if (!paymentResult.success) {
-      // Release tickets if payment initiation fails
-      for (const ticket of order.tickets) {
-        await event.releaseTickets(ticket.tierName, ticket.quantity);
-      }
+      // Keep the hold so the buyer can retry until the reservation expires
+      await Order.updateOne(
+        { _id: order._id, paymentStatus: 'processing' },
+        { paymentStatus: 'pending' }
+      );
       
       throw new AppError(`Payment initiation failed: ${paymentResult.errorMessage}`, 400);
     }
@@ -232,24 +323,26 @@ const checkoutController = {
     const { orderId } = req.params;
 
     const order = await Order.findOne({ orderNumber: orderId })
-      .populate('eventId', 'name bannerUrl location eventDateTime')
-      .populate('ticketDocuments', 'ticketId tierName status pdfUrl pngUrl');
+      .populate('eventId', 'name bannerUrl location eventDateTime');
 
     if (!order) {
       throw new AppError('Order not found', 404);
     }
 
     // Check if buyer is requesting their own order
-    const isBuyer = order.buyerEmail === req.user?.email || 
-                    order.buyerPhone === req.user?.phone;
+    const isBuyer = buyerService.owns(req.user, order);
     
     if (!isBuyer && req.userRole !== 'host') {
       throw new AppError('Unauthorized', 403);
     }
 
+    const tickets = await Ticket.find({ orderId: order._id })
+      .select('ticketId tierName status pdfUrl pngUrl buyerEmail')
+      .sort({ createdAt: 1 });
+
     res.status(200).json({
       status: 'success',
-      data: { order }
+      data: { order, tickets }
     });
   })
 };
@@ -1,9 +1,62 @@
 const Event = require('../models/event.model');
 const Order = require('../models/order.model');
 const Ticket = require('../models/ticket.model');
+const User = require('../models/user.model');
 const { AppError, catchAsync } = require('../middlewares/error.middleware');
 const redisClient = require('../config/redis');
+const liveEventService = require('../services/live-event.service');
 const { cloudinary, uploadSingle } = require('../config/cloudinary');
+const {
+  cancellationQueue,
+  queueEventCancellation,
+  getCancellationJobId
+} = require('../jobs/event-cancellation.job');
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// Sort options for public event discovery
+const DISCOVERY_SORTS = {
+  soonest: { field: 'eventDateTime', order: 1 },
+  popular: { field: 'metadata.views', order: -1 },
+  newest: { field: 'createdAt', order: -1 }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const PLATFORM_FEE_FIELDS = [
+  'platformFeePercent',
+  'processingFeePercent',
+  'platformFlatFee',
+  'processingFlatFee'
+];
+
+// Multipart forms send booleans as strings; empty/null means use the host default
+const parseAbsorbFees = (value) => {
+  if (value === undefined || value === null || value === '' || value === 'null') {
+    return null;
+  }
+  return value === true || value === 'true';
+};
+
+// Hosts can't put an event back on sale after an admin took it down
+const assertNotUnpublishedByAdmin = (event) => {
+  if (event.moderation && event.moderation.status === 'unpublished') {
+    throw new AppError('This event was unpublished by SwiftPass. Contact support to have it reviewed.', 403);
+  }
+};
+
+// Hosts need a complete profile and a confirmed email before selling tickets
+const assertHostCanPublish = async (hostId) => {
+  const host = await User.findById(hostId).select('profileComplete emailVerified');
+  if (!host) {
+    throw new AppError('User not found', 404);
+  }
+
+  const blocked = host.checkCanPublish();
+  if (blocked) {
+    throw new AppError(blocked, 403);
+  }
+};
 
 const eventController = {
   // Create event with file upload
@@ -20,7 +73,9 @@ const eventController = {
         eventDate,
         eventTime,
         status = 'draft',
-        bannerUrl: bodyBannerUrl
+        bannerUrl: bodyBannerUrl,
+        absorbFees,
+        allowTransfers
       } = req.body;
 
       // Parse performers if string
@@ -60,7 +115,9 @@ const eventController = {
           price: tier.price,
           quantityAvailable: tier.quantityAvailable,
           description: tier.description || '',
-          benefits: tier.benefits || []
+          benefits: tier.benefits || [],
+          transferable: tier.transferable,
+          reentry: tier.reentry
         }));
       }
 
@@ -96,7 +153,9 @@ const eventController = {
         },
         eventDateTime,
         status,
-        bannerUrl: finalBannerUrl
+        bannerUrl: finalBannerUrl,
+        absorbFees: parseAbsorbFees(absorbFees),
+        allowTransfers
       });
 
       res.status(201).json({
@@ -159,7 +218,9 @@ const eventController = {
         price: tier.price,
         quantityAvailable: tier.quantityAvailable,
         description: tier.description || '',
-        benefits: tier.benefits || []
+        benefits: tier.benefits || [],
+        transferable: tier.transferable,
+        reentry: tier.reentry
       }));
     }
 
@@ -209,6 +270,9 @@ const eventController = {
       throw new AppError('Event not found or you are not the host', 404);
     }
 
+    assertNotUnpublishedByAdmin(event);
+    await assertHostCanPublish(req.userId);
+
     // Publish event
     await event.publish();
 
@@ -225,6 +289,220 @@ const eventController = {
     });
   }),
 
+  // Discover published events (public)
+  listEvents: catchAsync(async (req, res) => {
+    const {
+      q,
+      category,
+      city,
+      dateFrom,
+      dateTo,
+      minPrice,
+      maxPrice,
+      lat,
+      lng,
+      radiusKm = 25,
+      sort = 'soonest',
+      cursor,
+      limit = 20
+    } = req.query;
+
+    const query = { status: 'published' };
+
+    if (q) {
+      query.$text = { $search: q };
+    }
+
+    if (category) {
+      query.category = { $in: category.split(',') };
+    }
+
+    if (city) {
+      query['location.city'] = new RegExp(`^${escapeRegex(city.trim())}$`, 'i');
+    }
+
+    // Only upcoming events unless an explicit window is requested
+    query.eventDateTime = { $gte: dateFrom ? new Date(dateFrom) : new Date() };
+    if (dateTo) {
+      query.eventDateTime.$lte = new Date(dateTo);
+    }
+
+    // Match events with at least one tier inside the price range
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      const price = {};
+      if (minPrice !== undefined) price.$gte = parseFloat(minPrice);
+      if (maxPrice !== undefined) price.$lte = parseFloat(maxPrice);
+      query.tiers = { $elemMatch: { price } };
+    }
+
+    // $geoWithin (unlike $near) can be combined with custom sorts and cursors
+    if (lat !== undefined && lng !== undefined) {
+      query['location.coordinates'] = {
+        $geoWithin: {
+          $centerSphere: [
+            [parseFloat(lng), parseFloat(lat)],
+            parseFloat(radiusKm) / EARTH_RADIUS_KM
+          ]
+        }
+      };
+    }
+
+    if (cursor && !Event.decodeCursor(cursor)) {
+      throw new AppError('Invalid pagination cursor', 400);
+    }
+
+    const { field, order } = DISCOVERY_SORTS[sort] || DISCOVERY_SORTS.soonest;
+
+    const events = await Event.cursorPaginate(query, {
+      limit: Math.min(parseInt(limit), 50),
+      sortField: field,
+      sortOrder: order,
+      cursor,
+      select: 'name slug bannerUrl category performers tiers.name tiers.price location eventDateTime duration metadata totalTickets ticketsSold ticketsHeld hostId publishedAt createdAt',
+      populate: { path: 'hostId', select: 'name profileImage companyName' }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        events: events.docs,
+        pagination: {
+          limit: events.limit,
+          hasNext: events.hasNextPage,
+          nextCursor: events.nextCursor
+        }
+      }
+    });
+  }),
+
+  // Cancel event (host or admin) and refund buyers in the background
+  cancelEvent: catchAsync(async (req, res) => {
+    const { eventId } = req.params;
+    const { reason } = req.body;
+
+    const query = { _id: eventId };
+    if (req.userRole !== 'admin') {
+      query.hostId = req.userId;
+    }
+
+    const event = await Event.findOne(query);
+    if (!event) {
+      throw new AppError('Event not found or you are not the host', 404);
+    }
+
+    try {
+      await event.cancel(reason, req.userId);
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+
+    // Clear cache for this event
+    await redisClient.del(`event:${event.slug}`);
+
+    const job = await queueEventCancellation(event, reason);
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Event cancelled. Refunds and buyer notifications are being processed.',
+      data: {
+        event,
+        cancellationJobId: job.id
+      }
+    });
+  }),
+
+  // Get progress of the bulk cancellation for an event
+  getCancellationStatus: catchAsync(async (req, res) => {
+    const { eventId } = req.params;
+
+    const query = { _id: eventId };
+    if (req.userRole !== 'admin') {
+      query.hostId = req.userId;
+    }
+
+    const event = await Event.findOne(query).select('name status cancellation');
+    if (!event) {
+      throw new AppError('Event not found or you are not the host', 404);
+    }
+
+    const job = await cancellationQueue.getJob(getCancellationJobId(event._id));
+    if (!job) {
+      throw new AppError('No cancellation found for this event', 404);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        event,
+        job: {
+          id: job.id,
+          state: await job.getState(),
+          progress: job.progress,
+          attemptsMade: job.attemptsMade,
+          failedReason: job.failedReason,
+          finishedOn: job.finishedOn ? new Date(job.finishedOn) : null
+        }
+      }
+    });
+  }),
+
+  // Live door dashboard (Server-Sent Events): a snapshot, then every scan,
+  // rejected scan and sale as it happens on any API instance
+  streamLiveDashboard: catchAsync(async (req, res) => {
+    const { eventId } = req.params;
+
+    const query = { _id: eventId };
+    if (req.userRole !== 'admin') {
+      query.hostId = req.userId;
+    }
+
+    const event = await Event.findOne(query).select('name status eventDateTime');
+    if (!event) {
+      throw new AppError('Event not found or you are not the host', 404);
+    }
+
+    const snapshot = await liveEventService.getSnapshot(event._id);
+
+    const send = (type, data) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+      // compression() buffers responses unless flushed
+      if (res.flush) {
+        res.flush();
+      }
+    };
+
+    const listener = (message) => {
+      const { type, ...payload } = JSON.parse(message);
+      send(type, payload);
+    };
+
+    // Subscribe before the stream opens so a Redis failure is still a normal error response
+    await liveEventService.subscribe(event._id, listener);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    send('snapshot', { event, ...snapshot, at: new Date().toISOString() });
+
+    // Keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+      if (res.flush) {
+        res.flush();
+      }
+    }, 25000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      liveEventService.unsubscribe(event._id, listener);
+    });
+  }),
+
   // Get event by slug (public)
   getEventBySlug: catchAsync(async (req, res) => {
     const { slug } = req.params;
@@ -377,7 +655,9 @@ const eventController = {
           price: tier.price,
           quantityAvailable: tier.quantityAvailable,
           description: tier.description || '',
-          benefits: tier.benefits || []
+          benefits: tier.benefits || [],
+          transferable: tier.transferable,
+          reentry: tier.reentry
         }));
       }
 
@@ -388,6 +668,12 @@ const eventController = {
         delete updates.eventTime;
       }
 
+      // Fee rates are set by the platform, hosts only choose who pays them
+      PLATFORM_FEE_FIELDS.forEach(field => delete updates[field]);
+      if (updates.absorbFees !== undefined) {
+        updates.absorbFees = parseAbsorbFees(updates.absorbFees);
+      }
+
       // Update banner if provided
       if (req.file) {
         updates.bannerUrl = req.file.path;
@@ -395,8 +681,19 @@ const eventController = {
         updates.bannerUrl = updates.bannerUrl;
       }
 
+      if (updates.status === 'published') {
+        assertNotUnpublishedByAdmin(event);
+        await assertHostCanPublish(req.userId);
+      }
+
       // Update event
       Object.assign(event, updates);
+
+      // Moving a published event later reopens sales that the old date closed
+      if (event.salesClosedAt && event.status === 'published' && event.salesCutoff() > new Date()) {
+        event.salesClosedAt = undefined;
+      }
+
       await event.save();
 
       // Clear cache
@@ -478,9 +775,15 @@ const eventController = {
         totalOrders: orders.length,
         totalTickets: tickets.length,
         ticketsSold: event.ticketsSold,
-        ticketsAvailable: event.totalTickets - event.ticketsSold
+        ticketsHeld: event.ticketsHeld || 0,
+        ticketsAvailable: event.availableTickets
       },
       ticketsByTier: {},
+      promotions: {
+        totalDiscount: orders.reduce((sum, order) => sum + ((order.discount && order.discount.amount) || 0), 0),
+        discountedOrders: 0,
+        byCode: {}
+      },
       timeline: {
         created: event.createdAt,
         published: event.publishedAt,
@@ -494,11 +797,30 @@ const eventController = {
       analytics.ticketsByTier[tier.name] = {
         available: tier.quantityAvailable,
         sold: tier.quantitySold,
-        remaining: tier.quantityAvailable - tier.quantitySold,
+        held: tier.quantityHeld || 0,
+        remaining: tier.quantityAvailable - tier.quantitySold - (tier.quantityHeld || 0),
         revenue: tierTickets.reduce((sum, t) => sum + t.price, 0)
       };
     });
 
+    // Calculate promo code redemptions
+    orders
+      .filter(order => order.discount && order.discount.code)
+      .forEach(order => {
+        const stats = analytics.promotions.byCode[order.discount.code] || {
+          redemptions: 0,
+          totalDiscount: 0,
+          revenue: 0
+        };
+
+        stats.redemptions += 1;
+        stats.totalDiscount += order.discount.amount;
+        stats.revenue += order.totalAmount;
+
+        analytics.promotions.byCode[order.discount.code] = stats;
+        analytics.promotions.discountedOrders += 1;
+      });
+
     // Get recent orders
     const recentOrders = await Order.find({ eventId: event._id })
       .sort({ createdAt: -1 })
@@ -2,6 +2,15 @@ const User = require('../models/user.model');
 const Event = require('../models/event.model');
 const Payout = require('../models/payout.model');
 const Order = require('../models/order.model');
+const Refund = require('../models/refund.model');
+const PromoCode = require('../models/promo-code.model');
+const LedgerTransaction = require('../models/ledger-transaction.model');
+const paymentService = require('../services/payment.service');
+const payoutService = require('../services/payout.service');
+const ledgerService = require('../services/ledger.service');
+const kycService = require('../services/kyc.service');
+const phoneVerificationService = require('../services/phone-verification.service');
+const { uploadKycDocuments } = require('../config/cloudinary');
 const { AppError, catchAsync } = require('../middlewares/error.middleware');
 
 const hostController = {
@@ -162,7 +171,10 @@ const hostController = {
     // Calculate totals
     const totalPayouts = payouts.docs.reduce((sum, payout) => sum + payout.amount, 0);
     const pendingPayouts = payouts.docs
-      .filter(p => p.status === 'pending')
+      .filter(p => ['pending', 'processing'].includes(p.status))
+      .reduce((sum, payout) => sum + payout.amount, 0);
+    const heldPayouts = payouts.docs
+      .filter(p => p.status === 'on_hold')
       .reduce((sum, payout) => sum + payout.amount, 0);
 
     res.status(200).json({
@@ -172,7 +184,10 @@ const hostController = {
         summary: {
           totalPayouts,
           pendingPayouts,
-          completedPayouts: totalPayouts - pendingPayouts
+          heldPayouts,
+          completedPayouts: payouts.docs
+            .filter(p => p.status === 'completed')
+            .reduce((sum, payout) => sum + payout.amount, 0)
         },
         pagination: {
           total: payouts.totalDocs,
@@ -186,6 +201,347 @@ const hostController = {
     });
   }),
 
+  // Balance per event from the ledger, and what can be withdrawn now
+  getBalance: catchAsync(async (req, res) => {
+    const summaries = await ledgerService.summarize(req.userId);
+
+    const events = await Event.find({ _id: { $in: Object.keys(summaries) }, hostId: req.userId })
+      .select('name eventDateTime status payoutProcessed reserveReleased')
+      .sort({ eventDateTime: -1 });
+
+    const upcoming = (event) => event.status === 'published' && new Date(event.eventDateTime) > new Date();
+
+    const balances = events.map(event => {
+      const summary = summaries[event._id.toString()];
+      return {
+        eventId: event._id,
+        eventName: event.name,
+        eventDateTime: event.eventDateTime,
+        status: event.status,
+        ...summary,
+        // Only upcoming events take early withdrawals; past ones are paid out automatically
+        earlyAvailable: upcoming(event) ? summary.earlyAvailable : 0
+      };
+    });
+
+    const totals = balances.reduce((sum, balance) => ({
+      sales: sum.sales + balance.sales,
+      fees: sum.fees + balance.fees,
+      refunds: sum.refunds + balance.refunds,
+      paidOut: sum.paidOut + balance.paidOut,
+      balance: sum.balance + balance.balance,
+      reserve: sum.reserve + balance.reserve,
+      earlyAvailable: sum.earlyAvailable + balance.earlyAvailable
+    }), { sales: 0, fees: 0, refunds: 0, paidOut: 0, balance: 0, reserve: 0, earlyAvailable: 0 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        events: balances,
+        totals,
+        settings: {
+          earlyPayoutPercent: ledgerService.earlyPayoutPercent,
+          reservePercent: ledgerService.reservePercent
+        }
+      }
+    });
+  }),
+
+  // Ledger entries that moved the host's balance
+  getLedger: catchAsync(async (req, res) => {
+    const { eventId, page = 1, limit = 20 } = req.query;
+
+    const query = { hostId: req.userId };
+    if (eventId) {
+      query.eventId = eventId;
+    }
+
+    const transactions = await LedgerTransaction.paginate(query, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { createdAt: -1 },
+      populate: { path: 'eventId', select: 'name' }
+    });
+
+    // Hosts only see their own account, not platform fees or cash
+    const entries = transactions.docs.map(transaction => {
+      const lines = transaction.lines.filter(line => line.account === 'host_payable');
+      return {
+        reference: transaction.reference,
+        type: transaction.type,
+        event: transaction.eventId,
+        description: transaction.description,
+        lines: lines.map(({ debit, credit, memo }) => ({ debit, credit, memo })),
+        amount: lines.reduce((sum, line) => sum + line.credit - line.debit, 0),
+        createdAt: transaction.createdAt
+      };
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        entries,
+        pagination: {
+          total: transactions.totalDocs,
+          pages: transactions.totalPages,
+          page: transactions.page,
+          limit: transactions.limit,
+          hasNext: transactions.hasNextPage,
+          hasPrev: transactions.hasPrevPage
+        }
+      }
+    });
+  }),
+
+  // Withdraw part of an upcoming event's sales early
+  requestEarlyPayout: catchAsync(async (req, res) => {
+    const [event, host] = await Promise.all([
+      Event.findOne({ _id: req.params.eventId, hostId: req.userId }),
+      User.findById(req.userId)
+    ]);
+
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+    if (!host) {
+      throw new AppError('User not found', 404);
+    }
+
+    const { payout, summary } = await payoutService.requestEarlyPayout(host, event, req.body.amount);
+
+    res.status(201).json({
+      status: 'success',
+      message: `Early payout of KES ${payout.amount.toLocaleString()} requested`,
+      data: {
+        payout,
+        balance: summary
+      }
+    });
+  }),
+
+  // Refund an order (full reversal or partial B2C)
+  refundOrder: catchAsync(async (req, res) => {
+    const { orderNumber } = req.params;
+    const { amount, ticketIds, reason } = req.body;
+
+    const order = await Order.findOne({ orderNumber, hostId: req.userId });
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const refund = await paymentService.refundPayment(
+      order._id,
+      amount,
+      reason || 'Refund issued by host',
+      { ticketIds, requestedBy: req.userId }
+    );
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Refund submitted to M-Pesa',
+      data: { refund }
+    });
+  }),
+
+  // Get refunds for an order
+  getOrderRefunds: catchAsync(async (req, res) => {
+    const { orderNumber } = req.params;
+
+    const order = await Order.findOne({ orderNumber, hostId: req.userId });
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const refunds = await Refund.find({ orderId: order._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        refunds,
+        refundedAmount: order.refundedAmount,
+        paymentStatus: order.paymentStatus
+      }
+    });
+  }),
+
+  // Get promo codes
+  getPromoCodes: catchAsync(async (req, res) => {
+    const { status, eventId } = req.query;
+
+    const query = { hostId: req.userId };
+    if (status) {
+      query.status = status;
+    }
+    if (eventId) {
+      query.eventIds = eventId;
+    }
+
+    const promoCodes = await PromoCode.find(query)
+      .populate('eventIds', 'name slug eventDateTime')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: { promoCodes }
+    });
+  }),
+
+  // Get promo code with redemption stats
+  getPromoCode: catchAsync(async (req, res) => {
+    const promoCode = await PromoCode.findOne({
+      _id: req.params.promoId,
+      hostId: req.userId
+    }).populate('eventIds', 'name slug eventDateTime');
+
+    if (!promoCode) {
+      throw new AppError('Promo code not found', 404);
+    }
+
+    const [stats] = await Order.aggregate([
+      {
+        $match: {
+          'discount.promoCodeId': promoCode._id,
+          paymentStatus: 'completed'
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          totalDiscount: { $sum: '$discount.amount' },
+          revenue: { $sum: '$totalAmount' },
+          uniqueBuyers: { $addToSet: '$buyerEmail' }
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        promoCode,
+        stats: {
+          redemptions: stats ? stats.redemptions : 0,
+          totalDiscount: stats ? stats.totalDiscount : 0,
+          revenue: stats ? stats.revenue : 0,
+          uniqueBuyers: stats ? stats.uniqueBuyers.length : 0
+        }
+      }
+    });
+  }),
+
+  // Create promo code
+  createPromoCode: catchAsync(async (req, res) => {
+    const { code, eventIds = [] } = req.body;
+
+    await assertHostEvents(req.userId, eventIds);
+
+    const existing = await PromoCode.exists({
+      hostId: req.userId,
+      code: code.trim().toUpperCase()
+    });
+    if (existing) {
+      throw new AppError('A promo code with this code already exists', 400);
+    }
+
+    // Usage counts and status are the server's to set
+    const allowedFields = [
+      'code', 'description', 'eventIds', 'tierNames', 'discountType', 'discountValue',
+      'maxUses', 'maxUsesPerBuyer', 'validFrom', 'validUntil'
+    ];
+
+    const fields = {};
+    Object.keys(req.body).forEach(key => {
+      if (allowedFields.includes(key)) {
+        fields[key] = req.body[key];
+      }
+    });
+
+    const promoCode = await PromoCode.create({
+      ...fields,
+      hostId: req.userId,
+      usedCount: 0,
+      status: 'active'
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Promo code created successfully',
+      data: { promoCode }
+    });
+  }),
+
+  // Update promo code
+  updatePromoCode: catchAsync(async (req, res) => {
+    const promoCode = await PromoCode.findOne({
+      _id: req.params.promoId,
+      hostId: req.userId
+    });
+
+    if (!promoCode) {
+      throw new AppError('Promo code not found', 404);
+    }
+
+    if (req.body.eventIds) {
+      await assertHostEvents(req.userId, req.body.eventIds);
+    }
+
+    const allowedUpdates = [
+      'description', 'eventIds', 'tierNames', 'discountType', 'discountValue',
+      'maxUses', 'maxUsesPerBuyer', 'validFrom', 'validUntil', 'status'
+    ];
+
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        promoCode[field] = req.body[field];
+      }
+    });
+
+    if (promoCode.validFrom && promoCode.validUntil && promoCode.validUntil <= promoCode.validFrom) {
+      throw new AppError('validUntil must be after validFrom', 400);
+    }
+
+    await promoCode.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Promo code updated successfully',
+      data: { promoCode }
+    });
+  }),
+
+  // Delete promo code (disabled instead if it has been used)
+  deletePromoCode: catchAsync(async (req, res) => {
+    const promoCode = await PromoCode.findOne({
+      _id: req.params.promoId,
+      hostId: req.userId
+    });
+
+    if (!promoCode) {
+      throw new AppError('Promo code not found', 404);
+    }
+
+    const redeemed = await Order.exists({ 'discount.promoCodeId': promoCode._id });
+
+    if (redeemed) {
+      // Orders reference it, keep it for reporting
+      promoCode.status = 'disabled';
+      await promoCode.save();
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Promo code has been used and was disabled instead of deleted',
+        data: { promoCode }
+      });
+    }
+
+    await promoCode.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Promo code deleted successfully'
+    });
+  }),
+
   // Update bank details
   updateBankDetails: catchAsync(async (req, res) => {
     const { bankName, accountNumber, accountName, branchCode } = req.body;
@@ -204,15 +560,114 @@ const hostController = {
 
     await user.save();
 
+    // Payouts go nowhere until the new account is checked against the host's ID
+    const reviewRequired = await kycService.requireReview(user);
+
+    res.status(200).json({
+      status: 'success',
+      message: reviewRequired
+        ? 'Bank details updated. Payouts are on hold until we verify the new account.'
+        : 'Bank details updated successfully',
+      data: {
+        bankDetails: user.bankDetails,
+        kycStatus: user.kyc.status
+      }
+    });
+  }),
+
+  // Choose bank transfer or M-Pesa (B2C) for payouts
+  updatePayoutMethod: catchAsync(async (req, res) => {
+    const { method, phone } = req.body;
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const destination = (u) => u.payoutMethod === 'mpesa'
+      ? `mpesa:${paymentService.formatPhoneNumber(u.mpesaPayoutPhone || u.phone)}`
+      : 'bank_transfer';
+    const previous = destination(user);
+
+    user.payoutMethod = method;
+    if (method === 'mpesa') {
+      user.mpesaPayoutPhone = phone || user.mpesaPayoutPhone || user.phone;
+    }
+
+    await user.save();
+
+    // A new M-Pesa number is checked against the host's ID like new bank details
+    const reviewRequired = previous !== destination(user) && method === 'mpesa'
+      ? await kycService.requireReview(user)
+      : false;
+
+    let message = 'Payout method updated';
+    if (reviewRequired) {
+      message = 'Payout method updated. Payouts are on hold until we verify the new number.';
+    } else if (method === 'mpesa' && !user.phoneVerified) {
+      message = 'Payout method updated. M-Pesa payouts are on hold until you verify your phone number.';
+    }
+
     res.status(200).json({
       status: 'success',
-      message: 'Bank details updated successfully',
+      message,
       data: {
-        bankDetails: user.bankDetails
+        payoutMethod: user.payoutMethod,
+        mpesaPayoutPhone: user.payoutMethod === 'mpesa' ? user.mpesaPayoutPhone : undefined,
+        kycStatus: user.kyc.status
       }
     });
   }),
 
+  // KYC status and uploaded documents
+  getKyc: catchAsync(async (req, res) => {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: { kyc: kycService.summary(user) }
+    });
+  }),
+
+  // Upload KYC documents (idFront, idBack, kraPin, businessRegistration)
+  uploadKycDocuments: [
+    uploadKycDocuments(kycService.uploadFields),
+    catchAsync(async (req, res) => {
+      const user = await User.findById(req.userId);
+      if (!user) {
+        await kycService.destroy(Object.values(req.files || {}).flat().map(file => file.filename));
+        throw new AppError('User not found', 404);
+      }
+
+      await kycService.addDocuments(user, req.files);
+
+      res.status(200).json({
+        status: 'success',
+        message: 'Documents uploaded',
+        data: { kyc: kycService.summary(user) }
+      });
+    })
+  ],
+
+  // Send uploaded KYC documents for review
+  submitKyc: catchAsync(async (req, res) => {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    await kycService.submit(user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Documents submitted for review',
+      data: { kyc: kycService.summary(user) }
+    });
+  }),
+
   // Get host profile
   getHostProfile: catchAsync(async (req, res) => {
     const user = await User.findById(req.userId)
@@ -260,7 +715,7 @@ const hostController = {
   // Update host profile
   updateHostProfile: catchAsync(async (req, res) => {
     const updates = req.body;
-    const allowedUpdates = ['name', 'phone', 'companyName', 'profileImage'];
+    const allowedUpdates = ['name', 'phone', 'companyName', 'profileImage', 'absorbFees'];
     
     const filteredUpdates = {};
     Object.keys(updates).forEach(key => {
@@ -269,18 +724,44 @@ const hostController = {
       }
     });
 
-    const user = await User.findByIdAndUpdate(
-      req.userId,
-      filteredUpdates,
-      { new: true, runValidators: true }
-    ).select('-passwordHash -refreshTokens');
+    const user = await User.findById(req.userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    // A new number has to be verified again
+    const { phone, ...otherUpdates } = filteredUpdates;
+    const phoneChanged = phone !== undefined && await phoneVerificationService.changePhone(user, phone);
+
+    user.set(otherUpdates);
+    await user.save();
+
+    const codeSent = phoneChanged && await phoneVerificationService.offerCode(user);
+
+    user.passwordHash = undefined;
+    user.refreshTokens = undefined;
 
     res.status(200).json({
       status: 'success',
-      message: 'Profile updated successfully',
+      message: phoneChanged
+        ? `Profile updated. ${codeSent ? 'Enter the code we sent to your new phone number to verify it.' : 'Request a code to verify your new phone number.'}`
+        : 'Profile updated successfully',
       data: { user }
     });
   })
 };
 
+// Helper functions
+// Ensure every event a promo code targets belongs to the host
+async function assertHostEvents(hostId, eventIds) {
+  if (!eventIds || eventIds.length === 0) {
+    return;
+  }
+
+  const count = await Event.countDocuments({ _id: { $in: eventIds }, hostId });
+  if (count !== eventIds.length) {
+    throw new AppError('One or more events not found', 404);
+  }
+}
+
 module.exports = hostController;
\ No newline at end of file
@@ -0,0 +1,184 @@
+const Event = require('../models/event.model');
+const User = require('../models/user.model');
+const StaffAssignment = require('../models/staff-assignment.model');
+const { AppError, catchAsync } = require('../middlewares/error.middleware');
+const emailService = require('../config/email');
+
+// Default scanning window ends this long after the event starts
+const DEFAULT_ACCESS_HOURS_AFTER_START = 24;
+
+const staffController = {
+  // Invite door staff to scan an event
+  inviteStaff: catchAsync(async (req, res) => {
+    const { eventId } = req.params;
+    const { email, name, gates = [], validFrom, validUntil } = req.body;
+
+    const event = await Event.findOne({ _id: eventId, hostId: req.userId });
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    if (['cancelled', 'completed'].includes(event.status)) {
+      throw new AppError(`Cannot invite staff to a ${event.status} event`, 400);
+    }
+
+    const existing = await StaffAssignment.findOne({
+      eventId: event._id,
+      email: email.toLowerCase(),
+      status: { $in: ['invited', 'active'] }
+    });
+    if (existing) {
+      throw new AppError('This person already has access to the event', 400);
+    }
+
+    const accessFrom = validFrom ? new Date(validFrom) : new Date();
+    const accessUntil = validUntil
+      ? new Date(validUntil)
+      : new Date(event.eventDateTime.getTime() + DEFAULT_ACCESS_HOURS_AFTER_START * 60 * 60 * 1000);
+
+    if (accessUntil <= accessFrom || accessUntil <= new Date()) {
+      throw new AppError('Access window must end in the future and after it starts', 400);
+    }
+
+    const assignment = new StaffAssignment({
+      hostId: req.userId,
+      eventId: event._id,
+      email,
+      name,
+      gates,
+      validFrom: accessFrom,
+      validUntil: accessUntil
+    });
+    const token = assignment.createInviteToken();
+    await assignment.save();
+
+    await sendStaffInvitation(assignment, event, req.userId, token);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Staff invitation sent',
+      data: { assignment }
+    });
+  }),
+
+  // List staff for an event
+  getEventStaff: catchAsync(async (req, res) => {
+    const { eventId } = req.params;
+
+    const event = await Event.findOne({ _id: eventId, hostId: req.userId });
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    const staff = await StaffAssignment.find({ eventId: event._id })
+      .populate('scannerId', 'name email phone lastLogin')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: { staff }
+    });
+  }),
+
+  // Resend an invitation with a fresh link
+  resendInvitation: catchAsync(async (req, res) => {
+    const { eventId, assignmentId } = req.params;
+
+    const assignment = await StaffAssignment.findOne({
+      assignmentId,
+      eventId,
+      hostId: req.userId
+    });
+    if (!assignment) {
+      throw new AppError('Staff assignment not found', 404);
+    }
+
+    if (assignment.status !== 'invited') {
+      throw new AppError(`Invitation is already ${assignment.status}`, 400);
+    }
+
+    const event = await Event.findById(assignment.eventId);
+    const token = assignment.createInviteToken();
+    await assignment.save();
+
+    await sendStaffInvitation(assignment, event, req.userId, token);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Staff invitation resent',
+      data: { assignment }
+    });
+  }),
+
+  // Revoke staff access (takes effect on the next scan)
+  revokeStaff: catchAsync(async (req, res) => {
+    const { eventId, assignmentId } = req.params;
+
+    const assignment = await StaffAssignment.findOne({
+      assignmentId,
+      eventId,
+      hostId: req.userId
+    });
+    if (!assignment) {
+      throw new AppError('Staff assignment not found', 404);
+    }
+
+    if (assignment.status === 'revoked') {
+      throw new AppError('Staff access is already revoked', 400);
+    }
+
+    await assignment.revoke(req.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Staff access revoked',
+      data: { assignment }
+    });
+  }),
+
+  // Events the signed-in scanner is assigned to
+  getMyAssignments: catchAsync(async (req, res) => {
+    const assignments = await StaffAssignment.find({
+      scannerId: req.userId,
+      status: 'active',
+      validUntil: { $gte: new Date() }
+    })
+      .populate('eventId', 'name slug eventDateTime location.venueName status')
+      .sort({ validFrom: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: { assignments }
+    });
+  })
+};
+
+// Helper functions
+async function sendStaffInvitation(assignment, event, hostId, token) {
+  try {
+    const host = await User.findById(hostId).select('name companyName');
+    const acceptUrl = `${process.env.APP_URL || 'http://localhost:3000'}/staff/accept?token=${token}`;
+
+    const emailHtml = emailService.generateStaffInvitationEmail({
+      staffName: assignment.name,
+      hostName: (host && (host.companyName || host.name)) || 'An event host',
+      eventName: event.name,
+      venue: event.location.venueName,
+      gates: assignment.gates,
+      validFrom: assignment.validFrom.toLocaleString(),
+      validUntil: assignment.validUntil.toLocaleString(),
+      inviteExpiresAt: assignment.inviteExpiresAt.toLocaleString(),
+      acceptUrl
+    });
+
+    await emailService.sendEmail(
+      assignment.email,
+      `You're invited to scan tickets at ${event.name}`,
+      emailHtml
+    );
+  } catch (error) {
+    console.error('Error sending staff invitation email:', error);
+  }
+}
+
+module.exports = staffController;
@@ -1,13 +1,59 @@
+const mongoose = require('mongoose');
 const Ticket = require('../models/ticket.model');
 const Event = require('../models/event.model');
+const StaffAssignment = require('../models/staff-assignment.model');
+const ScanEvent = require('../models/scan-event.model');
 const { AppError, catchAsync } = require('../middlewares/error.middleware');
 const redisClient = require('../config/redis');
+const ticketSigningService = require('../services/ticket-signing.service');
+const liveEventService = require('../services/live-event.service');
+const ticketTransferService = require('../services/ticket-transfer.service');
+const buyerService = require('../services/buyer.service');
+
+// Status codes used in offline manifests
+const MANIFEST_STATUS = {
+  not_active: 'v',
+  valid: 'v',
+  already_used: 'u',
+  invalid: 'x',
+  cancelled: 'x'
+};
+
+const SCAN_REJECTION_MESSAGES = {
+  invalid_qr: 'Invalid ticket QR code',
+  wrong_event: 'Ticket is for a different event',
+  not_found: 'Ticket not found',
+  not_active: 'Ticket not yet active. Becomes valid 4 hours before event.',
+  already_used: 'Ticket already used',
+  already_inside: 'Ticket holder is already inside',
+  reentry_limit: 'Re-entry limit reached for this ticket',
+  reentry_not_allowed: 'Re-entry is not allowed for this ticket tier',
+  not_inside: 'Ticket holder has not entered the venue',
+  invalid: 'Ticket is invalid',
+  cancelled: 'Ticket is cancelled'
+};
 
 const ticketController = {
-  // Scan ticket QR code
+  // Scan ticket QR code. `direction: 'out'` records an exit on re-entry tiers.
   scanTicket: catchAsync(async (req, res) => {
-    const { qrCodeId } = req.body;
-    const scannerId = req.userId; // Assuming scanner is authenticated
+    const { qrCode, eventId, gate, deviceId, direction = 'in' } = req.body;
+    const scannerId = req.userId;
+    const attempt = { scannerId, deviceId, gate, direction, scannedAt: new Date() };
+
+    // Reject forged or tampered codes before touching the database
+    const { claims, reason } = checkQrCode(qrCode, eventId);
+    if (reason) {
+      // Only staff working the event may add to its scan log
+      if (eventId) {
+        await assertScanAccess(req, eventId, gate);
+        await recordRejection(eventId, claims && { qrCodeId: claims.qrCodeId }, reason, attempt);
+      }
+      throw new AppError(SCAN_REJECTION_MESSAGES[reason], 400);
+    }
+    const { qrCodeId } = claims;
+
+    // Only the event's host, admins and staff assigned to this event/gate may scan
+    await assertScanAccess(req, claims.eventId, gate);
 
     // Try cache first
     const cacheKey = `ticket:${qrCodeId}`;
@@ -19,11 +65,10 @@ const ticketController = {
       ticket = JSON.parse(cachedTicket);
     } else {
       // Find ticket
-      ticket = await Ticket.findOne({ qrCodeId })
-        .populate('event', 'name eventDateTime location.venueName')
-        .populate('order', 'orderNumber buyerName');
+      ticket = await Ticket.findOne({ qrCodeId });
 
       if (!ticket) {
+        await recordRejection(claims.eventId, { qrCodeId }, 'not_found', attempt);
         throw new AppError('Ticket not found', 404);
       }
 
@@ -31,95 +76,480 @@ const ticketController = {
       await redisClient.set(cacheKey, JSON.stringify(ticket), { EX: 300 });
     }
 
-    // Check ticket status
-    if (ticket.status === 'already_used') {
+    const event = await Event.findById(ticket.eventId).select('name eventDateTime location.venueName tiers');
+    const reentry = event ? event.reentryPolicy(ticket.tierName) : null;
+    const activationTime = event && new Date(event.eventDateTime.getTime() - 4 * 60 * 60 * 1000);
+
+    let rejection;
+    let updatedTicket;
+
+    if (direction === 'out') {
+      rejection = Ticket.exitRejection(ticket, reentry);
+      if (!rejection) {
+        updatedTicket = await Ticket.exit(ticket, attempt.scannedAt);
+      }
+    } else {
+      rejection = Ticket.entryRejection(ticket, reentry);
+
+      if (!rejection && ticket.status === 'not_active' && activationTime && attempt.scannedAt < activationTime) {
+        rejection = 'not_active';
+      }
+
+      if (!rejection) {
+        updatedTicket = await Ticket.admit(ticket, {
+          scannedAt: attempt.scannedAt,
+          scannedBy: scannerId,
+          deviceId,
+          gate
+        });
+      }
+    }
+
+    if (!updatedTicket) {
+      // A concurrent scan of the same ticket got there first
+      if (!rejection) {
+        await redisClient.del(cacheKey);
+        rejection = direction === 'out' ? 'not_inside' : 'already_used';
+      }
+
+      await recordRejection(claims.eventId, ticket, rejection, attempt);
+
       return res.status(400).json({
         status: 'error',
-        message: 'Ticket already used',
+        message: SCAN_REJECTION_MESSAGES[rejection],
         data: {
           ticketId: ticket.ticketId,
+          reason: rejection,
+          event: event?.name,
           scannedAt: ticket.scannedAt,
-          event: ticket.event?.name
+          entryCount: ticket.entryCount,
+          ...(rejection === 'not_active' && {
+            activationTime,
+            currentTime: attempt.scannedAt
+          })
         }
       });
     }
 
-    if (ticket.status === 'invalid' || ticket.status === 'cancelled') {
-      return res.status(400).json({
-        status: 'error',
-        message: `Ticket is ${ticket.status}`,
-        data: {
-          ticketId: ticket.ticketId,
-          event: ticket.event?.name
-        }
+    // Update cache
+    await redisClient.set(cacheKey, JSON.stringify(updatedTicket), { EX: 300 });
+
+    const isExit = direction === 'out';
+    const isReentry = !isExit && updatedTicket.entryCount > 1;
+
+    // Log scan
+    await ScanEvent.record({
+      eventId: updatedTicket.eventId,
+      ...scanTicketFields(updatedTicket),
+      ...attempt,
+      result: isExit ? 'exited' : 'admitted',
+      reentry: isReentry
+    });
+
+    if (isExit) {
+      await liveEventService.publishExit(claims.eventId, {
+        ticketId: updatedTicket.ticketId,
+        tierName: updatedTicket.tierName,
+        gate,
+        scannedAt: attempt.scannedAt
+      });
+    } else {
+      await liveEventService.publishScan(claims.eventId, {
+        ticketId: updatedTicket.ticketId,
+        tierName: updatedTicket.tierName,
+        gate,
+        scannedAt: attempt.scannedAt,
+        scannedBy: scannerId,
+        reentry: isReentry
       });
     }
 
-    if (ticket.status === 'not_active') {
-      const now = new Date();
-      const eventTime = new Date(ticket.event?.eventDateTime);
-      const fourHoursBefore = new Date(eventTime.getTime() - 4 * 60 * 60 * 1000);
-
-      if (now < fourHoursBefore) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'Ticket not yet active. Becomes valid 4 hours before event.',
-          data: {
-            ticketId: ticket.ticketId,
-            activationTime: fourHoursBefore,
-            currentTime: now
+    let message = 'Ticket scanned successfully';
+    if (isExit) {
+      message = 'Exit recorded';
+    } else if (isReentry) {
+      message = 'Re-entry admitted';
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message,
+      data: {
+        ticket: {
+          ticketId: updatedTicket.ticketId,
+          buyerName: updatedTicket.buyerName,
+          tier: updatedTicket.tierName,
+          event: event?.name,
+          venue: event?.location?.venueName,
+          scannedAt: updatedTicket.scannedAt,
+          status: updatedTicket.status,
+          entryCount: updatedTicket.entryCount,
+          insideVenue: updatedTicket.insideVenue,
+          reentriesLeft: reentry && reentry.maxReentries !== null
+            ? Math.max(reentry.maxReentries - (updatedTicket.entryCount - 1), 0)
+            : null
+        }
+      }
+    });
+  }),
+
+  // Compact list of an event's tickets for scanning without connectivity.
+  // Pass `since` to fetch only tickets changed after a previous manifest.
+  getScanManifest: catchAsync(async (req, res) => {
+    const { eventId } = req.params;
+    const { gate, since } = req.query;
+
+    await assertScanAccess(req, eventId, gate);
+
+    const event = await Event.findById(eventId).select('name eventDateTime tiers status');
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    const generatedAt = new Date();
+    const query = { eventId: event._id };
+    if (since) {
+      query.updatedAt = { $gt: new Date(since) };
+    }
+
+    const tickets = await Ticket.find(query)
+      .select('qrCodeId tierName status ownershipHistory.qrCodeId')
+      .lean();
+
+    const tiers = event.tiers.map(tier => tier.name);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        event: {
+          id: event._id,
+          name: event.name,
+          status: event.status,
+          eventDateTime: event.eventDateTime,
+          // Tickets can't be used before this
+          activatesAt: new Date(event.eventDateTime.getTime() - 4 * 60 * 60 * 1000)
+        },
+        generatedAt,
+        delta: Boolean(since),
+        tiers,
+        // Each ticket: [sha256(qrCodeId) first 32 hex chars, index into tiers, status code]
+        // Status codes: v = admissible, u = already used, x = cancelled/invalid
+        // QR codes revoked by a transfer are listed with status x
+        fields: ['qrHash', 'tier', 'status'],
+        tickets: tickets.flatMap(ticket => [
+          [
+            Ticket.manifestHash(ticket.qrCodeId),
+            tiers.indexOf(ticket.tierName),
+            MANIFEST_STATUS[ticket.status]
+          ],
+          ...(ticket.ownershipHistory || []).map(previous => [
+            Ticket.manifestHash(previous.qrCodeId),
+            tiers.indexOf(ticket.tierName),
+            'x'
+          ])
+        ]),
+        keys: ticketSigningService.getPublicKeys()
+      }
+    });
+  }),
+
+  // Reconcile scans a device made offline, applied in scan-time order. The first
+  // entry recorded for a ticket admits it; later entries are re-entries where the
+  // tier allows them and are otherwise reported back as duplicates.
+  syncOfflineScans: catchAsync(async (req, res) => {
+    const { eventId, deviceId, gate, scans } = req.body;
+
+    await assertScanAccess(req, eventId, gate);
+
+    const event = await Event.findById(eventId).select('tiers');
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+
+    const now = new Date();
+    const ordered = [...scans].sort(
+      (a, b) => new Date(a.scannedAt) - new Date(b.scannedAt)
+    );
+
+    const results = [];
+
+    for (const scan of ordered) {
+      // Device clocks drift; never record a scan in the future
+      const scannedAt = new Date(Math.min(new Date(scan.scannedAt).getTime(), now.getTime()));
+      const direction = scan.direction || 'in';
+      const attempt = { scannerId: req.userId, deviceId, gate, direction, scannedAt, offline: true };
+      const { claims, reason } = checkQrCode(scan.qrCode, eventId);
+
+      if (reason) {
+        await recordRejection(eventId, claims && { qrCodeId: claims.qrCodeId }, reason, attempt);
+        results.push({ qrCodeId: claims?.qrCodeId, scannedAt, direction, result: 'rejected', reason });
+        continue;
+      }
+
+      const ticket = await Ticket.findOne({ qrCodeId: claims.qrCodeId });
+
+      if (!ticket) {
+        await recordRejection(eventId, { qrCodeId: claims.qrCodeId }, 'not_found', attempt);
+        results.push({ qrCodeId: claims.qrCodeId, scannedAt, direction, result: 'rejected', reason: 'not_found' });
+        continue;
+      }
+
+      const outcome = { qrCodeId: ticket.qrCodeId, ticketId: ticket.ticketId, scannedAt, direction };
+
+      // Same scan uploaded again (e.g. retried sync)
+      if (await ScanEvent.exists({ ticket: ticket._id, deviceId, scannedAt, offline: true })) {
+        results.push({ ...outcome, result: 'already_synced' });
+        continue;
+      }
+
+      const reentry = event.reentryPolicy(ticket.tierName);
+      let rejection;
+      let updatedTicket;
+
+      if (direction === 'out') {
+        rejection = Ticket.exitRejection(ticket, reentry);
+        updatedTicket = !rejection && await Ticket.exit(ticket, scannedAt);
+      } else {
+        rejection = Ticket.entryRejection(ticket, reentry);
+        updatedTicket = !rejection && await Ticket.admit(ticket, {
+          scannedAt,
+          scannedBy: req.userId,
+          deviceId,
+          gate
+        });
+      }
+
+      if (updatedTicket) {
+        await redisClient.del(`ticket:${updatedTicket.qrCodeId}`);
+
+        const isReentry = direction === 'in' && updatedTicket.entryCount > 1;
+        await ScanEvent.record({
+          eventId,
+          ...scanTicketFields(updatedTicket),
+          ...attempt,
+          result: direction === 'out' ? 'exited' : 'admitted',
+          reentry: isReentry
+        });
+
+        if (direction === 'out') {
+          await liveEventService.publishExit(eventId, { ticketId: updatedTicket.ticketId, tierName: updatedTicket.tierName, gate, scannedAt });
+        } else {
+          await liveEventService.publishScan(eventId, {
+            ticketId: updatedTicket.ticketId,
+            tierName: updatedTicket.tierName,
+            gate,
+            scannedAt,
+            scannedBy: req.userId,
+            offline: true,
+            reentry: isReentry
+          });
+        }
+
+        results.push({ ...outcome, result: 'accepted', entryCount: updatedTicket.entryCount });
+        continue;
+      }
+
+      // Another device admitted the ticket first
+      if (direction === 'in' && (!rejection || ['already_used', 'already_inside'].includes(rejection))) {
+        await recordRejection(eventId, ticket, 'duplicate', attempt);
+        results.push({
+          ...outcome,
+          result: 'duplicate',
+          firstScan: {
+            scannedAt: ticket.scannedAt,
+            scannedBy: ticket.scannedBy,
+            deviceId: ticket.scanDeviceId,
+            gate: ticket.scanGate
           }
         });
+        continue;
       }
 
-      // Auto-activate if within valid time
-      ticket.status = 'valid';
+      // e.g. admitted offline on a ticket that was cancelled, or past its re-entry limit
+      rejection = rejection || 'not_inside';
+      await recordRejection(eventId, ticket, rejection, attempt);
+      results.push({ ...outcome, result: 'rejected', reason: rejection });
     }
 
-    // Mark ticket as used
-    const updatedTicket = await Ticket.findByIdAndUpdate(
-      ticket._id,
-      {
-        status: 'already_used',
-        scannedAt: new Date(),
-        scannedBy: scannerId
-      },
-      { new: true }
-    ).populate('event', 'name location.venueName');
+    const summary = results.reduce((counts, item) => {
+      counts[item.result] = (counts[item.result] || 0) + 1;
+      return counts;
+    }, { accepted: 0, duplicate: 0, rejected: 0, already_synced: 0 });
 
-    // Update cache
-    await redisClient.set(cacheKey, JSON.stringify(updatedTicket), { EX: 300 });
+    res.status(200).json({
+      status: 'success',
+      message: `Synced ${results.length} scans`,
+      data: {
+        summary,
+        results,
+        syncedAt: now
+      }
+    });
+  }),
 
-    // Log scan
-    await redisClient.lPush(
-      'scans:log',
-      JSON.stringify({
+  // Every scan attempt for one ticket, oldest first (event host, admin)
+  getTicketScans: catchAsync(async (req, res) => {
+    const { ticketId } = req.params;
+
+    const ticket = await Ticket.findOne({ ticketId })
+      .select('ticketId eventId tierName status scannedAt entryCount insideVenue lastEntryAt lastExitAt');
+    if (!ticket) {
+      throw new AppError('Ticket not found', 404);
+    }
+
+    await assertEventOwner(req, ticket.eventId);
+
+    const scans = await ScanEvent.find({ ticket: ticket._id })
+      .populate('scannerId', 'name email')
+      .sort({ scannedAt: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ticket,
+        scans,
+        count: scans.length
+      }
+    });
+  }),
+
+  // Scan log for an event, newest first, with totals by outcome (event host, admin)
+  getEventScans: catchAsync(async (req, res) => {
+    const { eventId } = req.params;
+    const { result, reason, gate, deviceId, from, to, page = 1, limit = 50 } = req.query;
+
+    await assertEventOwner(req, eventId);
+
+    const query = { eventId: new mongoose.Types.ObjectId(eventId) };
+    if (result) {
+      query.result = result;
+    }
+    if (reason) {
+      query.reason = reason;
+    }
+    if (gate) {
+      query.gate = gate;
+    }
+    if (deviceId) {
+      query.deviceId = deviceId;
+    }
+    if (from || to) {
+      query.scannedAt = {};
+      if (from) query.scannedAt.$gte = new Date(from);
+      if (to) query.scannedAt.$lte = new Date(to);
+    }
+
+    const [scans, totals] = await Promise.all([
+      ScanEvent.paginate(query, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        sort: { scannedAt: -1 },
+        populate: { path: 'scannerId', select: 'name email' }
+      }),
+      ScanEvent.aggregate([
+        { $match: query },
+        { $group: { _id: { result: '$result', reason: '$reason' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const summary = { admitted: 0, exited: 0, rejected: 0, rejections: {} };
+    totals.forEach(({ _id, count }) => {
+      summary[_id.result] += count;
+      if (_id.reason) {
+        summary.rejections[_id.reason] = count;
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        scans: scans.docs,
+        summary,
+        pagination: {
+          total: scans.totalDocs,
+          pages: scans.totalPages,
+          page: scans.page,
+          limit: scans.limit,
+          hasNext: scans.hasNextPage,
+          hasPrev: scans.hasPrevPage
+        }
+      }
+    });
+  }),
+
+  // Holder offers a ticket to someone else (link from the ticket email)
+  requestTransfer: catchAsync(async (req, res) => {
+    const { ticketId } = req.params;
+    const { token, recipientName, recipientEmail, recipientPhone } = req.body;
+
+    const ticket = await ticketTransferService.requestTransfer(ticketId, token, {
+      name: recipientName,
+      email: recipientEmail,
+      phone: recipientPhone
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: `Transfer sent to ${ticket.transfer.recipientEmail}`,
+      data: {
         ticketId: ticket.ticketId,
-        qrCodeId: ticket.qrCodeId,
-        scannedAt: new Date().toISOString(),
-        scannedBy: scannerId,
-        eventId: ticket.event?._id,
-        eventName: ticket.event?.name
-      })
-    );
+        transfer: {
+          recipientName: ticket.transfer.recipientName,
+          recipientEmail: ticket.transfer.recipientEmail,
+          requestedAt: ticket.transfer.requestedAt,
+          expiresAt: ticket.transfer.expiresAt
+        }
+      }
+    });
+  }),
+
+  // Holder withdraws a pending transfer
+  cancelTransfer: catchAsync(async (req, res) => {
+    const { ticketId } = req.params;
+
+    const ticket = await ticketTransferService.cancelTransfer(ticketId, req.body.token);
 
     res.status(200).json({
       status: 'success',
-      message: 'Ticket scanned successfully',
+      message: 'Transfer cancelled',
+      data: { ticketId: ticket.ticketId }
+    });
+  }),
+
+  // Recipient accepts; the ticket is re-issued in their name
+  acceptTransfer: catchAsync(async (req, res) => {
+    const { ticket } = await ticketTransferService.acceptTransfer(req.body.token);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Ticket transferred. Your new ticket has been emailed to you.',
       data: {
         ticket: {
-          ticketId: updatedTicket.ticketId,
-          buyerName: updatedTicket.buyerName,
-          tier: updatedTicket.tierName,
-          event: updatedTicket.event?.name,
-          venue: updatedTicket.event?.location?.venueName,
-          scannedAt: updatedTicket.scannedAt,
-          status: updatedTicket.status
+          ticketId: ticket.ticketId,
+          buyerName: ticket.buyerName,
+          tier: ticket.tierName,
+          status: ticket.status,
+          pdfUrl: ticket.pdfUrl,
+          pngUrl: ticket.pngUrl
         }
       }
     });
   }),
 
+  // Public keys for verifying ticket QR codes offline
+  getSigningKeys: catchAsync(async (req, res) => {
+    const keys = ticketSigningService.getPublicKeys();
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(200).json({
+      status: 'success',
+      data: {
+        format: 'SP1.<kid>.<base64url payload>.<base64url signature>',
+        keys
+      }
+    });
+  }),
+
   // Get ticket by ID
   getTicketById: catchAsync(async (req, res) => {
     const { ticketId } = req.params;
@@ -133,7 +563,7 @@ const ticketController = {
     }
 
     // Check authorization
-    const isOwner = ticket.buyerEmail === req.user?.email;
+    const isOwner = buyerService.owns(req.user, ticket);
     const isEventHost = req.userRole === 'host' && 
                       (await Event.exists({ _id: ticket.eventId, hostId: req.userId }));
 
@@ -164,7 +594,7 @@ const ticketController = {
 
     // Check authorization
     const firstTicket = tickets[0];
-    const isOwner = firstTicket.buyerEmail === req.user?.email;
+    const isOwner = buyerService.owns(req.user, firstTicket);
     const isEventHost = req.userRole === 'host' && 
                       (await Event.exists({ _id: firstTicket.eventId, hostId: req.userId }));
 
@@ -249,7 +679,7 @@ const ticketController = {
     }
 
     // Check authorization
-    const isOwner = ticket.buyerEmail === req.user?.email;
+    const isOwner = buyerService.owns(req.user, ticket);
     const isEventHost = req.userRole === 'host' && 
                       (await Event.exists({ _id: ticket.eventId, hostId: req.userId }));
 
@@ -275,7 +705,9 @@ const ticketController = {
 
   // Validate ticket (for checking validity without scanning)
   validateTicket: catchAsync(async (req, res) => {
-    const { qrCodeId } = req.body;
+    const { qrCode, eventId } = req.body;
+
+    const { qrCodeId } = verifyQrCode(qrCode, eventId);
 
     const ticket = await Ticket.findOne({ qrCodeId })
       .populate('event', 'name eventDateTime location.venueName')
@@ -309,4 +741,85 @@ const ticketController = {
   })
 };
 
+// Helper functions
+// Check a scanned QR code's signature and, if given, that it belongs to the event being scanned
+function checkQrCode(qrCode, eventId) {
+  const claims = ticketSigningService.verify(qrCode);
+  if (!claims) {
+    return { reason: 'invalid_qr' };
+  }
+
+  if (eventId && claims.eventId !== eventId) {
+    return { claims, reason: 'wrong_event' };
+  }
+
+  return { claims };
+}
+
+function verifyQrCode(qrCode, eventId) {
+  const { claims, reason } = checkQrCode(qrCode, eventId);
+  if (reason) {
+    throw new AppError(SCAN_REJECTION_MESSAGES[reason], 400);
+  }
+
+  return claims;
+}
+
+// Ticket fields copied onto each scan log entry
+function scanTicketFields(ticket) {
+  return {
+    ticket: ticket._id,
+    ticketId: ticket.ticketId,
+    qrCodeId: ticket.qrCodeId,
+    tierName: ticket.tierName
+  };
+}
+
+// Log a refused scan and count it on the live dashboard. `ticket` is null when
+// the QR code couldn't be read, or just { qrCodeId } when no ticket matched.
+async function recordRejection(eventId, ticket, reason, attempt) {
+  await ScanEvent.record({
+    eventId,
+    ...(ticket && (ticket._id ? scanTicketFields(ticket) : { qrCodeId: ticket.qrCodeId })),
+    ...attempt,
+    result: 'rejected',
+    reason
+  });
+
+  await liveEventService.publishRejection(eventId, {
+    reason,
+    ticketId: ticket && ticket.ticketId,
+    tierName: ticket && ticket.tierName,
+    gate: attempt.gate
+  });
+}
+
+async function assertEventOwner(req, eventId) {
+  if (req.userRole === 'admin') {
+    return;
+  }
+
+  if (!await Event.exists({ _id: eventId, hostId: req.userId })) {
+    throw new AppError('Event not found or unauthorized', 404);
+  }
+}
+
+async function assertScanAccess(req, eventId, gate) {
+  if (req.userRole === 'admin') {
+    return;
+  }
+
+  if (req.userRole === 'host' && await Event.exists({ _id: eventId, hostId: req.userId })) {
+    return;
+  }
+
+  const assignment = await StaffAssignment.findActive(req.userId, eventId, gate);
+  if (!assignment) {
+    throw new AppError(
+      gate ? `You are not assigned to scan at gate "${gate}" for this event` : 'You are not assigned to scan this event',
+      403
+    );
+  }
+}
+
 module.exports = ticketController;
\ No newline at end of file
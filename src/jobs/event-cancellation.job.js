@@ -0,0 +1,218 @@
+const { Queue, Worker } = require('bullmq');
+const Redis = require('ioredis');
+const Event = require('../models/event.model');
+const Order = require('../models/order.model');
+const Ticket = require('../models/ticket.model');
+const Refund = require('../models/refund.model');
+const emailService = require('../config/email');
+const redisClient = require('../config/redis');
+const paymentService = require('../services/payment.service');
+const inventoryService = require('../services/inventory.service');
+const { cancelPayoutJobs } = require('./payout.job');
+
+// Redis connection for BullMQ
+const connection = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+  maxRetriesPerRequest: null
+});
+
+// Create queue
+const cancellationQueue = new Queue('event-cancellation', { connection });
+
+// Report progress every N orders so large events don't flood Redis
+const PROGRESS_INTERVAL = 25;
+// Keep the failure list small enough to live in job progress
+const MAX_REPORTED_FAILURES = 100;
+
+// Create worker
+const cancellationWorker = new Worker('event-cancellation', async job => {
+  console.log(`Processing event cancellation job ${job.id}`);
+
+  try {
+    const { eventId, reason } = job.data;
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      throw new Error(`Event ${eventId} not found`);
+    }
+
+    if (event.status !== 'cancelled') {
+      throw new Error(`Event ${eventId} is not cancelled`);
+    }
+
+    const progress = {
+      stage: 'tickets',
+      ticketsCancelled: 0,
+      holdsReleased: 0,
+      totalOrders: 0,
+      ordersProcessed: 0,
+      refundsQueued: 0,
+      refundsSkipped: 0,
+      refundFailures: 0,
+      emailsSent: 0,
+      emailFailures: 0,
+      failures: []
+    };
+
+    // Invalidate every ticket for the event, including cached scan lookups
+    const tickets = await Ticket.find({
+      eventId: event._id,
+      status: { $ne: 'cancelled' }
+    }).select('qrCodeId');
+
+    const ticketResult = await Ticket.updateMany(
+      { eventId: event._id, status: { $ne: 'cancelled' } },
+      { status: 'cancelled' }
+    );
+    progress.ticketsCancelled = ticketResult.modifiedCount;
+
+    for (const ticket of tickets) {
+      await redisClient.del(`ticket:${ticket.qrCodeId}`);
+    }
+
+    // Checkouts still waiting on payment give their seats back. A payment
+    // that completes later is refunded by PaymentService.completeOrderPayment.
+    progress.stage = 'holds';
+    const heldOrders = Order.find({
+      eventId: event._id,
+      inventoryStatus: 'held'
+    }).cursor();
+
+    for await (const order of heldOrders) {
+      if (await inventoryService.releaseOrderHold(order._id)) {
+        progress.holdsReleased += 1;
+      }
+
+      await Order.updateOne(
+        { _id: order._id, paymentStatus: { $in: ['pending', 'processing'] } },
+        { paymentStatus: 'expired', notes: 'Event cancelled before payment completed' }
+      );
+    }
+
+    // Nothing is owed to the host for a cancelled event
+    const payoutResult = await cancelPayoutJobs(event._id, 'Event cancelled');
+    progress.payoutJobsRemoved = payoutResult.jobsRemoved;
+
+    progress.stage = 'refunds';
+    progress.totalOrders = await Order.countDocuments({
+      eventId: event._id,
+      paymentStatus: 'completed'
+    });
+    await job.updateProgress(progress);
+
+    const cursor = Order.find({
+      eventId: event._id,
+      paymentStatus: 'completed'
+    }).cursor();
+
+    for await (const order of cursor) {
+      const paid = Math.round(order.totalAmount);
+      const refundable = paid - await Refund.committedAmount(order._id);
+
+      // Orders already refunded (e.g. on a retried job) are skipped. Free
+      // orders have nothing to refund but their buyers still get the notice.
+      if (paid > 0 && refundable <= 0) {
+        progress.refundsSkipped += 1;
+      } else {
+        let refundQueued = false;
+
+        if (refundable > 0) {
+          try {
+            await paymentService.refundPayment(order._id, undefined, `Event cancelled: ${event.name}`, {
+              requestedBy: event.cancellation?.cancelledBy
+            });
+            refundQueued = true;
+            progress.refundsQueued += 1;
+          } catch (error) {
+            progress.refundFailures += 1;
+            recordFailure(progress, order, 'refund', error);
+          }
+        }
+
+        try {
+          await sendCancellationEmail(order, event, reason, refundable, refundQueued);
+          progress.emailsSent += 1;
+        } catch (error) {
+          progress.emailFailures += 1;
+          recordFailure(progress, order, 'email', error);
+        }
+      }
+
+      progress.ordersProcessed += 1;
+      if (progress.ordersProcessed % PROGRESS_INTERVAL === 0) {
+        await job.updateProgress(progress);
+      }
+    }
+
+    progress.stage = 'completed';
+    await job.updateProgress(progress);
+
+    console.log(`Event ${eventId} cancellation processed: ${progress.refundsQueued} refunds queued, ${progress.refundFailures} failed`);
+
+    return {
+      success: true,
+      eventId,
+      ...progress
+    };
+  } catch (error) {
+    console.error(`Event cancellation job ${job.id} failed:`, error);
+    throw error;
+  }
+}, { connection });
+
+function recordFailure(progress, order, step, error) {
+  if (progress.failures.length < MAX_REPORTED_FAILURES) {
+    progress.failures.push({
+      orderNumber: order.orderNumber,
+      step,
+      message: error.message
+    });
+  }
+}
+
+// Function to queue the bulk cancellation for an event
+async function queueEventCancellation(event, reason) {
+  return cancellationQueue.add('cancel-event', {
+    eventId: event._id,
+    eventName: event.name,
+    reason
+  }, {
+    jobId: getCancellationJobId(event._id),
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 10000
+    },
+    removeOnComplete: false
+  });
+}
+
+function getCancellationJobId(eventId) {
+  return `cancel-${eventId}`;
+}
+
+// Function to send cancellation notice to a buyer
+async function sendCancellationEmail(order, event, reason, refundAmount, refundQueued) {
+  const emailHtml = emailService.generateEventCancellationEmail({
+    buyerName: order.buyerName,
+    buyerPhone: order.buyerPhone,
+    eventName: event.name,
+    eventDateTime: new Date(event.eventDateTime).toLocaleString(),
+    orderNumber: order.orderNumber,
+    reason,
+    refundAmount,
+    refundQueued
+  });
+
+  await emailService.sendEmail(
+    order.buyerEmail,
+    `Cancelled: ${event.name}`,
+    emailHtml
+  );
+}
+
+module.exports = {
+  cancellationQueue,
+  cancellationWorker,
+  queueEventCancellation,
+  getCancellationJobId
+};
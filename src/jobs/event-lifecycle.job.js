@@ -0,0 +1,94 @@
+const { Queue, Worker } = require('bullmq');
+const Redis = require('ioredis');
+const Ticket = require('../models/ticket.model');
+const User = require('../models/user.model');
+const emailService = require('../config/email');
+const redisClient = require('../config/redis');
+const eventLifecycle = require('../services/event-lifecycle.service');
+const liveEventService = require('../services/live-event.service');
+const ledgerService = require('../services/ledger.service');
+const { queueEventPayout } = require('./payout.job');
+
+// Redis connection for BullMQ
+const connection = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+  maxRetriesPerRequest: null
+});
+
+// Create queue
+const lifecycleQueue = new Queue('event-lifecycle', { connection });
+
+// How often to look for events due a transition
+const SWEEP_INTERVAL_MS = parseInt(process.env.EVENT_LIFECYCLE_SWEEP_MINUTES || '5') * 60 * 1000;
+const RESERVE_DAYS = parseInt(process.env.PAYOUT_RESERVE_DAYS || '7');
+
+// Create worker
+const lifecycleWorker = new Worker('event-lifecycle', async job => {
+  console.log(`Processing event lifecycle job ${job.id}`);
+
+  try {
+    const counts = await eventLifecycle.sweep();
+
+    if (counts.salesClosed || counts.completed || counts.ticketsExpired) {
+      console.log(`Event lifecycle: ${counts.salesClosed} sales closed, ${counts.completed} completed, ${counts.ticketsExpired} ticket expiries`);
+    }
+
+    return { success: true, ...counts };
+  } catch (error) {
+    console.error(`Event lifecycle job ${job.id} failed:`, error);
+    throw error;
+  }
+}, { connection });
+
+// Public event pages are cached; drop them so buyers see sales have closed
+eventLifecycle.on('sales_closed', async (event) => {
+  await redisClient.del(`event:${event.slug}`);
+  await liveEventService.publish(event._id, 'sales_closed', { salesClosedAt: event.salesClosedAt });
+});
+
+// Queue the settlement and reserve payouts, delayed until each is due
+eventLifecycle.on('completed', async (event) => {
+  await queueEventPayout(event, 'settlement');
+  await queueEventPayout(event, 'reserve_release');
+});
+
+// Thank the host and tell them when the money arrives
+eventLifecycle.on('completed', async (event) => {
+  const host = await User.findById(event.hostId).select('name email');
+  if (!host) {
+    return;
+  }
+
+  const checkedIn = await Ticket.countDocuments({ eventId: event._id, status: 'already_used' });
+  const dateOf = (days) => new Date(event.eventDateTime.getTime() + days * 24 * 60 * 60 * 1000)
+    .toLocaleDateString('en-KE', { timeZone: 'Africa/Nairobi', day: 'numeric', month: 'long', year: 'numeric' });
+
+  await emailService.sendEmail(
+    host.email,
+    `That's a wrap: ${event.name}`,
+    emailService.generateEventCompletedEmail({
+      name: host.name,
+      eventName: event.name,
+      ticketsSold: event.ticketsSold || 0,
+      checkedIn,
+      reservePercent: ledgerService.reservePercent,
+      settlementDate: dateOf(1),
+      reserveReleaseDate: dateOf(RESERVE_DAYS)
+    })
+  );
+});
+
+eventLifecycle.on('tickets_expired', async (event, { invalidated }) => {
+  await liveEventService.publish(event._id, 'tickets_expired', { invalidated });
+});
+
+// Sweep for due transitions every few minutes
+lifecycleQueue.add('lifecycle-sweep', {}, {
+  repeat: { every: SWEEP_INTERVAL_MS, immediately: true },
+  removeOnComplete: true,
+  removeOnFail: 100
+}).catch(error => console.error('Error scheduling event lifecycle sweep:', error));
+
+module.exports = {
+  lifecycleQueue,
+  lifecycleWorker
+};
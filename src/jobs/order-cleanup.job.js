@@ -0,0 +1,163 @@
+const { Queue, Worker } = require('bullmq');
+const Redis = require('ioredis');
+const Order = require('../models/order.model');
+const paymentService = require('../services/payment.service');
+const inventoryService = require('../services/inventory.service');
+
+// Redis connection for BullMQ
+const connection = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+  maxRetriesPerRequest: null
+});
+
+// Create queue
+const cleanupQueue = new Queue('order-cleanup', { connection });
+
+// How long an STK push may stay unanswered before we ask M-Pesa about it
+const PROCESSING_TIMEOUT_MS = parseInt(process.env.ORDER_PROCESSING_TIMEOUT_MINUTES || '15') * 60 * 1000;
+// After this long an unresolved order is abandoned even if M-Pesa can't answer
+const ABANDON_AFTER_MS = parseInt(process.env.ORDER_ABANDON_HOURS || '24') * 60 * 60 * 1000;
+
+// Create worker
+const cleanupWorker = new Worker('order-cleanup', async job => {
+  console.log(`Processing order cleanup job ${job.id}`);
+
+  // Periodic sweep for stale orders
+  if (job.name === 'schedule-cleanup') {
+    await scheduleOrderCleanup();
+    return { success: true };
+  }
+
+  try {
+    const { orderId } = job.data;
+
+    const order = await Order.findById(orderId);
+    if (!order || !['pending', 'processing'].includes(order.paymentStatus)) {
+      return { success: true, orderId, action: 'none' };
+    }
+
+    // Unpaid checkout whose reservation lapsed (delayed expiry job missed)
+    if (order.paymentStatus === 'pending') {
+      await inventoryService.expireReservation(order._id);
+      return { success: true, orderId, action: 'expired' };
+    }
+
+    // Payment was never actually sent to M-Pesa
+    if (!order.checkoutRequestId) {
+      await paymentService.failOrderPayment(
+        { _id: order._id },
+        'Payment was never initiated with M-Pesa',
+        'expired'
+      );
+      return { success: true, orderId, action: 'expired' };
+    }
+
+    // Ask M-Pesa what happened before giving up on the order
+    let statusResult;
+    try {
+      statusResult = await paymentService.checkPaymentStatus(order.checkoutRequestId);
+    } catch (error) {
+      statusResult = null;
+    }
+
+    if (statusResult && statusResult.success) {
+      try {
+        await paymentService.completeOrderPayment(
+          { _id: order._id, paymentStatus: { $in: ['pending', 'processing'] } },
+          {
+            checkoutRequestId: order.checkoutRequestId,
+            notes: 'Payment confirmed via M-Pesa status query (callback not received)'
+          }
+        );
+      } catch (error) {
+        // Callback landed while we were querying
+        if (error.statusCode === 409) {
+          return { success: true, orderId, action: 'none' };
+        }
+        throw error;
+      }
+
+      // The receipt is stored when the callback turns up (see PaymentService.recordLateReceipt)
+      console.log(`Order ${order.orderNumber} recovered as paid from M-Pesa status query`);
+      return { success: true, orderId, action: 'completed' };
+    }
+
+    if (statusResult && statusResult.resultCode !== undefined) {
+      await paymentService.failOrderPayment(
+        { _id: order._id },
+        `Payment failed: ${statusResult.resultDesc}`
+      );
+      return { success: true, orderId, action: 'failed' };
+    }
+
+    // M-Pesa couldn't tell us (still processing or unreachable)
+    if (Date.now() - order.createdAt.getTime() > ABANDON_AFTER_MS) {
+      await paymentService.failOrderPayment(
+        { _id: order._id },
+        'Payment abandoned: no result from M-Pesa',
+        'expired'
+      );
+      return { success: true, orderId, action: 'abandoned' };
+    }
+
+    return { success: true, orderId, action: 'retry_later' };
+  } catch (error) {
+    console.error(`Order cleanup job ${job.id} failed:`, error);
+    throw error;
+  }
+}, { connection });
+
+// Function to queue cleanup for stale orders
+async function scheduleOrderCleanup() {
+  console.log('Scheduling order cleanup...');
+
+  try {
+    const now = Date.now();
+
+    const staleOrders = await Order.find({
+      $or: [
+        {
+          paymentStatus: 'pending',
+          reservationExpiresAt: { $lt: new Date(now) }
+        },
+        {
+          paymentStatus: 'processing',
+          updatedAt: { $lt: new Date(now - PROCESSING_TIMEOUT_MS) }
+        }
+      ]
+    }).select('_id orderNumber').limit(500);
+
+    console.log(`Found ${staleOrders.length} stale orders to clean up`);
+
+    for (const order of staleOrders) {
+      // jobId dedupes orders already waiting in the queue
+      await cleanupQueue.add('cleanup-order', {
+        orderId: order._id,
+        orderNumber: order.orderNumber
+      }, {
+        jobId: `cleanup-${order._id}`,
+        attempts: 3,
+        backoff: {
+          type: 'exponential',
+          delay: 5000
+        },
+        removeOnComplete: true,
+        removeOnFail: true
+      });
+    }
+  } catch (error) {
+    console.error('Error scheduling order cleanup:', error);
+  }
+}
+
+// Sweep for stale orders every 5 minutes
+cleanupQueue.add('schedule-cleanup', {}, {
+  repeat: { every: 5 * 60 * 1000, immediately: true },
+  removeOnComplete: true,
+  removeOnFail: 100
+}).catch(error => console.error('Error scheduling order cleanup sweep:', error));
+
+module.exports = {
+  cleanupQueue,
+  cleanupWorker,
+  scheduleOrderCleanup
+};
@@ -2,9 +2,24 @@ const { Queue, Worker } = require('bullmq');
 const Redis = require('ioredis');
 const Event = require('../models/event.model');
 const Payout = require('../models/payout.model');
-const Order = require('../models/order.model');
 const User = require('../models/user.model');
 const emailService = require('../config/email');
+const payoutService = require('../services/payout.service');
+const ledgerService = require('../services/ledger.service');
+
+// Days after the event before the refund reserve is paid out
+const RESERVE_DAYS = parseInt(process.env.PAYOUT_RESERVE_DAYS || '7');
+
+// When each automatic payout stage is due, counted from the event start
+const STAGE_DELAYS = {
+  settlement: 24 * 60 * 60 * 1000,
+  reserve_release: RESERVE_DAYS * 24 * 60 * 60 * 1000
+};
+// Event flag set once a stage is queued
+const STAGE_FLAGS = {
+  settlement: 'payoutProcessed',
+  reserve_release: 'reserveReleased'
+};
 
 // Redis connection for BullMQ
 const connection = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
@@ -18,8 +33,19 @@ const payoutQueue = new Queue('payouts', { connection });
 const payoutWorker = new Worker('payouts', async job => {
   console.log(`Processing payout job ${job.id}`);
   
+  // Daily sweep for events that are due a payout
+  if (job.name === 'schedule-payouts') {
+    await schedulePayoutJobs();
+    return { success: true };
+  }
+  
+  // Hand a prepared payout to its provider
+  if (job.name === 'send-payout') {
+    return payoutService.dispatch(job.data.payoutId);
+  }
+  
   try {
-    const { eventId } = job.data;
+    const { eventId, stage = 'settlement' } = job.data;
     
     // Find event
     const event = await Event.findById(eventId);
@@ -32,24 +58,37 @@ const payoutWorker = new Worker('payouts', async job => {
       throw new Error(`Event ${eventId} is not completed`);
     }
     
-    // Get completed orders for this event
-    const completedOrders = await Order.find({
-      eventId: event._id,
-      paymentStatus: 'completed'
+    // Already sent for this stage (e.g. the job was queued twice)
+    const existingPayout = await Payout.findOne({
+      eventId,
+      stage,
+      status: { $in: ['pending', 'processing', 'completed'] }
     });
+    if (existingPayout) {
+      return { success: true, payoutId: existingPayout.payoutId, alreadyQueued: true };
+    }
     
-    // Calculate total payout
-    const totalRevenue = completedOrders.reduce((sum, order) => sum + order.hostAmount, 0);
-    
-    if (totalRevenue <= 0) {
-      console.log(`No revenue to payout for event ${eventId}`);
-      return { success: true, message: 'No revenue to payout' };
+    // The reserve goes out after the settlement, so wait while that is held for KYC
+    if (stage === 'reserve_release' &&
+        await Payout.exists({ eventId, stage: { $ne: 'reserve_release' }, status: 'on_hold' })) {
+      await Event.updateOne({ _id: eventId }, { reserveReleased: false });
+      return { success: true, deferred: true, message: 'Settlement payout is on hold' };
     }
     
-    // Check if payout already exists
-    const existingPayout = await Payout.findOne({ eventId, status: 'completed' });
-    if (existingPayout) {
-      throw new Error(`Payout already completed for event ${eventId}`);
+    // Size the payout from the host's balance for this event
+    const summary = await ledgerService.eventSummary(event.hostId, event._id);
+    const amount = stage === 'reserve_release' ? summary.releaseAvailable : summary.settlementAvailable;
+    
+    // A payout held earlier is picked up again once KYC is approved
+    let payout = await Payout.findOne({ eventId: event._id, stage, status: 'on_hold' });
+    
+    if (amount < 1) {
+      // Refunds since the hold used up the balance
+      if (payout) {
+        await payoutService.cancel(payout, 'Nothing left to pay out');
+      }
+      console.log(`No balance to pay out for event ${eventId} (${stage})`);
+      return { success: true, message: 'No balance to pay out' };
     }
     
     // Get host details
@@ -58,44 +97,55 @@ const payoutWorker = new Worker('payouts', async job => {
       throw new Error(`Host not found for event ${eventId}`);
     }
     
-    // Create payout record
-    const payout = await Payout.create({
+    const details = {
       hostId: event.hostId,
       eventId: event._id,
-      amount: totalRevenue,
+      amount,
       currency: 'KES',
-      method: 'bank_transfer',
-      bankDetails: host.bankDetails,
-      status: 'processing',
-      metadata: {
-        ticketSales: completedOrders.length,
-        platformFee: completedOrders.reduce((sum, order) => sum + order.platformFee, 0),
-        processingFee: completedOrders.reduce((sum, order) => sum + order.processingFee, 0),
-        netAmount: totalRevenue,
-        taxAmount: 0
+      stage,
+      ...payoutService.destinationFor(host),
+      metadata: payoutService.metadataFor(summary, stage)
+    };
+
+    // Unverified hosts keep selling, but their money waits for a confirmed
+    // email and KYC approval
+    const holdReason = host.payoutHoldReason();
+    if (holdReason) {
+      if (!payout) {
+        payout = await Payout.create({
+          ...details,
+          status: 'on_hold',
+          holdReason,
+          heldAt: new Date()
+        });
+        await sendPayoutHeldEmail(host, event, payout);
+      } else if (payout.holdReason !== holdReason) {
+        payout.holdReason = holdReason;
+        await payout.save();
       }
-    });
-    
-    // Simulate bank transfer (in production, integrate with banking API)
-    // For now, we'll mark it as completed after a delay
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // Update payout status
-    payout.status = 'completed';
-    payout.transactionId = `BANK-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
-    payout.receiptUrl = 'https://example.com/receipt.pdf';
-    payout.completedAt = new Date();
-    await payout.save();
+
+      console.log(`Payout for event ${eventId} held for host ${host._id} (${holdReason})`);
+      return { success: true, held: true, payoutId: payout.payoutId };
+    }
+
+    // Create payout record (amount and destination as of now, in case they changed while held)
+    if (payout) {
+      Object.assign(payout, details, { status: 'pending', holdReason: undefined });
+      await payout.save();
+    } else {
+      payout = await Payout.create({ ...details, status: 'pending' });
+    }
     
-    // Send email notification to host
-    await sendPayoutEmail(host, event, payout);
+    // The provider confirms asynchronously (see payoutService.handleResult)
+    await payoutService.schedule(payout);
     
-    console.log(`Payout completed for event ${eventId}: KES ${totalRevenue}`);
+    console.log(`Payout ${payout.payoutId} queued for event ${eventId} (${stage}): KES ${amount} via ${payout.method}`);
     
     return {
       success: true,
       payoutId: payout.payoutId,
-      amount: totalRevenue,
+      stage,
+      amount,
       eventName: event.name
     };
   } catch (error) {
@@ -104,53 +154,168 @@ const payoutWorker = new Worker('payouts', async job => {
   }
 }, { connection });
 
+// A payout the provider could never accept is marked failed for an admin to retry
+payoutWorker.on('failed', async (job, error) => {
+  if (!job || job.name !== 'send-payout') {
+    return;
+  }
+
+  const exhausted = error.name === 'UnrecoverableError' || job.attemptsMade >= (job.opts.attempts || 1);
+  if (!exhausted) {
+    return;
+  }
+
+  try {
+    const payout = await Payout.findOne({ payoutId: job.data.payoutId, status: 'pending' });
+    if (payout) {
+      await payoutService.fail(payout, error.message);
+      console.error(`Payout ${payout.payoutId} failed: ${error.message}`);
+    }
+  } catch (err) {
+    console.error(`Error marking payout ${job.data.payoutId} failed:`, err);
+  }
+});
+
 // Function to schedule payout jobs
 async function schedulePayoutJobs() {
   console.log('Scheduling payout jobs...');
   
   try {
-    // Find events that ended 24 hours ago and haven't been paid out
-    const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    
-    const eventsToPayout = await Event.find({
-      eventDateTime: { $lt: twentyFourHoursAgo },
+    // Events that ended 24 hours ago get their balance less the refund reserve
+    const eventsToSettle = await Event.find({
+      eventDateTime: { $lt: new Date(Date.now() - STAGE_DELAYS.settlement) },
       status: 'completed',
       payoutProcessed: { $ne: true }
     });
     
-    console.log(`Found ${eventsToPayout.length} events ready for payout`);
-    
-    for (const event of eventsToPayout) {
-      // Check if payout already in queue
-      const jobs = await payoutQueue.getJobs(['waiting', 'delayed', 'active']);
-      const alreadyQueued = jobs.some(job => job.data.eventId.toString() === event._id.toString());
-      
-      if (!alreadyQueued) {
-        await payoutQueue.add('process-payout', {
-          eventId: event._id,
-          eventName: event.name,
-          hostId: event.hostId
-        }, {
-          delay: 1000, // 1 second delay
-          attempts: 3,
-          backoff: {
-            type: 'exponential',
-            delay: 5000
-          }
-        });
-        
-        // Mark as payout processed
-        event.payoutProcessed = true;
-        await event.save();
-      }
+    // Once the refund window has closed, the reserve follows
+    const eventsToRelease = await Event.find({
+      eventDateTime: { $lt: new Date(Date.now() - STAGE_DELAYS.reserve_release) },
+      status: 'completed',
+      payoutProcessed: true,
+      reserveReleased: { $ne: true }
+    });
+    
+    console.log(`Found ${eventsToSettle.length} events ready for payout and ${eventsToRelease.length} reserves to release`);
+    
+    for (const event of eventsToSettle) {
+      await queueEventPayout(event, 'settlement');
+    }
+    for (const event of eventsToRelease) {
+      await queueEventPayout(event, 'reserve_release');
     }
   } catch (error) {
     console.error('Error scheduling payout jobs:', error);
   }
 }
 
+// Function to queue an automatic payout stage for a completed event, delayed until it is due
+async function queueEventPayout(event, stage) {
+  // Check if payout already in queue
+  const jobs = await payoutQueue.getJobs(['waiting', 'delayed', 'active']);
+  const alreadyQueued = jobs.some(job =>
+    job.data.eventId &&
+    job.data.eventId.toString() === event._id.toString() &&
+    (job.data.stage || 'settlement') === stage
+  );
+  
+  if (alreadyQueued) {
+    return false;
+  }
+  
+  const dueAt = new Date(event.eventDateTime).getTime() + STAGE_DELAYS[stage];
+  
+  await payoutQueue.add('process-payout', {
+    eventId: event._id,
+    eventName: event.name,
+    hostId: event.hostId,
+    stage
+  }, {
+    delay: Math.max(1000, dueAt - Date.now()),
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 5000
+    }
+  });
+  
+  // Mark this stage as processed
+  await Event.updateOne({ _id: event._id }, { [STAGE_FLAGS[stage]]: true });
+  
+  return true;
+}
+
+// Function to drop queued payouts for an event (e.g. when it is cancelled)
+async function cancelPayoutJobs(eventId, reason = 'Event cancelled') {
+  const jobs = await payoutQueue.getJobs(['waiting', 'delayed']);
+  const eventJobs = jobs.filter(job => job.data.eventId && job.data.eventId.toString() === eventId.toString());
+  
+  for (const job of eventJobs) {
+    await job.remove();
+  }
+  
+  // Pending payouts are already off the host's balance, so reverse them one by one
+  const pending = await Payout.find({ eventId, status: 'pending' });
+  for (const payout of pending) {
+    await payoutService.cancel(payout, reason);
+  }
+  
+  const held = await Payout.updateMany(
+    { eventId, status: 'on_hold' },
+    { status: 'cancelled', failureReason: reason }
+  );
+  const payoutsCancelled = pending.length + held.modifiedCount;
+  
+  console.log(`Cancelled ${eventJobs.length} payout jobs and ${payoutsCancelled} pending payouts for event ${eventId}`);
+  
+  return { jobsRemoved: eventJobs.length, payoutsCancelled };
+}
+
+// Function to re-queue payouts that were waiting on the host's email confirmation or KYC
+async function releaseHeldPayouts(hostId) {
+  const held = await Payout.find({ hostId, status: 'on_hold' });
+
+  for (const payout of held) {
+    await payoutQueue.add('process-payout', {
+      eventId: payout.eventId,
+      hostId,
+      stage: payout.stage,
+      released: true
+    }, {
+      attempts: 3,
+      backoff: {
+        type: 'exponential',
+        delay: 5000
+      }
+    });
+  }
+
+  console.log(`Released ${held.length} held payouts for host ${hostId}`);
+
+  return held.length;
+}
+
+// Function to tell a host their payout is waiting on email confirmation or KYC
+async function sendPayoutHeldEmail(host, event, payout) {
+  try {
+    await emailService.sendEmail(
+      host.email,
+      `Payout on hold for ${event.name}`,
+      emailService.generatePayoutHeldEmail({
+        name: host.name,
+        eventName: event.name,
+        amount: payout.amount,
+        reason: payout.holdReason,
+        kycStatus: host.kyc.status
+      })
+    );
+  } catch (error) {
+    console.error('Error sending payout held email:', error);
+  }
+}
+
 // Function to send payout email
-async function sendPayoutEmail(host, event, payout) {
+async function sendPayoutEmail(host, event, payout, receipt = null) {
   try {
     const emailHtml = `
       <!DOCTYPE html>
@@ -191,13 +356,20 @@ async function sendPayoutEmail(host, event, payout) {
               
               <div class="info-box">
                 <h3>Payment Details</h3>
+                ${payout.method === 'mpesa' ? `
+                <p><strong>M-Pesa Number:</strong> ${payout.recipientPhone}</p>
+                ` : `
                 <p><strong>Bank:</strong> ${payout.bankDetails.bankName}</p>
                 <p><strong>Account:</strong> ${payout.bankDetails.accountNumber}</p>
                 <p><strong>Account Name:</strong> ${payout.bankDetails.accountName}</p>
+                `}
                 <p><strong>Transaction ID:</strong> ${payout.transactionId}</p>
+                ${payout.receiptUrl ? `<p><a href="${payout.receiptUrl}">Download remittance receipt</a></p>` : ''}
               </div>
               
-              <p>Please allow 1-3 business days for the funds to reflect in your account.</p>
+              <p>${payout.method === 'mpesa'
+                ? 'The money has been sent to your M-Pesa account.'
+                : 'Please allow 1-3 business days for the funds to reflect in your account.'}</p>
               <p>If you have any questions about this payout, please contact our support team at support@swiftpass.app.</p>
               
               <p>Thank you for hosting your event with SwiftPass!</p>
@@ -214,7 +386,12 @@ async function sendPayoutEmail(host, event, payout) {
     await emailService.sendEmail(
       host.email,
       `Payout Processed for ${event.name}`,
-      emailHtml
+      emailHtml,
+      receipt ? [{
+        filename: `SwiftPass-Payout-${payout.payoutId}.pdf`,
+        content: receipt,
+        contentType: 'application/pdf'
+      }] : []
     );
     
     console.log(`Payout email sent to ${host.email}`);
@@ -223,15 +400,20 @@ async function sendPayoutEmail(host, event, payout) {
   }
 }
 
-// Schedule payout check daily at midnight
-setInterval(schedulePayoutJobs, 24 * 60 * 60 * 1000); // Every 24 hours
-
-// Initial run (wait 5 seconds for app to start)
-setTimeout(schedulePayoutJobs, 5000);
+// Schedule payout check daily at midnight (Nairobi). Completed events are also
+// queued straight away by the event lifecycle job; this catches anything missed.
+payoutQueue.add('schedule-payouts', {}, {
+  repeat: { pattern: '0 0 * * *', tz: 'Africa/Nairobi' },
+  removeOnComplete: true,
+  removeOnFail: 100
+}).catch(error => console.error('Error scheduling payout sweep:', error));
 
 module.exports = {
   payoutQueue,
   payoutWorker,
   schedulePayoutJobs,
+  queueEventPayout,
+  cancelPayoutJobs,
+  releaseHeldPayouts,
   sendPayoutEmail
 };
\ No newline at end of file
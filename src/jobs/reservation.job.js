@@ -0,0 +1,64 @@
+const { Queue, Worker } = require('bullmq');
+const Redis = require('ioredis');
+const inventoryService = require('../services/inventory.service');
+
+// Redis connection for BullMQ
+const connection = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+  maxRetriesPerRequest: null
+});
+
+// Create queue
+const reservationQueue = new Queue('reservations', { connection });
+
+// Create worker
+const reservationWorker = new Worker('reservations', async job => {
+  console.log(`Processing reservation expiry job ${job.id}`);
+
+  try {
+    const { orderId } = job.data;
+
+    const order = await inventoryService.expireReservation(orderId);
+
+    if (!order) {
+      // Paid, payment in progress, or already released
+      return { success: true, released: false, orderId };
+    }
+
+    console.log(`Reservation for order ${order.orderNumber} expired, tickets released`);
+
+    return {
+      success: true,
+      released: true,
+      orderId,
+      orderNumber: order.orderNumber
+    };
+  } catch (error) {
+    console.error(`Reservation expiry job ${job.id} failed:`, error);
+    throw error;
+  }
+}, { connection });
+
+// Function to schedule release of an order's held tickets
+async function scheduleReservationExpiry(order) {
+  const delay = Math.max(0, new Date(order.reservationExpiresAt).getTime() - Date.now());
+
+  return reservationQueue.add('expire-reservation', {
+    orderId: order._id,
+    orderNumber: order.orderNumber
+  }, {
+    jobId: `reservation-${order._id}`,
+    delay,
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 5000
+    },
+    removeOnComplete: true
+  });
+}
+
+module.exports = {
+  reservationQueue,
+  reservationWorker,
+  scheduleReservationExpiry
+};
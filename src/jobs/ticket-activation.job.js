@@ -13,6 +13,12 @@ const activationQueue = new Queue('ticket-activation', { connection });
 const activationWorker = new Worker('ticket-activation', async job => {
   console.log(`Processing ticket activation job ${job.id}`);
   
+  // Hourly sweep for tickets coming up for activation
+  if (job.name === 'schedule-activations') {
+    await scheduleTicketActivations();
+    return { success: true };
+  }
+  
   try {
     const { ticketId } = job.data;
     
@@ -146,10 +152,11 @@ async function scheduleTicketActivations() {
 }
 
 // Check for ticket activations every hour
-setInterval(scheduleTicketActivations, 60 * 60 * 1000);
-
-// Initial run (wait 5 seconds for app to start)
-setTimeout(scheduleTicketActivations, 5000);
+activationQueue.add('schedule-activations', {}, {
+  repeat: { every: 60 * 60 * 1000, immediately: true },
+  removeOnComplete: true,
+  removeOnFail: 100
+}).catch(error => console.error('Error scheduling ticket activation sweep:', error));
 
 module.exports = {
   activationQueue,
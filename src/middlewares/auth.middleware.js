@@ -1,6 +1,62 @@
 const jwt = require('jsonwebtoken');
-const User = require('../models/user.model');
+const crypto = require('crypto');
 const redisClient = require('../config/redis');
+const twoFactorService = require('../services/two-factor.service');
+const sessionService = require('../services/session.service');
+
+// Fixed-window rate limit kept in Redis. Each route names its own counter so
+// attempts at one sign-in step don't use up another's. Counted per user once
+// signed in, otherwise per IP. Requests go through if Redis is unavailable.
+function rateLimit(name, { max = 5, windowSeconds = 15 * 60 } = {}) {
+  return async (req, res, next) => {
+    const key = `rate_limit:${name}:${req.userId || req.ip}`;
+
+    try {
+      const attempts = await redisClient.incr(key);
+
+      // The first attempt opens the window
+      if (attempts === 1) {
+        await redisClient.expire(key, windowSeconds);
+      }
+
+      if (attempts > max) {
+        return res.status(429).json({
+          status: 'error',
+          message: `Too many attempts. Please try again in ${Math.ceil(windowSeconds / 60)} minutes.`
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+}
+
+// Check the X-Reauth-Token grant from POST /auth/reauthenticate
+function reauth({ consume }) {
+  return async (req, res, next) => {
+    try {
+      const reauthToken = req.get('X-Reauth-Token');
+      const valid = consume
+        ? await twoFactorService.consumeReauthToken(req.userId, reauthToken)
+        : await twoFactorService.checkReauthToken(req.userId, reauthToken);
+
+      if (!valid) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Confirm your password (and two-factor code, if on) to make this change',
+          reauthRequired: true
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
 
 const authMiddleware = {
   // Verify JWT token
@@ -20,6 +76,12 @@ const authMiddleware = {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       req.userId = decoded.userId;
       req.userRole = decoded.role;
+      // Signed-in session (see session.service)
+      req.sessionId = decoded.sid;
+      // Buyer tokens carry the verified email or phone instead of a user ID
+      if (decoded.role === 'buyer') {
+        req.user = { email: decoded.email, phone: decoded.phone };
+      }
       next();
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
@@ -36,6 +98,14 @@ const authMiddleware = {
     }
   },
 
+  // Accept the access token from the query string (for EventSource streams)
+  tokenFromQuery: (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+      req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+  },
+
   // Verify host role
   verifyHost: (req, res, next) => {
     if (req.userRole !== 'host') {
@@ -47,7 +117,40 @@ const authMiddleware = {
     next();
   },
 
-  // Verify refresh token
+  // Verify host or admin role
+  verifyHostOrAdmin: (req, res, next) => {
+    if (req.userRole !== 'host' && req.userRole !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied. Host or admin role required.'
+      });
+    }
+    next();
+  },
+
+  // Verify platform admin role
+  verifyAdmin: (req, res, next) => {
+    if (req.userRole !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied. Admin role required.'
+      });
+    }
+    next();
+  },
+
+  // Verify buyer (signed in with a one-time code)
+  verifyBuyer: (req, res, next) => {
+    if (req.userRole !== 'buyer') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied. Sign in with your email or phone first.'
+      });
+    }
+    next();
+  },
+
+  // Verify refresh token and find the session it belongs to
   verifyRefreshToken: async (req, res, next) => {
     const { refreshToken } = req.body;
 
@@ -59,50 +162,17 @@ const authMiddleware = {
     }
 
     try {
-      // Check if token is blacklisted
-      const isBlacklisted = await redisClient.get(`blacklist:${refreshToken}`);
-      if (isBlacklisted) {
-        return res.status(401).json({
-          status: 'error',
-          message: 'Refresh token has been invalidated'
-        });
-      }
+      const { user, session } = await sessionService.authenticate(refreshToken);
 
-      const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-      
-      // Find user and verify token
-      const user = await User.findOne({
-        _id: decoded.userId,
-        'refreshTokens.token': refreshToken,
-        status: 'active'
-      });
-
-      if (!user) {
-        return res.status(401).json({
-          status: 'error',
-          message: 'Invalid refresh token'
-        });
-      }
-
-      // Check if token is expired
-      const tokenData = user.refreshTokens.find(rt => rt.token === refreshToken);
-      if (new Date() > tokenData.expiresAt) {
-        // Remove expired token
-        await user.removeRefreshToken(refreshToken);
-        return res.status(401).json({
-          status: 'error',
-          message: 'Refresh token has expired'
-        });
-      }
-
-      req.userId = decoded.userId;
-      req.userRole = decoded.role;
+      req.userId = String(user._id);
+      req.userRole = user.role;
+      req.authSession = session;
       req.refreshToken = refreshToken;
       next();
     } catch (error) {
       return res.status(401).json({
         status: 'error',
-        message: 'Invalid refresh token'
+        message: error.isOperational ? error.message : 'Invalid refresh token'
       });
     }
   },
@@ -118,6 +188,9 @@ const authMiddleware = {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         req.userId = decoded.userId;
         req.userRole = decoded.role;
+        if (decoded.role === 'buyer') {
+          req.user = { email: decoded.email, phone: decoded.phone };
+        }
         req.isAuthenticated = true;
       } catch (error) {
         // Token is invalid but we continue without authentication
@@ -130,31 +203,91 @@ const authMiddleware = {
     next();
   },
 
-  // Rate limiting for authentication endpoints
-  loginRateLimit: async (req, res, next) => {
-    const ip = req.ip;
-    const key = `login_attempts:${ip}`;
-    
-    try {
-      const attempts = await redisClient.get(key);
-      
-      if (attempts && parseInt(attempts) >= 5) {
-        return res.status(429).json({
+  // Require a fresh re-authentication (POST /auth/reauthenticate) for
+  // sensitive changes. The token arrives in X-Reauth-Token and works once.
+  requireReauth: reauth({ consume: true }),
+
+  // Same check for the first step of a two-request change (two-factor setup
+  // then enable), leaving the token for the second step to use up
+  checkReauth: reauth({ consume: false }),
+
+  // Rate limiting for authentication endpoints. Each route gets its own
+  // counter from rateLimit(name).
+  loginRateLimit: rateLimit('login'),
+  rateLimit,
+
+  // Verify M-Pesa callbacks come from Safaricom (IP allowlist and/or secret path)
+  verifyMpesaCallback: (req, res, next) => {
+    const allowedIps = (process.env.MPESA_CALLBACK_IPS || '')
+      .split(',')
+      .map(ip => ip.trim())
+      .filter(Boolean);
+    const secret = process.env.MPESA_CALLBACK_SECRET;
+
+    if (allowedIps.length === 0 && !secret) {
+      if (process.env.NODE_ENV === 'production') {
+        console.error('M-Pesa callback rejected: no MPESA_CALLBACK_IPS or MPESA_CALLBACK_SECRET configured');
+        return res.status(403).json({
           status: 'error',
-          message: 'Too many login attempts. Please try again in 15 minutes.'
+          message: 'Forbidden'
         });
       }
-      
-      await redisClient.multi()
-        .incr(key)
-        .expire(key, 900) // 15 minutes
-        .exec();
-      
-      next();
-    } catch (error) {
-      console.error('Rate limit error:', error);
-      next();
+      return next();
+    }
+
+    const sourceIp = (req.ip || '').replace(/^::ffff:/, '');
+    if (allowedIps.length > 0 && !allowedIps.includes(sourceIp)) {
+      console.error(`M-Pesa callback rejected from unlisted IP ${sourceIp}`);
+      return res.status(403).json({
+        status: 'error',
+        message: 'Forbidden'
+      });
     }
+
+    if (secret) {
+      const provided = Buffer.from(req.params.secret || '');
+      const expected = Buffer.from(secret);
+
+      if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        console.error(`M-Pesa callback rejected: bad callback secret from ${sourceIp}`);
+        return res.status(403).json({
+          status: 'error',
+          message: 'Forbidden'
+        });
+      }
+    }
+
+    req.callbackSourceIp = sourceIp;
+    next();
+  },
+
+  // Verify bank payout callbacks carry the shared secret path segment
+  verifyBankPayoutCallback: (req, res, next) => {
+    const secret = process.env.BANK_PAYOUT_CALLBACK_SECRET;
+
+    if (!secret) {
+      if (process.env.NODE_ENV === 'production') {
+        console.error('Bank payout callback rejected: no BANK_PAYOUT_CALLBACK_SECRET configured');
+        return res.status(403).json({
+          status: 'error',
+          message: 'Forbidden'
+        });
+      }
+      return next();
+    }
+
+    const provided = Buffer.from(req.params.secret || '');
+    const expected = Buffer.from(secret);
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      console.error(`Bank payout callback rejected: bad callback secret from ${req.ip}`);
+      return res.status(403).json({
+        status: 'error',
+        message: 'Forbidden'
+      });
+    }
+
+    next();
   },
 
   // Check if user is event host
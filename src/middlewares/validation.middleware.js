@@ -22,6 +22,25 @@ const validationSchemas = {
     password: Joi.string().required()
   }),
 
+  verifyEmail: Joi.object({
+    token: Joi.string().hex().length(64).required()
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    password: Joi.string().min(8).required()
+  }),
+
+  changePassword: Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: Joi.string().min(8).invalid(Joi.ref('currentPassword')).required()
+      .messages({ 'any.invalid': 'New password must be different from the current one' })
+  }),
+
   googleAuth: Joi.object({
     token: Joi.string().required()
   }),
@@ -30,6 +49,154 @@ const validationSchemas = {
     token: Joi.string().required()
   }),
 
+  linkSocialAccount: Joi.object({
+    token: Joi.string().required()
+  }),
+
+  // Host details skipped by a Google/Facebook sign-up
+  completeProfile: Joi.object({
+    phone: Joi.string().pattern(/^\+?[\d\s-]{10,}$/).required(),
+    idNumber: Joi.string().required(),
+    bankDetails: Joi.object({
+      bankName: Joi.string().required(),
+      accountNumber: Joi.string().required(),
+      accountName: Joi.string().required(),
+      branchCode: Joi.string().optional()
+    }).required(),
+    companyName: Joi.string().optional().allow('')
+  }),
+
+  // Two-factor authentication. Codes are 6 digits from the app or a recovery code.
+  verifyTwoFactorLogin: Joi.object({
+    challengeToken: Joi.string().hex().length(64).required(),
+    code: Joi.string().trim().max(20).required()
+  }),
+
+  enableTwoFactor: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required()
+  }),
+
+  disableTwoFactor: Joi.object({
+    password: Joi.string().optional(),
+    code: Joi.string().trim().max(20).required()
+  }),
+
+  regenerateRecoveryCodes: Joi.object({
+    code: Joi.string().trim().max(20).required()
+  }),
+
+  reauthenticate: Joi.object({
+    password: Joi.string().optional(),
+    code: Joi.string().trim().max(20).optional()
+  }).or('password', 'code'),
+
+  verifyPhone: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required()
+  }),
+
+  // Buyer sign-in (email or phone)
+  requestBuyerCode: Joi.object({
+    email: Joi.string().email().optional(),
+    phone: Joi.string().pattern(/^\+?[\d\s-]{10,}$/).optional()
+  }).xor('email', 'phone'),
+
+  verifyBuyerCode: Joi.object({
+    email: Joi.string().email().optional(),
+    phone: Joi.string().pattern(/^\+?[\d\s-]{10,}$/).optional(),
+    code: Joi.string().pattern(/^\d{6}$/).required()
+  }).xor('email', 'phone'),
+
+  // Buyer portal (query string)
+  listBuyerOrders: Joi.object({
+    status: Joi.string().valid('pending', 'processing', 'completed', 'failed', 'refunded', 'expired').optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(50).optional()
+  }),
+
+  listBuyerTickets: Joi.object({
+    upcoming: Joi.boolean().optional(),
+    eventId: Joi.string().hex().length(24).optional()
+  }),
+
+  // Admin validation
+  listHosts: Joi.object({
+    q: Joi.string().max(100).optional(),
+    status: Joi.string().valid('active', 'suspended', 'deleted').optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  updateHostStatus: Joi.object({
+    status: Joi.string().valid('active', 'suspended').required(),
+    reason: Joi.string().min(3).max(500).required()
+  }),
+
+  listKycSubmissions: Joi.object({
+    status: Joi.string().valid('not_submitted', 'pending', 'approved', 'rejected').optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  reviewKyc: Joi.object({
+    decision: Joi.string().valid('approve', 'reject').required(),
+    reason: Joi.string().min(3).max(500).when('decision', {
+      is: 'reject',
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    })
+  }),
+
+  adminListEvents: Joi.object({
+    q: Joi.string().max(100).optional(),
+    status: Joi.string().valid('draft', 'published', 'cancelled', 'completed').optional(),
+    moderation: Joi.string().valid('unreviewed', 'approved', 'unpublished').optional(),
+    hostId: Joi.string().hex().length(24).optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  moderateEvent: Joi.object({
+    action: Joi.string().valid('approve', 'unpublish').required(),
+    reason: Joi.string().min(3).max(500).when('action', {
+      is: 'unpublish',
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    })
+  }),
+
+  markOrderPaid: Joi.object({
+    mpesaReceiptNumber: Joi.string().alphanum().max(20).optional(),
+    reason: Joi.string().min(3).max(500).required()
+  }),
+
+  adminAction: Joi.object({
+    reason: Joi.string().max(500).optional()
+  }),
+
+  adminListPayouts: Joi.object({
+    status: Joi.string().valid('pending', 'on_hold', 'processing', 'completed', 'failed', 'cancelled').optional(),
+    hostId: Joi.string().hex().length(24).optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  listQueueJobs: Joi.object({
+    state: Joi.string().valid('waiting', 'active', 'delayed', 'completed', 'failed', 'paused').optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
+  listAuditLogs: Joi.object({
+    actorId: Joi.string().hex().length(24).optional(),
+    action: Joi.string().max(100).optional(),
+    targetType: Joi.string().valid('User', 'Event', 'Order', 'Payout', 'Job').optional(),
+    targetId: Joi.string().max(100).optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(200).optional()
+  }),
+
   // Event validation - FIXED: Use 'name' for tiers to match Mongoose model
   createEvent: Joi.object({
     eventName: Joi.string().min(3).max(200).required(),
@@ -60,15 +227,47 @@ const validationSchemas = {
         price: Joi.number().min(0).required(),
         quantityAvailable: Joi.number().min(1).max(100000).required(),
         description: Joi.string().optional(),
-        benefits: Joi.array().items(Joi.string()).optional()
+        benefits: Joi.array().items(Joi.string()).optional(),
+        transferable: Joi.boolean().optional(),
+        reentry: Joi.object({
+          allowed: Joi.boolean().required(),
+          maxReentries: Joi.number().integer().min(0).allow(null).optional()
+        }).optional()
       })
     ).min(1).required(),
     eventDate: Joi.date().greater('now').required(),
     eventTime: Joi.string().pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
     status: Joi.string().valid('draft', 'published').default('draft'),
-    bannerUrl: Joi.string().uri().optional().allow('') // ADDED
+    bannerUrl: Joi.string().uri().optional().allow(''), // ADDED
+    absorbFees: Joi.boolean().allow(null).optional(),
+    allowTransfers: Joi.boolean().optional()
   }),
 
+  // Public event discovery (query string)
+  listEvents: Joi.object({
+    q: Joi.string().trim().max(100).optional(),
+    category: Joi.string().pattern(
+      /^(concert|conference|workshop|festival|sports|theater|exhibition|networking|party|other)(,(concert|conference|workshop|festival|sports|theater|exhibition|networking|party|other))*$/
+    ).optional(),
+    city: Joi.string().trim().max(100).optional(),
+    dateFrom: Joi.date().iso().optional(),
+    dateTo: Joi.date().iso().when('dateFrom', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('dateFrom'))
+    }).optional(),
+    minPrice: Joi.number().min(0).optional(),
+    maxPrice: Joi.number().min(0).when('minPrice', {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref('minPrice'))
+    }).optional(),
+    lat: Joi.number().min(-90).max(90).optional(),
+    lng: Joi.number().min(-180).max(180).optional(),
+    radiusKm: Joi.number().min(1).max(500).optional(),
+    sort: Joi.string().valid('soonest', 'popular', 'newest').optional(),
+    cursor: Joi.string().max(500).optional(),
+    limit: Joi.number().integer().min(1).max(50).optional()
+  }).and('lat', 'lng'),
+
   // Checkout validation - Keep tierName for checkout logic
   checkout: Joi.object({
     eventId: Joi.string().hex().length(24).required(),
@@ -80,18 +279,133 @@ const validationSchemas = {
     ).min(1).required(),
     buyerName: Joi.string().required(),
     buyerEmail: Joi.string().email().required(),
-    buyerPhone: Joi.string().pattern(/^\+?[\d\s-]{10,}$/).required()
+    buyerPhone: Joi.string().pattern(/^\+?[\d\s-]{10,}$/).required(),
+    promoCode: Joi.string().trim().max(30).optional()
+  }),
+
+  // Promo code validation
+  createPromoCode: Joi.object({
+    code: Joi.string().trim().pattern(/^[A-Za-z0-9_-]{3,30}$/).required(),
+    description: Joi.string().max(200).allow('').optional(),
+    eventIds: Joi.array().items(Joi.string().hex().length(24)).unique().optional(),
+    tierNames: Joi.array().items(Joi.string()).unique().optional(),
+    discountType: Joi.string().valid('percentage', 'fixed').required(),
+    discountValue: Joi.when('discountType', {
+      is: 'percentage',
+      then: Joi.number().greater(0).max(100).required(),
+      otherwise: Joi.number().greater(0).required()
+    }),
+    maxUses: Joi.number().integer().min(1).allow(null).optional(),
+    maxUsesPerBuyer: Joi.number().integer().min(1).allow(null).optional(),
+    validFrom: Joi.date().iso().allow(null).optional(),
+    validUntil: Joi.when('validFrom', {
+      is: Joi.date().required(),
+      then: Joi.date().iso().greater(Joi.ref('validFrom')).allow(null),
+      otherwise: Joi.date().iso().allow(null)
+    }).optional()
   }),
 
+  updatePromoCode: Joi.object({
+    description: Joi.string().max(200).allow('').optional(),
+    eventIds: Joi.array().items(Joi.string().hex().length(24)).unique().optional(),
+    tierNames: Joi.array().items(Joi.string()).unique().optional(),
+    discountType: Joi.string().valid('percentage', 'fixed').optional(),
+    discountValue: Joi.number().greater(0).optional(),
+    maxUses: Joi.number().integer().min(1).allow(null).optional(),
+    maxUsesPerBuyer: Joi.number().integer().min(1).allow(null).optional(),
+    validFrom: Joi.date().iso().allow(null).optional(),
+    validUntil: Joi.date().iso().allow(null).optional(),
+    status: Joi.string().valid('active', 'disabled').optional()
+  }).min(1),
+
   // Payment validation
   initiatePayment: Joi.object({
     orderId: Joi.string().required(),
     phone: Joi.string().pattern(/^\+?[\d\s-]{10,}$/).required()
   }),
 
+  // Event cancellation validation
+  cancelEvent: Joi.object({
+    reason: Joi.string().min(5).max(500).required()
+  }),
+
+  // Refund validation
+  refundOrder: Joi.object({
+    amount: Joi.number().min(1).optional(),
+    ticketIds: Joi.array().items(Joi.string()).min(1).unique().optional(),
+    reason: Joi.string().max(200).optional()
+  }),
+
   // Ticket validation
   scanTicket: Joi.object({
-    qrCodeId: Joi.string().required()
+    qrCode: Joi.string().max(1000).required(),
+    eventId: Joi.string().hex().length(24).optional(),
+    gate: Joi.string().trim().max(50).optional(),
+    deviceId: Joi.string().trim().max(100).optional(),
+    direction: Joi.string().valid('in', 'out').optional()
+  }),
+
+  // Offline scanning (manifest uses the query string)
+  scanManifest: Joi.object({
+    gate: Joi.string().trim().max(50).optional(),
+    since: Joi.date().iso().optional()
+  }),
+
+  syncOfflineScans: Joi.object({
+    eventId: Joi.string().hex().length(24).required(),
+    deviceId: Joi.string().trim().max(100).required(),
+    gate: Joi.string().trim().max(50).optional(),
+    scans: Joi.array().items(
+      Joi.object({
+        qrCode: Joi.string().max(1000).required(),
+        scannedAt: Joi.date().iso().required(),
+        direction: Joi.string().valid('in', 'out').optional()
+      })
+    ).min(1).max(500).required()
+  }),
+
+  // Scan history (query string)
+  listScanEvents: Joi.object({
+    result: Joi.string().valid('admitted', 'exited', 'rejected').optional(),
+    reason: Joi.string().max(50).optional(),
+    gate: Joi.string().trim().max(50).optional(),
+    deviceId: Joi.string().trim().max(100).optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(200).optional()
+  }),
+
+  // Ticket transfer validation
+  requestTicketTransfer: Joi.object({
+    token: Joi.string().max(100).required(),
+    recipientName: Joi.string().min(2).max(100).required(),
+    recipientEmail: Joi.string().email().required(),
+    recipientPhone: Joi.string().pattern(/^\+?[\d\s-]{10,}$/).optional()
+  }),
+
+  cancelTicketTransfer: Joi.object({
+    token: Joi.string().max(100).required()
+  }),
+
+  acceptTicketTransfer: Joi.object({
+    token: Joi.string().hex().length(64).required()
+  }),
+
+  // Door staff validation
+  inviteStaff: Joi.object({
+    email: Joi.string().email().required(),
+    name: Joi.string().min(2).max(100).optional(),
+    gates: Joi.array().items(Joi.string().trim().max(50)).unique().optional(),
+    validFrom: Joi.date().iso().optional(),
+    validUntil: Joi.date().iso().optional()
+  }),
+
+  acceptStaffInvitation: Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    name: Joi.string().min(2).max(100).optional(),
+    phone: Joi.string().pattern(/^\+?[\d\s-]{10,}$/).optional(),
+    password: Joi.string().min(8).optional()
   }),
 
   // Host validation
@@ -102,6 +416,25 @@ const validationSchemas = {
     branchCode: Joi.string().optional()
   }),
 
+  updatePayoutMethod: Joi.object({
+    method: Joi.string().valid('bank_transfer', 'mpesa').required(),
+    phone: Joi.string().pattern(/^\+?[\d\s-]{10,}$/).when('method', {
+      is: 'mpesa',
+      then: Joi.optional(),
+      otherwise: Joi.forbidden()
+    })
+  }),
+
+  requestEarlyPayout: Joi.object({
+    amount: Joi.number().integer().min(1).required()
+  }),
+
+  listLedger: Joi.object({
+    eventId: Joi.string().hex().length(24).optional(),
+    page: Joi.number().integer().min(1).optional(),
+    limit: Joi.number().integer().min(1).max(100).optional()
+  }),
+
   // Update event validation
   updateEvent: Joi.object({
     eventName: Joi.string().min(3).max(200).optional(),
@@ -132,13 +465,20 @@ const validationSchemas = {
         price: Joi.number().min(0).required(),
         quantityAvailable: Joi.number().min(1).max(100000).required(),
         description: Joi.string().optional(),
-        benefits: Joi.array().items(Joi.string()).optional()
+        benefits: Joi.array().items(Joi.string()).optional(),
+        transferable: Joi.boolean().optional(),
+        reentry: Joi.object({
+          allowed: Joi.boolean().required(),
+          maxReentries: Joi.number().integer().min(0).allow(null).optional()
+        }).optional()
       })
     ).optional(),
     eventDate: Joi.date().greater('now').optional(),
     eventTime: Joi.string().pattern(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).optional(),
     status: Joi.string().valid('draft', 'published').optional(),
-    bannerUrl: Joi.string().uri().optional().allow('')
+    bannerUrl: Joi.string().uri().optional().allow(''),
+    absorbFees: Joi.boolean().allow(null).optional(),
+    allowTransfers: Joi.boolean().optional()
   })
 };
 
@@ -206,7 +546,9 @@ const validate = (schema, property = 'body') => {
           price: tier.price,
           quantityAvailable: tier.quantityAvailable,
           description: tier.description || '',
-          benefits: tier.benefits || []
+          benefits: tier.benefits || [],
+          transferable: tier.transferable,
+          reentry: tier.reentry
         }));
       }
     }
@@ -215,12 +557,17 @@ const validate = (schema, property = 'body') => {
   };
 };
 
+// Schemas that validate the query string instead of the body
+const querySchemas = ['listEvents', 'scanManifest', 'listScanEvents', 'listBuyerOrders', 'listBuyerTickets',
+  'listHosts', 'listKycSubmissions', 'adminListEvents', 'adminListPayouts', 'listQueueJobs', 'listAuditLogs',
+  'listLedger'];
+
 // Create middleware functions for each schema
 const validationMiddleware = {};
 
 Object.keys(validationSchemas).forEach(key => {
   validationMiddleware[`validate${key.charAt(0).toUpperCase() + key.slice(1)}`] = 
-    validate(validationSchemas[key]);
+    validate(validationSchemas[key], querySchemas.includes(key) ? 'query' : 'body');
 });
 
 module.exports = validationMiddleware;
\ No newline at end of file
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Append-only record of actions taken through the admin API
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor ID is required'],
+    index: true
+  },
+  // e.g. host.suspend, event.unpublish, order.mark_paid, job.retry
+  action: {
+    type: String,
+    required: [true, 'Action is required']
+  },
+  targetType: {
+    type: String,
+    enum: ['User', 'Event', 'Order', 'Payout', 'Job'],
+    required: true
+  },
+  targetId: {
+    type: String,
+    required: true
+  },
+  reason: String,
+  // Fields the action changed, before and after
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  metadata: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Entries are never edited or removed
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+});
+
+// Static methods
+auditLogSchema.statics.record = function(req, { action, targetType, targetId, reason, before, after, metadata }) {
+  return this.create({
+    actorId: req.userId,
+    action,
+    targetType,
+    targetId: String(targetId),
+    reason,
+    before,
+    after,
+    metadata,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+};
+
+// Static method for pagination
+auditLogSchema.statics.paginate = function(query, options) {
+  const page = options.page || 1;
+  const limit = options.limit || 50;
+  const skip = (page - 1) * limit;
+
+  return this.find(query)
+    .skip(skip)
+    .limit(limit)
+    .sort(options.sort || { createdAt: -1 })
+    .populate(options.populate || '')
+    .exec()
+    .then(docs => {
+      return this.countDocuments(query).then(total => ({
+        docs,
+        totalDocs: total,
+        totalPages: Math.ceil(total / limit),
+        page,
+        limit,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }));
+    });
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -73,8 +73,30 @@ const eventSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Held by unpaid checkouts; returned when the reservation expires
+    quantityHeld: {
+      type: Number,
+      default: 0
+    },
     description: String,
-    benefits: [String]
+    benefits: [String],
+    transferable: {
+      type: Boolean,
+      default: true
+    },
+    // Lets admitted tickets be scanned out and back in
+    reentry: {
+      allowed: {
+        type: Boolean,
+        default: false
+      },
+      // null = no limit
+      maxReentries: {
+        type: Number,
+        min: 0,
+        default: null
+      }
+    }
   }],
   location: {
     venueName: {
@@ -116,6 +138,14 @@ const eventSchema = new mongoose.Schema({
     default: 'draft'
   },
   publishedAt: Date,
+  cancellation: {
+    reason: String,
+    cancelledAt: Date,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   totalTickets: {
     type: Number,
     default: 0
@@ -124,6 +154,10 @@ const eventSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  ticketsHeld: {
+    type: Number,
+    default: 0
+  },
   revenue: {
     type: Number,
     default: 0
@@ -140,6 +174,42 @@ const eventSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  // Per ticket, added to the platform commission
+  platformFlatFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Per order, added to the processing fee
+  processingFlatFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // null = use the host's default
+  absorbFees: {
+    type: Boolean,
+    default: null
+  },
+  // Platform review. An event unpublished by an admin can't be republished by its host.
+  moderation: {
+    status: {
+      type: String,
+      enum: ['unreviewed', 'approved', 'unpublished'],
+      default: 'unreviewed'
+    },
+    reason: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  },
+  // Holders may pass tickets on to someone else (can also be turned off per tier)
+  allowTransfers: {
+    type: Boolean,
+    default: true
+  },
   metadata: {
     views: {
       type: Number,
@@ -154,10 +224,19 @@ const eventSchema = new mongoose.Schema({
       default: 0
     }
   },
+  // Lifecycle timestamps (set by the event lifecycle job)
+  salesClosedAt: Date,
+  completedAt: Date,
+  ticketsExpiredAt: Date,
   payoutProcessed: {
     type: Boolean,
     default: false
   },
+  // Refund reserve paid out after PAYOUT_RESERVE_DAYS
+  reserveReleased: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -179,10 +258,15 @@ eventSchema.index({ category: 1, status: 1 });
 eventSchema.index({ eventDateTime: 1, status: 1 });
 eventSchema.index({ 'location.coordinates': '2dsphere' });
 eventSchema.index({ status: 1, publishedAt: 1 });
+eventSchema.index({ status: 1, 'metadata.views': -1 });
+eventSchema.index(
+  { name: 'text', about: 'text', 'performers.name': 'text' },
+  { weights: { name: 10, 'performers.name': 5, about: 1 }, name: 'event_text_search' }
+);
 
 // Virtual for calculating available tickets
 eventSchema.virtual('availableTickets').get(function() {
-  return this.totalTickets - this.ticketsSold;
+  return this.totalTickets - this.ticketsSold - (this.ticketsHeld || 0);
 });
 
 // Pre-save middleware to generate slug
@@ -211,6 +295,31 @@ eventSchema.methods.incrementViews = function() {
   return this.save();
 };
 
+// Re-entry policy for a tier, or null when re-entry isn't allowed
+eventSchema.methods.reentryPolicy = function(tierName) {
+  const tier = this.tiers.find(t => t.name === tierName);
+  return tier && tier.reentry && tier.reentry.allowed ? tier.reentry : null;
+};
+
+eventSchema.methods.transfersAllowed = function(tierName) {
+  const tier = this.tiers.find(t => t.name === tierName);
+  return this.allowTransfers !== false && Boolean(tier) && tier.transferable !== false;
+};
+
+// Ticket sales close this many minutes before the start (negative keeps them open after it)
+eventSchema.methods.salesCutoff = function() {
+  const minutes = parseInt(process.env.EVENT_SALES_CUTOFF_MINUTES || '0');
+  return new Date(this.eventDateTime.getTime() - minutes * 60 * 1000);
+};
+
+eventSchema.methods.endsAt = function() {
+  return new Date(this.eventDateTime.getTime() + (this.duration || 120) * 60 * 1000);
+};
+
+eventSchema.methods.salesOpen = function() {
+  return this.status === 'published' && !this.salesClosedAt && new Date() < this.salesCutoff();
+};
+
 eventSchema.methods.reserveTickets = async function(tierName, quantity) {
   const tier = this.tiers.find(t => t.name === tierName);
   
@@ -218,15 +327,14 @@ eventSchema.methods.reserveTickets = async function(tierName, quantity) {
     throw new Error(`Tier "${tierName}" not found`);
   }
   
-  const available = tier.quantityAvailable - tier.quantitySold;
-  if (available < quantity) {
+  const sold = await this.constructor.sellTickets(this._id, [{ tierName, quantity }]);
+  if (!sold) {
+    const available = tier.quantityAvailable - tier.quantitySold - (tier.quantityHeld || 0);
     throw new Error(`Only ${available} tickets available in tier "${tierName}"`);
   }
   
   tier.quantitySold += quantity;
   this.ticketsSold += quantity;
-  
-  await this.save();
   return this;
 };
 
@@ -237,10 +345,20 @@ eventSchema.methods.releaseTickets = async function(tierName, quantity) {
     throw new Error(`Tier "${tierName}" not found`);
   }
   
-  tier.quantitySold = Math.max(0, tier.quantitySold - quantity);
-  this.ticketsSold = Math.max(0, this.ticketsSold - quantity);
+  // Never drive quantitySold below zero
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      tiers: { $elemMatch: { name: tierName, quantitySold: { $gte: quantity } } }
+    },
+    { $inc: { 'tiers.$.quantitySold': -quantity, ticketsSold: -quantity } }
+  );
+  
+  if (result.modifiedCount === 1) {
+    tier.quantitySold -= quantity;
+    this.ticketsSold -= quantity;
+  }
   
-  await this.save();
   return this;
 };
 
@@ -254,15 +372,140 @@ eventSchema.methods.publish = function() {
   return this.save();
 };
 
-eventSchema.methods.cancel = function() {
+eventSchema.methods.cancel = function(reason, cancelledBy) {
   if (this.status === 'cancelled') {
     throw new Error('Event is already cancelled');
   }
   
+  if (this.status === 'completed') {
+    throw new Error('Completed events cannot be cancelled');
+  }
+  
   this.status = 'cancelled';
+  this.cancellation = {
+    reason,
+    cancelledAt: new Date(),
+    cancelledBy
+  };
   return this.save();
 };
 
+// Inventory statics. Every change is a single conditional update so
+// concurrent checkouts can never push a tier past quantityAvailable.
+const groupByTier = (items) => items.reduce((acc, item) => {
+  acc[item.tierName] = (acc[item.tierName] || 0) + item.quantity;
+  return acc;
+}, {});
+
+const tierRemainingExpr = (tierName) => ({
+  $let: {
+    vars: {
+      tier: {
+        $arrayElemAt: [
+          { $filter: { input: '$tiers', cond: { $eq: ['$$this.name', tierName] } } },
+          0
+        ]
+      }
+    },
+    in: {
+      $subtract: [
+        '$$tier.quantityAvailable',
+        { $add: ['$$tier.quantitySold', { $ifNull: ['$$tier.quantityHeld', 0] }] }
+      ]
+    }
+  }
+});
+
+const buildTierUpdate = (quantities, changes) => {
+  const $inc = {};
+  const arrayFilters = [];
+  const total = Object.values(quantities).reduce((sum, q) => sum + q, 0);
+
+  Object.entries(quantities).forEach(([tierName, quantity], index) => {
+    arrayFilters.push({ [`t${index}.name`]: tierName });
+    Object.entries(changes.tiers).forEach(([field, sign]) => {
+      $inc[`tiers.$[t${index}].${field}`] = sign * quantity;
+    });
+  });
+
+  Object.entries(changes.totals).forEach(([field, sign]) => {
+    $inc[field] = sign * total;
+  });
+
+  return { update: { $inc }, arrayFilters };
+};
+
+const availabilityFilter = (eventId, quantities) => ({
+  _id: eventId,
+  status: 'published',
+  $expr: {
+    $and: Object.entries(quantities).map(([tierName, quantity]) => ({
+      $gte: [tierRemainingExpr(tierName), quantity]
+    }))
+  }
+});
+
+// Hold tickets for an unpaid checkout; resolves false if any tier is short
+eventSchema.statics.holdTickets = async function(eventId, items) {
+  const quantities = groupByTier(items);
+  const { update, arrayFilters } = buildTierUpdate(quantities, {
+    tiers: { quantityHeld: 1 },
+    totals: { ticketsHeld: 1 }
+  });
+
+  const result = await this.updateOne(availabilityFilter(eventId, quantities), update, { arrayFilters });
+  return result.modifiedCount === 1;
+};
+
+// Return held tickets to general availability
+eventSchema.statics.releaseHeldTickets = async function(eventId, items) {
+  const { update, arrayFilters } = buildTierUpdate(groupByTier(items), {
+    tiers: { quantityHeld: -1 },
+    totals: { ticketsHeld: -1 }
+  });
+
+  const result = await this.updateOne({ _id: eventId }, update, { arrayFilters });
+  return result.modifiedCount === 1;
+};
+
+// Convert held tickets into sold tickets once payment completes
+eventSchema.statics.confirmHeldTickets = async function(eventId, items) {
+  const { update, arrayFilters } = buildTierUpdate(groupByTier(items), {
+    tiers: { quantityHeld: -1, quantitySold: 1 },
+    totals: { ticketsHeld: -1, ticketsSold: 1 }
+  });
+
+  const result = await this.updateOne({ _id: eventId }, update, { arrayFilters });
+  return result.modifiedCount === 1;
+};
+
+// Put sold tickets back on sale after a refund
+eventSchema.statics.releaseSoldTickets = async function(eventId, items) {
+  const { update, arrayFilters } = buildTierUpdate(groupByTier(items), {
+    tiers: { quantitySold: -1 },
+    totals: { ticketsSold: -1 }
+  });
+
+  const result = await this.updateOne({ _id: eventId }, update, { arrayFilters });
+  return result.modifiedCount === 1;
+};
+
+// Sell tickets directly (no prior hold); resolves false if any tier is short
+eventSchema.statics.sellTickets = async function(eventId, items) {
+  const quantities = groupByTier(items);
+  const { update, arrayFilters } = buildTierUpdate(quantities, {
+    tiers: { quantitySold: 1 },
+    totals: { ticketsSold: 1 }
+  });
+
+  const filter = availabilityFilter(eventId, quantities);
+  // Late payments may land after sales have closed
+  delete filter.status;
+
+  const result = await this.updateOne(filter, update, { arrayFilters });
+  return result.modifiedCount === 1;
+};
+
 // Static method for pagination
 eventSchema.statics.paginate = function(query, options) {
   const page = options.page || 1;
@@ -288,6 +531,75 @@ eventSchema.statics.paginate = function(query, options) {
     });
 };
 
+// Static method for cursor pagination (stable under inserts, used by public discovery)
+eventSchema.statics.encodeCursor = function(value, id) {
+  return Buffer.from(JSON.stringify({
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: id.toString()
+  })).toString('base64url');
+};
+
+eventSchema.statics.decodeCursor = function(cursor) {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return { value: d ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+eventSchema.statics.cursorPaginate = function(query, options) {
+  const limit = options.limit || 10;
+  const sortField = options.sortField || 'createdAt';
+  const sortOrder = options.sortOrder === 1 ? 1 : -1;
+  const op = sortOrder === 1 ? '$gt' : '$lt';
+
+  let finalQuery = query;
+  if (options.cursor) {
+    const cursor = this.decodeCursor(options.cursor);
+    if (!cursor) {
+      return Promise.reject(new Error('Invalid cursor'));
+    }
+
+    // Continue strictly after the last document of the previous page,
+    // using _id as a tie-breaker for equal sort values
+    finalQuery = {
+      $and: [
+        query,
+        {
+          $or: [
+            { [sortField]: { [op]: cursor.value } },
+            { [sortField]: cursor.value, _id: { [op]: cursor.id } }
+          ]
+        }
+      ]
+    };
+  }
+
+  return this.find(finalQuery)
+    .sort({ [sortField]: sortOrder, _id: sortOrder })
+    .limit(limit + 1)
+    .select(options.select || '')
+    .populate(options.populate || '')
+    .exec()
+    .then(results => {
+      const hasNextPage = results.length > limit;
+      const docs = hasNextPage ? results.slice(0, limit) : results;
+      const last = docs[docs.length - 1];
+
+      return {
+        docs,
+        limit,
+        hasNextPage,
+        nextCursor: hasNextPage ? this.encodeCursor(last.get(sortField), last._id) : null
+      };
+    });
+};
+
 const Event = mongoose.model('Event', eventSchema);
 
 module.exports = Event;
\ No newline at end of file
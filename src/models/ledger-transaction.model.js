@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+// Accounts the platform books money against:
+//   cash               M-Pesa collections we hold (debit = money in)
+//   host_payable       what we owe a host for an event (credit = owed more)
+//   platform_fees      commission earned
+//   processing_fees    processing fee collected
+//   tax_payable        VAT and excise collected
+//   payouts_in_transit payouts sent to a provider but not yet confirmed
+const ACCOUNTS = ['cash', 'host_payable', 'platform_fees', 'processing_fees', 'tax_payable', 'payouts_in_transit'];
+
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: ACCOUNTS,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  memo: String
+}, { _id: false });
+
+// One balanced journal entry. Lines are stored on the transaction so a
+// posting is written (or rejected) as a whole.
+const ledgerTransactionSchema = new mongoose.Schema({
+  // Idempotency key, e.g. sale:<orderId>, refund:<refundId>, payout:<payoutId>:1
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['sale', 'refund', 'payout', 'payout_reversal', 'payout_settled'],
+    required: true
+  },
+  hostId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  refundId: String,
+  payoutId: String,
+  description: String,
+  lines: {
+    type: [ledgerLineSchema],
+    validate: {
+      validator: lines => lines.length >= 2,
+      message: 'A ledger transaction needs at least two lines'
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+ledgerTransactionSchema.index({ hostId: 1, eventId: 1, createdAt: -1 });
+ledgerTransactionSchema.index({ eventId: 1, type: 1 });
+ledgerTransactionSchema.index({ orderId: 1 }, { sparse: true });
+
+// Debits must equal credits
+ledgerTransactionSchema.pre('validate', function(next) {
+  const debits = this.lines.reduce((sum, line) => sum + line.debit, 0);
+  const credits = this.lines.reduce((sum, line) => sum + line.credit, 0);
+
+  if (Math.abs(debits - credits) > 0.001) {
+    return next(new Error(`Unbalanced ledger transaction ${this.reference}: debits ${debits}, credits ${credits}`));
+  }
+  next();
+});
+
+// Postings are never edited or removed; mistakes are corrected with new entries
+ledgerTransactionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Ledger transactions cannot be modified'));
+});
+
+// Static methods
+// Post a transaction once. Returns null if the reference was already posted.
+ledgerTransactionSchema.statics.post = async function(entry) {
+  const lines = entry.lines.filter(line => line.debit > 0 || line.credit > 0);
+
+  try {
+    return await this.create({ ...entry, lines });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+ledgerTransactionSchema.statics.paginate = function(query, options) {
+  const page = options.page || 1;
+  const limit = options.limit || 10;
+  const skip = (page - 1) * limit;
+
+  return this.find(query)
+    .skip(skip)
+    .limit(limit)
+    .sort(options.sort || { createdAt: -1 })
+    .populate(options.populate || '')
+    .exec()
+    .then(docs => {
+      return this.countDocuments(query).then(total => ({
+        docs,
+        totalDocs: total,
+        totalPages: Math.ceil(total / limit),
+        page,
+        limit,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }));
+    });
+};
+
+const LedgerTransaction = mongoose.model('LedgerTransaction', ledgerTransactionSchema);
+
+module.exports = LedgerTransaction;
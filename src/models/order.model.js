@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const feeService = require('../services/fee.service');
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -55,6 +56,24 @@ const orderSchema = new mongoose.Schema({
       min: 0
     }
   }],
+  // Promo code applied at checkout; subtotal is net of discount.amount
+  discount: {
+    promoCodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode'
+    },
+    code: String,
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed']
+    },
+    value: Number,
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
   subtotal: {
     type: Number,
     required: true,
@@ -85,6 +104,26 @@ const orderSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  vatAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  exciseAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Fee settings the order was priced with (see FeeService.configFor)
+  feeConfig: {
+    platformFeePercent: Number,
+    processingFeePercent: Number,
+    platformFlatFee: Number,
+    processingFlatFee: Number,
+    absorbFees: Boolean,
+    vatPercent: Number,
+    exciseDutyPercent: Number
+  },
   paymentMethod: {
     type: String,
     enum: ['mpesa', 'card', 'cash'],
@@ -92,9 +131,16 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'expired'],
     default: 'pending'
   },
+  // Lifecycle of the seats this order holds on the event
+  inventoryStatus: {
+    type: String,
+    enum: ['held', 'sold', 'released'],
+    default: 'held'
+  },
+  reservationExpiresAt: Date,
   mpesaReference: {
     type: String,
     sparse: true
@@ -104,6 +150,12 @@ const orderSchema = new mongoose.Schema({
     sparse: true
   },
   paymentDate: Date,
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refundedAt: Date,
   ticketStatus: {
     type: String,
     enum: ['pending', 'generated', 'sent', 'error'],
@@ -141,7 +193,9 @@ orderSchema.index({ buyerPhone: 1 });
 orderSchema.index({ eventId: 1, paymentStatus: 1 });
 orderSchema.index({ hostId: 1, paymentStatus: 1 });
 orderSchema.index({ paymentStatus: 1, createdAt: 1 });
+orderSchema.index({ paymentStatus: 1, reservationExpiresAt: 1 });
 orderSchema.index({ mpesaReference: 1 });
+orderSchema.index({ 'discount.promoCodeId': 1, buyerEmail: 1 });
 
 // Virtual for ticket documents (commented out to avoid circular dependency)
 // orderSchema.virtual('ticketDocuments', {
@@ -159,13 +213,22 @@ orderSchema.pre('save', function(next) {
     this.orderNumber = `ORD-${timestamp}-${random}`;
   }
   
-  if (this.isModified('tickets')) {
-    this.subtotal = this.tickets.reduce((sum, ticket) => sum + ticket.totalPrice, 0);
-    this.platformFee = this.subtotal * 0.05; // 5% platform fee
-    this.processingFee = this.subtotal * 0.02; // 2% processing fee
-    this.totalAmount = this.subtotal + this.processingFee;
-    this.hostAmount = this.subtotal * 0.95; // Host gets 95%
-    this.platformAmount = this.subtotal * 0.05; // Platform gets 5%
+  if (this.isModified('tickets') || this.isModified('discount.amount') || this.isModified('feeConfig')) {
+    const pricing = feeService.calculate({
+      grossAmount: this.tickets.reduce((sum, ticket) => sum + ticket.totalPrice, 0),
+      discountAmount: (this.discount && this.discount.amount) || 0,
+      ticketCount: this.tickets.reduce((sum, ticket) => sum + ticket.quantity, 0),
+      config: this.feeConfig || {}
+    });
+
+    this.subtotal = pricing.subtotal;
+    this.platformFee = pricing.platformFee;
+    this.processingFee = pricing.processingFee;
+    this.vatAmount = pricing.vatAmount;
+    this.exciseAmount = pricing.exciseAmount;
+    this.totalAmount = pricing.totalAmount;
+    this.hostAmount = pricing.hostAmount;
+    this.platformAmount = pricing.platformAmount;
   }
   
   next();
@@ -185,6 +248,16 @@ orderSchema.methods.markAsFailed = function() {
   return this.save();
 };
 
+orderSchema.methods.recordRefund = function(amount) {
+  this.refundedAmount = (this.refundedAmount || 0) + amount;
+  // Buyers are charged whole shillings (see PaymentService.initiateSTKPush)
+  if (this.refundedAmount >= Math.round(this.totalAmount)) {
+    this.paymentStatus = 'refunded';
+    this.refundedAt = new Date();
+  }
+  return this.save();
+};
+
 orderSchema.methods.markTicketsGenerated = function() {
   this.ticketStatus = 'generated';
   return this.save();
@@ -195,6 +268,32 @@ orderSchema.methods.markEmailSent = function() {
   return this.save();
 };
 
+// Static method for pagination
+orderSchema.statics.paginate = function(query, options) {
+  const page = options.page || 1;
+  const limit = options.limit || 10;
+  const skip = (page - 1) * limit;
+
+  return this.find(query)
+    .skip(skip)
+    .limit(limit)
+    .sort(options.sort || { createdAt: -1 })
+    .select(options.select || '')
+    .populate(options.populate || '')
+    .exec()
+    .then(docs => {
+      return this.countDocuments(query).then(total => ({
+        docs,
+        totalDocs: total,
+        totalPages: Math.ceil(total / limit),
+        page,
+        limit,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }));
+    });
+};
+
 const Order = mongoose.model('Order', orderSchema);
 
 module.exports = Order;
\ No newline at end of file
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+const paymentTransactionSchema = new mongoose.Schema({
+  checkoutRequestId: {
+    type: String,
+    required: [true, 'Checkout request ID is required'],
+    unique: true,
+    index: true
+  },
+  merchantRequestId: String,
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    index: true
+  },
+  orderNumber: String,
+  resultCode: Number,
+  resultDesc: String,
+  mpesaReceiptNumber: {
+    type: String,
+    sparse: true,
+    unique: true
+  },
+  amount: Number,
+  phoneNumber: String,
+  transactionDate: String,
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'rejected', 'error'],
+    default: 'received'
+  },
+  outcome: {
+    type: String,
+    enum: ['paid', 'failed', 'refunded', 'orphaned', 'underpaid', 'duplicate_receipt']
+  },
+  deliveries: {
+    type: Number,
+    default: 1
+  },
+  sourceIp: String,
+  payload: mongoose.Schema.Types.Mixed,
+  error: String,
+  firstReceivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastReceivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+paymentTransactionSchema.index({ status: 1, createdAt: 1 });
+
+// Instance methods
+paymentTransactionSchema.methods.markProcessed = function(outcome, details = {}) {
+  this.status = 'processed';
+  this.outcome = outcome;
+  this.processedAt = new Date();
+  this.error = undefined;
+  Object.assign(this, details);
+  return this.save();
+};
+
+paymentTransactionSchema.methods.markError = function(error) {
+  this.status = 'error';
+  this.error = error.message || String(error);
+  return this.save();
+};
+
+// Record a callback delivery; returns the transaction and whether it was seen before
+paymentTransactionSchema.statics.recordDelivery = async function(callback, context = {}) {
+  const now = new Date();
+
+  const previous = await this.findOneAndUpdate(
+    { checkoutRequestId: callback.CheckoutRequestID },
+    {
+      $setOnInsert: {
+        merchantRequestId: callback.MerchantRequestID,
+        resultCode: callback.ResultCode,
+        resultDesc: callback.ResultDesc,
+        sourceIp: context.sourceIp,
+        payload: callback,
+        firstReceivedAt: now,
+        status: 'received'
+      },
+      $inc: { deliveries: 1 },
+      $set: { lastReceivedAt: now }
+    },
+    { upsert: true, new: false }
+  );
+
+  return { isRetry: Boolean(previous) };
+};
+
+// Claim a transaction for processing so concurrent deliveries don't both run.
+// A claim left behind by a crashed process goes stale after a few minutes.
+paymentTransactionSchema.statics.claim = function(checkoutRequestId) {
+  return this.findOneAndUpdate(
+    {
+      checkoutRequestId,
+      $or: [
+        { status: { $in: ['received', 'error'] } },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - 5 * 60 * 1000) } }
+      ]
+    },
+    { status: 'processing' },
+    { new: true }
+  );
+};
+
+const PaymentTransaction = mongoose.model('PaymentTransaction', paymentTransactionSchema);
+
+module.exports = PaymentTransaction;
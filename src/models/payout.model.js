@@ -31,9 +31,12 @@ const payoutSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
+    enum: ['pending', 'on_hold', 'processing', 'completed', 'failed', 'cancelled'],
     default: 'pending'
   },
+  // Set while the payout waits on the host's KYC approval
+  holdReason: String,
+  heldAt: Date,
   method: {
     type: String,
     enum: ['bank_transfer', 'mpesa', 'paypal'],
@@ -45,6 +48,20 @@ const payoutSchema = new mongoose.Schema({
     accountName: String,
     branchCode: String
   },
+  // M-Pesa number for B2C payouts
+  recipientPhone: String,
+  // Provider request/response tracking (ConversationID for B2C, transfer ID for banks)
+  provider: {
+    reference: String,
+    originatorConversationId: String,
+    resultCode: String,
+    resultDesc: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
   transactionId: {
     type: String,
     sparse: true
@@ -59,10 +76,35 @@ const payoutSchema = new mongoose.Schema({
   completedAt: Date,
   failedAt: Date,
   failureReason: String,
+  // early: host-requested before the event; settlement: after the event,
+  // less the refund reserve; reserve_release: whatever is left
+  stage: {
+    type: String,
+    enum: ['early', 'settlement', 'reserve_release'],
+    default: 'settlement'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Whether the amount is currently debited from the host's ledger balance
+  ledgerPosted: {
+    type: Boolean,
+    default: false
+  },
+  ledgerPostings: {
+    type: Number,
+    default: 0
+  },
+  // Event totals from the ledger when the payout was made
   metadata: {
     ticketSales: Number,
+    grossSales: Number,
     platformFee: Number,
     processingFee: Number,
+    refunds: Number,
+    paidEarlier: Number,
+    reserveHeld: Number,
     netAmount: Number,
     taxAmount: Number
   },
@@ -83,9 +125,11 @@ const payoutSchema = new mongoose.Schema({
 // Indexes
 payoutSchema.index({ payoutId: 1 });
 payoutSchema.index({ hostId: 1, status: 1 });
+payoutSchema.index({ eventId: 1, stage: 1, status: 1 });
 payoutSchema.index({ eventId: 1 });
 payoutSchema.index({ status: 1, releasedAt: 1 });
 payoutSchema.index({ releasedAt: 1 });
+payoutSchema.index({ 'provider.reference': 1 }, { sparse: true });
 
 // Removed virtuals that cause circular dependencies
 // payoutSchema.virtual('host', {
@@ -113,8 +157,14 @@ payoutSchema.pre('save', function(next) {
 });
 
 // Instance methods
-payoutSchema.methods.markAsProcessing = function() {
+payoutSchema.methods.markAsProcessing = function(reference, originatorConversationId) {
   this.status = 'processing';
+  this.attempts += 1;
+  this.nextAttemptAt = undefined;
+  this.provider = {
+    reference,
+    originatorConversationId
+  };
   return this.save();
 };
 
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+
+const promoCodeSchema = new mongoose.Schema({
+  hostId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Host ID is required'],
+    index: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    uppercase: true,
+    trim: true,
+    minlength: [3, 'Promo code must be at least 3 characters'],
+    maxlength: [30, 'Promo code cannot exceed 30 characters'],
+    match: [/^[A-Z0-9_-]+$/, 'Promo code may only contain letters, numbers, dashes and underscores']
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Empty = every event belonging to the host
+  eventIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  }],
+  // Empty = every tier
+  tierNames: [String],
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount cannot be negative']
+  },
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  maxUsesPerBuyer: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  validFrom: Date,
+  validUntil: Date,
+  status: {
+    type: String,
+    enum: ['active', 'disabled'],
+    default: 'active'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+promoCodeSchema.index({ hostId: 1, code: 1 }, { unique: true });
+promoCodeSchema.index({ eventIds: 1 });
+
+promoCodeSchema.virtual('remainingUses').get(function() {
+  return this.maxUses ? Math.max(0, this.maxUses - this.usedCount) : null;
+});
+
+// Validate percentage range
+promoCodeSchema.pre('save', function(next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    return next(new Error('Percentage discount cannot exceed 100'));
+  }
+  next();
+});
+
+// Instance methods
+// Returns a reason string when the code can't be used for this event, otherwise null
+promoCodeSchema.methods.checkApplicable = function(event, now = new Date()) {
+  if (this.status !== 'active') {
+    return 'Promo code is not active';
+  }
+
+  if (this.hostId.toString() !== event.hostId.toString()) {
+    return 'Promo code is not valid for this event';
+  }
+
+  if (this.eventIds.length > 0 && !this.eventIds.some(id => id.toString() === event._id.toString())) {
+    return 'Promo code is not valid for this event';
+  }
+
+  if (this.validFrom && now < this.validFrom) {
+    return 'Promo code is not yet valid';
+  }
+
+  if (this.validUntil && now > this.validUntil) {
+    return 'Promo code has expired';
+  }
+
+  if (this.maxUses && this.usedCount >= this.maxUses) {
+    return 'Promo code has reached its usage limit';
+  }
+
+  return null;
+};
+
+// Discount for a set of priced order lines ({ tierName, totalPrice })
+promoCodeSchema.methods.calculateDiscount = function(lines) {
+  const eligibleSubtotal = lines
+    .filter(line => this.tierNames.length === 0 || this.tierNames.includes(line.tierName))
+    .reduce((sum, line) => sum + line.totalPrice, 0);
+
+  if (eligibleSubtotal <= 0) {
+    return 0;
+  }
+
+  const discount = this.discountType === 'percentage'
+    ? eligibleSubtotal * (this.discountValue / 100)
+    : this.discountValue;
+
+  return Math.round(Math.min(discount, eligibleSubtotal) * 100) / 100;
+};
+
+// Static methods
+// Atomically consume one use; resolves null when the usage cap is reached
+promoCodeSchema.statics.redeem = function(promoCodeId) {
+  return this.findOneAndUpdate(
+    {
+      _id: promoCodeId,
+      status: 'active',
+      $or: [
+        { maxUses: null },
+        { $expr: { $lt: ['$usedCount', '$maxUses'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+};
+
+promoCodeSchema.statics.releaseUse = function(promoCodeId) {
+  return this.updateOne(
+    { _id: promoCodeId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+};
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
+module.exports = PromoCode;
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  refundId: {
+    type: String,
+    unique: true,
+    index: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order ID is required'],
+    index: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required'],
+    index: true
+  },
+  hostId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [1, 'Refund amount must be at least 1']
+  },
+  currency: {
+    type: String,
+    default: 'KES',
+    enum: ['KES']
+  },
+  type: {
+    type: String,
+    enum: ['full', 'partial'],
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['reversal', 'b2c'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  reason: {
+    type: String,
+    default: 'Customer request'
+  },
+  // Tickets to cancel when the refund completes (empty = whole order for full refunds)
+  ticketIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket'
+  }],
+  recipientPhone: String,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  mpesa: {
+    originalReceipt: String,
+    conversationId: String,
+    originatorConversationId: String,
+    transactionId: String,
+    resultCode: Number,
+    resultDesc: String
+  },
+  completedAt: Date,
+  failedAt: Date,
+  failureReason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+refundSchema.index({ orderId: 1, status: 1 });
+refundSchema.index({ 'mpesa.conversationId': 1 }, { sparse: true });
+
+// Pre-save middleware to generate refund ID
+refundSchema.pre('save', function(next) {
+  if (this.isNew && !this.refundId) {
+    const timestamp = Date.now().toString().slice(-6);
+    const random = Math.random().toString(36).substr(2, 4).toUpperCase();
+    this.refundId = `RFD-${timestamp}-${random}`;
+  }
+  next();
+});
+
+// Instance methods
+refundSchema.methods.markAsProcessing = function(conversationId, originatorConversationId) {
+  this.status = 'processing';
+  this.mpesa.conversationId = conversationId;
+  this.mpesa.originatorConversationId = originatorConversationId;
+  return this.save();
+};
+
+refundSchema.methods.markAsCompleted = function(transactionId, resultDesc) {
+  this.status = 'completed';
+  this.mpesa.transactionId = transactionId;
+  this.mpesa.resultCode = 0;
+  this.mpesa.resultDesc = resultDesc;
+  this.completedAt = new Date();
+  return this.save();
+};
+
+refundSchema.methods.markAsFailed = function(reason, resultCode) {
+  this.status = 'failed';
+  this.failureReason = reason;
+  this.failedAt = new Date();
+  if (resultCode !== undefined) {
+    this.mpesa.resultCode = resultCode;
+    this.mpesa.resultDesc = reason;
+  }
+  return this.save();
+};
+
+// Settle a refund that is still in flight. Conditional on the status, so
+// when Daraja delivers a result twice (even concurrently) only one delivery
+// settles it; the other resolves null.
+refundSchema.statics.settle = function(refundId, update) {
+  return this.findOneAndUpdate(
+    { refundId, status: { $in: ['pending', 'processing'] } },
+    update,
+    { new: true }
+  );
+};
+
+refundSchema.statics.complete = function(refundId, transactionId, resultDesc) {
+  return this.settle(refundId, {
+    status: 'completed',
+    'mpesa.transactionId': transactionId,
+    'mpesa.resultCode': 0,
+    'mpesa.resultDesc': resultDesc,
+    completedAt: new Date()
+  });
+};
+
+refundSchema.statics.fail = function(refundId, reason, resultCode) {
+  const update = {
+    status: 'failed',
+    failureReason: reason,
+    failedAt: new Date()
+  };
+  if (resultCode !== undefined) {
+    update['mpesa.resultCode'] = resultCode;
+    update['mpesa.resultDesc'] = reason;
+  }
+  return this.settle(refundId, update);
+};
+
+// Amount already refunded or in flight for an order
+refundSchema.statics.committedAmount = async function(orderId) {
+  const refunds = await this.find({
+    orderId,
+    status: { $in: ['pending', 'processing', 'completed'] }
+  });
+  return refunds.reduce((sum, refund) => sum + refund.amount, 0);
+};
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+module.exports = Refund;
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// Why a scan was refused (the same reasons are tallied on the live dashboard)
+const REJECTION_REASONS = [
+  'invalid_qr',
+  'wrong_event',
+  'not_found',
+  'not_active',
+  'already_used',
+  'already_inside',
+  'duplicate',
+  'reentry_limit',
+  'reentry_not_allowed',
+  'not_inside',
+  'invalid',
+  'cancelled'
+];
+
+// One row per scan attempt, accepted or not, online or synced from a device
+const scanEventSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required'],
+    index: true
+  },
+  // Unset when the QR code could not be matched to a ticket
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket'
+  },
+  ticketId: String,
+  qrCodeId: String,
+  tierName: String,
+  direction: {
+    type: String,
+    enum: ['in', 'out'],
+    default: 'in'
+  },
+  result: {
+    type: String,
+    enum: ['admitted', 'exited', 'rejected'],
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REJECTION_REASONS
+  },
+  // Admitted again after leaving (re-entry tiers only)
+  reentry: {
+    type: Boolean,
+    default: false
+  },
+  scannerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deviceId: String,
+  gate: String,
+  offline: {
+    type: Boolean,
+    default: false
+  },
+  // When the scan happened on the device (differs from createdAt for offline scans)
+  scannedAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+scanEventSchema.index({ eventId: 1, scannedAt: -1 });
+scanEventSchema.index({ eventId: 1, result: 1, reason: 1 });
+scanEventSchema.index({ ticket: 1, scannedAt: 1 });
+scanEventSchema.index({ ticket: 1, deviceId: 1, scannedAt: 1 });
+
+// Static methods
+// Scans must not fail because the audit write did
+scanEventSchema.statics.record = async function(entry) {
+  try {
+    return await this.create({ scannedAt: new Date(), ...entry });
+  } catch (error) {
+    console.error('Error recording scan event:', error);
+    return null;
+  }
+};
+
+// Static method for pagination
+scanEventSchema.statics.paginate = function(query, options) {
+  const page = options.page || 1;
+  const limit = options.limit || 50;
+  const skip = (page - 1) * limit;
+
+  return this.find(query)
+    .skip(skip)
+    .limit(limit)
+    .sort(options.sort || { scannedAt: -1 })
+    .populate(options.populate || '')
+    .exec()
+    .then(docs => {
+      return this.countDocuments(query).then(total => ({
+        docs,
+        totalDocs: total,
+        totalPages: Math.ceil(total / limit),
+        page,
+        limit,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }));
+    });
+};
+
+const ScanEvent = mongoose.model('ScanEvent', scanEventSchema);
+
+module.exports = ScanEvent;
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const staffAssignmentSchema = new mongoose.Schema({
+  assignmentId: {
+    type: String,
+    unique: true,
+    index: true
+  },
+  hostId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Host ID is required'],
+    index: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Event ID is required'],
+    index: true
+  },
+  // Set once the invitation is accepted
+  scannerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Staff email is required'],
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // Empty = every gate at the event
+  gates: [{
+    type: String,
+    trim: true
+  }],
+  status: {
+    type: String,
+    enum: ['invited', 'active', 'revoked'],
+    default: 'invited'
+  },
+  inviteTokenHash: {
+    type: String,
+    select: false
+  },
+  inviteExpiresAt: Date,
+  // Window in which the staff member may scan
+  validFrom: {
+    type: Date,
+    required: true
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+staffAssignmentSchema.index({ eventId: 1, email: 1 });
+staffAssignmentSchema.index({ scannerId: 1, eventId: 1, status: 1 });
+
+// Pre-save middleware to generate assignment ID
+staffAssignmentSchema.pre('save', function(next) {
+  if (this.isNew && !this.assignmentId) {
+    const timestamp = Date.now().toString().slice(-6);
+    const random = Math.random().toString(36).substr(2, 4).toUpperCase();
+    this.assignmentId = `STF-${timestamp}-${random}`;
+  }
+  next();
+});
+
+staffAssignmentSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Instance methods
+// Issue a new invitation token; only its hash is stored
+staffAssignmentSchema.methods.createInviteToken = function(ttlHours = 72) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.inviteTokenHash = this.constructor.hashToken(token);
+  this.inviteExpiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+  return token;
+};
+
+staffAssignmentSchema.methods.accept = function(scannerId) {
+  this.scannerId = scannerId;
+  this.status = 'active';
+  this.acceptedAt = new Date();
+  this.inviteTokenHash = undefined;
+  this.inviteExpiresAt = undefined;
+  return this.save();
+};
+
+staffAssignmentSchema.methods.revoke = function(revokedBy) {
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  this.revokedBy = revokedBy;
+  this.inviteTokenHash = undefined;
+  return this.save();
+};
+
+staffAssignmentSchema.methods.coversGate = function(gate) {
+  return this.gates.length === 0 || Boolean(gate && this.gates.includes(gate));
+};
+
+// Static methods
+// Active assignment that lets a scanner work this event (and gate) right now
+staffAssignmentSchema.statics.findActive = async function(scannerId, eventId, gate) {
+  const now = new Date();
+
+  const assignments = await this.find({
+    scannerId,
+    eventId,
+    status: 'active',
+    validFrom: { $lte: now },
+    validUntil: { $gte: now }
+  });
+
+  return assignments.find(assignment => assignment.coversGate(gate)) || null;
+};
+
+const StaffAssignment = mongoose.model('StaffAssignment', staffAssignmentSchema);
+
+module.exports = StaffAssignment;
@@ -65,6 +65,43 @@ const ticketSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Device and gate of the scan that admitted the ticket
+  scanDeviceId: String,
+  scanGate: String,
+  // Entries so far (above 1 only on re-entry tiers) and whether the holder is inside
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  insideVenue: {
+    type: Boolean,
+    default: false
+  },
+  lastEntryAt: Date,
+  lastExitAt: Date,
+  // Pending hand-over; the recipient accepts with the token emailed to them
+  transfer: {
+    recipientName: String,
+    recipientEmail: {
+      type: String,
+      lowercase: true
+    },
+    recipientPhone: String,
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    requestedAt: Date,
+    expiresAt: Date
+  },
+  // Earlier holders, oldest first, with the (now revoked) QR code each one held
+  ownershipHistory: [{
+    name: String,
+    email: String,
+    phone: String,
+    qrCodeId: String,
+    transferredAt: Date
+  }],
   pdfUrl: {
     type: String,
     required: true
@@ -112,6 +149,9 @@ ticketSchema.index({ eventId: 1, status: 1 });
 ticketSchema.index({ buyerEmail: 1 });
 ticketSchema.index({ status: 1, activationTime: 1 });
 ticketSchema.index({ qrCodeData: 1 });
+ticketSchema.index({ eventId: 1, updatedAt: 1 });
+ticketSchema.index({ 'transfer.tokenHash': 1 }, { sparse: true });
+ticketSchema.index({ 'ownershipHistory.qrCodeId': 1 }, { sparse: true });
 
 // Removed virtuals that cause circular dependencies
 // ticketSchema.virtual('event', {
@@ -169,6 +209,9 @@ ticketSchema.methods.scan = async function(scannerId) {
   this.status = 'already_used';
   this.scannedAt = new Date();
   this.scannedBy = scannerId;
+  this.entryCount = 1;
+  this.insideVenue = true;
+  this.lastEntryAt = this.scannedAt;
   return this.save();
 };
 
@@ -187,6 +230,98 @@ ticketSchema.methods.isActive = async function() {
   return new Date() >= activationTime;
 };
 
+// Why an entry scan must be refused, or null. `reentry` is the tier's policy
+// (null when re-entry isn't allowed); activation time is checked by the caller.
+ticketSchema.statics.entryRejection = function(ticket, reentry) {
+  if (ticket.status === 'invalid' || ticket.status === 'cancelled') {
+    return ticket.status;
+  }
+
+  if (ticket.status !== 'already_used') {
+    return null;
+  }
+
+  if (!reentry) {
+    return 'already_used';
+  }
+
+  if (ticket.insideVenue) {
+    return 'already_inside';
+  }
+
+  const reentries = Math.max(ticket.entryCount || 0, 1) - 1;
+  if (reentry.maxReentries !== null && reentry.maxReentries !== undefined &&
+      reentries >= reentry.maxReentries) {
+    return 'reentry_limit';
+  }
+
+  return null;
+};
+
+// Why an exit scan must be refused, or null
+ticketSchema.statics.exitRejection = function(ticket, reentry) {
+  if (!reentry) {
+    return 'reentry_not_allowed';
+  }
+
+  if (ticket.status !== 'already_used' || !ticket.insideVenue) {
+    return 'not_inside';
+  }
+
+  return null;
+};
+
+// Admit a ticket that passed entryRejection. Guarded so that of two concurrent
+// scans only one succeeds; returns null for the loser.
+ticketSchema.statics.admit = function(ticket, { scannedAt, scannedBy, deviceId, gate }) {
+  if (ticket.status === 'already_used') {
+    const entryCount = ticket.entryCount || 0;
+
+    return this.findOneAndUpdate(
+      {
+        _id: ticket._id,
+        status: 'already_used',
+        insideVenue: { $ne: true },
+        entryCount: entryCount || { $in: [0, null] }
+      },
+      {
+        entryCount: Math.max(entryCount, 1) + 1,
+        insideVenue: true,
+        lastEntryAt: scannedAt
+      },
+      { new: true }
+    );
+  }
+
+  return this.findOneAndUpdate(
+    { _id: ticket._id, status: { $in: ['valid', 'not_active'] } },
+    {
+      status: 'already_used',
+      scannedAt,
+      scannedBy,
+      scanDeviceId: deviceId,
+      scanGate: gate,
+      entryCount: 1,
+      insideVenue: true,
+      lastEntryAt: scannedAt
+    },
+    { new: true }
+  );
+};
+
+ticketSchema.statics.exit = function(ticket, scannedAt) {
+  return this.findOneAndUpdate(
+    { _id: ticket._id, status: 'already_used', insideVenue: true },
+    { insideVenue: false, lastExitAt: scannedAt },
+    { new: true }
+  );
+};
+
+// Short hash of the QR code ID, as listed in offline scanner manifests
+ticketSchema.statics.manifestHash = function(qrCodeId) {
+  return crypto.createHash('sha256').update(qrCodeId).digest('hex').slice(0, 32);
+};
+
 ticketSchema.methods.incrementDownloadCount = function() {
   this.metadata.downloadCount += 1;
   return this.save();
@@ -196,6 +331,43 @@ ticketSchema.methods.getTicketUrl = function() {
   return `${process.env.APP_URL || 'http://localhost:5000'}/tickets/${this.ticketId}`;
 };
 
+// Proves the caller holds the current ticket email. Bound to the QR code, so
+// the link stops working once the ticket has been transferred.
+ticketSchema.methods.holderToken = function() {
+  return crypto
+    .createHmac('sha256', process.env.TICKET_TRANSFER_SECRET || process.env.JWT_SECRET)
+    .update(`${this.ticketId}:${this.qrCodeId}`)
+    .digest('base64url');
+};
+
+ticketSchema.methods.verifyHolderToken = function(token) {
+  const expected = Buffer.from(this.holderToken());
+  const given = Buffer.from(String(token || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+ticketSchema.methods.getTransferUrl = function() {
+  return `${process.env.APP_URL || 'http://localhost:5000'}/tickets/${this.ticketId}/transfer?token=${this.holderToken()}`;
+};
+
+// Start a transfer; returns the accept token (only its hash is stored)
+ticketSchema.methods.createTransfer = function({ name, email, phone }, expiresAt) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.transfer = {
+    recipientName: name,
+    recipientEmail: email,
+    recipientPhone: phone,
+    tokenHash: this.constructor.hashToken(token),
+    requestedAt: new Date(),
+    expiresAt
+  };
+  return token;
+};
+
+ticketSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 const Ticket = mongoose.model('Ticket', ticketSchema);
 
 module.exports = Ticket;
\ No newline at end of file
@@ -1,5 +1,21 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// Emailed links (verify email, reset password): purpose -> stored hash and expiry
+const EMAIL_TOKENS = {
+  email_verification: { hash: 'emailVerificationTokenHash', expires: 'emailVerificationExpiresAt' },
+  password_reset: { hash: 'passwordResetTokenHash', expires: 'passwordResetExpiresAt' }
+};
+
+// Social sign-ups start without these and fill them in from "complete your profile"
+function profileComplete() {
+  return this.profileComplete !== false;
+}
+
+function isHost() {
+  return this.role === 'host' && this.profileComplete !== false;
+}
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -25,50 +41,121 @@ const userSchema = new mongoose.Schema({
   },
   phone: {
     type: String,
-    required: [true, 'Phone number is required'],
+    required: [profileComplete, 'Phone number is required'],
     match: [/^\+?[\d\s-]{10,}$/, 'Please provide a valid phone number']
   },
+  // ID and bank details are only collected from hosts
   idNumber: {
     type: String,
-    required: [true, 'ID number is required'],
-    unique: true
+    required: [isHost, 'ID number is required'],
+    unique: true,
+    sparse: true
   },
   bankDetails: {
     bankName: {
       type: String,
-      required: [true, 'Bank name is required']
+      required: [isHost, 'Bank name is required']
     },
     accountNumber: {
       type: String,
-      required: [true, 'Account number is required']
+      required: [isHost, 'Account number is required']
     },
     accountName: {
       type: String,
-      required: [true, 'Account name is required']
+      required: [isHost, 'Account name is required']
     },
     branchCode: String
   },
+  // Where host payouts go: bank account above or an M-Pesa number (B2C)
+  payoutMethod: {
+    type: String,
+    enum: ['bank_transfer', 'mpesa'],
+    default: 'bank_transfer'
+  },
+  mpesaPayoutPhone: {
+    type: String,
+    match: [/^\+?[\d\s-]{10,}$/, 'Please provide a valid phone number']
+  },
+  // Identity checks for hosts. Payouts are held until an admin approves.
+  kyc: {
+    status: {
+      type: String,
+      enum: ['not_submitted', 'pending', 'approved', 'rejected'],
+      default: 'not_submitted'
+    },
+    documents: [{
+      type: {
+        type: String,
+        enum: ['id_front', 'id_back', 'kra_pin', 'business_registration'],
+        required: true
+      },
+      publicId: String,
+      mimeType: String,
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    submittedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    rejectionReason: String
+  },
   companyName: {
     type: String,
     default: ''
   },
+  // Host default: pay the processing fee instead of passing it to buyers
+  absorbFees: {
+    type: Boolean,
+    default: false
+  },
   role: {
     type: String,
-    enum: ['host', 'admin'],
+    enum: ['host', 'admin', 'scanner'],
     default: 'host'
   },
   emailVerified: {
     type: Boolean,
     default: false
   },
+  emailVerifiedAt: Date,
+  // Only hashes of emailed tokens are stored; a token works once
+  emailVerificationTokenHash: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpiresAt: Date,
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpiresAt: Date,
+  passwordChangedAt: Date,
+  // Proved by an SMS code; reset whenever the phone number changes
   phoneVerified: {
     type: Boolean,
     default: false
   },
+  phoneVerifiedAt: Date,
   profileImage: {
     type: String,
     default: ''
   },
+  // False for accounts created through Google or Facebook until the host
+  // adds their phone, ID number and bank details
+  profileComplete: {
+    type: Boolean,
+    default: true
+  },
+  // Social sign-ups get a random password they don't know
+  hasPassword: {
+    type: Boolean,
+    default: true
+  },
   googleId: {
     type: String,
     sparse: true,
@@ -79,13 +166,52 @@ const userSchema = new mongoose.Schema({
     sparse: true,
     unique: true
   },
+  // TOTP two-factor authentication. The secret is stored encrypted and
+  // recovery codes as hashes (see two-factor.service).
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Set during enrolment until the first code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Time step of the last accepted code, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        _id: false,
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    }
+  },
+  // Signed-in sessions, one per refresh token family (see session.service).
+  // Only a hash of each session's current refresh token is kept.
   refreshTokens: [{
-    token: String,
-    expiresAt: Date,
+    _id: false,
+    sessionId: String,
+    tokenHash: String,
+    device: String,
+    userAgent: String,
+    ip: String,
     createdAt: {
       type: Date,
       default: Date.now
-    }
+    },
+    lastUsedAt: Date,
+    expiresAt: Date
   }],
   lastLogin: Date,
   status: {
@@ -103,7 +229,21 @@ const userSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.emailVerificationTokenHash;
+      delete ret.passwordResetTokenHash;
+      delete ret.refreshTokens;
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pendingSecret;
+        delete ret.twoFactor.lastUsedStep;
+        delete ret.twoFactor.recoveryCodes;
+      }
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -114,6 +254,9 @@ userSchema.index({ idNumber: 1 });
 userSchema.index({ googleId: 1 });
 userSchema.index({ facebookId: 1 });
 userSchema.index({ status: 1 });
+userSchema.index({ role: 1, 'kyc.status': 1 });
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
 
 // Removed virtuals that cause circular dependencies
 // userSchema.virtual('events', {
@@ -153,23 +296,96 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.passwordHash);
 };
 
-userSchema.methods.addRefreshToken = function(token, expiresAt) {
-  this.refreshTokens.push({ token, expiresAt });
-  return this.save();
+// Hosts are paid only once an admin has checked their documents
+userSchema.methods.isKycApproved = function() {
+  return Boolean(this.kyc && this.kyc.status === 'approved');
+};
+
+// New password (hashed on save). Signs the user out everywhere and voids any reset link.
+userSchema.methods.setPassword = function(password) {
+  this.passwordHash = password;
+  this.hasPassword = true;
+  this.passwordChangedAt = new Date();
+  this.refreshTokens = [];
+  this.passwordResetTokenHash = undefined;
+  this.passwordResetExpiresAt = undefined;
+  return this;
+};
+
+// Issue a token for an emailed link, replacing any earlier one; only its hash is stored
+userSchema.methods.createEmailToken = function(purpose, ttlMinutes) {
+  const fields = EMAIL_TOKENS[purpose];
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this[fields.hash] = this.constructor.hashEmailToken(purpose, token);
+  this[fields.expires] = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  return token;
+};
+
+// Why a host can't publish events yet, or null if they can
+userSchema.methods.checkCanPublish = function() {
+  if (this.profileComplete === false) {
+    return 'Complete your host profile (phone, ID number and bank details) before publishing events';
+  }
+  if (!this.emailVerified) {
+    return 'Confirm your email address before publishing events. Check your inbox or request a new link.';
+  }
+  return null;
 };
 
-userSchema.methods.removeRefreshToken = function(token) {
-  this.refreshTokens = this.refreshTokens.filter(rt => rt.token !== token);
-  return this.save();
+// Why a host's payouts must wait, or null if they can be sent
+userSchema.methods.payoutHoldReason = function() {
+  if (!this.emailVerified) {
+    return 'email_unverified';
+  }
+  // M-Pesa payouts go to a number the host has to prove is theirs
+  if (this.payoutMethod === 'mpesa' && !this.phoneVerified) {
+    return 'phone_unverified';
+  }
+  if (!this.isKycApproved()) {
+    return 'kyc';
+  }
+  return null;
 };
 
-userSchema.methods.clearExpiredTokens = function() {
-  const now = new Date();
-  this.refreshTokens = this.refreshTokens.filter(rt => rt.expiresAt > now);
-  return this.save();
+userSchema.methods.twoFactorEnabled = function() {
+  return Boolean(this.twoFactor && this.twoFactor.enabled);
+};
+
+// Ways the user can still sign in, so unlinking never locks them out
+userSchema.methods.signInMethods = function() {
+  return [
+    this.hasPassword !== false && 'password',
+    this.googleId && 'google',
+    this.facebookId && 'facebook'
+  ].filter(Boolean);
 };
 
 // Static methods
+// Keyed to the server secret and the purpose, so a verification token can't
+// be replayed as a reset token
+userSchema.statics.hashEmailToken = function(purpose, token) {
+  return crypto
+    .createHmac('sha256', process.env.EMAIL_TOKEN_SECRET || process.env.JWT_SECRET)
+    .update(`${purpose}:${token}`)
+    .digest('hex');
+};
+
+// Use up an emailed token. Returns the user, or null if it is wrong, expired or already used.
+userSchema.statics.consumeEmailToken = function(purpose, token) {
+  const fields = EMAIL_TOKENS[purpose];
+
+  return this.findOneAndUpdate(
+    {
+      [fields.hash]: this.hashEmailToken(purpose, token),
+      [fields.expires]: { $gt: new Date() },
+      status: 'active'
+    },
+    { $unset: { [fields.hash]: 1, [fields.expires]: 1 } },
+    { new: true }
+  );
+};
+
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email, status: 'active' });
 };
@@ -192,6 +408,7 @@ userSchema.statics.paginate = function(query, options) {
     .skip(skip)
     .limit(limit)
     .sort(options.sort || { createdAt: -1 })
+    .select(options.select || '')
     .populate(options.populate || '')
     .exec()
     .then(docs => {
@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/admin.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const validationMiddleware = require('../middlewares/validation.middleware');
+
+// All routes require a platform admin. Every change is written to the audit log.
+router.use(authMiddleware.verifyToken, authMiddleware.verifyAdmin);
+
+// Hosts
+router.get(
+  '/hosts',
+  validationMiddleware.validateListHosts,
+  adminController.listHosts
+);
+router.get('/hosts/:userId', adminController.getHost);
+router.patch(
+  '/hosts/:userId/status',
+  validationMiddleware.validateUpdateHostStatus,
+  adminController.updateHostStatus
+);
+
+// Host KYC
+router.get(
+  '/kyc',
+  validationMiddleware.validateListKycSubmissions,
+  adminController.listKycSubmissions
+);
+router.post(
+  '/hosts/:userId/kyc',
+  validationMiddleware.validateReviewKyc,
+  adminController.reviewKyc
+);
+
+// Events
+router.get(
+  '/events',
+  validationMiddleware.validateAdminListEvents,
+  adminController.listEvents
+);
+router.post(
+  '/events/:eventId/moderation',
+  validationMiddleware.validateModerateEvent,
+  adminController.moderateEvent
+);
+
+// Orders
+router.get('/orders/:orderNumber', adminController.getOrder);
+router.post(
+  '/orders/:orderNumber/mark-paid',
+  validationMiddleware.validateMarkOrderPaid,
+  adminController.markOrderPaid
+);
+router.post(
+  '/orders/:orderNumber/regenerate-tickets',
+  validationMiddleware.validateAdminAction,
+  adminController.regenerateTickets
+);
+router.post(
+  '/orders/:orderNumber/resend-tickets',
+  validationMiddleware.validateAdminAction,
+  adminController.resendTickets
+);
+
+// Payouts
+router.get(
+  '/payouts',
+  validationMiddleware.validateAdminListPayouts,
+  adminController.listPayouts
+);
+router.post(
+  '/payouts/:payoutId/retry',
+  validationMiddleware.validateAdminAction,
+  adminController.retryPayout
+);
+
+// Background jobs
+router.get('/queues', adminController.getQueues);
+router.get(
+  '/queues/:queue/jobs',
+  validationMiddleware.validateListQueueJobs,
+  adminController.getQueueJobs
+);
+router.post(
+  '/queues/:queue/jobs/:jobId/retry',
+  validationMiddleware.validateAdminAction,
+  adminController.retryJob
+);
+
+// Audit trail
+router.get(
+  '/audit-logs',
+  validationMiddleware.validateListAuditLogs,
+  adminController.getAuditLogs
+);
+
+module.exports = router;
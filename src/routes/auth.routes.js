@@ -30,6 +30,55 @@ router.post(
   authController.facebookAuth
 );
 
+// Email confirmation and password reset links
+router.post(
+  '/verify-email',
+  validationMiddleware.validateVerifyEmail,
+  authController.verifyEmail
+);
+
+router.post(
+  '/forgot-password',
+  authMiddleware.rateLimit('forgot_password'),
+  validationMiddleware.validateForgotPassword,
+  authController.forgotPassword
+);
+
+router.post(
+  '/reset-password',
+  authMiddleware.rateLimit('reset_password'),
+  validationMiddleware.validateResetPassword,
+  authController.resetPassword
+);
+
+// Second sign-in step for accounts with two-factor on
+router.post(
+  '/2fa/login',
+  authMiddleware.rateLimit('2fa_login'),
+  validationMiddleware.validateVerifyTwoFactorLogin,
+  authController.verifyTwoFactorLogin
+);
+
+router.post(
+  '/staff/accept',
+  validationMiddleware.validateAcceptStaffInvitation,
+  authController.acceptStaffInvitation
+);
+
+// Buyer sign-in with a one-time code (no account needed)
+router.post(
+  '/buyer/code',
+  validationMiddleware.validateRequestBuyerCode,
+  authController.requestBuyerCode
+);
+
+router.post(
+  '/buyer/verify',
+  authMiddleware.rateLimit('buyer_verify'),
+  validationMiddleware.validateVerifyBuyerCode,
+  authController.verifyBuyerCode
+);
+
 router.post(
   '/refresh-token',
   authMiddleware.verifyRefreshToken,
@@ -54,4 +103,118 @@ router.patch(
   authController.updateProfile
 );
 
+router.post(
+  '/verify-email/resend',
+  authMiddleware.verifyToken,
+  authController.resendVerificationEmail
+);
+
+router.post(
+  '/change-password',
+  authMiddleware.verifyToken,
+  validationMiddleware.validateChangePassword,
+  authController.changePassword
+);
+
+router.post(
+  '/complete-profile',
+  authMiddleware.verifyToken,
+  validationMiddleware.validateCompleteProfile,
+  authController.completeProfile
+);
+
+// Signed-in devices
+router.get(
+  '/sessions',
+  authMiddleware.verifyToken,
+  authController.getSessions
+);
+
+router.delete(
+  '/sessions',
+  authMiddleware.verifyToken,
+  authController.revokeOtherSessions
+);
+
+router.delete(
+  '/sessions/:sessionId',
+  authMiddleware.verifyToken,
+  authController.revokeSession
+);
+
+// Phone verification by SMS code
+router.post(
+  '/phone/code',
+  authMiddleware.verifyToken,
+  authController.sendPhoneCode
+);
+
+router.post(
+  '/phone/verify',
+  authMiddleware.verifyToken,
+  validationMiddleware.validateVerifyPhone,
+  authController.verifyPhone
+);
+
+// Two-factor authentication
+router.get(
+  '/2fa',
+  authMiddleware.verifyToken,
+  authController.getTwoFactorStatus
+);
+
+router.post(
+  '/2fa/setup',
+  authMiddleware.verifyToken,
+  authMiddleware.checkReauth,
+  authController.setupTwoFactor
+);
+
+router.post(
+  '/2fa/enable',
+  authMiddleware.verifyToken,
+  validationMiddleware.validateEnableTwoFactor,
+  authMiddleware.requireReauth,
+  authController.enableTwoFactor
+);
+
+router.post(
+  '/2fa/disable',
+  authMiddleware.verifyToken,
+  authMiddleware.rateLimit('2fa_disable'),
+  validationMiddleware.validateDisableTwoFactor,
+  authController.disableTwoFactor
+);
+
+router.post(
+  '/2fa/recovery-codes',
+  authMiddleware.verifyToken,
+  authMiddleware.rateLimit('2fa_recovery_codes'),
+  validationMiddleware.validateRegenerateRecoveryCodes,
+  authController.regenerateRecoveryCodes
+);
+
+// Confirm identity again before sensitive changes (e.g. bank details)
+router.post(
+  '/reauthenticate',
+  authMiddleware.verifyToken,
+  authMiddleware.rateLimit('reauthenticate'),
+  validationMiddleware.validateReauthenticate,
+  authController.reauthenticate
+);
+
+// Linked Google/Facebook accounts
+router.post(
+  '/social/:provider',
+  authMiddleware.verifyToken,
+  validationMiddleware.validateLinkSocialAccount,
+  authController.linkSocialAccount
+);
+
+router.delete(
+  '/social/:provider',
+  authMiddleware.verifyToken,
+  authController.unlinkSocialAccount
+);
+
 module.exports = router;
\ No newline at end of file
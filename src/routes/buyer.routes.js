@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const buyerController = require('../controllers/buyer.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+const validationMiddleware = require('../middlewares/validation.middleware');
+
+// All routes require a buyer token (see /auth/buyer/code)
+router.use(authMiddleware.verifyToken, authMiddleware.verifyBuyer);
+
+router.get('/me', buyerController.getMe);
+
+// Orders
+router.get(
+  '/orders',
+  validationMiddleware.validateListBuyerOrders,
+  buyerController.getMyOrders
+);
+router.post('/orders/:orderNumber/resend', buyerController.resendOrderTickets);
+
+// Tickets (download through /tickets/:ticketId/download/:format)
+router.get(
+  '/tickets',
+  validationMiddleware.validateListBuyerTickets,
+  buyerController.getMyTickets
+);
+
+module.exports = router;
@@ -5,8 +5,39 @@ const authMiddleware = require('../middlewares/auth.middleware');
 const validationMiddleware = require('../middlewares/validation.middleware');
 
 // Public routes
+router.get(
+  '/',
+  validationMiddleware.validateListEvents,
+  eventController.listEvents
+);
 router.get('/:slug', eventController.getEventBySlug);
 
+// Cancellation (host or admin)
+router.post(
+  '/:eventId/cancel',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyHostOrAdmin,
+  validationMiddleware.validateCancelEvent,
+  eventController.cancelEvent
+);
+
+router.get(
+  '/:eventId/cancellation',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyHostOrAdmin,
+  eventController.getCancellationStatus
+);
+
+// Live door dashboard (host or admin). EventSource can't send headers,
+// so the access token may be passed as ?access_token=
+router.get(
+  '/:eventId/live',
+  authMiddleware.tokenFromQuery,
+  authMiddleware.verifyToken,
+  authMiddleware.verifyHostOrAdmin,
+  eventController.streamLiveDashboard
+);
+
 // Protected routes (host only)
 router.use(authMiddleware.verifyToken, authMiddleware.verifyHost);
 
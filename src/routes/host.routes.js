@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const hostController = require('../controllers/host.controller');
+const staffController = require('../controllers/staff.controller');
 const authMiddleware = require('../middlewares/auth.middleware');
 const validationMiddleware = require('../middlewares/validation.middleware');
 
@@ -15,13 +16,65 @@ router.patch('/profile', hostController.updateHostProfile);
 // Events
 router.get('/events', hostController.getHostEvents);
 
+// Door staff
+router.get('/events/:eventId/staff', staffController.getEventStaff);
+router.post(
+  '/events/:eventId/staff',
+  validationMiddleware.validateInviteStaff,
+  staffController.inviteStaff
+);
+router.post('/events/:eventId/staff/:assignmentId/resend', staffController.resendInvitation);
+router.delete('/events/:eventId/staff/:assignmentId', staffController.revokeStaff);
+
 // Payouts
 router.get('/payouts', hostController.getHostPayouts);
+router.get('/balance', hostController.getBalance);
+router.get('/ledger', validationMiddleware.validateListLedger, hostController.getLedger);
+router.post(
+  '/events/:eventId/payouts',
+  validationMiddleware.validateRequestEarlyPayout,
+  hostController.requestEarlyPayout
+);
+router.put(
+  '/payout-method',
+  validationMiddleware.validateUpdatePayoutMethod,
+  authMiddleware.requireReauth,
+  hostController.updatePayoutMethod
+);
+
+// Refunds
+router.get('/orders/:orderNumber/refunds', hostController.getOrderRefunds);
+router.post(
+  '/orders/:orderNumber/refunds',
+  validationMiddleware.validateRefundOrder,
+  hostController.refundOrder
+);
+
+// Promo codes
+router.get('/promo-codes', hostController.getPromoCodes);
+router.post(
+  '/promo-codes',
+  validationMiddleware.validateCreatePromoCode,
+  hostController.createPromoCode
+);
+router.get('/promo-codes/:promoId', hostController.getPromoCode);
+router.patch(
+  '/promo-codes/:promoId',
+  validationMiddleware.validateUpdatePromoCode,
+  hostController.updatePromoCode
+);
+router.delete('/promo-codes/:promoId', hostController.deletePromoCode);
+
+// KYC
+router.get('/kyc', hostController.getKyc);
+router.post('/kyc/documents', hostController.uploadKycDocuments);
+router.post('/kyc/submit', hostController.submitKyc);
 
 // Bank details
 router.post(
   '/bank-details',
   validationMiddleware.validateUpdateBankDetails,
+  authMiddleware.requireReauth,
   hostController.updateBankDetails
 );
 
@@ -1,13 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const paymentService = require('../services/payment.service');
+const payoutService = require('../services/payout.service');
+const authMiddleware = require('../middlewares/auth.middleware');
 
-// M-Pesa callback URL (public)
-router.post('/callback', async (req, res) => {
+// M-Pesa callback URL (public, verified by source IP and/or secret path segment)
+router.post('/callback/:secret?', authMiddleware.verifyMpesaCallback, async (req, res) => {
   try {
     console.log('M-Pesa callback received:', JSON.stringify(req.body, null, 2));
     
-    const result = await paymentService.validateCallback(req.body);
+    const result = await paymentService.validateCallback(req.body, {
+      sourceIp: req.callbackSourceIp || req.ip
+    });
     
     if (result.success) {
       console.log('Payment successful:', result);
@@ -31,6 +35,84 @@ router.post('/callback', async (req, res) => {
   }
 });
 
+// M-Pesa refund (reversal/B2C) result callback (public)
+router.post('/refunds/:refundId/result/:secret?', authMiddleware.verifyMpesaCallback, async (req, res) => {
+  try {
+    console.log(`M-Pesa refund result received for ${req.params.refundId}:`, JSON.stringify(req.body, null, 2));
+
+    const result = await paymentService.handleRefundResult(req.params.refundId, req.body);
+    console.log('Refund result processed:', result);
+  } catch (error) {
+    console.error('Error processing refund result:', error);
+  }
+
+  res.status(200).json({
+    ResultCode: 0,
+    ResultDesc: 'Accepted'
+  });
+});
+
+// M-Pesa refund queue timeout callback (public)
+router.post('/refunds/:refundId/timeout/:secret?', authMiddleware.verifyMpesaCallback, async (req, res) => {
+  try {
+    console.log(`M-Pesa refund timeout received for ${req.params.refundId}`);
+    await paymentService.handleRefundTimeout(req.params.refundId);
+  } catch (error) {
+    console.error('Error processing refund timeout:', error);
+  }
+
+  res.status(200).json({
+    ResultCode: 0,
+    ResultDesc: 'Accepted'
+  });
+});
+
+// M-Pesa B2C payout result callback (public)
+router.post('/payouts/:payoutId/result/:secret?', authMiddleware.verifyMpesaCallback, async (req, res) => {
+  try {
+    console.log(`M-Pesa payout result received for ${req.params.payoutId}:`, JSON.stringify(req.body, null, 2));
+
+    const result = await payoutService.handleResult(req.params.payoutId, 'mpesa', req.body);
+    console.log('Payout result processed:', result);
+  } catch (error) {
+    console.error('Error processing payout result:', error);
+  }
+
+  res.status(200).json({
+    ResultCode: 0,
+    ResultDesc: 'Accepted'
+  });
+});
+
+// M-Pesa B2C payout queue timeout callback (public)
+router.post('/payouts/:payoutId/timeout/:secret?', authMiddleware.verifyMpesaCallback, async (req, res) => {
+  try {
+    console.log(`M-Pesa payout timeout received for ${req.params.payoutId}`);
+    await payoutService.handleTimeout(req.params.payoutId);
+  } catch (error) {
+    console.error('Error processing payout timeout:', error);
+  }
+
+  res.status(200).json({
+    ResultCode: 0,
+    ResultDesc: 'Accepted'
+  });
+});
+
+// Bank transfer payout result callback (public, verified by secret path segment)
+router.post('/payouts/:payoutId/bank-result/:secret?', authMiddleware.verifyBankPayoutCallback, async (req, res) => {
+  try {
+    console.log(`Bank payout result received for ${req.params.payoutId}:`, JSON.stringify(req.body, null, 2));
+
+    const result = await payoutService.handleResult(req.params.payoutId, 'bank_transfer', req.body);
+    console.log('Payout result processed:', result);
+  } catch (error) {
+    console.error('Error processing bank payout result:', error);
+  }
+
+  res.status(200).json({ received: true });
+});
+
 // Test payment endpoint (development only)
 if (process.env.NODE_ENV === 'development') {
   router.post('/test', async (req, res) => {
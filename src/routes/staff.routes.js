@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const staffController = require('../controllers/staff.controller');
+const authMiddleware = require('../middlewares/auth.middleware');
+
+// All routes require authentication (scanner, or a host working another host's door)
+router.use(authMiddleware.verifyToken);
+
+// Events the signed-in user can scan
+router.get('/assignments', staffController.getMyAssignments);
+
+module.exports = router;
@@ -11,6 +11,28 @@ router.post(
   ticketController.validateTicket
 );
 
+// Public keys for offline QR verification
+router.get('/keys', ticketController.getSigningKeys);
+
+// Transfers (holder link from the ticket email; recipient accept link)
+router.post(
+  '/transfers/accept',
+  validationMiddleware.validateAcceptTicketTransfer,
+  ticketController.acceptTransfer
+);
+
+router.post(
+  '/:ticketId/transfer',
+  validationMiddleware.validateRequestTicketTransfer,
+  ticketController.requestTransfer
+);
+
+router.post(
+  '/:ticketId/transfer/cancel',
+  validationMiddleware.validateCancelTicketTransfer,
+  ticketController.cancelTransfer
+);
+
 // Ticket scanning (requires authentication - scanner)
 router.post(
   '/scan',
@@ -19,6 +41,37 @@ router.post(
   ticketController.scanTicket
 );
 
+// Offline scanning: manifest download and batch sync (scanner devices)
+router.get(
+  '/manifest/:eventId',
+  authMiddleware.verifyToken,
+  validationMiddleware.validateScanManifest,
+  ticketController.getScanManifest
+);
+
+router.post(
+  '/sync',
+  authMiddleware.verifyToken,
+  validationMiddleware.validateSyncOfflineScans,
+  ticketController.syncOfflineScans
+);
+
+// Scan history (event host or admin)
+router.get(
+  '/event/:eventId/scans',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyHostOrAdmin,
+  validationMiddleware.validateListScanEvents,
+  ticketController.getEventScans
+);
+
+router.get(
+  '/:ticketId/scans',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyHostOrAdmin,
+  ticketController.getTicketScans
+);
+
 // Get ticket by ID (authenticated users)
 router.get(
   '/:ticketId',
@@ -0,0 +1,121 @@
+const jwt = require('jsonwebtoken');
+const Order = require('../models/order.model');
+const Ticket = require('../models/ticket.model');
+const { AppError } = require('../middlewares/error.middleware');
+const emailService = require('../config/email');
+const otpService = require('./otp.service');
+const paymentService = require('./payment.service');
+const smsService = require('./sms.service');
+
+const LOGIN_PURPOSE = 'buyer_login';
+const CODE_TTL_MINUTES = 10;
+
+// Buyers don't have accounts. They sign in with a one-time code and get a
+// short-lived token carrying the email or phone they proved, which scopes
+// every order and ticket lookup.
+class BuyerService {
+  normalizeIdentity({ email, phone }) {
+    if (email) {
+      return { email: email.trim().toLowerCase() };
+    }
+    return { phone: paymentService.formatPhoneNumber(phone) };
+  }
+
+  // Checkout stores phones as typed; match the common Kenyan spellings
+  phoneVariants(phone) {
+    const normalized = paymentService.formatPhoneNumber(phone);
+    return [normalized, `+${normalized}`, `0${normalized.slice(3)}`];
+  }
+
+  subject(identity) {
+    return identity.email ? `email:${identity.email}` : `phone:${identity.phone}`;
+  }
+
+  // Filter for orders/tickets belonging to the buyer
+  ownerQuery(buyer) {
+    if (buyer.email) {
+      return { buyerEmail: buyer.email };
+    }
+    return { buyerPhone: { $in: this.phoneVariants(buyer.phone) } };
+  }
+
+  owns(buyer, record) {
+    if (!buyer || !record) {
+      return false;
+    }
+    if (buyer.email) {
+      return record.buyerEmail === buyer.email;
+    }
+    return Boolean(buyer.phone && record.buyerPhone) &&
+      this.phoneVariants(buyer.phone).includes(record.buyerPhone.replace(/[\s-]/g, ''));
+  }
+
+  // Send a login code to the email or phone being signed in with, so using
+  // it proves the buyer controls that contact. Only contacts on paid orders
+  // (or holding tickets) get one; others get the same response but no message.
+  async requestLoginCode(contact) {
+    const identity = this.normalizeIdentity(contact);
+    const query = this.ownerQuery(identity);
+
+    // Anyone can start a checkout with any details, so unpaid orders don't count
+    const latest = await Order.findOne({ ...query, paymentStatus: { $in: ['completed', 'refunded'] } })
+      .sort({ createdAt: -1 })
+      .select('buyerName') ||
+      await Ticket.findOne(query).sort({ createdAt: -1 }).select('buyerName');
+
+    if (!latest) {
+      return { sent: false };
+    }
+
+    const code = await otpService.issue(LOGIN_PURPOSE, this.subject(identity), {
+      ttlSeconds: CODE_TTL_MINUTES * 60
+    });
+
+    try {
+      if (identity.email) {
+        await emailService.sendEmail(
+          identity.email,
+          `Your SwiftPass sign-in code: ${code}`,
+          emailService.generateLoginCodeEmail({
+            name: latest.buyerName,
+            code,
+            expiresInMinutes: CODE_TTL_MINUTES
+          })
+        );
+      } else {
+        await smsService.send(
+          identity.phone,
+          `Your SwiftPass sign-in code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes. Don't share it with anyone.`
+        );
+      }
+    } catch (error) {
+      console.error('Error sending buyer login code:', error);
+      throw new AppError('Could not send the sign-in code. Please try again.', 502);
+    }
+
+    return { sent: true };
+  }
+
+  async verifyLoginCode(contact, code) {
+    const identity = this.normalizeIdentity(contact);
+
+    const valid = await otpService.verify(LOGIN_PURPOSE, this.subject(identity), code);
+    if (!valid) {
+      throw new AppError('Invalid or expired code', 401);
+    }
+
+    const accessToken = jwt.sign(
+      { role: 'buyer', ...identity },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_BUYER_EXPIRY || '24h' }
+    );
+
+    return {
+      buyer: identity,
+      accessToken,
+      expiresAt: new Date(jwt.decode(accessToken).exp * 1000)
+    };
+  }
+}
+
+module.exports = new BuyerService();
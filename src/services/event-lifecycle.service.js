@@ -0,0 +1,139 @@
+const Event = require('../models/event.model');
+const Ticket = require('../models/ticket.model');
+const redisClient = require('../config/redis');
+
+// Minutes before the start that ticket sales close (see Event#salesCutoff)
+const SALES_CUTOFF_MINUTES = parseInt(process.env.EVENT_SALES_CUTOFF_MINUTES || '0');
+// Hours after an event ends before unscanned tickets stop being valid
+const TICKET_EXPIRY_HOURS = parseInt(process.env.EVENT_TICKET_EXPIRY_HOURS || '6');
+
+const HOOKS = ['sales_closed', 'completed', 'tickets_expired'];
+
+// Moves published events through sales closed -> completed -> tickets
+// expired. Each transition is a conditional update, so it happens once even
+// if two sweeps overlap, and then runs the hooks registered for it (payouts,
+// notifications, the live dashboard).
+class EventLifecycleService {
+  constructor() {
+    this.hooks = HOOKS.reduce((hooks, name) => ({ ...hooks, [name]: [] }), {});
+  }
+
+  // Register a handler, called with (event, details) after a transition
+  on(name, handler) {
+    if (!this.hooks[name]) {
+      throw new Error(`Unknown lifecycle hook ${name}`);
+    }
+    this.hooks[name].push(handler);
+  }
+
+  // A failing hook is logged and doesn't stop the others or undo the transition
+  async emit(name, event, details = {}) {
+    for (const handler of this.hooks[name]) {
+      try {
+        await handler(event, details);
+      } catch (error) {
+        console.error(`Lifecycle hook ${name} failed for event ${event._id}:`, error);
+      }
+    }
+  }
+
+  ticketsExpireAt(event) {
+    return new Date(event.endsAt().getTime() + TICKET_EXPIRY_HOURS * 60 * 60 * 1000);
+  }
+
+  async closeSales(event) {
+    const closed = await Event.findOneAndUpdate(
+      { _id: event._id, status: 'published', salesClosedAt: null },
+      { salesClosedAt: new Date() },
+      { new: true }
+    );
+    if (!closed) {
+      return null;
+    }
+
+    console.log(`Ticket sales closed for event ${closed._id} (${closed.name})`);
+    await this.emit('sales_closed', closed);
+
+    return closed;
+  }
+
+  async complete(event) {
+    const now = new Date();
+    const completed = await Event.findOneAndUpdate(
+      { _id: event._id, status: 'published' },
+      [{ $set: { status: 'completed', completedAt: now, salesClosedAt: { $ifNull: ['$salesClosedAt', now] } } }],
+      { new: true }
+    );
+    if (!completed) {
+      return null;
+    }
+
+    console.log(`Event ${completed._id} (${completed.name}) completed`);
+    await this.emit('completed', completed);
+
+    return completed;
+  }
+
+  // Unscanned tickets can't be used once the event is over
+  async expireTickets(event) {
+    const expired = await Event.findOneAndUpdate(
+      { _id: event._id, status: 'completed', ticketsExpiredAt: null },
+      { ticketsExpiredAt: new Date() },
+      { new: true }
+    );
+    if (!expired) {
+      return null;
+    }
+
+    const unscanned = { eventId: expired._id, status: { $in: ['not_active', 'valid'] } };
+    const tickets = await Ticket.find(unscanned).select('qrCodeId');
+
+    const result = await Ticket.updateMany(unscanned, { status: 'invalid' });
+
+    // Scans read the cached ticket first
+    for (const ticket of tickets) {
+      await redisClient.del(`ticket:${ticket.qrCodeId}`);
+    }
+
+    console.log(`Invalidated ${result.modifiedCount} unscanned tickets for event ${expired._id}`);
+    await this.emit('tickets_expired', expired, { invalidated: result.modifiedCount });
+
+    return expired;
+  }
+
+  // Apply every transition that is due. Returns counts per transition.
+  async sweep(now = new Date()) {
+    const counts = { salesClosed: 0, completed: 0, ticketsExpired: 0 };
+
+    // Durations vary per event, so narrow by start time and check each
+    const closing = await Event.find({
+      status: 'published',
+      eventDateTime: { $lte: new Date(now.getTime() + Math.max(0, SALES_CUTOFF_MINUTES) * 60 * 1000) }
+    }).select('name hostId eventDateTime duration status salesClosedAt');
+
+    for (const event of closing) {
+      if (!event.salesClosedAt && event.salesCutoff() <= now && await this.closeSales(event)) {
+        counts.salesClosed++;
+      }
+      if (event.endsAt() <= now && await this.complete(event)) {
+        counts.completed++;
+      }
+    }
+
+    const finished = await Event.find({
+      status: 'completed',
+      ticketsExpiredAt: null,
+      eventDateTime: { $lt: now }
+    }).select('name hostId eventDateTime duration status');
+
+    for (const event of finished) {
+      if (this.ticketsExpireAt(event) <= now && await this.expireTickets(event)) {
+        counts.ticketsExpired++;
+      }
+    }
+
+    return counts;
+  }
+}
+
+module.exports = new EventLifecycleService();
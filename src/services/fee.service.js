@@ -0,0 +1,128 @@
+// Defaults for orders and events created before fees were configurable
+const DEFAULT_FEE_CONFIG = {
+  platformFeePercent: 5,
+  processingFeePercent: 2,
+  platformFlatFee: 0,
+  processingFlatFee: 0,
+  absorbFees: false,
+  vatPercent: 0,
+  exciseDutyPercent: 0
+};
+
+class FeeService {
+  constructor() {
+    // VAT on the platform commission, excise duty on the processing fee
+    this.vatPercent = parseFloat(process.env.VAT_PERCENT || '0');
+    this.exciseDutyPercent = parseFloat(process.env.EXCISE_DUTY_PERCENT || '0');
+  }
+
+  // M-Pesa only moves whole shillings, so every fee line is rounded to KES 1
+  roundKes(amount) {
+    return Math.round(amount + Number.EPSILON);
+  }
+
+  // Snapshot of the fee settings that apply to a checkout for this event.
+  // hostAbsorbsFees is the host's default, used when the event doesn't override it.
+  configFor(event, hostAbsorbsFees = false) {
+    const absorbFees = event.absorbFees === null || event.absorbFees === undefined
+      ? Boolean(hostAbsorbsFees)
+      : event.absorbFees;
+
+    return {
+      platformFeePercent: event.platformFeePercent ?? DEFAULT_FEE_CONFIG.platformFeePercent,
+      processingFeePercent: event.processingFeePercent ?? DEFAULT_FEE_CONFIG.processingFeePercent,
+      platformFlatFee: event.platformFlatFee || 0,
+      processingFlatFee: event.processingFlatFee || 0,
+      absorbFees,
+      vatPercent: this.vatPercent,
+      exciseDutyPercent: this.exciseDutyPercent
+    };
+  }
+
+  // Price an order. grossAmount is the ticket total before discount.
+  // The platform commission (plus VAT) always comes out of the host's share;
+  // the processing fee (plus excise) is added to the buyer's total unless the
+  // host absorbs it.
+  calculate({ grossAmount, discountAmount = 0, ticketCount = 0, config = {} }) {
+    const settings = { ...DEFAULT_FEE_CONFIG, ...this.clean(config) };
+
+    const subtotal = Math.max(0, grossAmount - discountAmount);
+
+    // Free orders carry no fees
+    if (subtotal === 0) {
+      return {
+        subtotal: 0,
+        platformFee: 0,
+        processingFee: 0,
+        vatAmount: 0,
+        exciseAmount: 0,
+        totalAmount: 0,
+        hostAmount: 0,
+        platformAmount: 0
+      };
+    }
+
+    const platformFee = this.roundKes(
+      subtotal * (settings.platformFeePercent / 100) + settings.platformFlatFee * ticketCount
+    );
+    const processingFee = this.roundKes(
+      subtotal * (settings.processingFeePercent / 100) + settings.processingFlatFee
+    );
+    const vatAmount = this.roundKes(platformFee * (settings.vatPercent / 100));
+    const exciseAmount = this.roundKes(processingFee * (settings.exciseDutyPercent / 100));
+
+    const buyerFees = settings.absorbFees ? 0 : processingFee + exciseAmount;
+    const hostFees = platformFee + vatAmount + (settings.absorbFees ? processingFee + exciseAmount : 0);
+
+    const totalAmount = this.roundKes(subtotal + buyerFees);
+
+    return {
+      subtotal,
+      platformFee,
+      processingFee,
+      vatAmount,
+      exciseAmount,
+      totalAmount,
+      // Rounding of a fractional subtotal settles on the host's share
+      hostAmount: Math.max(0, totalAmount - buyerFees - hostFees),
+      platformAmount: platformFee
+    };
+  }
+
+  // Totals for a host payout across completed orders, net of partial refunds
+  summarizePayout(orders) {
+    return orders.reduce((summary, order) => {
+      const refunded = order.refundedAmount || 0;
+
+      summary.grossSales += order.totalAmount;
+      summary.platformFee += order.platformFee;
+      summary.processingFee += order.processingFee;
+      summary.taxAmount += (order.vatAmount || 0) + (order.exciseAmount || 0);
+      summary.refundedAmount += refunded;
+      summary.netAmount += Math.max(0, order.hostAmount - refunded);
+
+      return summary;
+    }, {
+      grossSales: 0,
+      platformFee: 0,
+      processingFee: 0,
+      taxAmount: 0,
+      refundedAmount: 0,
+      netAmount: 0
+    });
+  }
+
+  // Drop unset values so defaults apply
+  clean(config) {
+    const plain = typeof config.toObject === 'function' ? config.toObject() : config;
+
+    return Object.keys(plain).reduce((result, key) => {
+      if (plain[key] !== null && plain[key] !== undefined) {
+        result[key] = plain[key];
+      }
+      return result;
+    }, {});
+  }
+}
+
+module.exports = new FeeService();
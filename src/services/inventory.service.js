@@ -0,0 +1,154 @@
+const Event = require('../models/event.model');
+const Order = require('../models/order.model');
+const PromoCode = require('../models/promo-code.model');
+
+class InventoryService {
+  constructor() {
+    this.reservationTtlSeconds = parseInt(process.env.RESERVATION_TTL_SECONDS || '600');
+  }
+
+  // Hold seats for a new checkout; resolves false when any tier is short
+  async holdTickets(eventId, tickets) {
+    return Event.holdTickets(eventId, tickets);
+  }
+
+  // Return seats held by an order that never paid. Safe to call repeatedly:
+  // only the caller that flips inventoryStatus from 'held' releases stock.
+  async releaseOrderHold(orderId, updates = {}) {
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, inventoryStatus: 'held' },
+      { ...updates, inventoryStatus: 'released' },
+      { new: true }
+    );
+
+    if (!order) {
+      return null;
+    }
+
+    await Event.releaseHeldTickets(order.eventId, order.tickets);
+
+    // An unpaid order shouldn't count against the promo code's usage cap
+    if (order.discount && order.discount.promoCodeId) {
+      await PromoCode.releaseUse(order.discount.promoCodeId);
+    }
+
+    return order;
+  }
+
+  // Expire an unpaid checkout once its reservation window has passed
+  async expireReservation(orderId) {
+    const order = await Order.findOne({
+      _id: orderId,
+      paymentStatus: 'pending',
+      inventoryStatus: 'held'
+    });
+
+    if (!order) {
+      return null;
+    }
+
+    return this.releaseOrderHold(order._id, {
+      paymentStatus: 'expired',
+      notes: 'Ticket reservation expired before payment'
+    });
+  }
+
+  // Turn an order's seats into sold seats after payment. Returns false if the
+  // hold had already lapsed and the tiers sold out in the meantime.
+  async confirmOrderInventory(order) {
+    const held = await Order.findOneAndUpdate(
+      { _id: order._id, inventoryStatus: 'held' },
+      { inventoryStatus: 'sold' }
+    );
+
+    if (held) {
+      await Event.confirmHeldTickets(order.eventId, order.tickets);
+      return true;
+    }
+
+    const current = await Order.findById(order._id);
+    if (current.inventoryStatus === 'sold') {
+      return true;
+    }
+
+    // Hold was released (reservation expired) but the buyer paid anyway
+    const sold = await Event.sellTickets(order.eventId, order.tickets);
+    if (sold) {
+      await Order.updateOne({ _id: order._id }, { inventoryStatus: 'sold' });
+
+      // The use was given back when the hold lapsed; the buyer paid, so count it again
+      if (current.discount && current.discount.promoCodeId) {
+        await PromoCode.updateOne(
+          { _id: current.discount.promoCodeId },
+          { $inc: { usedCount: 1 } }
+        );
+      }
+    }
+
+    return sold;
+  }
+
+  // Return a fully refunded order's seats to sale. Only an order whose seats
+  // were sold has any to give back, and only the caller that flips
+  // inventoryStatus from 'sold' to 'released' releases them, so a replayed
+  // refund result can't release twice.
+  async releaseOrderSale(orderId) {
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, inventoryStatus: 'sold' },
+      { inventoryStatus: 'released' },
+      { new: true }
+    );
+
+    if (!order) {
+      return null;
+    }
+
+    await Event.releaseSoldTickets(order.eventId, order.tickets);
+    return order;
+  }
+
+  // Return the seats of individually refunded tickets. The rest of the order
+  // stays sold.
+  async releaseSoldTickets(orderId, tickets) {
+    if (tickets.length === 0) {
+      return false;
+    }
+
+    const order = await Order.findOne({ _id: orderId, inventoryStatus: 'sold' }).select('eventId');
+    if (!order) {
+      return false;
+    }
+
+    return Event.releaseSoldTickets(
+      order.eventId,
+      tickets.map(ticket => ({ tierName: ticket.tierName, quantity: 1 }))
+    );
+  }
+
+  // Describe the tier that could not be held, for checkout error messages
+  async describeShortage(eventId, tickets) {
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return 'Event not found';
+    }
+
+    if (event.status !== 'published') {
+      return 'Event is not published for ticket sales';
+    }
+
+    for (const item of tickets) {
+      const tier = event.tiers.find(t => t.name === item.tierName);
+      const available = tier
+        ? tier.quantityAvailable - tier.quantitySold - (tier.quantityHeld || 0)
+        : 0;
+
+      if (available < item.quantity) {
+        return `Only ${Math.max(0, available)} tickets available in tier "${item.tierName}"`;
+      }
+    }
+
+    return 'Tickets are no longer available';
+  }
+}
+
+module.exports = new InventoryService();
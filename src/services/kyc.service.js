@@ -0,0 +1,177 @@
+const { AppError } = require('../middlewares/error.middleware');
+const { cloudinary, kycDocumentUrl } = require('../config/cloudinary');
+const emailService = require('../config/email');
+
+// Upload field name -> stored document type
+const DOCUMENT_FIELDS = {
+  idFront: 'id_front',
+  idBack: 'id_back',
+  kraPin: 'kra_pin',
+  businessRegistration: 'business_registration'
+};
+
+// Hosts check their ID, KRA PIN and (for companies) business registration
+// before an admin approves them for payouts. Events can still publish and
+// sell while KYC is pending; payouts wait in `on_hold`.
+class KycService {
+  get uploadFields() {
+    return Object.keys(DOCUMENT_FIELDS).map(name => ({ name, maxCount: 1 }));
+  }
+
+  requiredDocuments(user) {
+    const required = ['id_front', 'id_back', 'kra_pin'];
+    if (user.companyName) {
+      required.push('business_registration');
+    }
+    return required;
+  }
+
+  missingDocuments(user) {
+    const uploaded = user.kyc.documents.map(doc => doc.type);
+    return this.requiredDocuments(user).filter(type => !uploaded.includes(type));
+  }
+
+  // What a host (or, with signed links, a reviewer) sees
+  summary(user, { withUrls = false } = {}) {
+    const kyc = user.kyc;
+    return {
+      status: kyc.status,
+      documents: kyc.documents.map(doc => ({
+        type: doc.type,
+        mimeType: doc.mimeType,
+        uploadedAt: doc.uploadedAt,
+        ...(withUrls && { url: kycDocumentUrl(doc.publicId) })
+      })),
+      missing: this.missingDocuments(user),
+      submittedAt: kyc.submittedAt,
+      reviewedAt: kyc.reviewedAt,
+      rejectionReason: kyc.rejectionReason
+    };
+  }
+
+  // Store uploaded files (multer fields) against the host, replacing any
+  // earlier upload of the same document
+  async addDocuments(user, files = {}) {
+    const uploads = Object.keys(files).flatMap(field =>
+      files[field].map(file => ({ type: DOCUMENT_FIELDS[field], file }))
+    );
+
+    if (uploads.length === 0) {
+      throw new AppError('Upload at least one document (idFront, idBack, kraPin, businessRegistration)', 400);
+    }
+
+    if (['pending', 'approved'].includes(user.kyc.status)) {
+      await this.destroy(uploads.map(({ file }) => file.filename));
+      throw new AppError(
+        user.kyc.status === 'pending'
+          ? 'Your documents are being reviewed and can\'t be changed right now'
+          : 'Your account is already verified. Contact support to update your documents.',
+        400
+      );
+    }
+
+    const replaced = [];
+    for (const { type, file } of uploads) {
+      const previous = user.kyc.documents.find(doc => doc.type === type);
+      if (previous) {
+        replaced.push(previous.publicId);
+        user.kyc.documents.pull(previous._id);
+      }
+
+      user.kyc.documents.push({
+        type,
+        publicId: file.filename,
+        mimeType: file.mimetype,
+        uploadedAt: new Date()
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+    await this.destroy(replaced);
+
+    return user;
+  }
+
+  // Send the uploaded documents for review
+  async submit(user) {
+    if (user.kyc.status === 'pending') {
+      throw new AppError('Your documents are already being reviewed', 400);
+    }
+    if (user.kyc.status === 'approved') {
+      throw new AppError('Your account is already verified', 400);
+    }
+
+    const missing = this.missingDocuments(user);
+    if (missing.length > 0) {
+      throw new AppError(`Missing documents: ${missing.join(', ')}`, 400);
+    }
+
+    user.kyc.status = 'pending';
+    user.kyc.submittedAt = new Date();
+    user.kyc.rejectionReason = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return user;
+  }
+
+  // Admin decision. Approving releases any payouts held for the host.
+  async review(user, reviewerId, decision, reason) {
+    if (user.kyc.status !== 'pending') {
+      throw new AppError(`Only pending submissions can be reviewed (this one is ${user.kyc.status})`, 400);
+    }
+
+    const approved = decision === 'approve';
+
+    user.kyc.status = approved ? 'approved' : 'rejected';
+    user.kyc.reviewedBy = reviewerId;
+    user.kyc.reviewedAt = new Date();
+    user.kyc.rejectionReason = approved ? undefined : reason;
+    await user.save({ validateBeforeSave: false });
+
+    let released = 0;
+    if (approved) {
+      // Required lazily: job modules start their workers when loaded
+      const { releaseHeldPayouts } = require('../jobs/payout.job');
+      released = await releaseHeldPayouts(user._id);
+    }
+
+    try {
+      await emailService.sendEmail(
+        user.email,
+        approved ? 'Your SwiftPass account is verified' : 'We couldn\'t verify your SwiftPass account',
+        emailService.generateKycReviewEmail({
+          name: user.name,
+          approved,
+          reason,
+          releasedPayouts: released
+        })
+      );
+    } catch (error) {
+      console.error(`Error sending KYC review email to ${user.email}:`, error);
+    }
+
+    return { user, released };
+  }
+
+  // New bank details need to be checked against the verified identity again
+  async requireReview(user) {
+    if (user.kyc.status !== 'approved') {
+      return false;
+    }
+
+    user.kyc.status = 'pending';
+    user.kyc.submittedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    return true;
+  }
+
+  async destroy(publicIds) {
+    await Promise.all(publicIds.filter(Boolean).map(publicId =>
+      cloudinary.uploader.destroy(publicId, { type: 'authenticated', resource_type: 'image' })
+        .catch(error => console.error(`Error deleting KYC document ${publicId}:`, error.message))
+    ));
+  }
+}
+
+module.exports = new KycService();
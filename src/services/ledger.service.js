@@ -0,0 +1,276 @@
+const mongoose = require('mongoose');
+const LedgerTransaction = require('../models/ledger-transaction.model');
+const Payout = require('../models/payout.model');
+
+// Share of an event's net sales a host can withdraw before the event
+const EARLY_PAYOUT_PERCENT = parseFloat(process.env.EARLY_PAYOUT_PERCENT || '50');
+// Share of net sales held back for refunds until the reserve is released
+const RESERVE_PERCENT = parseFloat(process.env.PAYOUT_RESERVE_PERCENT || '10');
+
+// Double-entry bookkeeping of what each host is owed per event. Every sale,
+// refund and payout posts a balanced transaction; a host's balance is the
+// net of their host_payable lines, and payouts are sized from it.
+class LedgerService {
+  get earlyPayoutPercent() {
+    return EARLY_PAYOUT_PERCENT;
+  }
+
+  get reservePercent() {
+    return RESERVE_PERCENT;
+  }
+
+  stageLabel(stage) {
+    return STAGE_LABELS[stage] || 'Payout';
+  }
+
+  // Buyer paid: cash in, host credited for tickets and debited their fees
+  async recordSale(order) {
+    if (!order.totalAmount) {
+      return null;
+    }
+
+    const tax = (order.vatAmount || 0) + (order.exciseAmount || 0);
+    const buyerFees = order.feeConfig && order.feeConfig.absorbFees
+      ? 0
+      : order.processingFee + (order.exciseAmount || 0);
+    const ticketSales = order.totalAmount - buyerFees;
+
+    return LedgerTransaction.post({
+      reference: `sale:${order._id}`,
+      type: 'sale',
+      hostId: order.hostId,
+      eventId: order.eventId,
+      orderId: order._id,
+      description: `Order ${order.orderNumber}`,
+      lines: [
+        { account: 'cash', debit: order.totalAmount, memo: 'Paid by buyer' },
+        { account: 'host_payable', credit: ticketSales, memo: 'Ticket sales' },
+        { account: 'host_payable', debit: ticketSales - order.hostAmount, memo: 'Fees' },
+        { account: 'platform_fees', credit: order.totalAmount - order.hostAmount - order.processingFee - tax },
+        { account: 'processing_fees', credit: order.processingFee },
+        { account: 'tax_payable', credit: tax }
+      ]
+    });
+  }
+
+  // Refund sent: reverse what the sale credited, account by account. The host
+  // gives back up to what the order earned them first, then the platform fee,
+  // processing fee and tax (e.g. full refunds when tickets sold out).
+  async recordRefund(refund, order) {
+    // Orders paid before the ledger existed
+    await this.recordSale(order);
+
+    // What the sale credited each account, less earlier refunds
+    const rows = await LedgerTransaction.aggregate([
+      { $match: { orderId: order._id, type: { $in: ['sale', 'refund'] } } },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: '$lines.account',
+          debit: { $sum: '$lines.debit' },
+          credit: { $sum: '$lines.credit' }
+        }
+      }
+    ]);
+    const unreversed = Object.fromEntries(rows.map(row => [row._id, row.credit - row.debit]));
+
+    let remaining = refund.amount;
+    const lines = REFUND_ACCOUNTS.map(({ account, memo }) => {
+      const debit = Math.min(remaining, Math.max(0, unreversed[account] || 0));
+      remaining = Math.round((remaining - debit) * 100) / 100;
+      return { account, debit, memo };
+    });
+
+    // Buyers pay whole shillings, so a full refund can exceed the order total
+    lines.push({ account: 'platform_fees', debit: remaining, memo: 'Rounding' });
+    lines.push({ account: 'cash', credit: refund.amount, memo: 'Paid to buyer' });
+
+    return LedgerTransaction.post({
+      reference: `refund:${refund.refundId}`,
+      type: 'refund',
+      hostId: order.hostId,
+      eventId: order.eventId,
+      orderId: order._id,
+      refundId: refund.refundId,
+      description: `Refund ${refund.refundId} for order ${order.orderNumber}`,
+      lines
+    });
+  }
+
+  // Payout handed to a provider: take it off the host's balance
+  async recordPayout(payout) {
+    const posted = await Payout.findOneAndUpdate(
+      { _id: payout._id, ledgerPosted: { $ne: true } },
+      { ledgerPosted: true, $inc: { ledgerPostings: 1 } },
+      { new: true }
+    );
+    if (!posted) {
+      return null;
+    }
+
+    payout.ledgerPosted = true;
+    payout.ledgerPostings = posted.ledgerPostings;
+
+    return LedgerTransaction.post({
+      reference: `payout:${payout.payoutId}:${posted.ledgerPostings}`,
+      type: 'payout',
+      hostId: payout.hostId,
+      eventId: payout.eventId,
+      payoutId: payout.payoutId,
+      description: `${STAGE_LABELS[payout.stage] || 'Payout'} ${payout.payoutId}`,
+      lines: [
+        { account: 'host_payable', debit: payout.amount, memo: STAGE_LABELS[payout.stage] },
+        { account: 'payouts_in_transit', credit: payout.amount }
+      ]
+    });
+  }
+
+  // Payout failed or was cancelled: give the host their balance back
+  async reversePayout(payout) {
+    const reversed = await Payout.findOneAndUpdate(
+      { _id: payout._id, ledgerPosted: true },
+      { ledgerPosted: false },
+      { new: true }
+    );
+    if (!reversed) {
+      return null;
+    }
+
+    payout.ledgerPosted = false;
+
+    return LedgerTransaction.post({
+      reference: `payout-reversal:${payout.payoutId}:${reversed.ledgerPostings}`,
+      type: 'payout_reversal',
+      hostId: payout.hostId,
+      eventId: payout.eventId,
+      payoutId: payout.payoutId,
+      description: `Payout ${payout.payoutId} not sent`,
+      lines: [
+        { account: 'payouts_in_transit', debit: payout.amount },
+        { account: 'host_payable', credit: payout.amount, memo: 'Payout reversed' }
+      ]
+    });
+  }
+
+  // Provider confirmed the payout: the money has left
+  async settlePayout(payout) {
+    return LedgerTransaction.post({
+      reference: `payout-settled:${payout.payoutId}`,
+      type: 'payout_settled',
+      hostId: payout.hostId,
+      eventId: payout.eventId,
+      payoutId: payout.payoutId,
+      description: `Payout ${payout.payoutId} confirmed (${payout.transactionId})`,
+      lines: [
+        { account: 'payouts_in_transit', debit: payout.amount },
+        { account: 'cash', credit: payout.amount, memo: 'Paid to host' }
+      ]
+    });
+  }
+
+  // Balances per event for a host (or one event), keyed by event ID
+  async summarize(hostId, eventId) {
+    const match = { hostId: new mongoose.Types.ObjectId(String(hostId)) };
+    if (eventId) {
+      match.eventId = new mongoose.Types.ObjectId(String(eventId));
+    }
+
+    const rows = await LedgerTransaction.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: { eventId: '$eventId', type: '$type', account: '$lines.account' },
+          debit: { $sum: '$lines.debit' },
+          credit: { $sum: '$lines.credit' },
+          transactions: { $addToSet: '$_id' }
+        }
+      }
+    ]);
+
+    const summaries = {};
+    for (const row of rows) {
+      const key = row._id.eventId.toString();
+      const totals = summaries[key] || (summaries[key] = emptyTotals());
+      const { type, account } = row._id;
+
+      if (account === 'host_payable') {
+        if (type === 'sale') {
+          totals.sales += row.credit;
+          totals.fees += row.debit;
+          totals.orders = row.transactions.length;
+        } else if (type === 'refund') {
+          totals.refunds += row.debit;
+        } else if (type === 'payout') {
+          totals.paidOut += row.debit;
+        } else if (type === 'payout_reversal') {
+          totals.paidOut -= row.credit;
+        }
+      } else if (type === 'sale') {
+        if (account === 'platform_fees') totals.platformFee += row.credit;
+        if (account === 'processing_fees') totals.processingFee += row.credit;
+        if (account === 'tax_payable') totals.taxAmount += row.credit;
+      }
+    }
+
+    Object.keys(summaries).forEach(key => {
+      summaries[key] = this.withAvailability(summaries[key]);
+    });
+
+    return summaries;
+  }
+
+  async eventSummary(hostId, eventId) {
+    const summaries = await this.summarize(hostId, eventId);
+    return summaries[eventId.toString()] || this.withAvailability(emptyTotals());
+  }
+
+  withAvailability(totals) {
+    const netSales = totals.sales - totals.fees - totals.refunds;
+    const balance = netSales - totals.paidOut;
+    const reserve = Math.max(0, Math.round(netSales * RESERVE_PERCENT / 100));
+
+    return {
+      ...totals,
+      netSales,
+      balance,
+      reserve,
+      // Whole shillings only: M-Pesa and the banks don't move cents
+      earlyAvailable: Math.floor(Math.max(0, Math.min(
+        netSales * EARLY_PAYOUT_PERCENT / 100 - totals.paidOut,
+        balance - reserve
+      ))),
+      settlementAvailable: Math.floor(Math.max(0, balance - reserve)),
+      releaseAvailable: Math.floor(Math.max(0, balance))
+    };
+  }
+}
+
+// Order in which a refund reverses a sale's credits
+const REFUND_ACCOUNTS = [
+  { account: 'host_payable', memo: 'Refund' },
+  { account: 'platform_fees', memo: 'Platform fee refunded' },
+  { account: 'processing_fees', memo: 'Processing fee refunded' },
+  { account: 'tax_payable', memo: 'Tax refunded' }
+];
+
+const STAGE_LABELS = {
+  early: 'Early payout',
+  settlement: 'Settlement payout',
+  reserve_release: 'Reserve release'
+};
+
+function emptyTotals() {
+  return {
+    orders: 0,
+    sales: 0,
+    fees: 0,
+    refunds: 0,
+    paidOut: 0,
+    platformFee: 0,
+    processingFee: 0,
+    taxAmount: 0
+  };
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const Ticket = require('../models/ticket.model');
+const Order = require('../models/order.model');
+const redisClient = require('../config/redis');
+
+// Live door dashboard updates are fanned out over Redis pub/sub so every API
+// instance can stream scans and sales made on any other instance.
+class LiveEventService {
+  channel(eventId) {
+    return `live:event:${eventId}`;
+  }
+
+  rejectionsKey(eventId) {
+    return `live:event:${eventId}:rejections`;
+  }
+
+  async publish(eventId, type, data) {
+    if (!eventId) {
+      return;
+    }
+
+    await redisClient.publish(this.channel(eventId), JSON.stringify({
+      type,
+      data,
+      at: new Date().toISOString()
+    }));
+  }
+
+  // A ticket was admitted (or re-admitted on a re-entry tier)
+  async publishScan(eventId, { ticketId, tierName, gate, scannedAt, scannedBy, offline = false, reentry = false }) {
+    await this.publish(eventId, 'scan', {
+      ticketId,
+      tier: tierName,
+      gate: gate || null,
+      scannedAt,
+      scannedBy,
+      offline,
+      reentry
+    });
+  }
+
+  // A ticket holder left through a re-entry tier's exit scan
+  async publishExit(eventId, { ticketId, tierName, gate, scannedAt }) {
+    await this.publish(eventId, 'exit', {
+      ticketId,
+      tier: tierName,
+      gate: gate || null,
+      scannedAt
+    });
+  }
+
+  // A scan was refused; reasons are tallied for the dashboard snapshot
+  async publishRejection(eventId, { reason, ticketId, tierName, gate }) {
+    if (!eventId) {
+      return;
+    }
+
+    await redisClient.hIncrBy(this.rejectionsKey(eventId), reason, 1);
+    await this.publish(eventId, 'scan_rejected', {
+      reason,
+      ticketId: ticketId || null,
+      tier: tierName || null,
+      gate: gate || null
+    });
+  }
+
+  async publishSale(order) {
+    await this.publish(order.eventId, 'sale', {
+      orderNumber: order.orderNumber,
+      tickets: order.tickets.map(item => ({ tier: item.tierName, quantity: item.quantity })),
+      amount: order.totalAmount
+    });
+  }
+
+  // Current attendance and sales, sent when a dashboard connects
+  async getSnapshot(eventId) {
+    const eventObjectId = new mongoose.Types.ObjectId(eventId);
+
+    const [attendance, ticketStatuses, sales, rejections] = await Promise.all([
+      Ticket.aggregate([
+        { $match: { eventId: eventObjectId, status: 'already_used' } },
+        {
+          $group: {
+            _id: { tier: '$tierName', gate: '$scanGate' },
+            count: { $sum: 1 },
+            inside: { $sum: { $cond: ['$insideVenue', 1, 0] } }
+          }
+        }
+      ]),
+      Ticket.aggregate([
+        { $match: { eventId: eventObjectId } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Order.aggregate([
+        { $match: { eventId: eventObjectId, paymentStatus: 'completed' } },
+        {
+          $group: {
+            _id: null,
+            orders: { $sum: 1 },
+            revenue: { $sum: '$totalAmount' },
+            tickets: { $sum: { $sum: '$tickets.quantity' } }
+          }
+        }
+      ]),
+      redisClient.hGetAll(this.rejectionsKey(eventId))
+    ]);
+
+    const byTier = {};
+    const byGate = {};
+    let checkedIn = 0;
+    let insideNow = 0;
+
+    attendance.forEach(({ _id, count, inside }) => {
+      const gate = _id.gate || 'unassigned';
+      byTier[_id.tier] = (byTier[_id.tier] || 0) + count;
+      byGate[gate] = (byGate[gate] || 0) + count;
+      checkedIn += count;
+      insideNow += inside;
+    });
+
+    const statuses = ticketStatuses.reduce((result, { _id, count }) => {
+      result[_id] = count;
+      return result;
+    }, {});
+
+    return {
+      attendance: {
+        checkedIn,
+        // Differs from checkedIn only on re-entry tiers
+        insideNow,
+        totalTickets: Object.values(statuses).reduce((sum, count) => sum + count, 0),
+        byTier,
+        byGate,
+        byStatus: statuses
+      },
+      sales: sales[0]
+        ? { orders: sales[0].orders, tickets: sales[0].tickets, revenue: sales[0].revenue }
+        : { orders: 0, tickets: 0, revenue: 0 },
+      rejections: Object.keys(rejections || {}).reduce((result, reason) => {
+        result[reason] = parseInt(rejections[reason]);
+        return result;
+      }, {})
+    };
+  }
+
+  subscribe(eventId, listener) {
+    return redisClient.subscribe(this.channel(eventId), listener);
+  }
+
+  unsubscribe(eventId, listener) {
+    return redisClient.unsubscribe(this.channel(eventId), listener);
+  }
+}
+
+module.exports = new LiveEventService();
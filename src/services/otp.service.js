@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const redisClient = require('../config/redis');
+const { AppError } = require('../middlewares/error.middleware');
+
+const DEFAULT_OPTIONS = {
+  length: 6,
+  ttlSeconds: 10 * 60,
+  resendAfterSeconds: 60,
+  maxAttempts: 5
+};
+
+// One-time codes kept in Redis as keyed hashes. A code is scoped to a purpose
+// (e.g. buyer_login) and a subject (e.g. an email address), expires on its own,
+// and is burnt after too many wrong guesses.
+class OtpService {
+  key(purpose, subject) {
+    return `otp:${purpose}:${subject}`;
+  }
+
+  hash(purpose, subject, code) {
+    return crypto
+      .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+      .update(`${purpose}:${subject}:${code}`)
+      .digest('hex');
+  }
+
+  // Issue a new code (replacing any earlier one) and return it for delivery
+  async issue(purpose, subject, options = {}) {
+    const { length, ttlSeconds, resendAfterSeconds } = { ...DEFAULT_OPTIONS, ...options };
+    const key = this.key(purpose, subject);
+
+    const throttled = await redisClient.set(`${key}:throttle`, '1', {
+      NX: true,
+      EX: resendAfterSeconds
+    });
+    if (!throttled) {
+      throw new AppError(`Please wait ${resendAfterSeconds} seconds before requesting another code`, 429);
+    }
+
+    const code = crypto.randomInt(0, 10 ** length).toString().padStart(length, '0');
+
+    await redisClient.del(key);
+    await redisClient.hSet(key, 'hash', this.hash(purpose, subject, code));
+    await redisClient.hSet(key, 'attempts', '0');
+    await redisClient.expire(key, ttlSeconds);
+
+    return code;
+  }
+
+  // True if the code matches; a used or exhausted code is deleted
+  async verify(purpose, subject, code, options = {}) {
+    const { maxAttempts } = { ...DEFAULT_OPTIONS, ...options };
+    const key = this.key(purpose, subject);
+
+    const stored = await redisClient.hGetAll(key);
+    if (!stored || !stored.hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(stored.hash);
+    const given = Buffer.from(this.hash(purpose, subject, String(code)));
+
+    if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) {
+      await redisClient.del(key);
+      return true;
+    }
+
+    const attempts = await redisClient.hIncrBy(key, 'attempts', 1);
+    if (attempts >= maxAttempts) {
+      await redisClient.del(key);
+    }
+
+    return false;
+  }
+}
+
+module.exports = new OtpService();
@@ -1,22 +1,36 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const fs = require('fs');
 const Event = require('../models/event.model');
 const Order = require('../models/order.model');
 const Ticket = require('../models/ticket.model');
+const Refund = require('../models/refund.model');
+const PaymentTransaction = require('../models/payment-transaction.model');
+const inventoryService = require('./inventory.service');
+const liveEventService = require('./live-event.service');
+const ledgerService = require('./ledger.service');
 const redisClient = require('../config/redis');
+const { AppError } = require('../middlewares/error.middleware');
 const { ticketQueue } = require('../jobs/ticket-generation.job');
 
 class PaymentService {
   constructor() {
-    this.baseUrl = process.env.MPESA_ENVIRONMENT === 'production'
+    // MPESA_BASE_URL lets local development point at a Daraja stand-in
+    this.baseUrl = process.env.MPESA_BASE_URL || (process.env.MPESA_ENVIRONMENT === 'production'
       ? 'https://api.safaricom.co.ke'
-      : 'https://sandbox.safaricom.co.ke';
+      : 'https://sandbox.safaricom.co.ke');
     
     this.consumerKey = process.env.MPESA_CONSUMER_KEY;
     this.consumerSecret = process.env.MPESA_CONSUMER_SECRET;
     this.passkey = process.env.MPESA_PASSKEY;
     this.shortcode = process.env.MPESA_SHORTCODE;
     this.callbackUrl = process.env.MPESA_CALLBACK_URL;
+
+    // Reversal/B2C (refunds) settings
+    this.initiatorName = process.env.MPESA_INITIATOR_NAME;
+    this.b2cShortcode = process.env.MPESA_B2C_SHORTCODE || this.shortcode;
+    this.resultBaseUrl = process.env.MPESA_RESULT_BASE_URL ||
+      `${process.env.API_URL || 'http://localhost:5000'}/api/v1/payments`;
     
     this.accessToken = null;
     this.tokenExpiry = null;
@@ -54,11 +68,7 @@ class PaymentService {
     try {
       const token = await this.getAccessToken();
       
-      // Format phone number (remove leading 0 or +)
-      let formattedPhone = phone.replace(/^0/, '254').replace(/^\+/, '');
-      if (!formattedPhone.startsWith('254')) {
-        formattedPhone = `254${formattedPhone}`;
-      }
+      const formattedPhone = this.formatPhoneNumber(phone);
 
       const timestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, 14);
       const password = Buffer.from(`${this.shortcode}${this.passkey}${timestamp}`).toString('base64');
@@ -121,129 +131,307 @@ class PaymentService {
     }
   }
 
-  async validateCallback(payload) {
+  async validateCallback(payload, context = {}) {
+    const callback = payload?.Body?.stkCallback;
+    if (!callback || !callback.CheckoutRequestID) {
+      throw new Error('Invalid M-Pesa callback payload');
+    }
+
+    const checkoutRequestId = callback.CheckoutRequestID;
+
+    // Persist every delivery before acting on it
+    const { isRetry } = await PaymentTransaction.recordDelivery(callback, context);
+
+    // Only one delivery of a CheckoutRequestID is ever processed
+    const transaction = await PaymentTransaction.claim(checkoutRequestId);
+    if (!transaction) {
+      const existing = await PaymentTransaction.findOne({ checkoutRequestId });
+      console.log(`Duplicate M-Pesa callback for ${checkoutRequestId} (${existing?.status}), ignoring`);
+
+      return {
+        success: existing?.outcome !== 'failed',
+        duplicate: true,
+        checkoutRequestId,
+        orderId: existing?.orderNumber,
+        resultCode: existing?.resultCode,
+        resultDesc: existing?.resultDesc
+      };
+    }
+
     try {
-      const { Body: { stkCallback: callback } } = payload;
-      
+      const order = await this.resolveCallbackOrder(checkoutRequestId);
+
+      if (!order) {
+        // Left in error state so a later delivery can retry the lookup
+        transaction.outcome = 'orphaned';
+        throw new Error(`No order found for checkout request ${checkoutRequestId}`);
+      }
+
+      transaction.orderId = order._id;
+      transaction.orderNumber = order.orderNumber;
+
       if (callback.ResultCode !== 0) {
         // Payment failed
-        const metadata = callback.ResultDesc || 'Payment failed';
-        const checkoutRequestId = callback.CheckoutRequestID;
-        
-        // Get order ID from Redis
-        const redisKey = `mpesa:checkout:${checkoutRequestId}`;
-        const cachedData = await redisClient.get(redisKey);
-        
-        if (cachedData) {
-          const { orderId } = JSON.parse(cachedData);
-          
-          // Update order status
-          await Order.findOneAndUpdate(
-            { orderNumber: orderId },
-            {
-              paymentStatus: 'failed',
-              notes: `Payment failed: ${metadata}`
-            }
-          );
-          
-          // Release reserved tickets
-          const order = await Order.findOne({ orderNumber: orderId });
-          if (order) {
-            const event = await Event.findById(order.eventId);
-            if (event) {
-              for (const ticket of order.tickets) {
-                await event.releaseTickets(ticket.tierName, ticket.quantity);
-              }
-            }
-          }
-          
-          // Remove from Redis
-          await redisClient.del(redisKey);
-        }
-        
+        const reason = callback.ResultDesc || 'Payment failed';
+
+        // Update order status and release held tickets
+        await this.failOrderPayment({ _id: order._id }, `Payment failed: ${reason}`);
+        await transaction.markProcessed('failed');
+
         return {
           success: false,
           checkoutRequestId,
+          orderId: order.orderNumber,
           resultCode: callback.ResultCode,
           resultDesc: callback.ResultDesc
         };
       }
 
       // Payment successful
-      const { CheckoutRequestID, CallbackMetadata } = callback;
       const metadata = {};
       
-      if (CallbackMetadata && CallbackMetadata.Item) {
-        CallbackMetadata.Item.forEach(item => {
+      if (callback.CallbackMetadata && callback.CallbackMetadata.Item) {
+        callback.CallbackMetadata.Item.forEach(item => {
           metadata[item.Name] = item.Value;
         });
       }
 
       const mpesaReceiptNumber = metadata.MpesaReceiptNumber;
-      const phoneNumber = metadata.PhoneNumber;
+      const phoneNumber = metadata.PhoneNumber ? String(metadata.PhoneNumber) : undefined;
       const amountPaid = metadata.Amount;
-      const transactionDate = metadata.TransactionDate;
+      const transactionDate = metadata.TransactionDate ? String(metadata.TransactionDate) : undefined;
 
-      // Get order ID from Redis
-      const redisKey = `mpesa:checkout:${CheckoutRequestID}`;
-      const cachedData = await redisClient.get(redisKey);
-      
-      if (!cachedData) {
-        throw new Error('Checkout request not found in cache');
+      const details = {
+        mpesaReceiptNumber,
+        amount: amountPaid,
+        phoneNumber,
+        transactionDate
+      };
+
+      // The same receipt must never pay for two orders
+      const receiptUsed = await PaymentTransaction.exists({
+        mpesaReceiptNumber,
+        checkoutRequestId: { $ne: checkoutRequestId }
+      });
+      if (receiptUsed) {
+        await transaction.markProcessed('duplicate_receipt', { amount: amountPaid, phoneNumber });
+        throw new Error(`M-Pesa receipt ${mpesaReceiptNumber} was already processed`);
       }
 
-      const { orderId, amount: expectedAmount } = JSON.parse(cachedData);
-      
-      // Validate amount
-      if (parseFloat(amountPaid) < parseFloat(expectedAmount)) {
+      // Validate amount against the order (STK push charges whole shillings)
+      const expectedAmount = Math.round(order.totalAmount);
+      if (parseFloat(amountPaid) < expectedAmount) {
+        await transaction.markProcessed('underpaid', details);
         throw new Error(`Insufficient payment. Expected: ${expectedAmount}, Received: ${amountPaid}`);
       }
 
-      // Update order status
-      const order = await Order.findOneAndUpdate(
-        { orderNumber: orderId },
-        {
-          paymentStatus: 'completed',
-          mpesaReference: mpesaReceiptNumber,
-          checkoutRequestId: CheckoutRequestID,
-          paymentDate: new Date(),
-          notes: `Payment received via M-Pesa. Receipt: ${mpesaReceiptNumber}`
-        },
-        { new: true }
-      ).populate('eventId');
+      // A status query marked the order paid before this callback arrived
+      if (['completed', 'refunded'].includes(order.paymentStatus) && !order.mpesaReference) {
+        const recovered = await this.recordLateReceipt(order, checkoutRequestId, mpesaReceiptNumber);
+        if (recovered) {
+          await transaction.markProcessed('paid', details);
 
-      if (!order) {
-        throw new Error('Order not found');
+          return {
+            success: true,
+            orderId: order.orderNumber,
+            mpesaReceiptNumber,
+            late: true,
+            amountPaid,
+            phoneNumber,
+            transactionDate,
+            checkoutRequestId
+          };
+        }
       }
 
-      // Add ticket generation job to queue
-      await ticketQueue.add('generate-tickets', {
-        orderId: order._id,
-        eventId: order.eventId._id,
-        buyerName: order.buyerName,
-        buyerEmail: order.buyerEmail,
-        buyerPhone: order.buyerPhone,
-        tickets: order.tickets
-      });
+      const { refunded } = await this.completeOrderPayment(
+        { _id: order._id, paymentStatus: { $in: ['pending', 'processing', 'failed', 'expired'] } },
+        {
+          mpesaReceiptNumber,
+          checkoutRequestId,
+          notes: `Payment received via M-Pesa. Receipt: ${mpesaReceiptNumber}`
+        }
+      );
 
-      // Remove from Redis
-      await redisClient.del(redisKey);
+      await transaction.markProcessed(refunded ? 'refunded' : 'paid', details);
 
       return {
         success: true,
         orderId: order.orderNumber,
         mpesaReceiptNumber,
+        refunded,
+        retried: isRetry,
         amountPaid,
         phoneNumber,
         transactionDate,
-        checkoutRequestId: CheckoutRequestID
+        checkoutRequestId
       };
     } catch (error) {
       console.error('Payment callback validation error:', error);
+
+      if (transaction.status === 'processing') {
+        await transaction.markError(error);
+      }
+
       throw new Error('Failed to validate payment callback');
     }
   }
 
+  // Find the order an STK callback belongs to
+  async resolveCallbackOrder(checkoutRequestId) {
+    const order = await Order.findOne({ checkoutRequestId });
+    if (order) {
+      return order;
+    }
+
+    // Callback can beat initiatePayment saving the checkoutRequestId
+    const cachedData = await redisClient.get(`mpesa:checkout:${checkoutRequestId}`);
+    if (cachedData) {
+      const { orderId } = JSON.parse(cachedData);
+      return Order.findOne({ orderNumber: orderId });
+    }
+
+    return null;
+  }
+
+  // Store the receipt of an order that was completed without one (recovered by
+  // a status query), so it can be refunded by reversal. Resolves null unless
+  // the order was paid through this checkout request and has no receipt yet.
+  async recordLateReceipt(order, checkoutRequestId, mpesaReceiptNumber) {
+    if (!mpesaReceiptNumber) {
+      return null;
+    }
+
+    return Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        checkoutRequestId,
+        paymentStatus: { $in: ['completed', 'refunded'] },
+        mpesaReference: null
+      },
+      { mpesaReference: mpesaReceiptNumber },
+      { new: true }
+    );
+  }
+
+  // Mark an order paid, move its held tickets to sold and queue ticket generation
+  async completeOrderPayment(orderQuery, { mpesaReceiptNumber, checkoutRequestId, notes }) {
+    const update = {
+      paymentStatus: 'completed',
+      paymentDate: new Date(),
+      notes
+    };
+
+    // Free orders never reach M-Pesa
+    if (checkoutRequestId) {
+      update.checkoutRequestId = checkoutRequestId;
+    }
+
+    // Status queries confirm payment but carry no receipt number
+    if (mpesaReceiptNumber) {
+      update.mpesaReference = mpesaReceiptNumber;
+    }
+
+    const order = await Order.findOneAndUpdate(orderQuery, update, { new: true });
+
+    // Another path (callback, status query, admin) completed it first
+    if (!order) {
+      throw new AppError('Order is no longer awaiting payment', 409);
+    }
+
+    // Money is in, whatever happens to the tickets next
+    await ledgerService.recordSale(order);
+
+    // The event was cancelled while the buyer was paying. Checked after the
+    // order is marked paid, so the cancellation job refunds it otherwise.
+    const event = await Event.findById(order.eventId).select('name status');
+    if (event && event.status === 'cancelled') {
+      console.error(`Event was cancelled before payment for order ${order.orderNumber} completed, refunding`);
+      await inventoryService.releaseOrderHold(order._id);
+      await this.refundUnfulfilledOrder(order, `Event cancelled: ${event.name}`, notes);
+      return { order, refunded: true };
+    }
+
+    // If the hold lapsed and the tier sold out in the meantime, refund the buyer
+    const inventoryConfirmed = await inventoryService.confirmOrderInventory(order);
+    if (!inventoryConfirmed) {
+      console.error(`Tickets sold out before payment for order ${order.orderNumber} completed, refunding`);
+      await this.refundUnfulfilledOrder(order, 'Tickets sold out before payment completed', notes);
+      return { order, refunded: true };
+    }
+
+    // Add ticket generation job to queue
+    await ticketQueue.add('generate-tickets', {
+      orderId: order._id,
+      eventId: order.eventId,
+      buyerName: order.buyerName,
+      buyerEmail: order.buyerEmail,
+      buyerPhone: order.buyerPhone,
+      tickets: order.tickets
+    }, {
+      // Replayed callbacks must not generate a second set of tickets
+      jobId: `tickets-${order._id}`
+    });
+
+    // Live sales on the host's door dashboard
+    await liveEventService.publishSale(order);
+
+    return { order, refunded: false };
+  }
+
+  // A promo code can discount an order to nothing. M-Pesa rejects a KES 0 STK
+  // push, so these are completed without one.
+  async completeFreeOrder(orderId) {
+    return this.completeOrderPayment(
+      { _id: orderId, totalAmount: 0, paymentStatus: { $in: ['pending', 'processing'] } },
+      { notes: 'No payment due: order fully discounted' }
+    );
+  }
+
+  // Give the money back for a paid order that can't get tickets. A failed
+  // refund is noted on the order for an admin to retry.
+  async refundUnfulfilledOrder(order, reason, notes) {
+    // Nothing was charged for a free order, so there is nothing to send back
+    if (!order.totalAmount) {
+      await Order.updateOne(
+        { _id: order._id },
+        { paymentStatus: 'refunded', refundedAt: new Date(), notes: `${notes}. ${reason}` }
+      );
+      return;
+    }
+
+    try {
+      await this.refundPayment(order._id, undefined, reason);
+    } catch (error) {
+      console.error(`Automatic refund for order ${order.orderNumber} failed:`, error.message);
+      await Order.updateOne(
+        { _id: order._id },
+        { notes: `${notes}. ${reason}; automatic refund failed: ${error.message}` }
+      );
+    }
+  }
+
+  // Mark an order's payment as failed (or expired) and return any held tickets
+  async failOrderPayment(orderQuery, reason, paymentStatus = 'failed') {
+    const order = await Order.findOne(orderQuery);
+    if (!order) {
+      return null;
+    }
+
+    const update = { paymentStatus, notes: reason };
+    const released = await inventoryService.releaseOrderHold(order._id, update);
+
+    // Hold already lapsed; still record the outcome
+    if (!released) {
+      await Order.updateOne(
+        { _id: order._id, paymentStatus: { $in: ['pending', 'processing'] } },
+        update
+      );
+    }
+
+    return order;
+  }
+
   async checkPaymentStatus(checkoutRequestId) {
     try {
       const token = await this.getAccessToken();
@@ -268,8 +456,9 @@ class PaymentService {
         }
       );
 
+      // Daraja returns ResultCode as a string on this endpoint
       return {
-        success: response.data.ResultCode === 0,
+        success: String(response.data.ResultCode) === '0',
         resultCode: response.data.ResultCode,
         resultDesc: response.data.ResultDesc,
         response: response.data
@@ -280,11 +469,252 @@ class PaymentService {
     }
   }
 
-  async refundPayment(orderId, amount, reason = 'Customer request') {
-    // Implementation for refunds
-    // Note: M-Pesa refunds require special permissions from Safaricom
-    console.log(`Refund requested for order ${orderId}: ${amount} - ${reason}`);
-    return { success: true, message: 'Refund request logged' };
+  formatPhoneNumber(phone) {
+    // Format phone number (remove leading 0 or +)
+    let formattedPhone = phone.replace(/[\s-]/g, '').replace(/^0/, '254').replace(/^\+/, '');
+    if (!formattedPhone.startsWith('254')) {
+      formattedPhone = `254${formattedPhone}`;
+    }
+    return formattedPhone;
+  }
+
+  // Initiator password encrypted with the Safaricom public certificate
+  getSecurityCredential() {
+    if (process.env.MPESA_SECURITY_CREDENTIAL) {
+      return process.env.MPESA_SECURITY_CREDENTIAL;
+    }
+
+    if (!process.env.MPESA_INITIATOR_PASSWORD || !process.env.MPESA_CERT_PATH) {
+      throw new Error('M-Pesa initiator credentials are not configured');
+    }
+
+    const certificate = fs.readFileSync(process.env.MPESA_CERT_PATH);
+    return crypto.publicEncrypt(
+      { key: certificate, padding: crypto.constants.RSA_PKCS1_PADDING },
+      Buffer.from(process.env.MPESA_INITIATOR_PASSWORD)
+    ).toString('base64');
+  }
+
+  // Async result URLs carry the callback secret as their last path segment
+  getResultUrl(path) {
+    const secret = process.env.MPESA_CALLBACK_SECRET;
+    return `${this.resultBaseUrl}/${path}${secret ? `/${secret}` : ''}`;
+  }
+
+  async darajaRequest(path, requestData) {
+    const token = await this.getAccessToken();
+
+    const response = await axios.post(`${this.baseUrl}${path}`, requestData, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    return response.data;
+  }
+
+  async refundPayment(orderId, amount, reason = 'Customer request', options = {}) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    if (order.paymentStatus !== 'completed') {
+      throw new AppError(`Cannot refund an order that is ${order.paymentStatus}`, 400);
+    }
+
+    // STK push charges whole shillings
+    const paidAmount = Math.round(order.totalAmount);
+    const committed = await Refund.committedAmount(order._id);
+    const refundable = paidAmount - committed;
+
+    // Resolve tickets being refunded (public ticket IDs)
+    let tickets = [];
+    if (options.ticketIds && options.ticketIds.length > 0) {
+      tickets = await Ticket.find({
+        orderId: order._id,
+        ticketId: { $in: options.ticketIds },
+        status: { $ne: 'cancelled' }
+      });
+
+      if (tickets.length !== options.ticketIds.length) {
+        throw new AppError('Some tickets do not belong to this order or are already cancelled', 400);
+      }
+    }
+
+    let refundAmount = amount;
+    if (refundAmount === undefined || refundAmount === null) {
+      refundAmount = tickets.length > 0
+        ? tickets.reduce((sum, ticket) => sum + ticket.price, 0)
+        : refundable;
+    }
+    refundAmount = Math.round(refundAmount);
+
+    if (refundAmount < 1 || refundAmount > refundable) {
+      throw new AppError(`Refund amount must be between 1 and ${refundable}`, 400);
+    }
+
+    // Reversals only return the whole transaction; anything else goes out via
+    // B2C. So do full refunds of orders whose receipt we never got (recovered
+    // by a status query whose callback never arrived).
+    const isFull = committed === 0 && refundAmount === paidAmount;
+    const byReversal = isFull && Boolean(order.mpesaReference);
+
+    const refund = await Refund.create({
+      orderId: order._id,
+      eventId: order.eventId,
+      hostId: order.hostId,
+      amount: refundAmount,
+      type: isFull ? 'full' : 'partial',
+      method: byReversal ? 'reversal' : 'b2c',
+      reason,
+      ticketIds: tickets.map(ticket => ticket._id),
+      recipientPhone: this.formatPhoneNumber(order.buyerPhone),
+      requestedBy: options.requestedBy,
+      mpesa: {
+        originalReceipt: order.mpesaReference
+      }
+    });
+
+    try {
+      const result = byReversal
+        ? await this.requestReversal(refund, order)
+        : await this.requestB2C(refund, order);
+
+      if (result.ResponseCode !== '0') {
+        await refund.markAsFailed(result.ResponseDescription || 'Refund request rejected');
+        throw new AppError(`Refund request rejected: ${result.ResponseDescription}`, 502);
+      }
+
+      await refund.markAsProcessing(result.ConversationID, result.OriginatorConversationID);
+      return refund;
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+
+      console.error('Refund request error:', error.response?.data || error.message);
+      await refund.markAsFailed(error.response?.data?.errorMessage || error.message);
+      throw new AppError('Failed to submit M-Pesa refund request', 502);
+    }
+  }
+
+  async requestReversal(refund, order) {
+    return this.darajaRequest('/mpesa/reversal/v1/request', {
+      Initiator: this.initiatorName,
+      SecurityCredential: this.getSecurityCredential(),
+      CommandID: 'TransactionReversal',
+      TransactionID: order.mpesaReference,
+      Amount: refund.amount,
+      ReceiverParty: this.shortcode,
+      RecieverIdentifierType: '11',
+      ResultURL: this.getResultUrl(`refunds/${refund.refundId}/result`),
+      QueueTimeOutURL: this.getResultUrl(`refunds/${refund.refundId}/timeout`),
+      Remarks: refund.reason.slice(0, 100),
+      Occasion: order.orderNumber
+    });
+  }
+
+  async requestB2C(refund, order) {
+    return this.darajaRequest('/mpesa/b2c/v1/paymentrequest', {
+      InitiatorName: this.initiatorName,
+      SecurityCredential: this.getSecurityCredential(),
+      CommandID: 'BusinessPayment',
+      Amount: refund.amount,
+      PartyA: this.b2cShortcode,
+      PartyB: refund.recipientPhone,
+      Remarks: refund.reason.slice(0, 100),
+      QueueTimeOutURL: this.getResultUrl(`refunds/${refund.refundId}/timeout`),
+      ResultURL: this.getResultUrl(`refunds/${refund.refundId}/result`),
+      Occasion: order.orderNumber
+    });
+  }
+
+  async handleRefundResult(refundId, payload) {
+    const result = payload.Result;
+    if (!result) {
+      throw new Error('Invalid refund result payload');
+    }
+
+    // Daraja may deliver results more than once. Only the delivery that
+    // settles the refund acts on it, so it is never recorded twice.
+    const settled = result.ResultCode === 0
+      ? await Refund.complete(refundId, result.TransactionID, result.ResultDesc)
+      : await Refund.fail(refundId, result.ResultDesc, result.ResultCode);
+
+    if (!settled) {
+      const refund = await Refund.findOne({ refundId });
+      if (!refund) {
+        throw new Error(`Refund ${refundId} not found`);
+      }
+      return { success: refund.status === 'completed', refundId, duplicate: true };
+    }
+
+    if (result.ResultCode !== 0) {
+      return { success: false, refundId, resultCode: result.ResultCode, resultDesc: result.ResultDesc };
+    }
+
+    const order = await Order.findById(settled.orderId);
+    if (order) {
+      await order.recordRefund(settled.amount);
+      await ledgerService.recordRefund(settled, order);
+      await this.cancelRefundedTickets(settled, order);
+    }
+
+    return { success: true, refundId, transactionId: result.TransactionID };
+  }
+
+  async handleRefundTimeout(refundId) {
+    const refund = await Refund.findOne({ refundId });
+    if (!refund) {
+      throw new Error(`Refund ${refundId} not found`);
+    }
+
+    // A result that arrived first wins
+    await Refund.fail(refundId, 'Refund request timed out in the M-Pesa queue');
+
+    return { success: false, refundId };
+  }
+
+  // Cancel tickets covered by a completed refund and return their seats to sale
+  async cancelRefundedTickets(refund, order) {
+    let filter = null;
+    if (refund.ticketIds.length > 0) {
+      filter = { _id: { $in: refund.ticketIds } };
+    } else if (refund.type === 'full') {
+      filter = {};
+    }
+
+    if (!filter) {
+      return;
+    }
+
+    const tickets = await Ticket.find({
+      ...filter,
+      orderId: order._id,
+      status: { $ne: 'cancelled' }
+    });
+
+    if (tickets.length > 0) {
+      await Ticket.updateMany(
+        { _id: { $in: tickets.map(ticket => ticket._id) } },
+        { status: 'cancelled' }
+      );
+
+      for (const ticket of tickets) {
+        await redisClient.del(`ticket:${ticket.qrCodeId}`);
+      }
+    }
+
+    // Seats are only given back if the order actually sold them (not when
+    // it was refunded because they had sold out), whether or not its tickets
+    // were generated yet
+    if (refund.type === 'full') {
+      await inventoryService.releaseOrderSale(order._id);
+    } else {
+      await inventoryService.releaseSoldTickets(order._id, tickets);
+    }
   }
 }
 
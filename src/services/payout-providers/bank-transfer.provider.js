@@ -0,0 +1,82 @@
+const axios = require('axios');
+const { UnrecoverableError } = require('bullmq');
+
+// Sends bank payouts through a transfer API (BANK_PAYOUT_API_URL):
+//   POST /transfers { reference, amount, currency, beneficiary, narration, callbackUrl }
+//   -> { id, status }
+// The partner later posts { reference, status: "completed" | "failed",
+// transactionId, reason } to the callback URL.
+class BankTransferProvider {
+  constructor() {
+    this.baseUrl = process.env.BANK_PAYOUT_API_URL;
+    this.apiKey = process.env.BANK_PAYOUT_API_KEY;
+    this.callbackBaseUrl = process.env.BANK_PAYOUT_CALLBACK_BASE_URL ||
+      `${process.env.API_URL || 'http://localhost:5000'}/api/v1/payments`;
+  }
+
+  get method() {
+    return 'bank_transfer';
+  }
+
+  // The callback secret travels as the last path segment, like M-Pesa results
+  getCallbackUrl(payoutId) {
+    const secret = process.env.BANK_PAYOUT_CALLBACK_SECRET;
+    return `${this.callbackBaseUrl}/payouts/${payoutId}/bank-result${secret ? `/${secret}` : ''}`;
+  }
+
+  async send(payout) {
+    if (!this.baseUrl) {
+      throw new Error('Bank payouts are not configured (BANK_PAYOUT_API_URL)');
+    }
+
+    const { bankName, accountNumber, accountName, branchCode } = payout.bankDetails || {};
+    if (!bankName || !accountNumber || !accountName) {
+      throw new UnrecoverableError('Host bank details are incomplete');
+    }
+
+    const response = await axios.post(`${this.baseUrl}/transfers`, {
+      reference: payout.payoutId,
+      amount: payout.amount,
+      currency: payout.currency,
+      beneficiary: {
+        bankName,
+        accountNumber,
+        accountName,
+        branchCode
+      },
+      narration: `SwiftPass payout ${payout.payoutId}`,
+      callbackUrl: this.getCallbackUrl(payout.payoutId)
+    }, {
+      headers: {
+        Authorization: `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+        // Retries of the same attempt must not pay twice
+        'Idempotency-Key': `${payout.payoutId}-${payout.attempts + 1}`
+      }
+    });
+
+    if (['rejected', 'failed'].includes(response.data.status)) {
+      throw new Error(`Bank transfer rejected: ${response.data.reason || response.data.status}`);
+    }
+
+    return {
+      reference: response.data.id || payout.payoutId
+    };
+  }
+
+  parseResult(payload) {
+    if (!payload || !payload.status) {
+      throw new Error('Invalid bank transfer result payload');
+    }
+
+    return {
+      success: payload.status === 'completed',
+      reference: payload.id,
+      transactionId: payload.transactionId || payload.id,
+      resultCode: payload.status,
+      resultDesc: payload.reason || payload.status
+    };
+  }
+}
+
+module.exports = new BankTransferProvider();
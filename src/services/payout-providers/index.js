@@ -0,0 +1,23 @@
+const mpesaB2CProvider = require('./mpesa-b2c.provider');
+const bankTransferProvider = require('./bank-transfer.provider');
+
+// Payout providers by Payout.method. Each provider implements:
+//   send(payout) -> { reference, originatorConversationId? }  (request accepted)
+//   parseResult(payload) -> { success, reference, transactionId, resultCode, resultDesc }
+// Throw an UnrecoverableError from send() for failures a retry can't fix.
+const providers = {
+  [mpesaB2CProvider.method]: mpesaB2CProvider,
+  [bankTransferProvider.method]: bankTransferProvider
+};
+
+const getProvider = (method) => {
+  const provider = providers[method];
+  if (!provider) {
+    throw new Error(`No payout provider for method "${method}"`);
+  }
+  return provider;
+};
+
+module.exports = {
+  getProvider
+};
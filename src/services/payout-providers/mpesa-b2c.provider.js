@@ -0,0 +1,63 @@
+const { UnrecoverableError } = require('bullmq');
+const paymentService = require('../payment.service');
+
+// Daraja caps a single B2C payment
+const MAX_B2C_AMOUNT = parseInt(process.env.MPESA_B2C_MAX_AMOUNT || '250000');
+
+// Pays a host's M-Pesa number through B2C. Daraja only acknowledges the
+// request; the outcome arrives later at /payments/payouts/:payoutId/result.
+class MpesaB2CProvider {
+  get method() {
+    return 'mpesa';
+  }
+
+  async send(payout) {
+    if (!payout.recipientPhone) {
+      throw new UnrecoverableError('No M-Pesa number to pay out to');
+    }
+
+    const amount = Math.floor(payout.amount);
+    if (amount > MAX_B2C_AMOUNT) {
+      throw new UnrecoverableError(`KES ${amount} is above the M-Pesa B2C limit of KES ${MAX_B2C_AMOUNT}`);
+    }
+
+    const result = await paymentService.darajaRequest('/mpesa/b2c/v1/paymentrequest', {
+      InitiatorName: paymentService.initiatorName,
+      SecurityCredential: paymentService.getSecurityCredential(),
+      CommandID: 'BusinessPayment',
+      Amount: amount,
+      PartyA: paymentService.b2cShortcode,
+      PartyB: paymentService.formatPhoneNumber(payout.recipientPhone),
+      Remarks: `SwiftPass payout ${payout.payoutId}`,
+      QueueTimeOutURL: paymentService.getResultUrl(`payouts/${payout.payoutId}/timeout`),
+      ResultURL: paymentService.getResultUrl(`payouts/${payout.payoutId}/result`),
+      Occasion: payout.payoutId
+    });
+
+    if (result.ResponseCode !== '0') {
+      throw new Error(`B2C request rejected: ${result.ResponseDescription}`);
+    }
+
+    return {
+      reference: result.ConversationID,
+      originatorConversationId: result.OriginatorConversationID
+    };
+  }
+
+  parseResult(payload) {
+    const result = payload.Result;
+    if (!result) {
+      throw new Error('Invalid B2C result payload');
+    }
+
+    return {
+      success: result.ResultCode === 0,
+      reference: result.ConversationID,
+      transactionId: result.TransactionID,
+      resultCode: String(result.ResultCode),
+      resultDesc: result.ResultDesc
+    };
+  }
+}
+
+module.exports = new MpesaB2CProvider();
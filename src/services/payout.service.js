@@ -0,0 +1,402 @@
+const PDFDocument = require('pdfkit');
+const Payout = require('../models/payout.model');
+const Event = require('../models/event.model');
+const User = require('../models/user.model');
+const { cloudinary } = require('../config/cloudinary');
+const { AppError } = require('../middlewares/error.middleware');
+const redisClient = require('../config/redis');
+const ledgerService = require('./ledger.service');
+const { getProvider } = require('./payout-providers');
+
+// Smallest early withdrawal a host can request
+const EARLY_PAYOUT_MIN_AMOUNT = parseInt(process.env.EARLY_PAYOUT_MIN_AMOUNT || '500');
+// Provider-reported failures are retried this many times in total
+const MAX_ATTEMPTS = parseInt(process.env.PAYOUT_MAX_ATTEMPTS || '4');
+// First retry after 10 minutes, doubling each time
+const RETRY_BASE_DELAY_MS = 10 * 60 * 1000;
+
+// Sends payouts through the host's provider and settles them when the
+// provider reports back. The payout job decides when a payout is due;
+// everything after that lives here.
+class PayoutService {
+  // Where a host's money goes, per their payout method
+  destinationFor(host) {
+    const method = host.payoutMethod || 'bank_transfer';
+    return {
+      method,
+      bankDetails: method === 'bank_transfer' ? host.bankDetails : undefined,
+      recipientPhone: method === 'mpesa' ? (host.mpesaPayoutPhone || host.phone) : undefined
+    };
+  }
+
+  // Event totals (from the ledger) recorded on the payout and its receipt
+  metadataFor(summary, stage) {
+    return {
+      ticketSales: summary.orders,
+      grossSales: summary.sales,
+      platformFee: summary.platformFee,
+      processingFee: summary.processingFee,
+      taxAmount: summary.taxAmount,
+      refunds: summary.refunds,
+      paidEarlier: summary.paidOut,
+      reserveHeld: stage === 'reserve_release' ? 0 : summary.reserve,
+      netAmount: summary.netSales
+    };
+  }
+
+  // Host-requested withdrawal against an upcoming event's sales
+  async requestEarlyPayout(host, event, amount) {
+    const holdReason = host.payoutHoldReason();
+    if (holdReason === 'email_unverified') {
+      throw new AppError('Confirm your email address before withdrawing early', 403);
+    }
+    if (holdReason === 'phone_unverified') {
+      throw new AppError('Verify your phone number before withdrawing early to M-Pesa', 403);
+    }
+    if (holdReason) {
+      throw new AppError('Verify your account before withdrawing early. See /host/kyc.', 403);
+    }
+
+    if (event.status !== 'published') {
+      throw new AppError(`Early payouts aren't available for ${event.status} events`, 400);
+    }
+
+    if (new Date(event.eventDateTime) <= new Date()) {
+      throw new AppError('Early payouts close when the event starts. Your balance is paid out after the event.', 400);
+    }
+
+    if (amount < EARLY_PAYOUT_MIN_AMOUNT) {
+      throw new AppError(`The minimum early payout is KES ${EARLY_PAYOUT_MIN_AMOUNT}`, 400);
+    }
+
+    // One withdrawal per event at a time, so two requests can't both pass the balance check
+    const lockKey = `lock:payout:${event._id}`;
+    const locked = await redisClient.set(lockKey, '1', { NX: true, EX: 30 });
+    if (!locked) {
+      throw new AppError('Another payout for this event is being requested. Please try again.', 409);
+    }
+
+    try {
+      const summary = await ledgerService.eventSummary(host._id, event._id);
+      if (amount > summary.earlyAvailable) {
+        throw new AppError(`You can withdraw up to KES ${summary.earlyAvailable.toLocaleString()} for this event right now`, 400);
+      }
+
+      const payout = await Payout.create({
+        hostId: host._id,
+        eventId: event._id,
+        amount,
+        currency: 'KES',
+        ...this.destinationFor(host),
+        stage: 'early',
+        status: 'pending',
+        requestedBy: host._id,
+        metadata: this.metadataFor(summary, 'early')
+      });
+
+      await this.schedule(payout);
+
+      return { payout, summary: await ledgerService.eventSummary(host._id, event._id) };
+    } finally {
+      await redisClient.del(lockKey);
+    }
+  }
+
+  // Queue a payout for sending. Network errors while sending are retried by
+  // BullMQ; failures the provider reports later go through retryOrFail.
+  async schedule(payout, delay = 0) {
+    // Required lazily: the job module requires this service
+    const { payoutQueue } = require('../jobs/payout.job');
+
+    // Take it off the host's balance before it can be sent
+    await ledgerService.recordPayout(payout);
+
+    await payoutQueue.add('send-payout', {
+      payoutId: payout.payoutId
+    }, {
+      jobId: `send-${payout.payoutId}-${payout.attempts}`,
+      delay,
+      attempts: 5,
+      backoff: {
+        type: 'exponential',
+        delay: 60 * 1000
+      }
+    });
+  }
+
+  // Hand a pending payout to its provider
+  async dispatch(payoutId) {
+    const payout = await Payout.findOne({ payoutId });
+    if (!payout) {
+      throw new Error(`Payout ${payoutId} not found`);
+    }
+
+    // Already sent, settled or cancelled since this job was queued
+    if (payout.status !== 'pending') {
+      return { success: true, payoutId, skipped: payout.status };
+    }
+
+    const provider = getProvider(payout.method);
+    const { reference, originatorConversationId } = await provider.send(payout);
+
+    await payout.markAsProcessing(reference, originatorConversationId);
+
+    console.log(`Payout ${payoutId} sent via ${payout.method} (attempt ${payout.attempts}, ref ${reference})`);
+
+    return { success: true, payoutId, reference, attempt: payout.attempts };
+  }
+
+  // Result callback from a provider
+  async handleResult(payoutId, method, payload) {
+    const payout = await Payout.findOne({ payoutId });
+    if (!payout) {
+      throw new Error(`Payout ${payoutId} not found`);
+    }
+
+    const result = getProvider(method).parseResult(payload);
+
+    // Providers may deliver results more than once, or late for an earlier attempt
+    if (payout.status !== 'processing' ||
+        (result.reference && payout.provider.reference && result.reference !== payout.provider.reference)) {
+      return { success: payout.status === 'completed', payoutId, duplicate: true };
+    }
+
+    payout.provider.resultCode = result.resultCode;
+    payout.provider.resultDesc = result.resultDesc;
+
+    if (!result.success) {
+      return this.retryOrFail(payout, result.resultDesc || 'Payout failed');
+    }
+
+    await this.complete(payout, result.transactionId);
+
+    return { success: true, payoutId, transactionId: result.transactionId };
+  }
+
+  // M-Pesa dropped the request from its queue before processing it
+  async handleTimeout(payoutId) {
+    const payout = await Payout.findOne({ payoutId });
+    if (!payout) {
+      throw new Error(`Payout ${payoutId} not found`);
+    }
+
+    if (payout.status !== 'processing') {
+      return { success: false, payoutId, duplicate: true };
+    }
+
+    return this.retryOrFail(payout, 'Payout request timed out in the M-Pesa queue');
+  }
+
+  async complete(payout, transactionId) {
+    const [host, event] = await Promise.all([
+      User.findById(payout.hostId),
+      Event.findById(payout.eventId)
+    ]);
+
+    const completedAt = new Date();
+    let receipt = null;
+    let receiptUrl;
+
+    // A missing receipt must not leave a paid payout looking unpaid
+    try {
+      receipt = await this.generateReceipt(payout, host, event, transactionId, completedAt);
+      const upload = await this.uploadReceipt(receipt, payout.payoutId);
+      receiptUrl = upload.secure_url;
+    } catch (error) {
+      console.error(`Error generating receipt for payout ${payout.payoutId}:`, error);
+    }
+
+    await payout.markAsCompleted(transactionId, receiptUrl);
+    await ledgerService.settlePayout(payout);
+
+    if (host && event) {
+      const { sendPayoutEmail } = require('../jobs/payout.job');
+      await sendPayoutEmail(host, event, payout, receipt);
+    }
+
+    console.log(`Payout ${payout.payoutId} completed: KES ${payout.amount} (${transactionId})`);
+
+    return payout;
+  }
+
+  // Try again later with backoff, or give up after MAX_ATTEMPTS
+  async retryOrFail(payout, reason) {
+    if (payout.attempts >= MAX_ATTEMPTS) {
+      await this.fail(payout, reason);
+      console.error(`Payout ${payout.payoutId} failed after ${payout.attempts} attempts: ${reason}`);
+      return { success: false, payoutId: payout.payoutId, failed: true, reason };
+    }
+
+    const delay = RETRY_BASE_DELAY_MS * Math.pow(2, payout.attempts - 1);
+
+    payout.status = 'pending';
+    payout.failureReason = reason;
+    payout.nextAttemptAt = new Date(Date.now() + delay);
+    await payout.save();
+
+    await this.schedule(payout, delay);
+
+    console.log(`Payout ${payout.payoutId} attempt ${payout.attempts} failed (${reason}), retrying at ${payout.nextAttemptAt.toISOString()}`);
+
+    return { success: false, payoutId: payout.payoutId, retryAt: payout.nextAttemptAt, reason };
+  }
+
+  // Give up on a payout and return the amount to the host's balance
+  async fail(payout, reason) {
+    await payout.markAsFailed(reason);
+    await ledgerService.reversePayout(payout);
+    return payout;
+  }
+
+  // Stop a payout that hasn't been sent (e.g. the event was cancelled)
+  async cancel(payout, reason) {
+    payout.status = 'cancelled';
+    payout.failureReason = reason;
+    await payout.save();
+    await ledgerService.reversePayout(payout);
+    return payout;
+  }
+
+  // Admin retry of a payout that ran out of attempts
+  async retry(payout) {
+    if (payout.status !== 'failed') {
+      throw new AppError(`Only failed payouts can be retried (this one is ${payout.status})`, 400);
+    }
+
+    payout.status = 'pending';
+    payout.attempts = 0;
+    payout.failedAt = undefined;
+    payout.nextAttemptAt = undefined;
+    await payout.save();
+
+    await this.schedule(payout);
+
+    return payout;
+  }
+
+  // Remittance advice for the host's records
+  async generateReceipt(payout, host, event, transactionId, completedAt) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: {
+          Title: `Payout ${payout.payoutId}`,
+          Author: 'SwiftPass',
+          Subject: 'Payout Remittance'
+        }
+      });
+
+      const buffers = [];
+      doc.on('data', buffers.push.bind(buffers));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+      doc.on('error', reject);
+
+      const money = (value) => `KES ${(value || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+      const row = (label, value, y) => {
+        doc.fillColor('#666').fontSize(11).font('Helvetica').text(label, 50, y);
+        doc.fillColor('#333').font('Helvetica-Bold').text(value, 250, y, { width: 295, align: 'right' });
+      };
+
+      doc.fillColor('#333')
+         .fontSize(28)
+         .font('Helvetica-Bold')
+         .text('SWIFTPASS', 50, 50);
+
+      doc.fillColor('#667eea')
+         .fontSize(14)
+         .font('Helvetica')
+         .text('PAYOUT REMITTANCE ADVICE', 50, 85);
+
+      doc.moveTo(50, 115).lineTo(545, 115).strokeColor('#dddddd').stroke();
+
+      row('Payout ID', payout.payoutId, 135);
+      row('Date paid', completedAt.toLocaleString('en-KE', { timeZone: 'Africa/Nairobi' }), 155);
+      row('Transaction ID', transactionId || 'N/A', 175);
+      row('Paid to', host ? (host.companyName || host.name) : 'N/A', 195);
+      row('Payout type', ledgerService.stageLabel(payout.stage), 235);
+      row('Method', payout.method === 'mpesa'
+        ? `M-Pesa ${maskTail(payout.recipientPhone)}`
+        : `${payout.bankDetails.bankName} ${maskTail(payout.bankDetails.accountNumber)}`, 215);
+
+      doc.fillColor('#333')
+         .fontSize(16)
+         .font('Helvetica-Bold')
+         .text('Event', 50, 265);
+
+      row('Name', event ? event.name : 'N/A', 290);
+      row('Date', event ? new Date(event.eventDateTime).toLocaleDateString('en-KE') : 'N/A', 310);
+      row('Orders', String((payout.metadata && payout.metadata.ticketSales) || 0), 330);
+
+      doc.fillColor('#333')
+         .fontSize(16)
+         .font('Helvetica-Bold')
+         .text('Breakdown', 50, 360);
+
+      const metadata = payout.metadata || {};
+      const fees = (metadata.grossSales || 0) - (metadata.refunds || 0) - (metadata.netAmount || 0);
+
+      row('Ticket sales', money(metadata.grossSales), 385);
+      row('Fees and tax', `- ${money(fees)}`, 405);
+      row('Refunds', `- ${money(metadata.refunds)}`, 425);
+      row('Net sales', money(metadata.netAmount), 445);
+      row('Paid out earlier', `- ${money(metadata.paidEarlier)}`, 465);
+      if (payout.stage === 'settlement') {
+        row('Held for refunds', `- ${money(metadata.reserveHeld)}`, 485);
+      }
+
+      doc.moveTo(50, 510).lineTo(545, 510).strokeColor('#dddddd').stroke();
+      doc.fillColor('#4CAF50')
+         .fontSize(18)
+         .font('Helvetica-Bold')
+         .text('Amount paid', 50, 525)
+         .text(money(payout.amount), 250, 525, { width: 295, align: 'right' });
+
+      doc.fillColor('#999')
+         .fontSize(9)
+         .font('Helvetica')
+         .text(RECEIPT_NOTES[payout.stage] || RECEIPT_NOTES.settlement, 50, doc.page.height - 90)
+         .text('For support: support@swiftpass.app', 50, doc.page.height - 75);
+
+      doc.end();
+    });
+  }
+
+  async uploadReceipt(buffer, payoutId) {
+    return new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        {
+          resource_type: 'raw',
+          folder: 'swiftpass/payouts',
+          format: 'pdf',
+          public_id: `receipt-${payoutId}`,
+          overwrite: true
+        },
+        (error, result) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve(result);
+          }
+        }
+      );
+
+      uploadStream.end(buffer);
+    });
+  }
+}
+
+const RECEIPT_NOTES = {
+  early: 'Early payouts are an advance on ticket sales. Refunds after this payout are deducted from your remaining balance.',
+  settlement: 'Part of your balance is held for refunds and paid out once the refund window closes.',
+  reserve_release: 'This releases the balance that was held for refunds. Your payouts for this event are complete.'
+};
+
+function maskTail(value) {
+  if (!value) {
+    return '';
+  }
+  return `****${String(value).slice(-4)}`;
+}
+
+module.exports = new PayoutService();
@@ -0,0 +1,111 @@
+const User = require('../models/user.model');
+const { AppError } = require('../middlewares/error.middleware');
+const otpService = require('./otp.service');
+const smsService = require('./sms.service');
+const paymentService = require('./payment.service');
+
+const PURPOSE = 'phone_verification';
+const CODE_TTL_MINUTES = 10;
+
+// Proves a user owns the phone number on their profile with a code sent by
+// SMS. A code is bound to the user and the number it went to, so changing
+// the number again voids any code still in flight.
+class PhoneVerificationService {
+  subject(user) {
+    return `${user._id}:${paymentService.formatPhoneNumber(user.phone)}`;
+  }
+
+  samePhone(a, b) {
+    if (!a || !b) {
+      return a === b;
+    }
+    return paymentService.formatPhoneNumber(String(a)) === paymentService.formatPhoneNumber(String(b));
+  }
+
+  // Mark the number unverified after it changes. The caller saves the user.
+  phoneChanged(user) {
+    user.phoneVerified = false;
+    user.phoneVerifiedAt = undefined;
+    return user;
+  }
+
+  // Put a new number on a profile. It can't belong to another account and
+  // starts unverified. Returns false if the number didn't change. The caller saves.
+  async changePhone(user, phone) {
+    if (this.samePhone(phone, user.phone)) {
+      return false;
+    }
+
+    if (await User.exists({ _id: { $ne: user._id }, phone })) {
+      throw new AppError('User with this phone already exists', 400);
+    }
+
+    this.phoneChanged(user);
+    user.phone = phone;
+    return true;
+  }
+
+  // Send a code after the number was entered or changed. Failing to send
+  // doesn't fail that request; the user can ask for another code.
+  async offerCode(user) {
+    try {
+      await this.sendCode(user);
+      return true;
+    } catch (error) {
+      console.error(`Error sending phone verification code to user ${user._id}:`, error.message);
+      return false;
+    }
+  }
+
+  async sendCode(user) {
+    if (!user.phone) {
+      throw new AppError('Add a phone number to your profile first', 400);
+    }
+    if (user.phoneVerified) {
+      throw new AppError('Your phone number is already verified', 400);
+    }
+
+    const code = await otpService.issue(PURPOSE, this.subject(user), {
+      ttlSeconds: CODE_TTL_MINUTES * 60
+    });
+
+    try {
+      await smsService.send(
+        user.phone,
+        `Your SwiftPass verification code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes. Don't share it with anyone.`
+      );
+    } catch (error) {
+      console.error('Error sending phone verification code:', error);
+      throw new AppError('Could not send the verification code. Please try again.', 502);
+    }
+
+    return { sentTo: maskPhone(user.phone), expiresInMinutes: CODE_TTL_MINUTES };
+  }
+
+  async verifyCode(user, code) {
+    if (user.phoneVerified) {
+      throw new AppError('Your phone number is already verified', 400);
+    }
+    if (!user.phone) {
+      throw new AppError('Add a phone number to your profile first', 400);
+    }
+
+    const valid = await otpService.verify(PURPOSE, this.subject(user), code);
+    if (!valid) {
+      throw new AppError('Invalid or expired code', 400);
+    }
+
+    user.phoneVerified = true;
+    user.phoneVerifiedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    return user;
+  }
+}
+
+function maskPhone(phone) {
+  const formatted = paymentService.formatPhoneNumber(phone);
+  return `+${formatted.slice(0, 3)}${'*'.repeat(formatted.length - 6)}${formatted.slice(-3)}`;
+}
+
+module.exports = new PhoneVerificationService();
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
+const { AppError } = require('../middlewares/error.middleware');
+
+// Oldest sessions are dropped beyond this many per user
+const MAX_SESSIONS = parseInt(process.env.MAX_SESSIONS_PER_USER || '20');
+
+// Signed-in devices. Each sign-in starts a session (a refresh token family)
+// stored on the user as refreshTokens[]: only the hash of its current refresh
+// token, plus device details for the sessions list. Every refresh rotates the
+// token. Presenting a token that was already rotated means it was copied, so
+// the whole session is revoked.
+class SessionService {
+  // Start a session for a user who has just proved who they are. Returns the
+  // tokens for the client.
+  async start(user, req) {
+    const sessionId = crypto.randomUUID();
+    const tokens = this.signTokens(user, sessionId);
+    const now = new Date();
+
+    // Drop expired sessions, then add this one
+    await User.updateOne(
+      { _id: user._id },
+      { $pull: { refreshTokens: { $or: [{ expiresAt: { $lte: now } }, { tokenHash: null }] } } }
+    );
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $push: {
+          refreshTokens: {
+            $each: [{
+              sessionId,
+              tokenHash: this.hash(tokens.refreshToken),
+              ...this.deviceDetails(req),
+              createdAt: now,
+              lastUsedAt: now,
+              expiresAt: tokens.expiresAt
+            }],
+            $slice: -MAX_SESSIONS
+          }
+        }
+      }
+    );
+
+    return tokens;
+  }
+
+  // Check a refresh token. Returns { user, session } for the session it
+  // belongs to, or throws. A stale token revokes its session.
+  async authenticate(refreshToken) {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    } catch (error) {
+      throw new AppError(error.name === 'TokenExpiredError' ? 'Refresh token has expired' : 'Invalid refresh token', 401);
+    }
+
+    // Tokens from before sessions existed carry no session ID
+    if (!decoded.sid) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const user = await User.findOne({
+      _id: decoded.userId,
+      'refreshTokens.sessionId': decoded.sid,
+      status: 'active'
+    });
+    if (!user) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const session = user.refreshTokens.find(s => s.sessionId === decoded.sid);
+    if (!this.matches(session.tokenHash, refreshToken)) {
+      await this.revokeReused(user, session);
+    }
+    if (session.expiresAt <= new Date()) {
+      await this.revoke(user._id, session.sessionId);
+      throw new AppError('Refresh token has expired', 401);
+    }
+
+    return { user, session };
+  }
+
+  // Swap the session's refresh token for a new one. Conditional on the old
+  // hash, so of two requests racing with the same token only one wins and the
+  // other counts as reuse.
+  async rotate(user, session, req) {
+    const tokens = this.signTokens(user, session.sessionId);
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        refreshTokens: { $elemMatch: { sessionId: session.sessionId, tokenHash: session.tokenHash } }
+      },
+      {
+        $set: {
+          'refreshTokens.$.tokenHash': this.hash(tokens.refreshToken),
+          'refreshTokens.$.ip': this.deviceDetails(req).ip,
+          'refreshTokens.$.lastUsedAt': new Date(),
+          'refreshTokens.$.expiresAt': tokens.expiresAt
+        }
+      }
+    );
+
+    if (result.modifiedCount !== 1) {
+      await this.revokeReused(user, session);
+    }
+
+    return tokens;
+  }
+
+  // Active sessions, most recently used first
+  async list(userId) {
+    const user = await User.findById(userId).select('refreshTokens');
+    if (!user) {
+      return [];
+    }
+
+    const now = new Date();
+    return user.refreshTokens
+      .filter(s => s.tokenHash && s.expiresAt > now)
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+      .map(s => ({
+        id: s.sessionId,
+        device: s.device,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        expiresAt: s.expiresAt
+      }));
+  }
+
+  // Sign out one session. Returns false if there was no such session.
+  async revoke(userId, sessionId) {
+    const result = await User.updateOne(
+      { _id: userId },
+      { $pull: { refreshTokens: { sessionId } } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  // Sign out every session except one (usually the caller's). Returns how many ended.
+  async revokeOthers(userId, keepSessionId) {
+    const user = await User.findById(userId).select('refreshTokens');
+    if (!user) {
+      return 0;
+    }
+
+    const now = new Date();
+    const others = user.refreshTokens
+      .filter(s => s.sessionId !== keepSessionId && s.tokenHash && s.expiresAt > now)
+      .length;
+    await User.updateOne(
+      { _id: userId },
+      { $pull: { refreshTokens: { sessionId: { $ne: keepSessionId } } } }
+    );
+    return others;
+  }
+
+  // Sign out the session a refresh token belongs to (expired tokens too)
+  async end(refreshToken) {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET, { ignoreExpiration: true });
+    } catch (error) {
+      return false;
+    }
+
+    if (!decoded.sid) {
+      return false;
+    }
+    return this.revoke(decoded.userId, decoded.sid);
+  }
+
+  async revokeReused(user, session) {
+    console.warn(`Refresh token reuse for user ${user._id}, session ${session.sessionId} (${session.device}); session revoked`);
+    await this.revoke(user._id, session.sessionId);
+    throw new AppError('This sign-in was ended for your security because its refresh token was used twice. Please sign in again.', 401);
+  }
+
+  signTokens(user, sessionId) {
+    const accessToken = jwt.sign(
+      { userId: user._id, role: user.role, sid: sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_ACCESS_EXPIRY || '15m' }
+    );
+
+    // A unique ID so tokens minted in the same second still differ
+    const refreshToken = jwt.sign(
+      { userId: user._id, role: user.role, sid: sessionId },
+      process.env.JWT_REFRESH_SECRET,
+      { expiresIn: process.env.JWT_REFRESH_EXPIRY || '7d', jwtid: crypto.randomUUID() }
+    );
+
+    return {
+      accessToken,
+      refreshToken,
+      expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+    };
+  }
+
+  hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  matches(tokenHash, token) {
+    const expected = Buffer.from(tokenHash || '');
+    const given = Buffer.from(this.hash(token));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+
+  // What the sessions list shows. Apps can name themselves with X-Device-Name.
+  deviceDetails(req) {
+    const userAgent = (req.get('User-Agent') || '').slice(0, 500);
+    const deviceName = (req.get('X-Device-Name') || '').trim().slice(0, 100);
+
+    return {
+      device: deviceName || describeUserAgent(userAgent),
+      userAgent,
+      ip: (req.ip || '').replace(/^::ffff:/, '')
+    };
+  }
+}
+
+// "Chrome on Windows" from a user agent string
+function describeUserAgent(userAgent) {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return 'Unknown device';
+  }
+  return [browser && browser[0], system && system[0]].filter(Boolean).join(' on ');
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,50 @@
+const axios = require('axios');
+
+// Sends through Africa's Talking. The "sandbox" username talks to their
+// simulator instead of the live network.
+class AfricasTalkingSmsProvider {
+  constructor() {
+    this.username = process.env.AFRICASTALKING_USERNAME;
+    this.apiKey = process.env.AFRICASTALKING_API_KEY;
+    this.senderId = process.env.AFRICASTALKING_SENDER_ID;
+  }
+
+  get name() {
+    return 'africastalking';
+  }
+
+  get baseUrl() {
+    return this.username === 'sandbox'
+      ? 'https://api.sandbox.africastalking.com'
+      : 'https://api.africastalking.com';
+  }
+
+  async send({ to, message }) {
+    if (!this.username || !this.apiKey) {
+      throw new Error("Africa's Talking SMS is not configured");
+    }
+
+    const params = new URLSearchParams({ username: this.username, to, message });
+    if (this.senderId) {
+      params.append('from', this.senderId);
+    }
+
+    const response = await axios.post(`${this.baseUrl}/version1/messaging`, params.toString(), {
+      headers: {
+        apiKey: this.apiKey,
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      timeout: 10000
+    });
+
+    const recipient = (response.data.SMSMessageData.Recipients || [])[0];
+    if (!recipient || recipient.status !== 'Success') {
+      throw new Error(`SMS to ${to} rejected: ${recipient ? recipient.status : response.data.SMSMessageData.Message}`);
+    }
+
+    return { messageId: recipient.messageId };
+  }
+}
+
+module.exports = new AfricasTalkingSmsProvider();
@@ -0,0 +1,15 @@
+// Prints messages to the server log instead of sending them. For local
+// development, where codes are read off the console.
+class ConsoleSmsProvider {
+  get name() {
+    return 'console';
+  }
+
+  async send({ to, message }) {
+    const messageId = `console-${Date.now()}`;
+    console.log(`[SMS to ${to}] ${message}`);
+    return { messageId };
+  }
+}
+
+module.exports = new ConsoleSmsProvider();
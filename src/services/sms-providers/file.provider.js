@@ -0,0 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+
+const OUTBOX_FILE = process.env.SMS_OUTBOX_FILE || path.join(__dirname, '../../../logs/sms-outbox.log');
+
+// Appends each message to an outbox file as a line of JSON, so local
+// scripts can pick codes up with e.g. `tail -n1 logs/sms-outbox.log`.
+class FileSmsProvider {
+  get name() {
+    return 'file';
+  }
+
+  async send({ to, message }) {
+    const messageId = `file-${Date.now()}`;
+
+    await fs.promises.mkdir(path.dirname(OUTBOX_FILE), { recursive: true });
+    await fs.promises.appendFile(
+      OUTBOX_FILE,
+      `${JSON.stringify({ messageId, to, message, sentAt: new Date().toISOString() })}\n`
+    );
+
+    return { messageId };
+  }
+}
+
+module.exports = new FileSmsProvider();
@@ -0,0 +1,28 @@
+const consoleProvider = require('./console.provider');
+const fileProvider = require('./file.provider');
+const africasTalkingProvider = require('./africastalking.provider');
+
+// SMS providers by name, chosen with SMS_PROVIDER. Each provider implements:
+//   send({ to, message }) -> { messageId }  (to is +254...; throws if not accepted)
+const providers = {
+  [consoleProvider.name]: consoleProvider,
+  [fileProvider.name]: fileProvider,
+  [africasTalkingProvider.name]: africasTalkingProvider
+};
+
+// Real messages in production, the console everywhere else unless configured
+const defaultProvider = () => (
+  process.env.NODE_ENV === 'production' ? africasTalkingProvider.name : consoleProvider.name
+);
+
+const getProvider = (name = process.env.SMS_PROVIDER || defaultProvider()) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`No SMS provider named "${name}"`);
+  }
+  return provider;
+};
+
+module.exports = {
+  getProvider
+};
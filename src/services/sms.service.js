@@ -0,0 +1,22 @@
+const { getProvider } = require('./sms-providers');
+const paymentService = require('./payment.service');
+
+// Sends text messages through the configured SMS provider (see sms-providers)
+class SmsService {
+  // Providers take numbers in international format
+  formatRecipient(phone) {
+    return `+${paymentService.formatPhoneNumber(phone)}`;
+  }
+
+  async send(phone, message) {
+    const provider = getProvider();
+    const to = this.formatRecipient(phone);
+
+    const { messageId } = await provider.send({ to, message });
+    console.log(`SMS ${messageId} sent to ${to} via ${provider.name}`);
+
+    return { messageId };
+  }
+}
+
+module.exports = new SmsService();
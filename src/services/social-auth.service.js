@@ -0,0 +1,236 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
+const { AppError } = require('../middlewares/error.middleware');
+
+// Google's signing keys. A file:// URL loads local key fixtures instead.
+const GOOGLE_JWKS_URL = process.env.GOOGLE_JWKS_URL || 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const FACEBOOK_GRAPH_URL = process.env.FACEBOOK_GRAPH_URL || 'https://graph.facebook.com/v18.0';
+// Used when Google doesn't send a Cache-Control max-age
+const DEFAULT_JWKS_TTL_MS = 60 * 60 * 1000;
+// Don't refetch keys for unknown key IDs more often than this
+const JWKS_REFRESH_MIN_MS = 60 * 1000;
+
+// Verifies Google ID tokens and Facebook access tokens and returns the
+// identity they prove: { provider, providerId, email, emailVerified, name, picture }
+class SocialAuthService {
+  constructor() {
+    this.jwks = { keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+  }
+
+  get providers() {
+    return ['google', 'facebook'];
+  }
+
+  label(provider) {
+    return provider === 'facebook' ? 'Facebook' : 'Google';
+  }
+
+  // User field holding each provider's account ID
+  idField(provider) {
+    return `${provider}Id`;
+  }
+
+  async verify(provider, token) {
+    if (provider === 'google') {
+      return this.verifyGoogleToken(token);
+    }
+    if (provider === 'facebook') {
+      return this.verifyFacebookToken(token);
+    }
+    throw new AppError(`Unknown sign-in provider ${provider}`, 400);
+  }
+
+  async verifyGoogleToken(idToken) {
+    const audience = (process.env.GOOGLE_CLIENT_ID || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (audience.length === 0) {
+      throw new AppError('Google sign-in is not configured', 503);
+    }
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header.kid) {
+      throw new AppError('Invalid Google token', 401);
+    }
+
+    const key = await this.googleKey(decoded.header.kid);
+    if (!key) {
+      throw new AppError('Invalid Google token', 401);
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256'],
+        audience,
+        issuer: GOOGLE_ISSUERS
+      });
+    } catch (error) {
+      throw new AppError(error.name === 'TokenExpiredError' ? 'Google token has expired' : 'Invalid Google token', 401);
+    }
+
+    return {
+      provider: 'google',
+      providerId: claims.sub,
+      email: claims.email,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      name: claims.name,
+      picture: claims.picture
+    };
+  }
+
+  async verifyFacebookToken(accessToken) {
+    const appId = process.env.FACEBOOK_APP_ID;
+    const appSecret = process.env.FACEBOOK_APP_SECRET;
+    if (!appId || !appSecret) {
+      throw new AppError('Facebook sign-in is not configured', 503);
+    }
+
+    // Ask Facebook whether the token is live and was issued to our app
+    let debug;
+    try {
+      const response = await axios.get(`${FACEBOOK_GRAPH_URL}/debug_token`, {
+        params: { input_token: accessToken, access_token: `${appId}|${appSecret}` },
+        timeout: 10000
+      });
+      debug = response.data.data;
+    } catch (error) {
+      throw facebookError(error);
+    }
+
+    if (!debug || !debug.is_valid || String(debug.app_id) !== String(appId)) {
+      throw new AppError('Invalid Facebook token', 401);
+    }
+
+    let profile;
+    try {
+      const response = await axios.get(`${FACEBOOK_GRAPH_URL}/me`, {
+        params: {
+          fields: 'id,name,email,picture.type(large)',
+          access_token: accessToken,
+          appsecret_proof: crypto.createHmac('sha256', appSecret).update(accessToken).digest('hex')
+        },
+        timeout: 10000
+      });
+      profile = response.data;
+    } catch (error) {
+      throw facebookError(error);
+    }
+
+    if (String(profile.id) !== String(debug.user_id)) {
+      throw new AppError('Invalid Facebook token', 401);
+    }
+
+    return {
+      provider: 'facebook',
+      providerId: String(profile.id),
+      email: profile.email,
+      // Facebook only returns addresses the user has confirmed
+      emailVerified: Boolean(profile.email),
+      name: profile.name,
+      picture: profile.picture && profile.picture.data ? profile.picture.data.url : undefined
+    };
+  }
+
+  // Link a verified identity to a signed-in user. A user has one account per
+  // provider, and an account can only be linked to one user. The caller
+  // checks the user exists.
+  async link(user, profile) {
+    const field = this.idField(profile.provider);
+    const label = this.label(profile.provider);
+
+    if (user[field] && user[field] !== profile.providerId) {
+      throw new AppError(`A different ${label} account is already linked. Unlink it first.`, 400);
+    }
+
+    if (!user[field]) {
+      if (await User.exists({ [field]: profile.providerId })) {
+        throw new AppError(`This ${label} account is linked to another SwiftPass account`, 409);
+      }
+
+      user[field] = profile.providerId;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    return user;
+  }
+
+  // Unlink a provider, as long as another way to sign in remains
+  async unlink(user, provider) {
+    const field = this.idField(provider);
+    const label = this.label(provider);
+
+    if (!user[field]) {
+      throw new AppError(`No ${label} account is linked`, 400);
+    }
+
+    if (user.signInMethods().length <= 1) {
+      throw new AppError(`Link another account or set a password before unlinking ${label}`, 400);
+    }
+
+    user[field] = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return user;
+  }
+
+  // Public key for a Google key ID, refetching the key set when it expires
+  // or when Google has rotated to a key we haven't seen
+  async googleKey(kid) {
+    const now = Date.now();
+    const stale = now >= this.jwks.expiresAt;
+    const unknown = !this.jwks.keys.has(kid) && now - this.jwks.fetchedAt > JWKS_REFRESH_MIN_MS;
+
+    if (stale || unknown) {
+      try {
+        await this.loadGoogleKeys();
+      } catch (error) {
+        // Keep using the keys we have if Google is briefly unreachable
+        console.error('Error loading Google signing keys:', error.message);
+        if (!this.jwks.keys.has(kid)) {
+          throw new AppError('Could not reach Google. Please try again.', 502);
+        }
+      }
+    }
+
+    return this.jwks.keys.get(kid);
+  }
+
+  async loadGoogleKeys() {
+    let body;
+    let ttl = DEFAULT_JWKS_TTL_MS;
+
+    if (GOOGLE_JWKS_URL.startsWith('file://')) {
+      body = JSON.parse(fs.readFileSync(new URL(GOOGLE_JWKS_URL), 'utf8'));
+    } else {
+      const response = await axios.get(GOOGLE_JWKS_URL, { timeout: 10000 });
+      body = response.data;
+
+      const maxAge = /max-age=(\d+)/.exec(response.headers['cache-control'] || '');
+      if (maxAge) {
+        ttl = parseInt(maxAge[1]) * 1000;
+      }
+    }
+
+    const keys = new Map();
+    for (const jwk of body.keys || []) {
+      if (jwk.kty === 'RSA' && jwk.kid) {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      }
+    }
+
+    this.jwks = { keys, expiresAt: Date.now() + ttl, fetchedAt: Date.now() };
+  }
+}
+
+// Graph API rejections mean a bad token; anything else is Facebook being unreachable
+function facebookError(error) {
+  if (error.response && error.response.status < 500) {
+    return new AppError('Invalid Facebook token', 401);
+  }
+  return new AppError('Could not reach Facebook. Please try again.', 502);
+}
+
+module.exports = new SocialAuthService();
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const QRCode = require('qrcode');
 const PDFDocument = require('pdfkit');
 const fetch = require('node-fetch');
@@ -6,6 +7,7 @@ const Ticket = require('../models/ticket.model');
 const Order = require('../models/order.model');
 const Event = require('../models/event.model');
 const emailService = require('../config/email');
+const ticketSigningService = require('./ticket-signing.service');
 
 class TicketGenerationService {
   constructor() {
@@ -38,6 +40,13 @@ class TicketGenerationService {
         throw new Error('Order not found');
       }
 
+      // Order may have been refunded, or its event cancelled, while the job
+      // was queued. Either way the buyer is refunded elsewhere.
+      if (!this.canIssueTickets(order, event)) {
+        console.log(`Skipping ticket generation for order ${orderId}: payment is ${order.paymentStatus}, seats ${order.inventoryStatus}, event ${event.status}`);
+        return [];
+      }
+
       const generatedTickets = [];
 
       // Generate a ticket for each quantity
@@ -58,6 +67,16 @@ class TicketGenerationService {
         }
       }
 
+      // A refund or event cancellation that completed mid-generation can't
+      // have cancelled these
+      const current = await Order.findById(orderId);
+      const currentEvent = await Event.findById(eventId);
+      if (!current || !currentEvent || !this.canIssueTickets(current, currentEvent)) {
+        await this.cancelTickets(generatedTickets);
+        console.log(`Cancelled ${generatedTickets.length} tickets for order ${orderId}: refunded or cancelled during generation`);
+        return [];
+      }
+
       // Update order status
       await order.markTicketsGenerated();
 
@@ -71,6 +90,25 @@ class TicketGenerationService {
     }
   }
 
+  // Paid, not refunded and still going ahead. A full refund releases the
+  // order's seats.
+  canIssueTickets(order, event) {
+    return order.paymentStatus === 'completed' &&
+      order.inventoryStatus !== 'released' &&
+      event.status !== 'cancelled';
+  }
+
+  async cancelTickets(tickets) {
+    if (tickets.length === 0) {
+      return;
+    }
+
+    await Ticket.updateMany(
+      { _id: { $in: tickets.map(ticket => ticket._id) } },
+      { status: 'cancelled' }
+    );
+  }
+
   async generateSingleTicket(ticketData) {
     const {
       orderId,
@@ -79,56 +117,11 @@ class TicketGenerationService {
       buyerEmail,
       buyerPhone,
       tierName,
-      price,
-      ticketNumber
+      price
     } = ticketData;
 
     try {
-      // Get random Pokémon
-      const pokemon = await this.getRandomPokemon();
-      
-      // Get random gradient
-      const gradient = this.gradients[Math.floor(Math.random() * this.gradients.length)];
-      
-      // Generate QR code
-      const qrCodeData = {
-        ticketId: `TKT-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-        eventId: event._id.toString(),
-        buyerEmail,
-        timestamp: Date.now()
-      };
-      
-      const qrCodeBase64 = await QRCode.toDataURL(JSON.stringify(qrCodeData));
-      
-      // Generate PDF
-      const pdfBuffer = await this.generatePDFTicket({
-        event,
-        buyerName,
-        buyerEmail,
-        buyerPhone,
-        tierName,
-        price,
-        ticketNumber,
-        qrCodeBase64,
-        pokemon,
-        gradient
-      });
-
-      // Generate PNG
-      const pngBuffer = await this.generatePNGTicket({
-        event,
-        buyerName,
-        tierName,
-        qrCodeBase64,
-        pokemon,
-        gradient
-      });
-
-      // Upload to Cloudinary
-      const [pdfUpload, pngUpload] = await Promise.all([
-        this.uploadToCloudinary(pdfBuffer, 'pdf'),
-        this.uploadToCloudinary(pngBuffer, 'png')
-      ]);
+      const assets = await this.renderTicketAssets(ticketData);
 
       // Create ticket in database
       const ticket = await Ticket.create({
@@ -139,12 +132,7 @@ class TicketGenerationService {
         buyerPhone,
         tierName,
         price,
-        qrCodeId: qrCodeData.ticketId,
-        qrCodeData: JSON.stringify(qrCodeData),
-        pdfUrl: pdfUpload.secure_url,
-        pngUrl: pngUpload.secure_url,
-        pokemonImageUrl: pokemon.image,
-        backgroundColor: `linear-gradient(135deg, ${gradient[0]}, ${gradient[1]})`,
+        ...assets,
         metadata: {
           generatedAt: new Date()
         }
@@ -157,6 +145,75 @@ class TicketGenerationService {
     }
   }
 
+  // Issue a fresh signed QR code for a holder and render/upload the PDF and PNG
+  async renderTicketAssets(ticketData) {
+    const {
+      event,
+      buyerName,
+      buyerEmail,
+      buyerPhone,
+      tierName,
+      price,
+      ticketNumber
+    } = ticketData;
+
+    // Get random Pokémon
+    const pokemon = await this.getRandomPokemon();
+
+    // Get random gradient
+    const gradient = this.gradients[Math.floor(Math.random() * this.gradients.length)];
+
+    // Generate signed QR code (unguessable ID, verifiable offline)
+    const qrCodeId = `QR-${Date.now()}-${crypto.randomBytes(12).toString('hex')}`;
+    const qrCodeData = ticketSigningService.sign({
+      qrCodeId,
+      eventId: event._id,
+      tierName
+    });
+
+    const qrCodeBase64 = await QRCode.toDataURL(qrCodeData);
+
+    // Generate PDF
+    const pdfBuffer = await this.generatePDFTicket({
+      event,
+      buyerName,
+      buyerEmail,
+      buyerPhone,
+      tierName,
+      price,
+      ticketNumber,
+      qrCodeBase64,
+      pokemon,
+      gradient
+    });
+
+    // Generate PNG
+    const pngBuffer = await this.generatePNGTicket({
+      event,
+      buyerName,
+      tierName,
+      qrCodeData,
+      qrCodeBase64,
+      pokemon,
+      gradient
+    });
+
+    // Upload to Cloudinary
+    const [pdfUpload, pngUpload] = await Promise.all([
+      this.uploadToCloudinary(pdfBuffer, 'pdf'),
+      this.uploadToCloudinary(pngBuffer, 'png')
+    ]);
+
+    return {
+      qrCodeId,
+      qrCodeData,
+      pdfUrl: pdfUpload.secure_url,
+      pngUrl: pngUpload.secure_url,
+      pokemonImageUrl: pokemon.image,
+      backgroundColor: `linear-gradient(135deg, ${gradient[0]}, ${gradient[1]})`
+    };
+  }
+
   async getRandomPokemon() {
     try {
       const randomId = Math.floor(Math.random() * 898) + 1; // There are 898 Pokémon
@@ -308,12 +365,7 @@ class TicketGenerationService {
     // In production, you might want to use a library like canvas
     // For now, we'll return the QR code as PNG
     
-    const qrBuffer = await QRCode.toBuffer(JSON.stringify({
-      ticketId: `TKT-${Date.now()}`,
-      event: data.event.name,
-      buyer: data.buyerName,
-      tier: data.tierName
-    }), {
+    const qrBuffer = await QRCode.toBuffer(data.qrCodeData, {
       width: 400,
       margin: 2,
       color: {
@@ -382,7 +434,14 @@ class TicketGenerationService {
         ticketId: tickets[0]?.ticketId || 'N/A',
         qrCodeId: tickets[0]?.qrCodeId || 'N/A',
         pdfUrl: tickets[0]?.pdfUrl || '#',
-        pngUrl: tickets[0]?.pngUrl || '#'
+        pngUrl: tickets[0]?.pngUrl || '#',
+        transferLinks: tickets
+          .filter(ticket => event.transfersAllowed(ticket.tierName))
+          .map(ticket => ({
+            ticketId: ticket.ticketId,
+            tierName: ticket.tierName,
+            url: ticket.getTransferUrl()
+          }))
       });
 
       await emailService.sendEmail(
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Signed QR format: SP1.<keyId>.<base64url payload>.<base64url Ed25519 signature>
+// The signature covers everything before the last dot.
+const TOKEN_PREFIX = 'SP1';
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+class TicketSigningService {
+  constructor() {
+    this.keysDir = process.env.TICKET_SIGNING_KEYS_DIR;
+    this.activeKeyId = process.env.TICKET_SIGNING_KEY_ID;
+    this.keys = null;
+  }
+
+  // Load every <keyId>.pem in the keys directory. The active key signs new
+  // tickets; the others are kept so tickets signed before a rotation still verify.
+  loadKeys() {
+    if (this.keys) {
+      return this.keys;
+    }
+
+    this.keys = new Map();
+
+    if (this.keysDir && fs.existsSync(this.keysDir)) {
+      fs.readdirSync(this.keysDir)
+        .filter(file => file.endsWith('.pem'))
+        .forEach(file => {
+          const privateKey = crypto.createPrivateKey(fs.readFileSync(path.join(this.keysDir, file)));
+          if (privateKey.asymmetricKeyType !== 'ed25519') {
+            throw new Error(`Ticket signing key ${file} is not an Ed25519 key`);
+          }
+
+          this.keys.set(path.basename(file, '.pem'), {
+            privateKey,
+            publicKey: crypto.createPublicKey(privateKey)
+          });
+        });
+    }
+
+    if (this.keys.size === 0) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('Ticket signing keys are not configured');
+      }
+
+      // Development only: tickets signed with this key stop verifying on restart
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+      this.activeKeyId = 'dev';
+      this.keys.set('dev', { privateKey, publicKey });
+      console.warn('TICKET_SIGNING_KEYS_DIR not set, using an ephemeral ticket signing key');
+    }
+
+    if (!this.activeKeyId || !this.keys.has(this.activeKeyId)) {
+      throw new Error(`Active ticket signing key "${this.activeKeyId}" not found`);
+    }
+
+    return this.keys;
+  }
+
+  // Sign the QR contents for a ticket
+  sign({ qrCodeId, eventId, tierName }) {
+    const keys = this.loadKeys();
+    const { privateKey } = keys.get(this.activeKeyId);
+
+    const payload = toBase64Url(JSON.stringify({
+      q: qrCodeId,
+      e: eventId.toString(),
+      t: tierName,
+      iat: Math.floor(Date.now() / 1000)
+    }));
+
+    const signed = `${TOKEN_PREFIX}.${this.activeKeyId}.${payload}`;
+    const signature = crypto.sign(null, Buffer.from(signed), privateKey);
+
+    return `${signed}.${toBase64Url(signature)}`;
+  }
+
+  // Verify scanned QR contents. Returns the decoded claims, or null if the
+  // code is malformed, signed by an unknown key or has been tampered with.
+  verify(token) {
+    if (typeof token !== 'string') {
+      return null;
+    }
+
+    const parts = token.trim().split('.');
+    if (parts.length !== 4 || parts[0] !== TOKEN_PREFIX) {
+      return null;
+    }
+
+    const [, keyId, payload, signature] = parts;
+    const key = this.loadKeys().get(keyId);
+    if (!key) {
+      return null;
+    }
+
+    const valid = crypto.verify(
+      null,
+      Buffer.from(`${TOKEN_PREFIX}.${keyId}.${payload}`),
+      key.publicKey,
+      Buffer.from(signature, 'base64url')
+    );
+
+    if (!valid) {
+      return null;
+    }
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      return {
+        qrCodeId: claims.q,
+        eventId: claims.e,
+        tierName: claims.t,
+        issuedAt: new Date(claims.iat * 1000),
+        keyId
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Public keys as a JWK set for offline verification by scanner apps
+  getPublicKeys() {
+    const keys = this.loadKeys();
+
+    return Array.from(keys.entries()).map(([keyId, { publicKey }]) => ({
+      ...publicKey.export({ format: 'jwk' }),
+      kid: keyId,
+      alg: 'EdDSA',
+      use: 'sig',
+      status: keyId === this.activeKeyId ? 'active' : 'retired'
+    }));
+  }
+}
+
+module.exports = new TicketSigningService();
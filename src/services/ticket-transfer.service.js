@@ -0,0 +1,174 @@
+const Ticket = require('../models/ticket.model');
+const Event = require('../models/event.model');
+const { AppError } = require('../middlewares/error.middleware');
+const redisClient = require('../config/redis');
+const emailService = require('../config/email');
+const ticketGenerationService = require('./ticket-generation.service');
+
+// Accept links are valid for this long (but never past the event start)
+const TRANSFER_TTL_HOURS = 72;
+
+const TRANSFERABLE_STATUSES = ['not_active', 'valid'];
+
+// Hands a ticket from its holder to someone else. The holder proves ownership
+// with the signed link from their ticket email; on acceptance the ticket is
+// re-issued to the recipient with a new QR code, revoking the old one.
+class TicketTransferService {
+  async requestTransfer(ticketId, holderToken, recipient) {
+    const ticket = await this.findForHolder(ticketId, holderToken);
+    const event = await Event.findById(ticket.eventId);
+
+    this.assertTransferable(ticket, event);
+
+    if (recipient.email.toLowerCase() === ticket.buyerEmail) {
+      throw new AppError('You already hold this ticket', 400);
+    }
+
+    const expiresAt = new Date(Math.min(
+      Date.now() + TRANSFER_TTL_HOURS * 60 * 60 * 1000,
+      event.eventDateTime.getTime()
+    ));
+
+    // A new request replaces any pending one
+    const token = ticket.createTransfer(recipient, expiresAt);
+    await ticket.save();
+
+    try {
+      const acceptUrl = `${process.env.APP_URL || 'http://localhost:3000'}/tickets/transfer/accept?token=${token}`;
+
+      const emailHtml = emailService.generateTicketTransferEmail({
+        recipientName: recipient.name,
+        senderName: ticket.buyerName,
+        eventName: event.name,
+        eventDateTime: new Date(event.eventDateTime).toLocaleString(),
+        venue: event.location.venueName,
+        tierName: ticket.tierName,
+        acceptUrl,
+        expiresAt: expiresAt.toLocaleString()
+      });
+
+      await emailService.sendEmail(
+        recipient.email,
+        `${ticket.buyerName} sent you a ticket for ${event.name}`,
+        emailHtml
+      );
+    } catch (error) {
+      console.error('Error sending ticket transfer email:', error);
+    }
+
+    return ticket;
+  }
+
+  async cancelTransfer(ticketId, holderToken) {
+    const ticket = await this.findForHolder(ticketId, holderToken);
+
+    if (!ticket.transfer || !ticket.transfer.requestedAt) {
+      throw new AppError('This ticket has no pending transfer', 400);
+    }
+
+    ticket.transfer = undefined;
+    await ticket.save();
+
+    return ticket;
+  }
+
+  async acceptTransfer(token) {
+    const tokenHash = Ticket.hashToken(token);
+    const ticket = await Ticket.findOne({ 'transfer.tokenHash': tokenHash });
+
+    if (!ticket || !ticket.transfer.expiresAt || ticket.transfer.expiresAt < new Date()) {
+      throw new AppError('Transfer link is invalid or has expired', 400);
+    }
+
+    const event = await Event.findById(ticket.eventId);
+    this.assertTransferable(ticket, event);
+
+    const { recipientName, recipientEmail, recipientPhone } = ticket.transfer;
+    const previousHolder = {
+      name: ticket.buyerName,
+      email: ticket.buyerEmail,
+      phone: ticket.buyerPhone,
+      qrCodeId: ticket.qrCodeId,
+      transferredAt: new Date()
+    };
+
+    // New QR code and documents in the recipient's name
+    const assets = await ticketGenerationService.renderTicketAssets({
+      event,
+      buyerName: recipientName,
+      buyerEmail: recipientEmail,
+      buyerPhone: recipientPhone || ticket.buyerPhone,
+      tierName: ticket.tierName,
+      price: ticket.price,
+      ticketNumber: 1
+    });
+
+    // Guarded on the old QR code so a ticket can't be handed over twice
+    const transferred = await Ticket.findOneAndUpdate(
+      {
+        _id: ticket._id,
+        qrCodeId: previousHolder.qrCodeId,
+        'transfer.tokenHash': tokenHash,
+        status: { $in: TRANSFERABLE_STATUSES }
+      },
+      {
+        $set: {
+          buyerName: recipientName,
+          buyerEmail: recipientEmail,
+          buyerPhone: recipientPhone || ticket.buyerPhone,
+          ...assets,
+          'metadata.sentAt': null,
+          'metadata.downloadCount': 0
+        },
+        $unset: { transfer: 1 },
+        $push: { ownershipHistory: previousHolder }
+      },
+      { new: true }
+    );
+
+    if (!transferred) {
+      throw new AppError('This ticket can no longer be transferred', 409);
+    }
+
+    // Scanners must not admit the old QR code from cache
+    await redisClient.del(`ticket:${previousHolder.qrCodeId}`);
+
+    try {
+      await ticketGenerationService.sendTicketEmail(recipientEmail, recipientName, [transferred], event);
+    } catch (error) {
+      console.error('Error sending transferred ticket email:', error);
+    }
+
+    return { ticket: transferred, previousHolder };
+  }
+
+  async findForHolder(ticketId, holderToken) {
+    const ticket = await Ticket.findOne({ ticketId });
+
+    if (!ticket || !ticket.verifyHolderToken(holderToken)) {
+      throw new AppError('Transfer link is invalid or the ticket has changed hands', 403);
+    }
+
+    return ticket;
+  }
+
+  assertTransferable(ticket, event) {
+    if (!event || ['cancelled', 'completed'].includes(event.status)) {
+      throw new AppError('Tickets for this event can no longer be transferred', 400);
+    }
+
+    if (event.eventDateTime <= new Date()) {
+      throw new AppError('Tickets cannot be transferred after the event has started', 400);
+    }
+
+    if (!event.transfersAllowed(ticket.tierName)) {
+      throw new AppError('The host has disabled transfers for this ticket', 403);
+    }
+
+    if (!TRANSFERABLE_STATUSES.includes(ticket.status)) {
+      throw new AppError(`A ticket that is ${ticket.status} cannot be transferred`, 400);
+    }
+  }
+}
+
+module.exports = new TicketTransferService();
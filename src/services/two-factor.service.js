@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const User = require('../models/user.model');
+const redisClient = require('../config/redis');
+const { AppError } = require('../middlewares/error.middleware');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'SwiftPass';
+// RFC 6238 defaults, which every authenticator app supports
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the codes either side of the current one to allow for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+// Between the password and the code at sign-in
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+// Between re-authenticating and the sensitive change it unlocks
+const REAUTH_TTL_SECONDS = 5 * 60;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Fields needed to check a user's codes; hidden from normal queries
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+// TOTP two-factor authentication: enrolment, code checks (authenticator app
+// or one-time recovery codes), the sign-in challenge that sits between the
+// password and the tokens, and short-lived re-authentication grants for
+// sensitive changes such as bank details.
+class TwoFactorService {
+  get secretFields() {
+    return SECRET_FIELDS;
+  }
+
+  // Start enrolment with a new secret. Nothing changes until enable() confirms
+  // the user's app produces matching codes.
+  async beginSetup(user) {
+    if (user.twoFactorEnabled()) {
+      throw new AppError('Two-factor authentication is already on', 400);
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    const otpauthUri = this.otpauthUri(user, secret);
+
+    user.set('twoFactor.pendingSecret', encrypt(secret));
+    await user.save({ validateBeforeSave: false });
+
+    return {
+      secret,
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri)
+    };
+  }
+
+  // Confirm enrolment with a code from the app. Returns the recovery codes,
+  // which are shown this once.
+  async enable(user, code) {
+    if (user.twoFactorEnabled()) {
+      throw new AppError('Two-factor authentication is already on', 400);
+    }
+    if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+      throw new AppError('Start two-factor setup first', 400);
+    }
+
+    const secret = decrypt(user.twoFactor.pendingSecret);
+    const step = this.matchStep(secret, code);
+    if (step === null) {
+      throw new AppError('Invalid code. Check the time on your phone and try again.', 400);
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.set('twoFactor', {
+      enabled: true,
+      enabledAt: new Date(),
+      secret: user.twoFactor.pendingSecret,
+      lastUsedStep: step,
+      recoveryCodes: recoveryCodes.map(recoveryCode => ({ hash: hashRecoveryCode(recoveryCode) }))
+    });
+    await user.save({ validateBeforeSave: false });
+
+    return recoveryCodes;
+  }
+
+  async disable(user) {
+    user.set('twoFactor', { enabled: false });
+    await user.save({ validateBeforeSave: false });
+  }
+
+  // Replace all recovery codes, voiding the old ones
+  async regenerateRecoveryCodes(user) {
+    const recoveryCodes = generateRecoveryCodes();
+
+    await User.updateOne(
+      { _id: user._id },
+      { 'twoFactor.recoveryCodes': recoveryCodes.map(recoveryCode => ({ hash: hashRecoveryCode(recoveryCode) })) }
+    );
+
+    return recoveryCodes;
+  }
+
+  recoveryCodesRemaining(user) {
+    return ((user.twoFactor && user.twoFactor.recoveryCodes) || []).filter(c => !c.usedAt).length;
+  }
+
+  // Check an authenticator or recovery code for a user loaded with
+  // secretFields. Each code works once. Returns 'totp', 'recovery_code' or null.
+  async verifyCode(user, code) {
+    if (!user.twoFactorEnabled() || !code) {
+      return null;
+    }
+
+    const given = String(code).replace(/\s/g, '');
+
+    // Recovery codes are longer, though one can be all digits too
+    if (given.length === DIGITS && /^\d+$/.test(given)) {
+      const step = this.matchStep(decrypt(user.twoFactor.secret), given);
+      if (step === null) {
+        return null;
+      }
+
+      // Conditional, so the same code can't be used twice even concurrently
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+        },
+        { 'twoFactor.lastUsedStep': step }
+      );
+      return result.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    const hash = hashRecoveryCode(given);
+    const usedAt = new Date();
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } }
+      },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': usedAt } }
+    );
+    if (result.modifiedCount !== 1) {
+      return null;
+    }
+
+    // Keep the loaded user in step, e.g. for recoveryCodesRemaining()
+    const used = user.twoFactor.recoveryCodes.find(c => c.hash === hash);
+    if (used) {
+      used.usedAt = usedAt;
+    }
+    return 'recovery_code';
+  }
+
+  // Time step the code belongs to, or null if it doesn't match
+  matchStep(secret, code, now = Date.now()) {
+    const given = String(code || '');
+    if (given.length !== DIGITS) {
+      return null;
+    }
+
+    const current = Math.floor(now / 1000 / STEP_SECONDS);
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+      const expected = totp(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  otpauthUri(user, secret) {
+    const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  // Sign-in challenge, issued after the password (or social token) checks out
+  async createChallenge(user) {
+    const challengeToken = crypto.randomBytes(32).toString('hex');
+    const key = this.challengeKey(challengeToken);
+
+    await redisClient.hSet(key, 'userId', String(user._id));
+    await redisClient.hSet(key, 'attempts', '0');
+    await redisClient.expire(key, CHALLENGE_TTL_SECONDS);
+
+    return {
+      challengeToken,
+      expiresAt: new Date(Date.now() + CHALLENGE_TTL_SECONDS * 1000)
+    };
+  }
+
+  // Finish a sign-in challenge. Returns { user, method } for an active user;
+  // the challenge is burnt on success or after too many wrong codes.
+  async completeChallenge(challengeToken, code) {
+    const key = this.challengeKey(challengeToken);
+
+    const stored = await redisClient.hGetAll(key);
+    if (!stored || !stored.userId) {
+      throw new AppError('Your sign-in has expired. Please sign in again.', 401);
+    }
+
+    const user = await User.findById(stored.userId).select(SECRET_FIELDS);
+    if (!user || user.status !== 'active') {
+      await redisClient.del(key);
+      throw new AppError('Account is suspended or deleted', 403);
+    }
+
+    const method = await this.verifyCode(user, code);
+    if (!method) {
+      const attempts = await redisClient.hIncrBy(key, 'attempts', 1);
+      if (attempts >= MAX_CHALLENGE_ATTEMPTS) {
+        await redisClient.del(key);
+        throw new AppError('Too many wrong codes. Please sign in again.', 401);
+      }
+      throw new AppError('Invalid two-factor code', 401);
+    }
+
+    await redisClient.del(key);
+
+    return { user, method };
+  }
+
+  // Grant for one sensitive change, after the user has proved it's them again
+  async createReauthToken(user) {
+    const reauthToken = crypto.randomBytes(32).toString('hex');
+
+    await redisClient.set(this.reauthKey(reauthToken), String(user._id), { EX: REAUTH_TTL_SECONDS });
+
+    return {
+      reauthToken,
+      expiresAt: new Date(Date.now() + REAUTH_TTL_SECONDS * 1000)
+    };
+  }
+
+  // True if the grant belongs to the user. It stays usable, for the first
+  // step of a change made in two requests.
+  async checkReauthToken(userId, reauthToken) {
+    if (!reauthToken) {
+      return false;
+    }
+
+    const owner = await redisClient.get(this.reauthKey(reauthToken));
+    return Boolean(owner) && owner === String(userId);
+  }
+
+  // True if the grant belongs to the user; it can't be used again
+  async consumeReauthToken(userId, reauthToken) {
+    if (!(await this.checkReauthToken(userId, reauthToken))) {
+      return false;
+    }
+
+    // Only the request that deletes it gets to use it
+    return (await redisClient.del(this.reauthKey(reauthToken))) === 1;
+  }
+
+  challengeKey(token) {
+    return `2fa:challenge:${crypto.createHash('sha256').update(String(token)).digest('hex')}`;
+  }
+
+  reauthKey(token) {
+    return `2fa:reauth:${crypto.createHash('sha256').update(String(token)).digest('hex')}`;
+  }
+}
+
+// HOTP (RFC 4226) for a TOTP time step
+function totp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(value) {
+  let bits = '';
+  for (const char of value.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// Secrets are encrypted at rest (AES-256-GCM) so a database leak alone
+// doesn't hand out working codes
+function encryptionKey() {
+  return crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+}
+
+function encrypt(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decrypt(value) {
+  const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// Codes look like 3f9a2-c81d0; dashes and case are ignored when checking
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+function hashRecoveryCode(code) {
+  return crypto
+    .createHmac('sha256', process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .update(`recovery_code:${code.replace(/-/g, '').toLowerCase()}`)
+    .digest('hex');
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,87 @@
+// In-memory stand-in for src/config/redis with the same method names, for
+// jest.mock('.../config/redis', () => require('.../helpers/fake-redis')()).
+// Expiry times are recorded but never enforced.
+function createFakeRedis() {
+  const store = new Map();
+  const ttls = new Map();
+
+  const hash = (key) => {
+    if (!store.has(key)) {
+      store.set(key, {});
+    }
+    return store.get(key);
+  };
+
+  return {
+    store,
+    ttls,
+
+    reset() {
+      store.clear();
+      ttls.clear();
+    },
+
+    async get(key) {
+      return store.has(key) ? store.get(key) : null;
+    },
+
+    async set(key, value, options = {}) {
+      if (options.NX && store.has(key)) {
+        return null;
+      }
+      store.set(key, String(value));
+      if (options.EX) {
+        ttls.set(key, options.EX);
+      }
+      return 'OK';
+    },
+
+    async del(key) {
+      ttls.delete(key);
+      return store.delete(key) ? 1 : 0;
+    },
+
+    async exists(key) {
+      return store.has(key) ? 1 : 0;
+    },
+
+    async expire(key, seconds) {
+      if (!store.has(key)) {
+        return false;
+      }
+      ttls.set(key, seconds);
+      return true;
+    },
+
+    async incr(key) {
+      const value = parseInt(store.get(key) || '0') + 1;
+      store.set(key, String(value));
+      return value;
+    },
+
+    async hSet(key, field, value) {
+      hash(key)[field] = String(value);
+      return 1;
+    },
+
+    async hGet(key, field) {
+      return store.has(key) ? store.get(key)[field] ?? null : null;
+    },
+
+    async hGetAll(key) {
+      return store.has(key) ? { ...store.get(key) } : {};
+    },
+
+    async hIncrBy(key, field, increment) {
+      const fields = hash(key);
+      fields[field] = String(parseInt(fields[field] || '0') + increment);
+      return parseInt(fields[field]);
+    },
+
+    async publish() {
+      return 0;
+    }
+  };
+}
+
+module.exports = createFakeRedis;
@@ -0,0 +1,151 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Keep error logs out of logs/error.log
+jest.mock('winston', () => ({
+  ...jest.requireActual('winston'),
+  createLogger: () => ({ error: jest.fn(), info: jest.fn() })
+}));
+jest.mock('../../src/config/redis', () => require('../helpers/fake-redis')());
+jest.mock('../../src/config/email', () => ({
+  sendEmail: jest.fn(),
+  generateLoginCodeEmail: jest.fn(({ code }) => `<p>${code}</p>`)
+}));
+jest.mock('../../src/services/sms.service', () => ({ send: jest.fn() }));
+jest.mock('../../src/jobs/ticket-generation.job', () => ({ ticketQueue: { add: jest.fn() } }));
+jest.mock('../../src/models/order.model', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/models/ticket.model', () => ({ findOne: jest.fn() }));
+
+process.env.JWT_SECRET = 'test-access-secret';
+
+const redisClient = require('../../src/config/redis');
+const emailService = require('../../src/config/email');
+const smsService = require('../../src/services/sms.service');
+const Order = require('../../src/models/order.model');
+const Ticket = require('../../src/models/ticket.model');
+const authRoutes = require('../../src/routes/auth.routes');
+const { errorHandler } = require('../../src/middlewares/error.middleware');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/auth', authRoutes);
+app.use(errorHandler);
+
+// Just enough of Mongo's matching for the buyer lookups
+const matches = (record, query) => Object.entries(query).every(([field, condition]) => {
+  if (condition && condition.$in) {
+    return condition.$in.includes(record[field]);
+  }
+  return record[field] === condition;
+});
+
+// Model.findOne(query).sort(...).select(...) over an in-memory collection
+const collection = records => jest.fn(query => ({
+  sort: () => ({
+    select: async () => records.filter(record => matches(record, query)).pop() || null
+  })
+}));
+
+const victimOrder = {
+  buyerName: 'Achieng',
+  buyerEmail: 'achieng@example.com',
+  buyerPhone: '0712345678',
+  paymentStatus: 'completed'
+};
+
+// Checkout started with the victim's phone and the attacker's email, never paid
+const attackerCheckout = {
+  buyerName: 'Mallory',
+  buyerEmail: 'mallory@example.com',
+  buyerPhone: '0722000111',
+  paymentStatus: 'pending'
+};
+
+const codeFromSms = () => smsService.send.mock.calls[0][1].match(/\d{6}/)[0];
+const codeFromEmail = () => emailService.sendEmail.mock.calls[0][1].match(/\d{6}/)[0];
+
+describe('buyer sign-in codes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redisClient.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    Order.findOne = collection([victimOrder, attackerCheckout]);
+    Ticket.findOne = collection([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('texts a phone sign-in code to that phone, never to an order\'s email', async () => {
+    const res = await request(app)
+      .post('/api/v1/auth/buyer/code')
+      .send({ phone: '+254 712 345 678' });
+
+    expect(res.status).toBe(200);
+    expect(smsService.send).toHaveBeenCalledWith('254712345678', expect.stringMatching(/\d{6}/));
+    expect(emailService.sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('signs a phone buyer in with the texted code, scoped to that phone', async () => {
+    await request(app).post('/api/v1/auth/buyer/code').send({ phone: '0712345678' });
+
+    const res = await request(app)
+      .post('/api/v1/auth/buyer/verify')
+      .send({ phone: '0712345678', code: codeFromSms() });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.buyer).toEqual({ phone: '254712345678' });
+    const token = jwt.verify(res.body.data.tokens.accessToken, process.env.JWT_SECRET);
+    expect(token).toMatchObject({ role: 'buyer', phone: '254712345678' });
+    expect(token.email).toBeUndefined();
+  });
+
+  it('emails an email sign-in code to that address', async () => {
+    const res = await request(app)
+      .post('/api/v1/auth/buyer/code')
+      .send({ email: 'Achieng@Example.com' });
+
+    expect(res.status).toBe(200);
+    expect(emailService.sendEmail).toHaveBeenCalledWith(
+      'achieng@example.com',
+      expect.stringMatching(/\d{6}/),
+      expect.any(String)
+    );
+    expect(smsService.send).not.toHaveBeenCalled();
+
+    const verified = await request(app)
+      .post('/api/v1/auth/buyer/verify')
+      .send({ email: 'achieng@example.com', code: codeFromEmail() });
+    expect(verified.body.data.buyer).toEqual({ email: 'achieng@example.com' });
+  });
+
+  it('ignores checkouts that were never paid', async () => {
+    const res = await request(app)
+      .post('/api/v1/auth/buyer/code')
+      .send({ email: 'mallory@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(emailService.sendEmail).not.toHaveBeenCalled();
+    expect(smsService.send).not.toHaveBeenCalled();
+  });
+
+  it('answers the same whether or not a code was sent', async () => {
+    const known = await request(app).post('/api/v1/auth/buyer/code').send({ phone: '0712345678' });
+    const unknown = await request(app).post('/api/v1/auth/buyer/code').send({ phone: '0799999999' });
+
+    expect(smsService.send).toHaveBeenCalledTimes(1);
+    expect(known.body).toEqual(unknown.body);
+  });
+
+  it('rejects a code issued for another contact', async () => {
+    await request(app).post('/api/v1/auth/buyer/code').send({ email: 'achieng@example.com' });
+
+    const res = await request(app)
+      .post('/api/v1/auth/buyer/verify')
+      .send({ phone: '0712345678', code: codeFromEmail() });
+
+    expect(res.status).toBe(401);
+  });
+});
@@ -0,0 +1,140 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+// Keep error logs out of logs/error.log
+jest.mock('winston', () => ({
+  ...jest.requireActual('winston'),
+  createLogger: () => ({ error: jest.fn(), info: jest.fn() })
+}));
+jest.mock('../../src/jobs/reservation.job', () => ({ scheduleReservationExpiry: jest.fn() }));
+jest.mock('../../src/services/payment.service', () => ({
+  completeFreeOrder: jest.fn(),
+  initiateSTKPush: jest.fn()
+}));
+jest.mock('../../src/services/inventory.service', () => ({
+  reservationTtlSeconds: 600,
+  holdTickets: jest.fn(),
+  describeShortage: jest.fn()
+}));
+jest.mock('../../src/services/buyer.service', () => ({ owns: jest.fn() }));
+jest.mock('../../src/models/event.model', () => ({ findById: jest.fn(), releaseHeldTickets: jest.fn() }));
+jest.mock('../../src/models/order.model', () => ({
+  create: jest.fn(),
+  countDocuments: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../src/models/ticket.model', () => ({}));
+jest.mock('../../src/models/user.model', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/promo-code.model', () => ({
+  findOne: jest.fn(),
+  redeem: jest.fn(),
+  releaseUse: jest.fn()
+}));
+
+const Event = require('../../src/models/event.model');
+const Order = require('../../src/models/order.model');
+const PromoCode = require('../../src/models/promo-code.model');
+const paymentService = require('../../src/services/payment.service');
+const inventoryService = require('../../src/services/inventory.service');
+const { scheduleReservationExpiry } = require('../../src/jobs/reservation.job');
+const checkoutRoutes = require('../../src/routes/checkout.routes');
+const { errorHandler } = require('../../src/middlewares/error.middleware');
+
+// The real model, for its discount rules
+const RealPromoCode = jest.requireActual('../../src/models/promo-code.model');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/checkout', checkoutRoutes);
+app.use(errorHandler);
+
+const hostId = new mongoose.Types.ObjectId();
+const event = {
+  _id: new mongoose.Types.ObjectId(),
+  hostId,
+  status: 'published',
+  absorbFees: false,
+  tiers: [{ name: 'Regular', price: 1500 }],
+  salesOpen: () => true
+};
+
+const promo = fields => new RealPromoCode({ hostId, code: 'FREEPASS', ...fields });
+
+const checkout = promoCode => request(app)
+  .post('/api/v1/checkout')
+  .send({
+    eventId: event._id.toString(),
+    tickets: [{ tierName: 'Regular', quantity: 2 }],
+    buyerName: 'Wanjiru',
+    buyerEmail: 'wanjiru@example.com',
+    buyerPhone: '0712345678',
+    promoCode
+  });
+
+describe('checkout with a promo code covering the whole order', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Event.findById.mockResolvedValue(event);
+    PromoCode.redeem.mockResolvedValue({});
+    inventoryService.holdTickets.mockResolvedValue(true);
+    paymentService.completeFreeOrder.mockResolvedValue({ refunded: false });
+    Order.create.mockImplementation(async fields => ({
+      _id: new mongoose.Types.ObjectId(),
+      orderNumber: 'SP-0001',
+      ...fields
+    }));
+  });
+
+  it.each([
+    ['a 100% percentage discount', { discountType: 'percentage', discountValue: 100 }],
+    ['a fixed discount larger than the order', { discountType: 'fixed', discountValue: 5000 }]
+  ])('completes the order without M-Pesa for %s', async (_, fields) => {
+    PromoCode.findOne.mockResolvedValue(promo(fields));
+
+    const res = await checkout('FREEPASS');
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.order).toMatchObject({ totalAmount: 0, paymentStatus: 'completed' });
+    expect(res.body.data.paymentMethods).toEqual([]);
+
+    const created = await Order.create.mock.results[0].value;
+    expect(paymentService.completeFreeOrder).toHaveBeenCalledWith(created._id);
+    expect(scheduleReservationExpiry).not.toHaveBeenCalled();
+    expect(paymentService.initiateSTKPush).not.toHaveBeenCalled();
+  });
+
+  it('still asks for M-Pesa when something is left to pay', async () => {
+    PromoCode.findOne.mockResolvedValue(promo({ discountType: 'percentage', discountValue: 50 }));
+
+    const res = await checkout('FREEPASS');
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.order.totalAmount).toBeGreaterThan(0);
+    expect(res.body.data.order.paymentStatus).toBe('pending');
+    expect(res.body.data.paymentMethods).toEqual(['mpesa']);
+    expect(paymentService.completeFreeOrder).not.toHaveBeenCalled();
+    expect(scheduleReservationExpiry).toHaveBeenCalled();
+  });
+
+  it('never sends a KES 0 STK push for a free order that reaches the payment step', async () => {
+    const order = {
+      _id: new mongoose.Types.ObjectId(),
+      orderNumber: 'SP-0002',
+      totalAmount: 0,
+      paymentStatus: 'pending'
+    };
+    Order.findById.mockResolvedValue(order);
+    Order.findOneAndUpdate.mockResolvedValue({ ...order, paymentStatus: 'processing' });
+
+    const res = await request(app)
+      .post('/api/v1/checkout/payment')
+      .send({ orderId: order._id.toString(), phone: '0712345678' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ orderId: 'SP-0002', paymentStatus: 'completed' });
+    expect(paymentService.completeFreeOrder).toHaveBeenCalledWith(order._id);
+    expect(paymentService.initiateSTKPush).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,76 @@
+const express = require('express');
+const request = require('supertest');
+
+// Keep error logs out of logs/error.log
+jest.mock('winston', () => ({
+  ...jest.requireActual('winston'),
+  createLogger: () => ({ error: jest.fn(), info: jest.fn() })
+}));
+jest.mock('../../src/config/redis', () => require('../helpers/fake-redis')());
+jest.mock('../../src/config/email', () => ({ sendEmail: jest.fn() }));
+jest.mock('../../src/jobs/ticket-generation.job', () => ({ ticketQueue: { add: jest.fn() } }));
+jest.mock('../../src/models/user.model', () => ({
+  findOne: jest.fn().mockResolvedValue(null),
+  consumeEmailToken: jest.fn().mockResolvedValue(null),
+  findByEmail: jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue(null) })
+}));
+
+const redisClient = require('../../src/config/redis');
+const authRoutes = require('../../src/routes/auth.routes');
+const { errorHandler } = require('../../src/middlewares/error.middleware');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/auth', authRoutes);
+app.use(errorHandler);
+
+const resetToken = 'a'.repeat(64);
+
+describe('password reset rate limits', () => {
+  beforeEach(() => {
+    redisClient.reset();
+  });
+
+  it('limits forgot-password requests from one IP', async () => {
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+      const res = await request(app)
+        .post('/api/v1/auth/forgot-password')
+        .send({ email: `host${i}@example.com` });
+      statuses.push(res.status);
+    }
+
+    expect(statuses).toEqual([200, 200, 200, 200, 200, 429]);
+  });
+
+  it('limits reset-password attempts separately from forgot-password', async () => {
+    for (let i = 0; i < 5; i++) {
+      await request(app).post('/api/v1/auth/forgot-password').send({ email: 'host@example.com' });
+    }
+
+    const reset = await request(app)
+      .post('/api/v1/auth/reset-password')
+      .send({ token: resetToken, password: 'new-password-1' });
+    expect(reset.status).toBe(400);
+
+    for (let i = 0; i < 4; i++) {
+      await request(app).post('/api/v1/auth/reset-password').send({ token: resetToken, password: 'new-password-1' });
+    }
+
+    const limited = await request(app)
+      .post('/api/v1/auth/reset-password')
+      .send({ token: resetToken, password: 'new-password-1' });
+    expect(limited.status).toBe(429);
+  });
+
+  it('doesn\'t use up the sign-in allowance', async () => {
+    for (let i = 0; i < 6; i++) {
+      await request(app).post('/api/v1/auth/forgot-password').send({ email: 'host@example.com' });
+    }
+
+    const counters = [...redisClient.store.keys()].filter(key => key.startsWith('rate_limit:'));
+    expect(counters).toHaveLength(1);
+    expect(counters[0]).toMatch(/^rate_limit:forgot_password:/);
+    expect(redisClient.store.get(counters[0])).toBe('6');
+  });
+});
@@ -0,0 +1,177 @@
+const express = require('express');
+const request = require('supertest');
+
+// Keep error logs out of logs/error.log
+jest.mock('winston', () => ({
+  ...jest.requireActual('winston'),
+  createLogger: () => ({ error: jest.fn(), info: jest.fn() })
+}));
+jest.mock('../../src/config/redis', () => require('../helpers/fake-redis')());
+jest.mock('../../src/config/email', () => ({}));
+jest.mock('../../src/jobs/ticket-generation.job', () => ({ ticketQueue: { add: jest.fn() } }));
+// One user's refreshTokens[], with just the updates session.service makes
+jest.mock('../../src/models/user.model', () => {
+  const users = new Map();
+  const copy = doc => doc && JSON.parse(JSON.stringify(doc), (key, value) => (
+    ['createdAt', 'lastUsedAt', 'expiresAt'].includes(key) ? new Date(value) : value
+  ));
+  const query = result => ({
+    select: async () => copy(result),
+    then: (resolve, reject) => Promise.resolve(copy(result)).then(resolve, reject)
+  });
+  const matches = (session, condition) => Object.entries(condition).every(([field, value]) => {
+    if (field === '$or') {
+      return value.some(alternative => matches(session, alternative));
+    }
+    if (value && value.$ne !== undefined) {
+      return session[field] !== value.$ne;
+    }
+    if (value && value.$lte !== undefined) {
+      return new Date(session[field]) <= value.$lte;
+    }
+    return value === null ? session[field] == null : session[field] === value;
+  });
+
+  return {
+    users,
+    findById: jest.fn(id => query(users.get(String(id)))),
+    findOne: jest.fn(async filter => {
+      const user = users.get(String(filter._id));
+      const found = user && user.status === filter.status &&
+        user.refreshTokens.some(s => s.sessionId === filter['refreshTokens.sessionId']);
+      return found ? copy(user) : null;
+    }),
+    updateOne: jest.fn(async (filter, update) => {
+      const user = users.get(String(filter._id));
+      if (!user) {
+        return { modifiedCount: 0 };
+      }
+      const before = JSON.stringify(user.refreshTokens);
+
+      if (update.$pull) {
+        user.refreshTokens = user.refreshTokens.filter(s => !matches(s, update.$pull.refreshTokens));
+      }
+      if (update.$push) {
+        const { $each, $slice } = update.$push.refreshTokens;
+        user.refreshTokens = [...user.refreshTokens, ...$each].slice($slice);
+      }
+      if (update.$set) {
+        const session = user.refreshTokens.find(s => matches(s, filter.refreshTokens.$elemMatch));
+        if (session) {
+          Object.entries(update.$set).forEach(([path, value]) => {
+            session[path.replace('refreshTokens.$.', '')] = value;
+          });
+        }
+      }
+
+      return { modifiedCount: JSON.stringify(user.refreshTokens) === before ? 0 : 1 };
+    })
+  };
+});
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const User = require('../../src/models/user.model');
+const sessionService = require('../../src/services/session.service');
+const authRoutes = require('../../src/routes/auth.routes');
+const { errorHandler } = require('../../src/middlewares/error.middleware');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/auth', authRoutes);
+app.use(errorHandler);
+
+const signIn = device => sessionService.start(
+  { _id: 'user-1', role: 'host' },
+  { ip: '10.0.0.1', get: header => (header === 'X-Device-Name' ? device : 'jest') }
+);
+
+const refresh = refreshToken => request(app)
+  .post('/api/v1/auth/refresh-token')
+  .send({ refreshToken });
+
+describe('sessions', () => {
+  beforeEach(() => {
+    User.users.clear();
+    User.users.set('user-1', { _id: 'user-1', role: 'host', status: 'active', refreshTokens: [] });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores only a hash of the refresh token', async () => {
+    const { refreshToken } = await signIn('Pixel 8');
+
+    const [session] = User.users.get('user-1').refreshTokens;
+    expect(session.tokenHash).toBe(sessionService.hash(refreshToken));
+    expect(JSON.stringify(session)).not.toContain(refreshToken);
+    expect(session.device).toBe('Pixel 8');
+  });
+
+  it('rotates the refresh token on every refresh', async () => {
+    const { refreshToken } = await signIn('Pixel 8');
+
+    const first = await refresh(refreshToken);
+    expect(first.status).toBe(200);
+    const rotated = first.body.data.tokens.refreshToken;
+    expect(rotated).not.toBe(refreshToken);
+
+    const second = await refresh(rotated);
+    expect(second.status).toBe(200);
+    expect(User.users.get('user-1').refreshTokens).toHaveLength(1);
+  });
+
+  it('revokes the whole session when a rotated token is used again', async () => {
+    const { refreshToken } = await signIn('Pixel 8');
+    const rotated = (await refresh(refreshToken)).body.data.tokens.refreshToken;
+
+    const reused = await refresh(refreshToken);
+    expect(reused.status).toBe(401);
+    expect(reused.body.message).toMatch(/used twice/);
+
+    // The legitimate holder is signed out too
+    expect((await refresh(rotated)).status).toBe(401);
+    expect(User.users.get('user-1').refreshTokens).toHaveLength(0);
+  });
+
+  it('leaves other devices signed in when one session is revoked for reuse', async () => {
+    const phone = await signIn('Pixel 8');
+    const laptop = await signIn('MacBook');
+    await refresh(phone.refreshToken);
+
+    await refresh(phone.refreshToken);
+
+    expect((await refresh(laptop.refreshToken)).status).toBe(200);
+  });
+
+  it('lists sessions and signs out the others', async () => {
+    const phone = await signIn('Pixel 8');
+    const laptop = await signIn('MacBook');
+
+    const list = await request(app)
+      .get('/api/v1/auth/sessions')
+      .set('Authorization', `Bearer ${laptop.accessToken}`);
+    expect(list.body.data.sessions.map(s => [s.device, s.current])).toEqual(
+      expect.arrayContaining([['Pixel 8', false], ['MacBook', true]])
+    );
+
+    const revoked = await request(app)
+      .delete('/api/v1/auth/sessions')
+      .set('Authorization', `Bearer ${laptop.accessToken}`);
+    expect(revoked.body.data.revoked).toBe(1);
+
+    expect((await refresh(phone.refreshToken)).status).toBe(401);
+    expect((await refresh(laptop.refreshToken)).status).toBe(200);
+  });
+
+  it('ends the session on logout', async () => {
+    const { refreshToken } = await signIn('Pixel 8');
+
+    await request(app).post('/api/v1/auth/logout').send({ refreshToken });
+
+    expect((await refresh(refreshToken)).status).toBe(401);
+  });
+});
@@ -0,0 +1,161 @@
+jest.mock('bullmq', () => ({
+  Queue: jest.fn(() => ({ add: jest.fn() })),
+  Worker: jest.fn((name, processor) => ({ name, processor }))
+}));
+jest.mock('ioredis', () => jest.fn());
+jest.mock('../../../src/models/event.model', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/models/order.model', () => ({
+  find: jest.fn(),
+  countDocuments: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../../src/models/ticket.model', () => ({
+  find: jest.fn(),
+  updateMany: jest.fn()
+}));
+jest.mock('../../../src/models/refund.model', () => ({ committedAmount: jest.fn() }));
+jest.mock('../../../src/config/email', () => ({
+  generateEventCancellationEmail: jest.fn(() => '<p>Cancelled</p>'),
+  sendEmail: jest.fn()
+}));
+jest.mock('../../../src/config/redis', () => ({ del: jest.fn() }));
+jest.mock('../../../src/services/payment.service', () => ({ refundPayment: jest.fn() }));
+jest.mock('../../../src/services/inventory.service', () => ({ releaseOrderHold: jest.fn() }));
+jest.mock('../../../src/jobs/payout.job', () => ({
+  cancelPayoutJobs: jest.fn().mockResolvedValue({ jobsRemoved: 0 })
+}));
+
+const Event = require('../../../src/models/event.model');
+const Order = require('../../../src/models/order.model');
+const Ticket = require('../../../src/models/ticket.model');
+const Refund = require('../../../src/models/refund.model');
+const emailService = require('../../../src/config/email');
+const redisClient = require('../../../src/config/redis');
+const paymentService = require('../../../src/services/payment.service');
+const inventoryService = require('../../../src/services/inventory.service');
+const { cancellationWorker } = require('../../../src/jobs/event-cancellation.job');
+
+// Order.find(...).cursor() over the given orders
+const cursorOf = orders => ({
+  cursor: () => (async function* iterate() {
+    yield* orders;
+  })()
+});
+
+const job = {
+  id: 'cancel-event-1',
+  data: { eventId: 'event-1', reason: 'Venue flooded' },
+  updateProgress: jest.fn()
+};
+
+describe('event cancellation job', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    Event.findById.mockResolvedValue({
+      _id: 'event-1',
+      name: 'Sauti Sol Live',
+      status: 'cancelled',
+      eventDateTime: new Date('2026-12-01T18:00:00Z'),
+      cancellation: { cancelledBy: 'host-1' }
+    });
+    Ticket.find.mockReturnValue({
+      select: jest.fn().mockResolvedValue([{ qrCodeId: 'qr1' }, { qrCodeId: 'qr2' }])
+    });
+    Ticket.updateMany.mockResolvedValue({ modifiedCount: 2 });
+    Order.countDocuments.mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('cancels tickets and clears their cached scan lookups', async () => {
+    Order.find.mockReturnValue(cursorOf([]));
+
+    const result = await cancellationWorker.processor(job);
+
+    expect(Ticket.updateMany).toHaveBeenCalledWith(
+      { eventId: 'event-1', status: { $ne: 'cancelled' } },
+      { status: 'cancelled' }
+    );
+    expect(redisClient.del).toHaveBeenCalledWith('ticket:qr1');
+    expect(redisClient.del).toHaveBeenCalledWith('ticket:qr2');
+    expect(result.ticketsCancelled).toBe(2);
+  });
+
+  it('releases the holds of checkouts still waiting on payment', async () => {
+    const held = [{ _id: 'order-1' }, { _id: 'order-2' }];
+    Order.find
+      .mockReturnValueOnce(cursorOf(held))
+      .mockReturnValueOnce(cursorOf([]));
+    inventoryService.releaseOrderHold
+      .mockResolvedValueOnce({ _id: 'order-1' })
+      .mockResolvedValueOnce(null);
+
+    const result = await cancellationWorker.processor(job);
+
+    expect(Order.find).toHaveBeenNthCalledWith(1, { eventId: 'event-1', inventoryStatus: 'held' });
+    expect(inventoryService.releaseOrderHold).toHaveBeenCalledWith('order-1');
+    expect(inventoryService.releaseOrderHold).toHaveBeenCalledWith('order-2');
+    // Only unpaid orders are expired; one paid in the meantime is refunded instead
+    expect(Order.updateOne).toHaveBeenCalledWith(
+      { _id: 'order-1', paymentStatus: { $in: ['pending', 'processing'] } },
+      { paymentStatus: 'expired', notes: 'Event cancelled before payment completed' }
+    );
+    expect(result.holdsReleased).toBe(1);
+  });
+
+  it('refunds completed orders', async () => {
+    const paid = { _id: 'order-3', orderNumber: 'SP-0003', totalAmount: 2000, buyerEmail: 'a@example.com' };
+    Order.find
+      .mockReturnValueOnce(cursorOf([]))
+      .mockReturnValueOnce(cursorOf([paid]));
+    Order.countDocuments.mockResolvedValue(1);
+    Refund.committedAmount.mockResolvedValue(0);
+
+    const result = await cancellationWorker.processor(job);
+
+    expect(paymentService.refundPayment).toHaveBeenCalledWith(
+      'order-3',
+      undefined,
+      'Event cancelled: Sauti Sol Live',
+      { requestedBy: 'host-1' }
+    );
+    expect(result.refundsQueued).toBe(1);
+    expect(emailService.sendEmail).toHaveBeenCalledWith('a@example.com', 'Cancelled: Sauti Sol Live', '<p>Cancelled</p>');
+  });
+
+  it('tells buyers of free orders without trying to refund them', async () => {
+    const free = { _id: 'order-4', orderNumber: 'SP-0004', totalAmount: 0, buyerEmail: 'b@example.com' };
+    Order.find
+      .mockReturnValueOnce(cursorOf([]))
+      .mockReturnValueOnce(cursorOf([free]));
+    Order.countDocuments.mockResolvedValue(1);
+    Refund.committedAmount.mockResolvedValue(0);
+
+    const result = await cancellationWorker.processor(job);
+
+    expect(paymentService.refundPayment).not.toHaveBeenCalled();
+    expect(emailService.generateEventCancellationEmail).toHaveBeenCalledWith(
+      expect.objectContaining({ orderNumber: 'SP-0004', refundAmount: 0, refundQueued: false })
+    );
+    expect(emailService.sendEmail).toHaveBeenCalledWith('b@example.com', 'Cancelled: Sauti Sol Live', '<p>Cancelled</p>');
+    expect(result).toMatchObject({ emailsSent: 1, refundsQueued: 0, refundsSkipped: 0 });
+  });
+
+  it('skips orders already refunded by an earlier attempt', async () => {
+    const refunded = { _id: 'order-5', orderNumber: 'SP-0005', totalAmount: 2000, buyerEmail: 'c@example.com' };
+    Order.find
+      .mockReturnValueOnce(cursorOf([]))
+      .mockReturnValueOnce(cursorOf([refunded]));
+    Order.countDocuments.mockResolvedValue(1);
+    Refund.committedAmount.mockResolvedValue(2000);
+
+    const result = await cancellationWorker.processor(job);
+
+    expect(paymentService.refundPayment).not.toHaveBeenCalled();
+    expect(emailService.sendEmail).not.toHaveBeenCalled();
+    expect(result.refundsSkipped).toBe(1);
+  });
+});
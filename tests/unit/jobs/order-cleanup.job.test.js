@@ -0,0 +1,65 @@
+jest.mock('bullmq', () => ({
+  Queue: jest.fn(() => ({ add: jest.fn().mockResolvedValue({}) })),
+  Worker: jest.fn((name, processor) => ({ name, processor }))
+}));
+jest.mock('ioredis', () => jest.fn());
+jest.mock('../../../src/models/order.model', () => ({ findById: jest.fn() }));
+jest.mock('../../../src/services/payment.service', () => ({
+  checkPaymentStatus: jest.fn(),
+  completeOrderPayment: jest.fn(),
+  failOrderPayment: jest.fn()
+}));
+jest.mock('../../../src/services/inventory.service', () => ({ expireReservation: jest.fn() }));
+
+const Order = require('../../../src/models/order.model');
+const paymentService = require('../../../src/services/payment.service');
+const { AppError } = require('../../../src/middlewares/error.middleware');
+const { cleanupWorker } = require('../../../src/jobs/order-cleanup.job');
+
+const job = { id: 'cleanup-order-1', name: 'cleanup-order', data: { orderId: 'order-1' } };
+
+describe('order cleanup job', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Order.findById.mockResolvedValue({
+      _id: 'order-1',
+      orderNumber: 'SP-0001',
+      paymentStatus: 'processing',
+      checkoutRequestId: 'ws_1',
+      createdAt: new Date()
+    });
+    paymentService.checkPaymentStatus.mockResolvedValue({ success: true, resultCode: '0' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('completes an order the status query says was paid', async () => {
+    paymentService.completeOrderPayment.mockResolvedValue({ refunded: false });
+
+    const result = await cleanupWorker.processor(job);
+
+    expect(result.action).toBe('completed');
+    expect(paymentService.completeOrderPayment).toHaveBeenCalledWith(
+      { _id: 'order-1', paymentStatus: { $in: ['pending', 'processing'] } },
+      expect.objectContaining({ checkoutRequestId: 'ws_1' })
+    );
+  });
+
+  it('leaves the order alone when the callback completed it first', async () => {
+    paymentService.completeOrderPayment.mockRejectedValue(
+      new AppError('Order is no longer awaiting payment', 409)
+    );
+
+    await expect(cleanupWorker.processor(job)).resolves.toMatchObject({ action: 'none' });
+  });
+
+  it('fails the job on any other error so it is retried', async () => {
+    paymentService.completeOrderPayment.mockRejectedValue(new Error('Mongo unavailable'));
+
+    await expect(cleanupWorker.processor(job)).rejects.toThrow('Mongo unavailable');
+  });
+});
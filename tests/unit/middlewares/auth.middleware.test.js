@@ -0,0 +1,131 @@
+jest.mock('../../../src/config/redis', () => require('../../helpers/fake-redis')());
+jest.mock('../../../src/services/two-factor.service', () => ({
+  checkReauthToken: jest.fn(),
+  consumeReauthToken: jest.fn()
+}));
+jest.mock('../../../src/services/session.service', () => ({}));
+
+const redisClient = require('../../../src/config/redis');
+const twoFactorService = require('../../../src/services/two-factor.service');
+const authMiddleware = require('../../../src/middlewares/auth.middleware');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Run a limiter n times for a request; returns how many got through
+const attempt = async (limiter, req, times) => {
+  let passed = 0;
+  for (let i = 0; i < times; i++) {
+    await limiter(req, response(), () => { passed += 1; });
+  }
+  return passed;
+};
+
+describe('authMiddleware.rateLimit', () => {
+  beforeEach(() => {
+    redisClient.reset();
+  });
+
+  it('lets five attempts through and then answers 429', async () => {
+    const limiter = authMiddleware.rateLimit('2fa_login');
+    const req = { ip: '10.0.0.1' };
+
+    expect(await attempt(limiter, req, 5)).toBe(5);
+
+    const res = response();
+    const next = jest.fn();
+    await limiter(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json).toHaveBeenCalledWith({
+      status: 'error',
+      message: 'Too many attempts. Please try again in 15 minutes.'
+    });
+  });
+
+  it('opens a window on the first attempt', async () => {
+    await attempt(authMiddleware.rateLimit('forgot_password', { windowSeconds: 3600 }), { ip: '10.0.0.1' }, 2);
+
+    expect(redisClient.ttls.get('rate_limit:forgot_password:10.0.0.1')).toBe(3600);
+  });
+
+  it('keeps a separate count per route', async () => {
+    const req = { ip: '10.0.0.1' };
+
+    await attempt(authMiddleware.loginRateLimit, req, 5);
+
+    expect(await attempt(authMiddleware.rateLimit('2fa_login'), req, 1)).toBe(1);
+    expect(await attempt(authMiddleware.loginRateLimit, req, 1)).toBe(0);
+  });
+
+  it('counts signed-in requests per user rather than per IP', async () => {
+    const limiter = authMiddleware.rateLimit('reauthenticate');
+
+    await attempt(limiter, { ip: '10.0.0.1', userId: 'user-1' }, 5);
+
+    expect(await attempt(limiter, { ip: '10.0.0.1', userId: 'user-2' }, 1)).toBe(1);
+    expect(await attempt(limiter, { ip: '10.0.0.2', userId: 'user-1' }, 1)).toBe(0);
+  });
+
+  it('honours a custom limit', async () => {
+    const limiter = authMiddleware.rateLimit('reset_password', { max: 2 });
+
+    expect(await attempt(limiter, { ip: '10.0.0.1' }, 4)).toBe(2);
+  });
+
+  it('lets requests through when Redis is unavailable', async () => {
+    const incr = jest.spyOn(redisClient, 'incr').mockResolvedValue(null);
+
+    expect(await attempt(authMiddleware.loginRateLimit, { ip: '10.0.0.1' }, 7)).toBe(7);
+    incr.mockRestore();
+  });
+});
+
+describe('re-authentication', () => {
+  const req = {
+    userId: 'user-1',
+    get: header => (header === 'X-Reauth-Token' ? 'grant' : undefined)
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('requireReauth uses up a valid grant', async () => {
+    twoFactorService.consumeReauthToken.mockResolvedValue(true);
+    const next = jest.fn();
+
+    await authMiddleware.requireReauth(req, response(), next);
+
+    expect(twoFactorService.consumeReauthToken).toHaveBeenCalledWith('user-1', 'grant');
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('checkReauth leaves the grant for the next step', async () => {
+    twoFactorService.checkReauthToken.mockResolvedValue(true);
+    const next = jest.fn();
+
+    await authMiddleware.checkReauth(req, response(), next);
+
+    expect(twoFactorService.checkReauthToken).toHaveBeenCalledWith('user-1', 'grant');
+    expect(twoFactorService.consumeReauthToken).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('asks for re-authentication without a valid grant', async () => {
+    twoFactorService.consumeReauthToken.mockResolvedValue(false);
+    const res = response();
+    const next = jest.fn();
+
+    await authMiddleware.requireReauth(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ reauthRequired: true }));
+  });
+});
@@ -0,0 +1,54 @@
+jest.mock('../../../src/models/event.model', () => ({
+  findOneAndUpdate: jest.fn()
+}));
+jest.mock('../../../src/models/ticket.model', () => ({
+  find: jest.fn(),
+  updateMany: jest.fn()
+}));
+jest.mock('../../../src/config/redis', () => ({ del: jest.fn() }));
+
+const Event = require('../../../src/models/event.model');
+const Ticket = require('../../../src/models/ticket.model');
+const redisClient = require('../../../src/config/redis');
+const eventLifecycleService = require('../../../src/services/event-lifecycle.service');
+
+describe('EventLifecycleService.expireTickets', () => {
+  const event = { _id: 'event-1', name: 'Sauti Sol Live' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('invalidates unscanned tickets and clears their cached scan lookups', async () => {
+    const handler = jest.fn();
+    eventLifecycleService.on('tickets_expired', handler);
+    Event.findOneAndUpdate.mockResolvedValue(event);
+    Ticket.find.mockReturnValue({
+      select: jest.fn().mockResolvedValue([{ qrCodeId: 'qr1' }, { qrCodeId: 'qr2' }])
+    });
+    Ticket.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+    await expect(eventLifecycleService.expireTickets(event)).resolves.toBe(event);
+
+    expect(Ticket.updateMany).toHaveBeenCalledWith(
+      { eventId: 'event-1', status: { $in: ['not_active', 'valid'] } },
+      { status: 'invalid' }
+    );
+    expect(redisClient.del).toHaveBeenCalledWith('ticket:qr1');
+    expect(redisClient.del).toHaveBeenCalledWith('ticket:qr2');
+    expect(handler).toHaveBeenCalledWith(event, { invalidated: 2 });
+  });
+
+  it('does nothing once the tickets have been expired', async () => {
+    Event.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(eventLifecycleService.expireTickets(event)).resolves.toBeNull();
+    expect(Ticket.updateMany).not.toHaveBeenCalled();
+    expect(redisClient.del).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,198 @@
+jest.mock('../../../src/models/event.model', () => ({
+  holdTickets: jest.fn(),
+  releaseHeldTickets: jest.fn(),
+  confirmHeldTickets: jest.fn(),
+  sellTickets: jest.fn(),
+  releaseSoldTickets: jest.fn()
+}));
+jest.mock('../../../src/models/order.model', () => ({
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../../src/models/promo-code.model', () => ({
+  releaseUse: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+const Event = require('../../../src/models/event.model');
+const Order = require('../../../src/models/order.model');
+const PromoCode = require('../../../src/models/promo-code.model');
+const inventoryService = require('../../../src/services/inventory.service');
+
+const tickets = [
+  { tierName: 'Regular', quantity: 2, unitPrice: 1000 },
+  { tierName: 'VIP', quantity: 1, unitPrice: 5000 }
+];
+
+const order = (fields = {}) => ({
+  _id: 'order-1',
+  eventId: 'event-1',
+  tickets,
+  ...fields
+});
+
+// Order.findOne(...).select(...)
+const selectable = value => ({ select: jest.fn().mockResolvedValue(value) });
+
+describe('InventoryService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('holdTickets', () => {
+    it('holds seats through a single conditional update', async () => {
+      Event.holdTickets.mockResolvedValue(true);
+
+      await expect(inventoryService.holdTickets('event-1', tickets)).resolves.toBe(true);
+      expect(Event.holdTickets).toHaveBeenCalledWith('event-1', tickets);
+    });
+
+    it('reports a tier that is short', async () => {
+      Event.holdTickets.mockResolvedValue(false);
+
+      await expect(inventoryService.holdTickets('event-1', tickets)).resolves.toBe(false);
+    });
+  });
+
+  describe('releaseOrderHold', () => {
+    it('releases held seats and the promo code use once', async () => {
+      Order.findOneAndUpdate.mockResolvedValue(order({ discount: { promoCodeId: 'promo-1' } }));
+
+      const released = await inventoryService.releaseOrderHold('order-1', { paymentStatus: 'failed' });
+
+      expect(released._id).toBe('order-1');
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'order-1', inventoryStatus: 'held' },
+        { paymentStatus: 'failed', inventoryStatus: 'released' },
+        { new: true }
+      );
+      expect(Event.releaseHeldTickets).toHaveBeenCalledWith('event-1', tickets);
+      expect(PromoCode.releaseUse).toHaveBeenCalledWith('promo-1');
+    });
+
+    it('does nothing when the hold was already released', async () => {
+      Order.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(inventoryService.releaseOrderHold('order-1')).resolves.toBeNull();
+      expect(Event.releaseHeldTickets).not.toHaveBeenCalled();
+      expect(PromoCode.releaseUse).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expireReservation', () => {
+    it('expires a pending order that still holds seats', async () => {
+      Order.findOne.mockResolvedValue(order({ paymentStatus: 'pending', inventoryStatus: 'held' }));
+      Order.findOneAndUpdate.mockResolvedValue(order());
+
+      await inventoryService.expireReservation('order-1');
+
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'order-1', inventoryStatus: 'held' },
+        expect.objectContaining({ paymentStatus: 'expired', inventoryStatus: 'released' }),
+        { new: true }
+      );
+      expect(Event.releaseHeldTickets).toHaveBeenCalledWith('event-1', tickets);
+    });
+
+    it('leaves orders that are paying or paid alone', async () => {
+      Order.findOne.mockResolvedValue(null);
+
+      await expect(inventoryService.expireReservation('order-1')).resolves.toBeNull();
+      expect(Order.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirmOrderInventory', () => {
+    it('turns held seats into sold seats', async () => {
+      Order.findOneAndUpdate.mockResolvedValue(order({ inventoryStatus: 'held' }));
+
+      await expect(inventoryService.confirmOrderInventory(order())).resolves.toBe(true);
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'order-1', inventoryStatus: 'held' },
+        { inventoryStatus: 'sold' }
+      );
+      expect(Event.confirmHeldTickets).toHaveBeenCalledWith('event-1', tickets);
+      expect(Event.sellTickets).not.toHaveBeenCalled();
+    });
+
+    it('is a no-op for an order that is already sold', async () => {
+      Order.findOneAndUpdate.mockResolvedValue(null);
+      Order.findById.mockResolvedValue(order({ inventoryStatus: 'sold' }));
+
+      await expect(inventoryService.confirmOrderInventory(order())).resolves.toBe(true);
+      expect(Event.confirmHeldTickets).not.toHaveBeenCalled();
+      expect(Event.sellTickets).not.toHaveBeenCalled();
+    });
+
+    it('sells directly when the hold lapsed and seats are left', async () => {
+      Order.findOneAndUpdate.mockResolvedValue(null);
+      Order.findById.mockResolvedValue(order({
+        inventoryStatus: 'released',
+        discount: { promoCodeId: 'promo-1' }
+      }));
+      Event.sellTickets.mockResolvedValue(true);
+
+      await expect(inventoryService.confirmOrderInventory(order())).resolves.toBe(true);
+      expect(Event.sellTickets).toHaveBeenCalledWith('event-1', tickets);
+      expect(Order.updateOne).toHaveBeenCalledWith({ _id: 'order-1' }, { inventoryStatus: 'sold' });
+      expect(PromoCode.updateOne).toHaveBeenCalledWith({ _id: 'promo-1' }, { $inc: { usedCount: 1 } });
+    });
+
+    it('reports a sell-out after the hold lapsed without marking the order sold', async () => {
+      Order.findOneAndUpdate.mockResolvedValue(null);
+      Order.findById.mockResolvedValue(order({ inventoryStatus: 'released' }));
+      Event.sellTickets.mockResolvedValue(false);
+
+      await expect(inventoryService.confirmOrderInventory(order())).resolves.toBe(false);
+      expect(Order.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseOrderSale', () => {
+    it('returns a sold order\'s seats and marks it released in one step', async () => {
+      Order.findOneAndUpdate.mockResolvedValue(order({ inventoryStatus: 'released' }));
+
+      await inventoryService.releaseOrderSale('order-1');
+
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'order-1', inventoryStatus: 'sold' },
+        { inventoryStatus: 'released' },
+        { new: true }
+      );
+      expect(Event.releaseSoldTickets).toHaveBeenCalledWith('event-1', tickets);
+    });
+
+    it('releases nothing for an order that never sold its seats or was already released', async () => {
+      Order.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(inventoryService.releaseOrderSale('order-1')).resolves.toBeNull();
+      expect(Event.releaseSoldTickets).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseSoldTickets', () => {
+    it('returns one seat per refunded ticket', async () => {
+      Order.findOne.mockReturnValue(selectable({ _id: 'order-1', eventId: 'event-1' }));
+
+      await inventoryService.releaseSoldTickets('order-1', [
+        { tierName: 'Regular' },
+        { tierName: 'Regular' }
+      ]);
+
+      expect(Order.findOne).toHaveBeenCalledWith({ _id: 'order-1', inventoryStatus: 'sold' });
+      expect(Event.releaseSoldTickets).toHaveBeenCalledWith('event-1', [
+        { tierName: 'Regular', quantity: 1 },
+        { tierName: 'Regular', quantity: 1 }
+      ]);
+    });
+
+    it('releases nothing when the order holds no sold seats', async () => {
+      Order.findOne.mockReturnValue(selectable(null));
+
+      await expect(inventoryService.releaseSoldTickets('order-1', [{ tierName: 'VIP' }])).resolves.toBe(false);
+      expect(Event.releaseSoldTickets).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,91 @@
+jest.mock('../../../src/models/ledger-transaction.model', () => ({
+  post: jest.fn(async entry => entry),
+  aggregate: jest.fn()
+}));
+jest.mock('../../../src/models/payout.model', () => ({}));
+
+const LedgerTransaction = require('../../../src/models/ledger-transaction.model');
+const ledgerService = require('../../../src/services/ledger.service');
+
+// KES 3,000 of tickets plus a KES 100 processing fee paid by the buyer;
+// KES 200 platform fee and KES 50 tax
+const order = {
+  _id: 'order-1',
+  orderNumber: 'SP-0001',
+  hostId: 'host-1',
+  eventId: 'event-1',
+  totalAmount: 3150,
+  hostAmount: 2800,
+  processingFee: 100,
+  vatAmount: 50,
+  exciseAmount: 0,
+  feeConfig: { absorbFees: false }
+};
+
+// Per-account totals of the given postings, the way recordRefund aggregates them
+const totalsOf = entries => {
+  const totals = {};
+  entries.flatMap(entry => entry.lines).forEach(line => {
+    const row = totals[line.account] || (totals[line.account] = { _id: line.account, debit: 0, credit: 0 });
+    row.debit += line.debit || 0;
+    row.credit += line.credit || 0;
+  });
+  return Object.values(totals);
+};
+
+const debits = entry => Object.fromEntries(
+  entry.lines.filter(line => line.debit > 0).map(line => [line.account, line.debit])
+);
+
+describe('LedgerService.recordRefund', () => {
+  let sale;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    sale = await ledgerService.recordSale(order);
+  });
+
+  it('reverses every account the sale credited on a full refund', async () => {
+    LedgerTransaction.aggregate.mockResolvedValue(totalsOf([sale]));
+
+    const entry = await ledgerService.recordRefund({ refundId: 'RF-1', amount: 3150 }, order);
+
+    expect(debits(entry)).toEqual({
+      host_payable: 2800,
+      platform_fees: 200,
+      processing_fees: 100,
+      tax_payable: 50
+    });
+    expect(entry.lines).toContainEqual({ account: 'cash', credit: 3150, memo: 'Paid to buyer' });
+  });
+
+  it('takes a partial refund from the host first', async () => {
+    LedgerTransaction.aggregate.mockResolvedValue(totalsOf([sale]));
+
+    const entry = await ledgerService.recordRefund({ refundId: 'RF-1', amount: 1000 }, order);
+
+    expect(debits(entry)).toEqual({ host_payable: 1000 });
+  });
+
+  it('reverses only what earlier refunds left', async () => {
+    LedgerTransaction.aggregate.mockResolvedValue(totalsOf([sale]));
+    const first = await ledgerService.recordRefund({ refundId: 'RF-1', amount: 2900 }, order);
+
+    LedgerTransaction.aggregate.mockResolvedValue(totalsOf([sale, first]));
+    const second = await ledgerService.recordRefund({ refundId: 'RF-2', amount: 250 }, order);
+
+    expect(debits(first)).toEqual({ host_payable: 2800, platform_fees: 100 });
+    expect(debits(second)).toEqual({ platform_fees: 100, processing_fees: 100, tax_payable: 50 });
+  });
+
+  it('books whole-shilling rounding against platform fees', async () => {
+    const cents = { ...order, totalAmount: 3149.6, vatAmount: 49.6 };
+    const centsSale = await ledgerService.recordSale(cents);
+    LedgerTransaction.aggregate.mockResolvedValue(totalsOf([centsSale]));
+
+    const entry = await ledgerService.recordRefund({ refundId: 'RF-1', amount: 3150 }, cents);
+
+    expect(entry.lines).toContainEqual({ account: 'tax_payable', debit: 49.6, memo: 'Tax refunded' });
+    expect(entry.lines).toContainEqual({ account: 'platform_fees', debit: 0.4, memo: 'Rounding' });
+  });
+});
@@ -0,0 +1,403 @@
+jest.mock('../../../src/jobs/ticket-generation.job', () => ({
+  ticketQueue: { add: jest.fn() }
+}));
+jest.mock('../../../src/config/redis', () => ({
+  get: jest.fn(),
+  set: jest.fn(),
+  del: jest.fn()
+}));
+jest.mock('../../../src/models/event.model', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../../src/models/order.model', () => ({
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../../src/models/ticket.model', () => ({
+  find: jest.fn(),
+  updateMany: jest.fn()
+}));
+jest.mock('../../../src/models/refund.model', () => ({
+  create: jest.fn(),
+  complete: jest.fn(),
+  fail: jest.fn(),
+  findOne: jest.fn(),
+  committedAmount: jest.fn()
+}));
+jest.mock('../../../src/models/payment-transaction.model', () => ({
+  recordDelivery: jest.fn(),
+  claim: jest.fn(),
+  exists: jest.fn()
+}));
+jest.mock('../../../src/services/inventory.service', () => ({
+  confirmOrderInventory: jest.fn(),
+  releaseOrderHold: jest.fn(),
+  releaseOrderSale: jest.fn(),
+  releaseSoldTickets: jest.fn()
+}));
+jest.mock('../../../src/services/ledger.service', () => ({
+  recordSale: jest.fn(),
+  recordRefund: jest.fn()
+}));
+jest.mock('../../../src/services/live-event.service', () => ({
+  publishSale: jest.fn()
+}));
+
+const Event = require('../../../src/models/event.model');
+const Order = require('../../../src/models/order.model');
+const Ticket = require('../../../src/models/ticket.model');
+const Refund = require('../../../src/models/refund.model');
+const PaymentTransaction = require('../../../src/models/payment-transaction.model');
+const redisClient = require('../../../src/config/redis');
+const inventoryService = require('../../../src/services/inventory.service');
+const ledgerService = require('../../../src/services/ledger.service');
+const { ticketQueue } = require('../../../src/jobs/ticket-generation.job');
+const paymentService = require('../../../src/services/payment.service');
+
+const order = (fields = {}) => ({
+  _id: 'order-1',
+  orderNumber: 'SP-0001',
+  eventId: 'event-1',
+  totalAmount: 3000,
+  paymentStatus: 'completed',
+  tickets: [{ tierName: 'Regular', quantity: 3, unitPrice: 1000 }],
+  recordRefund: jest.fn(),
+  ...fields
+});
+
+const refund = (fields = {}) => ({
+  refundId: 'RF-1',
+  orderId: 'order-1',
+  amount: 3000,
+  type: 'full',
+  ticketIds: [],
+  status: 'processing',
+  markAsCompleted: jest.fn(),
+  markAsFailed: jest.fn(),
+  ...fields
+});
+
+describe('PaymentService refunds', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Ticket.find.mockResolvedValue([]);
+  });
+
+  describe('cancelRefundedTickets', () => {
+    it('cancels a fully refunded order\'s tickets, clears their cache and releases the sale', async () => {
+      Ticket.find.mockResolvedValue([
+        { _id: 't1', qrCodeId: 'qr1', tierName: 'Regular' },
+        { _id: 't2', qrCodeId: 'qr2', tierName: 'Regular' }
+      ]);
+
+      await paymentService.cancelRefundedTickets(refund(), order());
+
+      expect(Ticket.updateMany).toHaveBeenCalledWith({ _id: { $in: ['t1', 't2'] } }, { status: 'cancelled' });
+      expect(redisClient.del).toHaveBeenCalledWith('ticket:qr1');
+      expect(redisClient.del).toHaveBeenCalledWith('ticket:qr2');
+      expect(inventoryService.releaseOrderSale).toHaveBeenCalledWith('order-1');
+      expect(inventoryService.releaseSoldTickets).not.toHaveBeenCalled();
+    });
+
+    it('hands the release to the inventory service when tickets were never generated', async () => {
+      await paymentService.cancelRefundedTickets(refund(), order());
+
+      expect(Ticket.updateMany).not.toHaveBeenCalled();
+      // releaseOrderSale only releases an order whose seats were actually sold
+      expect(inventoryService.releaseOrderSale).toHaveBeenCalledWith('order-1');
+    });
+
+    it('releases only the seats of individually refunded tickets', async () => {
+      const refunded = [{ _id: 't1', qrCodeId: 'qr1', tierName: 'Regular' }];
+      Ticket.find.mockResolvedValue(refunded);
+
+      await paymentService.cancelRefundedTickets(refund({ type: 'partial', amount: 1000, ticketIds: ['t1'] }), order());
+
+      expect(Ticket.find).toHaveBeenCalledWith({
+        _id: { $in: ['t1'] },
+        orderId: 'order-1',
+        status: { $ne: 'cancelled' }
+      });
+      expect(inventoryService.releaseSoldTickets).toHaveBeenCalledWith('order-1', refunded);
+      expect(inventoryService.releaseOrderSale).not.toHaveBeenCalled();
+    });
+
+    it('leaves tickets alone for a partial refund of an amount', async () => {
+      await paymentService.cancelRefundedTickets(refund({ type: 'partial', amount: 500 }), order());
+
+      expect(Ticket.find).not.toHaveBeenCalled();
+      expect(inventoryService.releaseOrderSale).not.toHaveBeenCalled();
+      expect(inventoryService.releaseSoldTickets).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleRefundResult', () => {
+    const success = { Result: { ResultCode: 0, ResultDesc: 'Accepted', TransactionID: 'RX1' } };
+
+    it('records the refund and releases inventory once', async () => {
+      const completed = refund({ status: 'completed' });
+      const paid = order();
+      Refund.complete.mockResolvedValue(completed);
+      Order.findById.mockResolvedValue(paid);
+
+      const result = await paymentService.handleRefundResult('RF-1', success);
+
+      expect(result).toEqual({ success: true, refundId: 'RF-1', transactionId: 'RX1' });
+      expect(Refund.complete).toHaveBeenCalledWith('RF-1', 'RX1', 'Accepted');
+      expect(paid.recordRefund).toHaveBeenCalledWith(3000);
+      expect(ledgerService.recordRefund).toHaveBeenCalledWith(completed, paid);
+      expect(inventoryService.releaseOrderSale).toHaveBeenCalledTimes(1);
+    });
+
+    it('ignores a replayed result', async () => {
+      Refund.complete.mockResolvedValue(null);
+      Refund.findOne.mockResolvedValue(refund({ status: 'completed' }));
+
+      const result = await paymentService.handleRefundResult('RF-1', success);
+
+      expect(result).toEqual({ success: true, refundId: 'RF-1', duplicate: true });
+      expect(Order.findById).not.toHaveBeenCalled();
+      expect(inventoryService.releaseOrderSale).not.toHaveBeenCalled();
+    });
+
+    it('posts the refund once when two deliveries arrive together', async () => {
+      const paid = order();
+      Refund.complete
+        .mockResolvedValueOnce(refund({ status: 'completed' }))
+        .mockResolvedValueOnce(null);
+      Refund.findOne.mockResolvedValue(refund({ status: 'completed' }));
+      Order.findById.mockResolvedValue(paid);
+
+      const results = await Promise.all([
+        paymentService.handleRefundResult('RF-1', success),
+        paymentService.handleRefundResult('RF-1', success)
+      ]);
+
+      expect(results.filter(result => result.duplicate)).toHaveLength(1);
+      expect(paid.recordRefund).toHaveBeenCalledTimes(1);
+      expect(ledgerService.recordRefund).toHaveBeenCalledTimes(1);
+    });
+
+    it('fails the refund on an error result', async () => {
+      Refund.fail.mockResolvedValue(refund({ status: 'failed' }));
+      const failure = { Result: { ResultCode: 2001, ResultDesc: 'Invalid initiator' } };
+
+      const result = await paymentService.handleRefundResult('RF-1', failure);
+
+      expect(result).toMatchObject({ success: false, resultCode: 2001 });
+      expect(Refund.fail).toHaveBeenCalledWith('RF-1', 'Invalid initiator', 2001);
+      expect(ledgerService.recordRefund).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refundPayment', () => {
+    beforeEach(() => {
+      Refund.committedAmount.mockResolvedValue(0);
+      Refund.create.mockImplementation(async fields => refund({
+        ...fields,
+        status: 'pending',
+        markAsProcessing: jest.fn()
+      }));
+    });
+
+    it('reverses a full refund against the original receipt', async () => {
+      Order.findById.mockResolvedValue(order({ mpesaReference: 'R1', buyerPhone: '0712345678' }));
+      const reversal = jest.spyOn(paymentService, 'requestReversal').mockResolvedValue({ ResponseCode: '0' });
+
+      const created = await paymentService.refundPayment('order-1');
+
+      expect(created.method).toBe('reversal');
+      expect(reversal).toHaveBeenCalled();
+      jest.restoreAllMocks();
+    });
+
+    it('pays a full refund by B2C when the order never got a receipt', async () => {
+      Order.findById.mockResolvedValue(order({ buyerPhone: '0712345678' }));
+      const b2c = jest.spyOn(paymentService, 'requestB2C').mockResolvedValue({ ResponseCode: '0' });
+
+      const created = await paymentService.refundPayment('order-1');
+
+      expect(created).toMatchObject({ type: 'full', method: 'b2c', recipientPhone: '254712345678' });
+      expect(b2c).toHaveBeenCalled();
+      jest.restoreAllMocks();
+    });
+  });
+
+  describe('validateCallback', () => {
+    const callback = {
+      Body: {
+        stkCallback: {
+          CheckoutRequestID: 'ws_1',
+          ResultCode: 0,
+          CallbackMetadata: {
+            Item: [
+              { Name: 'MpesaReceiptNumber', Value: 'R1' },
+              { Name: 'Amount', Value: 3000 },
+              { Name: 'PhoneNumber', Value: 254712345678 }
+            ]
+          }
+        }
+      }
+    };
+    let transaction;
+
+    beforeEach(() => {
+      transaction = { status: 'processing', markProcessed: jest.fn(), markError: jest.fn() };
+      PaymentTransaction.recordDelivery.mockResolvedValue({ isRetry: false });
+      PaymentTransaction.claim.mockResolvedValue(transaction);
+      PaymentTransaction.exists.mockResolvedValue(null);
+    });
+
+    it('stores the receipt of an order a status query already completed', async () => {
+      jest.spyOn(paymentService, 'resolveCallbackOrder')
+        .mockResolvedValue(order({ checkoutRequestId: 'ws_1' }));
+      const completeOrderPayment = jest.spyOn(paymentService, 'completeOrderPayment');
+      Order.findOneAndUpdate.mockResolvedValue(order({ mpesaReference: 'R1' }));
+
+      const result = await paymentService.validateCallback(callback);
+
+      expect(result).toMatchObject({ success: true, late: true, mpesaReceiptNumber: 'R1' });
+      expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          _id: 'order-1',
+          checkoutRequestId: 'ws_1',
+          paymentStatus: { $in: ['completed', 'refunded'] },
+          mpesaReference: null
+        },
+        { mpesaReference: 'R1' },
+        { new: true }
+      );
+      expect(transaction.markProcessed).toHaveBeenCalledWith('paid', expect.objectContaining({ mpesaReceiptNumber: 'R1' }));
+      expect(completeOrderPayment).not.toHaveBeenCalled();
+      jest.restoreAllMocks();
+    });
+  });
+
+  describe('completeOrderPayment', () => {
+    const event = (status = 'published') => ({
+      select: jest.fn().mockResolvedValue({ _id: 'event-1', name: 'Sauti Sol Live', status })
+    });
+
+    beforeEach(() => {
+      Event.findById.mockReturnValue(event());
+    });
+
+    it('queues tickets once the seats are confirmed', async () => {
+      Order.findOneAndUpdate.mockResolvedValue(order());
+      inventoryService.confirmOrderInventory.mockResolvedValue(true);
+
+      const result = await paymentService.completeOrderPayment({ _id: 'order-1' }, {
+        mpesaReceiptNumber: 'R1',
+        checkoutRequestId: 'ws_1',
+        notes: 'Paid'
+      });
+
+      expect(result.refunded).toBe(false);
+      expect(ticketQueue.add).toHaveBeenCalledWith(
+        'generate-tickets',
+        expect.objectContaining({ orderId: 'order-1' }),
+        { jobId: 'tickets-order-1' }
+      );
+    });
+
+    it('refunds without queueing tickets when the seats sold out', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      Order.findOneAndUpdate.mockResolvedValue(order());
+      inventoryService.confirmOrderInventory.mockResolvedValue(false);
+      const refundPayment = jest.spyOn(paymentService, 'refundPayment').mockResolvedValue(refund());
+
+      const result = await paymentService.completeOrderPayment({ _id: 'order-1' }, {
+        mpesaReceiptNumber: 'R1',
+        checkoutRequestId: 'ws_1',
+        notes: 'Paid'
+      });
+
+      expect(result.refunded).toBe(true);
+      expect(refundPayment).toHaveBeenCalledWith('order-1', undefined, 'Tickets sold out before payment completed');
+      expect(ticketQueue.add).not.toHaveBeenCalled();
+      jest.restoreAllMocks();
+    });
+
+    it('refunds and releases the hold when the event was cancelled mid-payment', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      Event.findById.mockReturnValue(event('cancelled'));
+      Order.findOneAndUpdate.mockResolvedValue(order());
+      const refundPayment = jest.spyOn(paymentService, 'refundPayment').mockResolvedValue(refund());
+
+      const result = await paymentService.completeOrderPayment({ _id: 'order-1' }, {
+        mpesaReceiptNumber: 'R1',
+        checkoutRequestId: 'ws_1',
+        notes: 'Paid'
+      });
+
+      expect(result.refunded).toBe(true);
+      expect(ledgerService.recordSale).toHaveBeenCalled();
+      expect(inventoryService.releaseOrderHold).toHaveBeenCalledWith('order-1');
+      expect(inventoryService.confirmOrderInventory).not.toHaveBeenCalled();
+      expect(refundPayment).toHaveBeenCalledWith('order-1', undefined, 'Event cancelled: Sauti Sol Live');
+      expect(ticketQueue.add).not.toHaveBeenCalled();
+      jest.restoreAllMocks();
+    });
+
+    it('notes a failed automatic refund on the order', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      Event.findById.mockReturnValue(event('cancelled'));
+      Order.findOneAndUpdate.mockResolvedValue(order());
+      jest.spyOn(paymentService, 'refundPayment').mockRejectedValue(new Error('Daraja down'));
+
+      await paymentService.completeOrderPayment({ _id: 'order-1' }, {
+        mpesaReceiptNumber: 'R1',
+        checkoutRequestId: 'ws_1',
+        notes: 'Paid'
+      });
+
+      expect(Order.updateOne).toHaveBeenCalledWith(
+        { _id: 'order-1' },
+        { notes: 'Paid. Event cancelled: Sauti Sol Live; automatic refund failed: Daraja down' }
+      );
+      jest.restoreAllMocks();
+    });
+  });
+
+  describe('completeFreeOrder', () => {
+    beforeEach(() => {
+      Event.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: 'event-1', name: 'Sauti Sol Live', status: 'published' })
+      });
+    });
+
+    it('completes a fully discounted order and queues its tickets', async () => {
+      Order.findOneAndUpdate.mockResolvedValue(order({ totalAmount: 0 }));
+      inventoryService.confirmOrderInventory.mockResolvedValue(true);
+
+      const result = await paymentService.completeFreeOrder('order-1');
+
+      expect(result.refunded).toBe(false);
+      const [query, update] = Order.findOneAndUpdate.mock.calls[0];
+      expect(query).toEqual({ _id: 'order-1', totalAmount: 0, paymentStatus: { $in: ['pending', 'processing'] } });
+      expect(update).toMatchObject({ paymentStatus: 'completed' });
+      expect(update).not.toHaveProperty('checkoutRequestId');
+      expect(ticketQueue.add).toHaveBeenCalled();
+    });
+
+    it('closes a free order for a cancelled event without an M-Pesa refund', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      Event.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: 'event-1', name: 'Sauti Sol Live', status: 'cancelled' })
+      });
+      Order.findOneAndUpdate.mockResolvedValue(order({ totalAmount: 0 }));
+      const refundPayment = jest.spyOn(paymentService, 'refundPayment');
+
+      const result = await paymentService.completeFreeOrder('order-1');
+
+      expect(result.refunded).toBe(true);
+      expect(refundPayment).not.toHaveBeenCalled();
+      expect(Order.updateOne).toHaveBeenCalledWith(
+        { _id: 'order-1' },
+        expect.objectContaining({ paymentStatus: 'refunded' })
+      );
+      jest.restoreAllMocks();
+    });
+  });
+});
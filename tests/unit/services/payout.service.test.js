@@ -0,0 +1,68 @@
+jest.mock('../../../src/config/cloudinary', () => ({ cloudinary: {} }));
+jest.mock('../../../src/config/redis', () => require('../../helpers/fake-redis')());
+jest.mock('../../../src/models/payout.model', () => ({ create: jest.fn() }));
+jest.mock('../../../src/services/payout-providers', () => ({ getProvider: jest.fn() }));
+jest.mock('../../../src/services/ledger.service', () => ({
+  eventSummary: jest.fn(),
+  recordPayout: jest.fn()
+}));
+
+const User = require('../../../src/models/user.model');
+const Payout = require('../../../src/models/payout.model');
+const ledgerService = require('../../../src/services/ledger.service');
+const payoutService = require('../../../src/services/payout.service');
+
+const host = fields => new User({
+  name: 'Otieno Events',
+  email: 'otieno@example.com',
+  phone: '0712345678',
+  emailVerified: true,
+  kyc: { status: 'approved' },
+  payoutMethod: 'mpesa',
+  ...fields
+});
+
+const event = {
+  _id: 'event-1',
+  status: 'published',
+  eventDateTime: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+};
+
+describe('PayoutService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('M-Pesa payouts to an unverified phone', () => {
+    it('are held until the host verifies the number', () => {
+      expect(host({ phoneVerified: false }).payoutHoldReason()).toBe('phone_unverified');
+      expect(host({ phoneVerified: true }).payoutHoldReason()).toBeNull();
+    });
+
+    it('do not hold bank transfers', () => {
+      expect(host({ payoutMethod: 'bank_transfer', phoneVerified: false }).payoutHoldReason()).toBeNull();
+    });
+
+    it('refuse early withdrawals', async () => {
+      await expect(payoutService.requestEarlyPayout(host({ phoneVerified: false }), event, 1000))
+        .rejects.toThrow('Verify your phone number');
+      expect(ledgerService.eventSummary).not.toHaveBeenCalled();
+      expect(Payout.create).not.toHaveBeenCalled();
+    });
+  });
+
+  it('sends an early withdrawal to a verified M-Pesa number', async () => {
+    ledgerService.eventSummary.mockResolvedValue({ earlyAvailable: 5000 });
+    Payout.create.mockImplementation(async fields => fields);
+    jest.spyOn(payoutService, 'schedule').mockResolvedValue();
+
+    await payoutService.requestEarlyPayout(host({ phoneVerified: true }), event, 1000);
+
+    expect(Payout.create).toHaveBeenCalledWith(expect.objectContaining({
+      method: 'mpesa',
+      recipientPhone: '0712345678',
+      amount: 1000
+    }));
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,119 @@
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../../src/models/user.model', () => ({
+  findOne: jest.fn(),
+  updateOne: jest.fn()
+}));
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const User = require('../../../src/models/user.model');
+const sessionService = require('../../../src/services/session.service');
+
+const userAgent = 'Mozilla/5.0 (Linux; Android 14) Chrome/120.0 Mobile Safari/537.36';
+const req = { ip: '::ffff:10.0.0.1', get: name => (name === 'User-Agent' ? userAgent : undefined) };
+const user = { _id: 'user-1', role: 'host' };
+
+// The stored session for a refresh token
+const sessionFor = (refreshToken, fields = {}) => ({
+  sessionId: jwt.decode(refreshToken).sid,
+  tokenHash: sessionService.hash(refreshToken),
+  device: 'Chrome on Android',
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  ...fields
+});
+
+describe('SessionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('signs tokens that name the session and never repeat', () => {
+    const first = sessionService.signTokens(user, 'session-1');
+    const second = sessionService.signTokens(user, 'session-1');
+
+    expect(jwt.decode(first.accessToken).sid).toBe('session-1');
+    expect(jwt.decode(first.refreshToken).sid).toBe('session-1');
+    expect(first.refreshToken).not.toBe(second.refreshToken);
+  });
+
+  it('describes the device from the user agent', () => {
+    expect(sessionService.deviceDetails(req)).toEqual({
+      device: 'Chrome on Android',
+      userAgent,
+      ip: '10.0.0.1'
+    });
+  });
+
+  describe('authenticate', () => {
+    it('returns the session a current token belongs to', async () => {
+      const { refreshToken } = sessionService.signTokens(user, 'session-1');
+      const session = sessionFor(refreshToken);
+      User.findOne.mockResolvedValue({ ...user, refreshTokens: [session] });
+
+      await expect(sessionService.authenticate(refreshToken)).resolves.toMatchObject({ session });
+    });
+
+    it('revokes the session when an earlier token is presented', async () => {
+      const { refreshToken: stale } = sessionService.signTokens(user, 'session-1');
+      const { refreshToken: current } = sessionService.signTokens(user, 'session-1');
+      User.findOne.mockResolvedValue({ ...user, refreshTokens: [sessionFor(current)] });
+
+      await expect(sessionService.authenticate(stale)).rejects.toThrow('used twice');
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: 'user-1' },
+        { $pull: { refreshTokens: { sessionId: 'session-1' } } }
+      );
+    });
+
+    it('rejects tokens of sessions that were signed out', async () => {
+      const { refreshToken } = sessionService.signTokens(user, 'session-1');
+      User.findOne.mockResolvedValue(null);
+
+      await expect(sessionService.authenticate(refreshToken)).rejects.toThrow('Invalid refresh token');
+    });
+
+    it('rejects tokens signed with another secret', async () => {
+      const forged = jwt.sign({ userId: 'user-1', sid: 'session-1' }, 'not-the-secret');
+
+      await expect(sessionService.authenticate(forged)).rejects.toThrow('Invalid refresh token');
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rotate', () => {
+    it('swaps the stored hash only if it is still the one presented', async () => {
+      const { refreshToken } = sessionService.signTokens(user, 'session-1');
+      const session = sessionFor(refreshToken);
+
+      const tokens = await sessionService.rotate(user, session, req);
+
+      const [filter, update] = User.updateOne.mock.calls[0];
+      expect(filter).toEqual({
+        _id: 'user-1',
+        refreshTokens: { $elemMatch: { sessionId: 'session-1', tokenHash: session.tokenHash } }
+      });
+      expect(update.$set['refreshTokens.$.tokenHash']).toBe(sessionService.hash(tokens.refreshToken));
+    });
+
+    it('treats losing a race with the same token as reuse', async () => {
+      const { refreshToken } = sessionService.signTokens(user, 'session-1');
+      User.updateOne
+        .mockResolvedValueOnce({ modifiedCount: 0 })
+        .mockResolvedValueOnce({ modifiedCount: 1 });
+
+      await expect(sessionService.rotate(user, sessionFor(refreshToken), req)).rejects.toThrow('used twice');
+      expect(User.updateOne).toHaveBeenLastCalledWith(
+        { _id: 'user-1' },
+        { $pull: { refreshTokens: { sessionId: 'session-1' } } }
+      );
+    });
+  });
+});
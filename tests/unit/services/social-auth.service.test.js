@@ -0,0 +1,201 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const jwt = require('jsonwebtoken');
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+jest.mock('../../../src/models/user.model', () => ({ exists: jest.fn() }));
+
+// Google's key set, served from a local file the way GOOGLE_JWKS_URL allows
+const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'swiftpass-jwks-'));
+const googleKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+fs.writeFileSync(path.join(fixtureDir, 'certs.json'), JSON.stringify({
+  keys: [{ ...googleKey.publicKey.export({ format: 'jwk' }), kid: 'google-1', alg: 'RS256', use: 'sig' }]
+}));
+
+process.env.GOOGLE_JWKS_URL = pathToFileURL(path.join(fixtureDir, 'certs.json')).href;
+process.env.GOOGLE_CLIENT_ID = 'swiftpass-web.apps.googleusercontent.com';
+process.env.FACEBOOK_APP_ID = '1234';
+process.env.FACEBOOK_APP_SECRET = 'facebook-secret';
+
+const axios = require('axios');
+const User = require('../../../src/models/user.model');
+const socialAuthService = require('../../../src/services/social-auth.service');
+
+const googleToken = (claims = {}, { key = googleKey.privateKey, kid = 'google-1' } = {}) => jwt.sign({
+  iss: 'https://accounts.google.com',
+  aud: process.env.GOOGLE_CLIENT_ID,
+  sub: '1098765',
+  email: 'amina@example.com',
+  email_verified: true,
+  name: 'Amina',
+  ...claims
+}, key, { algorithm: 'RS256', keyid: kid, expiresIn: '5m' });
+
+const user = (fields = {}) => ({
+  _id: 'user-1',
+  hasPassword: true,
+  save: jest.fn(),
+  signInMethods() {
+    return [
+      this.hasPassword !== false && 'password',
+      this.googleId && 'google',
+      this.facebookId && 'facebook'
+    ].filter(Boolean);
+  },
+  ...fields
+});
+
+describe('SocialAuthService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+  });
+
+  describe('verifyGoogleToken', () => {
+    it('returns the identity of a token signed by Google for this app', async () => {
+      await expect(socialAuthService.verifyGoogleToken(googleToken())).resolves.toEqual({
+        provider: 'google',
+        providerId: '1098765',
+        email: 'amina@example.com',
+        emailVerified: true,
+        name: 'Amina',
+        picture: undefined
+      });
+    });
+
+    it('rejects a token signed with another key under Google\'s key ID', async () => {
+      const forged = googleToken({}, { key: otherKey.privateKey });
+
+      await expect(socialAuthService.verifyGoogleToken(forged)).rejects.toThrow('Invalid Google token');
+    });
+
+    it('rejects a token whose key ID Google never published', async () => {
+      const unknown = googleToken({}, { kid: 'not-google' });
+
+      await expect(socialAuthService.verifyGoogleToken(unknown)).rejects.toThrow('Invalid Google token');
+    });
+
+    it('rejects a token issued to another app', async () => {
+      const token = googleToken({ aud: 'someone-else.apps.googleusercontent.com' });
+
+      await expect(socialAuthService.verifyGoogleToken(token)).rejects.toThrow('Invalid Google token');
+    });
+
+    it('rejects a token from another issuer', async () => {
+      const token = googleToken({ iss: 'https://evil.example.com' });
+
+      await expect(socialAuthService.verifyGoogleToken(token)).rejects.toThrow('Invalid Google token');
+    });
+  });
+
+  describe('verifyFacebookToken', () => {
+    const debugToken = data => ({ data: { data: { is_valid: true, app_id: '1234', user_id: '5550001', ...data } } });
+
+    it('returns the identity of a token issued to this app', async () => {
+      axios.get
+        .mockResolvedValueOnce(debugToken())
+        .mockResolvedValueOnce({ data: { id: '5550001', name: 'Brian', email: 'brian@example.com' } });
+
+      await expect(socialAuthService.verifyFacebookToken('fb-token')).resolves.toMatchObject({
+        provider: 'facebook',
+        providerId: '5550001',
+        email: 'brian@example.com',
+        emailVerified: true
+      });
+      expect(axios.get.mock.calls[0][1].params).toEqual({
+        input_token: 'fb-token',
+        access_token: '1234|facebook-secret'
+      });
+    });
+
+    it('rejects a token issued to another app', async () => {
+      axios.get.mockResolvedValueOnce(debugToken({ app_id: '9999' }));
+
+      await expect(socialAuthService.verifyFacebookToken('fb-token')).rejects.toThrow('Invalid Facebook token');
+      expect(axios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects a token Facebook says is no longer valid', async () => {
+      axios.get.mockResolvedValueOnce(debugToken({ is_valid: false }));
+
+      await expect(socialAuthService.verifyFacebookToken('fb-token')).rejects.toThrow('Invalid Facebook token');
+    });
+
+    it('rejects a profile that is not the token\'s user', async () => {
+      axios.get
+        .mockResolvedValueOnce(debugToken())
+        .mockResolvedValueOnce({ data: { id: '5550002', name: 'Someone Else' } });
+
+      await expect(socialAuthService.verifyFacebookToken('fb-token')).rejects.toThrow('Invalid Facebook token');
+    });
+  });
+
+  describe('link', () => {
+    const profile = { provider: 'google', providerId: '1098765' };
+
+    it('links an account no one else has', async () => {
+      const current = user();
+      User.exists.mockResolvedValue(null);
+
+      await socialAuthService.link(current, profile);
+
+      expect(current.googleId).toBe('1098765');
+      expect(current.save).toHaveBeenCalled();
+    });
+
+    it('refuses an account already linked to another user', async () => {
+      User.exists.mockResolvedValue({ _id: 'user-2' });
+
+      await expect(socialAuthService.link(user(), profile)).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'This Google account is linked to another SwiftPass account'
+      });
+    });
+
+    it('refuses to replace a different linked account', async () => {
+      const current = user({ googleId: '2222' });
+
+      await expect(socialAuthService.link(current, profile)).rejects.toThrow('A different Google account is already linked');
+      expect(current.googleId).toBe('2222');
+      expect(current.save).not.toHaveBeenCalled();
+    });
+
+    it('accepts linking the same account again', async () => {
+      const current = user({ googleId: '1098765' });
+
+      await socialAuthService.link(current, profile);
+
+      expect(User.exists).not.toHaveBeenCalled();
+      expect(current.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unlink', () => {
+    it('unlinks when another way to sign in remains', async () => {
+      const current = user({ facebookId: '5550001' });
+
+      await socialAuthService.unlink(current, 'facebook');
+
+      expect(current.facebookId).toBeUndefined();
+      expect(current.save).toHaveBeenCalled();
+    });
+
+    it('refuses to remove the only way to sign in', async () => {
+      const current = user({ hasPassword: false, googleId: '1098765' });
+
+      await expect(socialAuthService.unlink(current, 'google')).rejects.toThrow('Link another account or set a password');
+      expect(current.googleId).toBe('1098765');
+    });
+
+    it('refuses when nothing is linked', async () => {
+      await expect(socialAuthService.unlink(user(), 'facebook')).rejects.toThrow('No Facebook account is linked');
+    });
+  });
+});
@@ -0,0 +1,107 @@
+jest.mock('../../../src/config/cloudinary', () => ({ cloudinary: {} }));
+jest.mock('../../../src/config/email', () => ({}));
+jest.mock('../../../src/services/ticket-signing.service', () => ({}));
+jest.mock('../../../src/models/ticket.model', () => ({
+  updateMany: jest.fn()
+}));
+jest.mock('../../../src/models/order.model', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../../src/models/event.model', () => ({
+  findById: jest.fn()
+}));
+
+const Ticket = require('../../../src/models/ticket.model');
+const Order = require('../../../src/models/order.model');
+const Event = require('../../../src/models/event.model');
+const ticketGenerationService = require('../../../src/services/ticket-generation.service');
+
+const jobData = {
+  orderId: 'order-1',
+  eventId: 'event-1',
+  buyerName: 'Wanjiru',
+  buyerEmail: 'wanjiru@example.com',
+  buyerPhone: '0712345678',
+  tickets: [{ tierName: 'Regular', quantity: 2, unitPrice: 1000 }]
+};
+
+const order = (fields = {}) => ({
+  _id: 'order-1',
+  paymentStatus: 'completed',
+  inventoryStatus: 'sold',
+  markTicketsGenerated: jest.fn(),
+  ...fields
+});
+
+describe('TicketGenerationService.generateTicketForOrder', () => {
+  let generateSingleTicket;
+  let sendTicketEmail;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    Event.findById.mockResolvedValue({ _id: 'event-1', name: 'Sauti Sol Live', status: 'published' });
+    generateSingleTicket = jest.spyOn(ticketGenerationService, 'generateSingleTicket')
+      .mockImplementation(async ({ ticketNumber }) => ({ _id: `t${ticketNumber}` }));
+    sendTicketEmail = jest.spyOn(ticketGenerationService, 'sendTicketEmail').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('issues and emails tickets for a paid order', async () => {
+    const paid = order();
+    Order.findById.mockResolvedValue(paid);
+
+    const tickets = await ticketGenerationService.generateTicketForOrder(jobData);
+
+    expect(tickets).toHaveLength(2);
+    expect(paid.markTicketsGenerated).toHaveBeenCalled();
+    expect(sendTicketEmail).toHaveBeenCalled();
+  });
+
+  it.each([
+    ['refunded', { paymentStatus: 'refunded', inventoryStatus: 'released' }],
+    ['whose seats were released', { inventoryStatus: 'released' }]
+  ])('skips an order that is %s', async (_, fields) => {
+    Order.findById.mockResolvedValue(order(fields));
+
+    await expect(ticketGenerationService.generateTicketForOrder(jobData)).resolves.toEqual([]);
+    expect(generateSingleTicket).not.toHaveBeenCalled();
+    expect(sendTicketEmail).not.toHaveBeenCalled();
+  });
+
+  it('skips an order for a cancelled event', async () => {
+    Event.findById.mockResolvedValue({ _id: 'event-1', status: 'cancelled' });
+    Order.findById.mockResolvedValue(order());
+
+    await expect(ticketGenerationService.generateTicketForOrder(jobData)).resolves.toEqual([]);
+    expect(generateSingleTicket).not.toHaveBeenCalled();
+    expect(sendTicketEmail).not.toHaveBeenCalled();
+  });
+
+  it('cancels tickets generated while the event was cancelled', async () => {
+    const paid = order();
+    Order.findById.mockResolvedValue(paid);
+    Event.findById
+      .mockResolvedValueOnce({ _id: 'event-1', status: 'published' })
+      .mockResolvedValueOnce({ _id: 'event-1', status: 'cancelled' });
+
+    await expect(ticketGenerationService.generateTicketForOrder(jobData)).resolves.toEqual([]);
+    expect(Ticket.updateMany).toHaveBeenCalledWith({ _id: { $in: ['t1', 't2'] } }, { status: 'cancelled' });
+    expect(sendTicketEmail).not.toHaveBeenCalled();
+  });
+
+  it('cancels tickets generated while a refund completed', async () => {
+    const paid = order();
+    Order.findById
+      .mockResolvedValueOnce(paid)
+      .mockResolvedValueOnce(order({ paymentStatus: 'refunded', inventoryStatus: 'released' }));
+
+    await expect(ticketGenerationService.generateTicketForOrder(jobData)).resolves.toEqual([]);
+    expect(Ticket.updateMany).toHaveBeenCalledWith({ _id: { $in: ['t1', 't2'] } }, { status: 'cancelled' });
+    expect(paid.markTicketsGenerated).not.toHaveBeenCalled();
+    expect(sendTicketEmail).not.toHaveBeenCalled();
+  });
+});
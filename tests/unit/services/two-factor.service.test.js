@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+
+jest.mock('../../../src/config/redis', () => require('../../helpers/fake-redis')());
+jest.mock('qrcode', () => ({
+  toDataURL: jest.fn(async () => 'data:image/png;base64,iVBORw0KGgo=')
+}));
+jest.mock('../../../src/models/user.model', () => ({
+  updateOne: jest.fn(),
+  findById: jest.fn()
+}));
+
+process.env.JWT_SECRET = 'test-access-secret';
+
+const redisClient = require('../../../src/config/redis');
+const User = require('../../../src/models/user.model');
+const twoFactorService = require('../../../src/services/two-factor.service');
+
+// RFC 6238 test secret ("12345678901234567890")
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// Independent HOTP (RFC 4226) to produce codes for a base32 secret
+function codeFor(secret, now = Date.now()) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const bits = [...secret].map(c => alphabet.indexOf(c).toString(2).padStart(5, '0')).join('');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(now / 30000)));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+// Enough of a User document for the service
+function fakeUser(twoFactor = { enabled: false }) {
+  const user = {
+    _id: 'user-1',
+    email: 'host@example.com',
+    status: 'active',
+    twoFactor,
+    twoFactorEnabled() {
+      return Boolean(this.twoFactor && this.twoFactor.enabled);
+    },
+    set(path, value) {
+      if (path === 'twoFactor') {
+        this.twoFactor = value;
+      } else {
+        this.twoFactor = { ...this.twoFactor, [path.split('.')[1]]: value };
+      }
+    },
+    save: jest.fn()
+  };
+  return user;
+}
+
+// A user who has finished enrolment; returns the user, secret and recovery codes
+async function enrolledUser() {
+  const user = fakeUser();
+  const { secret } = await twoFactorService.beginSetup(user);
+  const recoveryCodes = await twoFactorService.enable(user, codeFor(secret));
+  return { user, secret, recoveryCodes };
+}
+
+describe('TwoFactorService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redisClient.reset();
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  describe('matchStep', () => {
+    it('matches the RFC 6238 test vector', () => {
+      expect(twoFactorService.matchStep(RFC_SECRET, '287082', 59 * 1000)).toBe(1);
+    });
+
+    it('allows one step of clock drift either way', () => {
+      const now = 1111111109 * 1000;
+      const step = Math.floor(now / 30000);
+
+      expect(twoFactorService.matchStep(RFC_SECRET, codeFor(RFC_SECRET, now - 30000), now)).toBe(step - 1);
+      expect(twoFactorService.matchStep(RFC_SECRET, codeFor(RFC_SECRET, now + 30000), now)).toBe(step + 1);
+      expect(twoFactorService.matchStep(RFC_SECRET, codeFor(RFC_SECRET, now + 60000), now)).toBeNull();
+    });
+
+    it('rejects codes of the wrong length', () => {
+      expect(twoFactorService.matchStep(RFC_SECRET, '28708', 59 * 1000)).toBeNull();
+      expect(twoFactorService.matchStep(RFC_SECRET, undefined, 59 * 1000)).toBeNull();
+    });
+  });
+
+  describe('enrolment', () => {
+    it('keeps the new secret pending and encrypted until a code confirms it', async () => {
+      const user = fakeUser();
+
+      const setup = await twoFactorService.beginSetup(user);
+
+      expect(setup.secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(setup.otpauthUri).toContain(`secret=${setup.secret}`);
+      expect(setup.qrCode).toMatch(/^data:image\/png;base64,/);
+      expect(user.twoFactor.enabled).toBe(false);
+      expect(user.twoFactor.pendingSecret).toBeDefined();
+      expect(user.twoFactor.pendingSecret).not.toContain(setup.secret);
+    });
+
+    it('turns two-factor on with the first code and hands out ten recovery codes once', async () => {
+      const { user, recoveryCodes } = await enrolledUser();
+
+      expect(user.twoFactorEnabled()).toBe(true);
+      expect(recoveryCodes).toHaveLength(10);
+      recoveryCodes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+      // Only hashes are kept
+      expect(user.twoFactor.recoveryCodes.map(c => c.hash)).not.toContain(recoveryCodes[0]);
+      expect(twoFactorService.recoveryCodesRemaining(user)).toBe(10);
+    });
+
+    it('rejects a wrong first code', async () => {
+      const user = fakeUser();
+      await twoFactorService.beginSetup(user);
+
+      await expect(twoFactorService.enable(user, '000000')).rejects.toThrow('Invalid code');
+      expect(user.twoFactorEnabled()).toBe(false);
+    });
+
+    it('needs setup to have started', async () => {
+      await expect(twoFactorService.enable(fakeUser(), '123456')).rejects.toThrow('Start two-factor setup first');
+    });
+  });
+
+  describe('verifyCode', () => {
+    it('accepts a current authenticator code once', async () => {
+      const { user, secret } = await enrolledUser();
+      const code = codeFor(secret, Date.now() + 30000);
+
+      await expect(twoFactorService.verifyCode(user, code)).resolves.toBe('totp');
+      expect(User.updateOne).toHaveBeenLastCalledWith(
+        expect.objectContaining({ _id: 'user-1' }),
+        { 'twoFactor.lastUsedStep': Math.floor(Date.now() / 30000) + 1 }
+      );
+
+      // The conditional update finds lastUsedStep already at this step
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      await expect(twoFactorService.verifyCode(user, code)).resolves.toBeNull();
+    });
+
+    it('rejects a wrong authenticator code without touching the user', async () => {
+      const { user } = await enrolledUser();
+      User.updateOne.mockClear();
+
+      await expect(twoFactorService.verifyCode(user, '000000')).resolves.toBeNull();
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('accepts a recovery code regardless of case and dash, and marks it used', async () => {
+      const { user, recoveryCodes } = await enrolledUser();
+      const typed = recoveryCodes[3].replace('-', '').toUpperCase();
+
+      await expect(twoFactorService.verifyCode(user, typed)).resolves.toBe('recovery_code');
+
+      const [filter, update] = User.updateOne.mock.calls[User.updateOne.mock.calls.length - 1];
+      expect(filter['twoFactor.recoveryCodes'].$elemMatch.usedAt).toBeNull();
+      expect(update.$set['twoFactor.recoveryCodes.$.usedAt']).toBeInstanceOf(Date);
+      expect(twoFactorService.recoveryCodesRemaining(user)).toBe(9);
+    });
+
+    it('accepts a recovery code that happens to be all digits, typed without its dash', async () => {
+      const user = fakeUser();
+      const { secret } = await twoFactorService.beginSetup(user);
+
+      const randomBytes = crypto.randomBytes;
+      jest.spyOn(crypto, 'randomBytes').mockImplementation(size => (
+        size === 5 ? Buffer.from('1234509876', 'hex') : randomBytes(size)
+      ));
+      const recoveryCodes = await twoFactorService.enable(user, codeFor(secret));
+      crypto.randomBytes.mockRestore();
+
+      expect(recoveryCodes[0]).toBe('12345-09876');
+      await expect(twoFactorService.verifyCode(user, '1234509876')).resolves.toBe('recovery_code');
+    });
+
+    it('refuses a recovery code that was already used', async () => {
+      const { user, recoveryCodes } = await enrolledUser();
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(twoFactorService.verifyCode(user, recoveryCodes[0])).resolves.toBeNull();
+    });
+
+    it('refuses everything while two-factor is off', async () => {
+      await expect(twoFactorService.verifyCode(fakeUser(), '123456')).resolves.toBeNull();
+    });
+  });
+
+  describe('sign-in challenge', () => {
+    it('completes with a valid code and can\'t be reused', async () => {
+      const { user, secret } = await enrolledUser();
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+      const { challengeToken } = await twoFactorService.createChallenge(user);
+      const result = await twoFactorService.completeChallenge(challengeToken, codeFor(secret, Date.now() + 30000));
+
+      expect(result).toEqual({ user, method: 'totp' });
+      await expect(twoFactorService.completeChallenge(challengeToken, codeFor(secret)))
+        .rejects.toThrow('Your sign-in has expired');
+    });
+
+    it('is burnt after five wrong codes', async () => {
+      const { user } = await enrolledUser();
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+      const { challengeToken } = await twoFactorService.createChallenge(user);
+
+      for (let i = 0; i < 4; i++) {
+        await expect(twoFactorService.completeChallenge(challengeToken, '000000')).rejects.toThrow('Invalid two-factor code');
+      }
+      await expect(twoFactorService.completeChallenge(challengeToken, '000000')).rejects.toThrow('Too many wrong codes');
+      await expect(twoFactorService.completeChallenge(challengeToken, '000000')).rejects.toThrow('Your sign-in has expired');
+    });
+  });
+
+  describe('re-authentication tokens', () => {
+    it('can be checked without being used up, and used once', async () => {
+      const { reauthToken } = await twoFactorService.createReauthToken({ _id: 'user-1' });
+
+      await expect(twoFactorService.checkReauthToken('user-1', reauthToken)).resolves.toBe(true);
+      await expect(twoFactorService.consumeReauthToken('user-1', reauthToken)).resolves.toBe(true);
+      await expect(twoFactorService.consumeReauthToken('user-1', reauthToken)).resolves.toBe(false);
+      await expect(twoFactorService.checkReauthToken('user-1', reauthToken)).resolves.toBe(false);
+    });
+
+    it('only works for the user it was issued to', async () => {
+      const { reauthToken } = await twoFactorService.createReauthToken({ _id: 'user-1' });
+
+      await expect(twoFactorService.consumeReauthToken('user-2', reauthToken)).resolves.toBe(false);
+      await expect(twoFactorService.consumeReauthToken('user-1', undefined)).resolves.toBe(false);
+    });
+  });
+});